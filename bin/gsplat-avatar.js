@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/**
+ * gsplat-avatar - Inspect and validate avatar packages from the command line
+ *
+ *   gsplat-avatar inspect avatar.zip
+ *   gsplat-avatar validate avatar.zip --json
+ *   gsplat-avatar stats https://cdn.example.com/alice.zip
+ *
+ * Exit codes: 0 on success, 1 if the package has errors or cannot be read,
+ * 2 on invalid usage.
+ */
+
+import { readFile } from 'node:fs/promises';
+import process from 'node:process';
+
+import { configureForDevelopment, configureForProduction } from '../src/utils/Logger.js';
+import { inspectAvatarPackage, validateAvatarPackage } from '../src/assets/index.js';
+
+const USAGE = `Usage: gsplat-avatar <command> <avatar.zip | url> [options]
+
+Commands:
+  inspect    Show the package layout, splats, skin model, animation clips and iris ranges
+  validate   Check the package and list problems; exits with 1 if there are errors
+  stats      Show key numbers: splat count, SH degree, bounding box, blendshapes, clips
+
+Options:
+  --json                Print JSON instead of text
+  --animation <json>    Animation grouping or state graph to validate against, e.g. '{"speak":{"size":4,"isGroup":true}}'
+  --verbose             Print library log messages
+  -h, --help            Show this help
+`;
+
+const EXIT_OK = 0;
+const EXIT_ERRORS = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * Thrown for invalid command-line usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{command: string, source: string, json: boolean, verbose: boolean, animation: object|undefined, help: boolean}}
+ * @throws {UsageError} If the arguments are invalid
+ */
+function parseArgs(args) {
+    const options = { json: false, verbose: false, animation: undefined, help: false };
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--json') {
+            options.json = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--animation') {
+            if (i + 1 >= args.length) {
+                throw new UsageError('--animation needs a JSON value');
+            }
+            try {
+                options.animation = JSON.parse(args[++i]);
+            } catch (error) {
+                throw new UsageError(`--animation is not valid JSON: ${error.message}`);
+            }
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    if (options.help) {
+        return { ...options, command: null, source: null };
+    }
+    const [command, source, ...rest] = positional;
+    if (!COMMANDS[command]) {
+        throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+    if (!source) {
+        throw new UsageError('Missing avatar package path or URL');
+    }
+    if (rest.length > 0) {
+        throw new UsageError(`Unexpected argument: ${rest[0]}`);
+    }
+    if (options.animation !== undefined && command !== 'validate') {
+        throw new UsageError('--animation only applies to validate');
+    }
+    return { ...options, command, source };
+}
+
+/**
+ * Load a package argument: URLs are passed through, anything else is read as a file
+ * @param {string} source - Path or URL
+ * @returns {Promise<string|ArrayBuffer>}
+ */
+async function loadSource(source) {
+    if (/^https?:\/\//i.test(source)) {
+        return source;
+    }
+    const data = await readFile(source);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+/**
+ * Format a byte count
+ * @param {number} bytes - Byte count
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
+}
+
+/**
+ * Format a vector of numbers
+ * @param {number[]} vector - Values
+ * @returns {string}
+ */
+function formatVector(vector) {
+    return `(${vector.map(value => value.toFixed(3)).join(', ')})`;
+}
+
+/**
+ * Format aligned "label  value" rows
+ * @param {Array<[string, string]>} rows - Label and value pairs
+ * @returns {string}
+ */
+function formatRows(rows) {
+    const width = Math.max(...rows.map(([label]) => label.length));
+    return rows.map(([label, value]) => `  ${label.padEnd(width)}  ${value}`).join('\n');
+}
+
+/**
+ * Format iris occlusion coverage
+ * @param {object} iris - irisOcclusion section of an inspection report
+ * @returns {string}
+ */
+function formatIrisCoverage(iris) {
+    if (iris.coveredSplats === null) return 'unknown (splats unreadable)';
+    return `${iris.coveredSplats} splats (${(iris.coverage * 100).toFixed(2)}%)`;
+}
+
+/**
+ * Render an inspection report as text
+ * @param {object} report - Result of inspectAvatarPackage()
+ * @returns {string}
+ */
+function formatInspection(report) {
+    const sections = [];
+
+    sections.push(`Avatar '${report.characterName}' (${report.layout} layout, root '${report.root || '.'}')`);
+
+    sections.push('Files:\n' + formatRows(Object.values(report.files)
+        .filter(file => file.path)
+        .map(file => [file.path, file.size === null ? 'missing' : formatBytes(file.size)])));
+
+    if (report.splats) {
+        const { count, sphericalHarmonicsDegree, boundingBox, splatBufferBytes } = report.splats;
+        const rows = [
+            ['count', String(count)],
+            ['SH degree', String(sphericalHarmonicsDegree)],
+            ['splat buffer', formatBytes(splatBufferBytes)]
+        ];
+        if (boundingBox) {
+            rows.push(['bounds min', formatVector(boundingBox.min)]);
+            rows.push(['bounds max', formatVector(boundingBox.max)]);
+            rows.push(['bounds size', formatVector(boundingBox.size)]);
+        }
+        sections.push('Splats:\n' + formatRows(rows));
+    }
+
+    if (report.skin) {
+        const { vertexCount, boneCount, hasHipBone, blendshapes } = report.skin;
+        sections.push('Skin:\n' + formatRows([
+            ['vertices', vertexCount === null ? 'no skinned mesh' : String(vertexCount)],
+            ['bones', `${boneCount}${hasHipBone ? '' : ' (no hip bone)'}`],
+            ['blendshapes', `${blendshapes.length}`]
+        ]) + (blendshapes.length > 0 ? '\n    ' + blendshapes.join(', ') : ''));
+    }
+
+    if (report.animation) {
+        const { clips, totalDuration } = report.animation;
+        const rows = clips.map((clip, i) => [`${i}`, `${clip.name}  ${clip.duration.toFixed(2)} s, ` +
+            `${clip.fps === null ? 'fps unknown' : `${Number(clip.fps.toFixed(2))} fps`}, ${clip.tracks} tracks`]);
+        sections.push(`Animation: ${clips.length} clips, ${totalDuration.toFixed(2)} s total` +
+            (rows.length > 0 ? '\n' + formatRows(rows) : ''));
+    }
+
+    if (report.irisOcclusion) {
+        const { regions } = report.irisOcclusion;
+        const rows = Object.entries(regions)
+            .map(([key, region]) => [key, `${region.ranges} ranges, ${region.splats} splats`]);
+        rows.push(['covered', formatIrisCoverage(report.irisOcclusion)]);
+        sections.push('Iris occlusion:\n' + formatRows(rows));
+    } else {
+        sections.push('Iris occlusion: none');
+    }
+
+    if (report.errors.length > 0) {
+        sections.push('Errors:\n' + report.errors.map(error => `  ${error.file}: ${error.message}`).join('\n'));
+    }
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Reduce an inspection report to key numbers
+ * @param {object} report - Result of inspectAvatarPackage()
+ * @returns {object}
+ */
+function statsFromInspection(report) {
+    return {
+        characterName: report.characterName,
+        splatCount: report.splats?.count ?? null,
+        sphericalHarmonicsDegree: report.splats?.sphericalHarmonicsDegree ?? null,
+        boundingBoxSize: report.splats?.boundingBox?.size ?? null,
+        splatBufferBytes: report.splats?.splatBufferBytes ?? null,
+        vertexCount: report.skin?.vertexCount ?? null,
+        boneCount: report.skin?.boneCount ?? null,
+        blendshapeCount: report.skin?.blendshapes.length ?? null,
+        clipCount: report.animation?.clips.length ?? null,
+        animationDuration: report.animation?.totalDuration ?? null,
+        irisCoveredSplats: report.irisOcclusion?.coveredSplats ?? null,
+        irisCoverage: report.irisOcclusion?.coverage ?? null,
+        packageBytes: Object.values(report.files).reduce((total, file) => total + (file.size ?? 0), 0),
+        errors: report.errors
+    };
+}
+
+/**
+ * Render stats as text
+ * @param {object} stats - Result of statsFromInspection()
+ * @returns {string}
+ */
+function formatStats(stats) {
+    const value = (number, format = String) => (number === null ? '-' : format(number));
+    const text = formatRows([
+        ['avatar', stats.characterName],
+        ['splats', value(stats.splatCount)],
+        ['SH degree', value(stats.sphericalHarmonicsDegree)],
+        ['bounds size', value(stats.boundingBoxSize, formatVector)],
+        ['vertices', value(stats.vertexCount)],
+        ['bones', value(stats.boneCount)],
+        ['blendshapes', value(stats.blendshapeCount)],
+        ['clips', value(stats.clipCount)],
+        ['animation', value(stats.animationDuration, seconds => `${seconds.toFixed(2)} s`)],
+        ['iris splats', value(stats.irisCoveredSplats)],
+        ['iris coverage', value(stats.irisCoverage, coverage => `${(coverage * 100).toFixed(2)}%`)],
+        ['splat buffer', value(stats.splatBufferBytes, formatBytes)],
+        ['files', formatBytes(stats.packageBytes)]
+    ]);
+    return stats.errors.length > 0
+        ? `${text}\n\nErrors:\n${stats.errors.map(error => `  ${error.file}: ${error.message}`).join('\n')}`
+        : text;
+}
+
+/**
+ * Render a validation result as text
+ * @param {object} result - Result of validateAvatarPackage()
+ * @returns {string}
+ */
+function formatValidation(result) {
+    const lines = result.diagnostics.map(item =>
+        `${item.severity.padEnd(7)}  ${item.code}  ${item.message}`);
+    const summary = `${result.valid ? 'Valid' : 'Invalid'} avatar package` +
+        `${result.characterName ? ` '${result.characterName}'` : ''}: ` +
+        `${result.errors.length} error(s), ${result.warnings.length} warning(s)`;
+    return lines.length > 0 ? `${lines.join('\n')}\n\n${summary}` : summary;
+}
+
+/**
+ * Command implementations; each resolves with {output, exitCode}
+ */
+const COMMANDS = {
+    async inspect(source, options) {
+        const report = await inspectAvatarPackage(source);
+        return {
+            output: options.json ? report : formatInspection(report),
+            exitCode: report.errors.length > 0 ? EXIT_ERRORS : EXIT_OK
+        };
+    },
+
+    async validate(source, options) {
+        const result = await validateAvatarPackage(source, { animation: options.animation });
+        return {
+            output: options.json ? result : formatValidation(result),
+            exitCode: result.valid ? EXIT_OK : EXIT_ERRORS
+        };
+    },
+
+    async stats(source, options) {
+        const stats = statsFromInspection(await inspectAvatarPackage(source));
+        return {
+            output: options.json ? stats : formatStats(stats),
+            exitCode: stats.errors.length > 0 ? EXIT_ERRORS : EXIT_OK
+        };
+    }
+};
+
+/**
+ * Run the tool
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`gsplat-avatar: ${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return EXIT_OK;
+    }
+
+    if (options.verbose) {
+        configureForDevelopment();
+    } else {
+        configureForProduction();
+    }
+
+    try {
+        const source = await loadSource(options.source);
+        const { output, exitCode } = await COMMANDS[options.command](source, options);
+        process.stdout.write(options.json ? `${JSON.stringify(output, null, 2)}\n` : `${output}\n`);
+        return exitCode;
+    } catch (error) {
+        // The package could not be read at all
+        if (options.json) {
+            const code = error.code ?? 'ERROR';
+            process.stdout.write(`${JSON.stringify({ error: { code, message: error.message } }, null, 2)}\n`);
+        } else {
+            process.stderr.write(`gsplat-avatar: ${error.message}\n`);
+        }
+        return EXIT_ERRORS;
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
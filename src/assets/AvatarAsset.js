@@ -0,0 +1,379 @@
+/**
+ * AvatarAsset - A fully prepared avatar package, ready to be displayed
+ *
+ * Loading an avatar is mostly work that needs no canvas or WebGL context:
+ * downloading and unzipping the package, parsing offset.ply into a
+ * SplatBuffer, parsing skin.glb and animation.glb and validating
+ * vertex_order.json. AvatarAsset.load() does all of it up front, so the next
+ * avatar can be warmed up while the current one is talking and then handed
+ * to GaussianSplatRenderer.create() or renderer.loadAvatar() as the source.
+ *
+ * An asset is single-use: the renderer that displays it takes ownership of
+ * its skin model and splat data.
+ */
+
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+
+import { getLogger } from '../utils/Logger.js';
+import { AssetLoadError, ResourceDisposedError } from '../errors/index.js';
+import { raceWithAbortSignal, throwIfAborted, disposeAllMeshes } from '../utils/Util.js';
+import { ProgressReporter } from '../utils/ProgressReporter.js';
+import { PlyLoader } from '../loaders/PlyLoader.js';
+import { readCachedSplatBuffer, cacheSplatBuffer } from '../cache/AvatarCache.js';
+import { openAvatarSource } from './AvatarSource.js';
+import { loadPackageConfig } from './AvatarConfig.js';
+import { AvatarLoadStage, DEFAULT_AVATAR_LOAD_STAGE_WEIGHTS } from './AvatarLoadStage.js';
+
+const logger = getLogger('AvatarAsset');
+
+/**
+ * Loading stages covered by AvatarAsset.load(); the remaining stages need a renderer
+ */
+export const AVATAR_ASSET_LOAD_STAGES = Object.freeze([
+    AvatarLoadStage.Download,
+    AvatarLoadStage.Unzip,
+    AvatarLoadStage.SkinGlb,
+    AvatarLoadStage.AnimationGlb,
+    AvatarLoadStage.VertexOrder,
+    AvatarLoadStage.PlyParse,
+    AvatarLoadStage.SplatBufferBuild
+]);
+
+/**
+ * Adapt a fraction progress callback to JSZip's onUpdate metadata
+ *
+ * @param {Function} [onProgress] - Progress callback (fraction 0-1)
+ * @param {number} [scale=1] - Fraction reported once extraction is complete
+ * @returns {Function|undefined} JSZip onUpdate callback
+ */
+export function zipProgressCallback(onProgress, scale = 1) {
+    if (!onProgress) return undefined;
+    return (metadata) => onProgress((metadata.percent / 100) * scale);
+}
+
+/**
+ * Extract a file from an avatar archive
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string} path - Path within the archive
+ * @param {string} type - JSZip output type ('arraybuffer', 'string', ...)
+ * @param {Function} [onUpdate] - JSZip onUpdate callback
+ * @returns {Promise<*>} File contents
+ * @throws {AssetLoadError} If the file is missing or cannot be extracted
+ */
+export async function extractFile(zip, path, type, onUpdate) {
+    const fileEntry = zip.file(path);
+    if (!fileEntry) {
+        throw new AssetLoadError(`File not found in ZIP archive: ${path}`, path);
+    }
+    try {
+        return await fileEntry.async(type, onUpdate);
+    } catch (error) {
+        throw new AssetLoadError(`Failed to extract file from ZIP: ${error.message}`, path, error);
+    }
+}
+
+/**
+ * Parse GLB data
+ *
+ * @param {ArrayBuffer} data - GLB file contents
+ * @param {string} path - Path of the file, for error messages
+ * @returns {Promise<object>} Parsed glTF ({scene, animations, ...})
+ * @throws {AssetLoadError} If the data is not a valid GLB
+ */
+export function parseGlb(data, path) {
+    return new Promise((resolve, reject) => {
+        new GLTFLoader().parse(data, '', resolve, reject);
+    }).catch((error) => {
+        throw new AssetLoadError(`Failed to parse GLB: ${error?.message ?? error}`, path, error instanceof Error ? error : null);
+    });
+}
+
+/**
+ * Extract and parse a GLB file
+ *
+ * Progress is reported as 0-0.8 while the file is extracted and 1 once it has been parsed.
+ *
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string} path - Path within the archive
+ * @param {Function} onProgress - Progress callback (fraction 0-1)
+ * @returns {Promise<THREE.Group|THREE.AnimationClip[]>} Animation clips if the GLB has any, else its scene
+ * @throws {AssetLoadError} If the file cannot be extracted or parsed
+ */
+async function loadGlb(zip, path, onProgress) {
+    const data = await extractFile(zip, path, 'arraybuffer', zipProgressCallback(onProgress, 0.8));
+    const gltf = await parseGlb(data, path);
+    onProgress(1);
+    return gltf.animations.length > 0 ? gltf.animations : gltf.scene;
+}
+
+/**
+ * Extract and parse vertex_order.json
+ *
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string} path - Path within the archive
+ * @param {Function} onProgress - Progress callback (fraction 0-1)
+ * @returns {Promise<number[]>} Splat render order
+ * @throws {AssetLoadError} If the file cannot be extracted, is not JSON or is not an array of indexes
+ */
+async function loadVertexOrder(zip, path, onProgress) {
+    const text = await extractFile(zip, path, 'string', zipProgressCallback(onProgress, 0.9));
+    let vertexOrder;
+    try {
+        vertexOrder = JSON.parse(text);
+    } catch (error) {
+        throw new AssetLoadError(`Failed to parse ${path}: ${error.message}`, path, error);
+    }
+    if (!Array.isArray(vertexOrder)) {
+        throw new AssetLoadError(`${path} must be an array of splat indexes`, path);
+    }
+    onProgress(1);
+    return vertexOrder;
+}
+
+/**
+ * Check that the vertex order lists every splat index once, the rule validateAvatarPackage() applies
+ *
+ * @private
+ * @param {number[]} vertexOrder - Splat render order
+ * @param {number} splatCount - Number of splats in the SplatBuffer
+ * @param {string} path - Path of vertex_order.json, for error messages
+ * @throws {AssetLoadError} If the order's length differs from the splat count or it has an invalid or repeated index
+ */
+function validateVertexOrder(vertexOrder, splatCount, path) {
+    if (vertexOrder.length !== splatCount) {
+        throw new AssetLoadError(
+            `${path} lists ${vertexOrder.length} indexes but the avatar has ${splatCount} splats`,
+            path
+        );
+    }
+    const invalid = vertexOrder.findIndex(index => !Number.isInteger(index) || index < 0 || index >= splatCount);
+    if (invalid !== -1) {
+        throw new AssetLoadError(
+            `${path}[${invalid}] is not a splat index between 0 and ${splatCount - 1}: ${vertexOrder[invalid]}`,
+            path
+        );
+    }
+    const seen = new Set();
+    const repeated = vertexOrder.findIndex((index) => {
+        if (seen.has(index)) return true;
+        seen.add(index);
+        return false;
+    });
+    if (repeated !== -1) {
+        throw new AssetLoadError(`${path}[${repeated}] lists splat ${vertexOrder[repeated]} again`, path);
+    }
+}
+
+/**
+ * Load the optional iris occlusion configuration
+ *
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string|null} path - Path within the archive, or null if the package has none
+ * @returns {Promise<object|null>} Configuration, or null if missing or invalid
+ */
+async function loadIrisOcclusionConfig(zip, path) {
+    const fileEntry = path ? zip.file(path) : null;
+    if (!fileEntry) {
+        return null;
+    }
+    try {
+        return JSON.parse(await fileEntry.async('string'));
+    } catch (error) {
+        // Iris occlusion is optional; an unreadable file only disables it
+        logger.warn('Failed to load iris occlusion configuration, continuing without it', { path, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * AvatarAsset - Prepared avatar package
+ */
+export class AvatarAsset {
+    /**
+     * Download (if needed), unpack and parse an avatar package
+     *
+     * @param {string|ArrayBuffer|Blob|File|JSZip} source - Avatar package (see GaussianSplatRenderer.create())
+     * @param {object} [options={}] - Options
+     * @param {string} [options.characterName] - Character name (derived from the source if omitted)
+     * @param {Function} [options.downloadProgress] - Download progress callback (fraction 0-1, {loaded, total, percent})
+     * @param {Function} [options.loadProgress] - Load progress callback (progress, info) over AVATAR_ASSET_LOAD_STAGES
+     * @param {ProgressReporter} [options.progressReporter] - Reporter to advance instead of creating one from
+     *   loadProgress; must know the AvatarLoadStage stages. Used when preloading is part of a larger load.
+     * @param {AbortSignal} [options.signal] - Cancels loading
+     * @param {AssetCache} [options.cache] - Asset cache for URL sources (see GaussianSplatRenderer.create())
+     * @param {string|number} [options.cacheVersion] - Package version for the cache key
+     * @returns {Promise<AvatarAsset>} Prepared asset
+     * @throws {ValidationError} If the source or an option is invalid
+     * @throws {NetworkError} If the download fails
+     * @throws {AssetLoadError} If a file is missing, cannot be parsed, or vertex_order.json does not match the splats
+     * @throws {ParseError} If manifest.json or config.json is not valid JSON
+     * @throws {ConfigurationError} If manifest.json or config.json is malformed
+     * @throws {AbortError} If the signal fires before loading completes
+     */
+    static async load(source, options = {}) {
+        const signal = options.signal;
+        const progress = options.progressReporter ?? new ProgressReporter(
+            Object.fromEntries(AVATAR_ASSET_LOAD_STAGES.map(stage => [stage, DEFAULT_AVATAR_LOAD_STAGE_WEIGHTS[stage]])),
+            options.loadProgress
+        );
+
+        const { zip, manifest, characterName, label, sourceType, cacheVersion } = await openAvatarSource(source, {
+            characterName: options.characterName,
+            signal,
+            cache: options.cache,
+            cacheVersion: options.cacheVersion,
+            onDownloadProgress: (info) => {
+                progress.update(AvatarLoadStage.Download, (info.percent ?? 0) / 100);
+                if (options.downloadProgress) {
+                    try {
+                        options.downloadProgress((info.percent ?? 0) / 100, info);
+                    } catch (error) {
+                        logger.warn('Error in downloadProgress callback', error);
+                    }
+                }
+            }
+        });
+        progress.complete(AvatarLoadStage.Download);
+        progress.complete(AvatarLoadStage.Unzip);
+
+        const packageConfig = await loadPackageConfig(zip, manifest);
+        const irisOcclusionConfig = await loadIrisOcclusionConfig(zip, manifest.files.irisOcclusion);
+        throwIfAborted(signal, 'Avatar preload');
+
+        const stageProgress = stage => fraction => progress.update(stage, fraction);
+        const loadSplatBuffer = async () => {
+            const cached = await readCachedSplatBuffer(options.cache, label, cacheVersion);
+            if (cached) {
+                return cached;
+            }
+            // Extraction counts for the first quarter of the stage, parsing for the rest
+            const plyData = await extractFile(zip, manifest.files.splats, 'arraybuffer',
+                zipProgressCallback(stageProgress(AvatarLoadStage.PlyParse), 0.25));
+            let splatBuffer;
+            try {
+                // Keep every splat in file order: splat indexes must keep matching the FLAME vertices
+                splatBuffer = await PlyLoader.loadFromFileData(plyData, 0, 0, false, 0);
+            } catch (error) {
+                throw new AssetLoadError(`Failed to parse ${manifest.files.splats}: ${error.message}`, manifest.files.splats, error);
+            }
+            cacheSplatBuffer(options.cache, label, cacheVersion, splatBuffer);
+            return splatBuffer;
+        };
+
+        const work = Promise.all([
+            loadGlb(zip, manifest.files.skin, stageProgress(AvatarLoadStage.SkinGlb)),
+            loadGlb(zip, manifest.files.animation, stageProgress(AvatarLoadStage.AnimationGlb)),
+            loadVertexOrder(zip, manifest.files.vertexOrder, stageProgress(AvatarLoadStage.VertexOrder)),
+            loadSplatBuffer()
+        ]);
+        // Parsing cannot be interrupted; release the skin model if it finishes after an abort
+        const [skinModel, clips, vertexOrder, splatBuffer] = await raceWithAbortSignal(work, signal, 'Avatar preload',
+            () => work.then(([skin]) => !Array.isArray(skin) && disposeAllMeshes(skin), () => {}));
+        progress.complete(AvatarLoadStage.PlyParse);
+        progress.complete(AvatarLoadStage.SplatBufferBuild);
+
+        try {
+            if (Array.isArray(skinModel)) {
+                throw new AssetLoadError(`${manifest.files.skin} contains animation clips instead of a model`, manifest.files.skin);
+            }
+            if (!Array.isArray(clips)) {
+                throw new AssetLoadError(`${manifest.files.animation} contains no animation clips`, manifest.files.animation);
+            }
+            validateVertexOrder(vertexOrder, splatBuffer.getSplatCount(), manifest.files.vertexOrder);
+        } catch (error) {
+            if (!Array.isArray(skinModel)) {
+                disposeAllMeshes(skinModel);
+            }
+            throw error;
+        }
+
+        logger.debug('Avatar asset loaded', { characterName, source: label, splatCount: splatBuffer.getSplatCount() });
+
+        return new AvatarAsset({
+            zip, manifest, characterName, label, sourceType, cacheVersion,
+            packageConfig, irisOcclusionConfig, skinModel, clips, vertexOrder, splatBuffer
+        });
+    }
+
+    /**
+     * Create an AvatarAsset from already loaded parts
+     * @private - Use AvatarAsset.load() instead
+     * @param {object} parts - Loaded parts (see AvatarAsset.load())
+     */
+    constructor(parts) {
+        this.zip = parts.zip;
+        this.manifest = parts.manifest;
+        this.characterName = parts.characterName;
+        this.label = parts.label;
+        this.sourceType = parts.sourceType;
+        this.cacheVersion = parts.cacheVersion;
+        this.packageConfig = parts.packageConfig;
+        this.irisOcclusionConfig = parts.irisOcclusionConfig;
+        this.skinModel = parts.skinModel;
+        this.clips = parts.clips;
+        this.vertexOrder = parts.vertexOrder;
+        this.splatBuffer = parts.splatBuffer;
+
+        /**
+         * Whether a renderer has taken ownership of the asset
+         * @private
+         */
+        this._consumed = false;
+
+        /**
+         * Whether the asset has been disposed
+         * @private
+         */
+        this._disposed = false;
+    }
+
+    /**
+     * Whether the asset can still be displayed (not yet used by a renderer, not disposed)
+     * @returns {boolean}
+     */
+    get isUsable() {
+        return !this._consumed && !this._disposed;
+    }
+
+    /**
+     * Hand the skin model and splat data over to a renderer
+     *
+     * @returns {{skinModel: THREE.Group, clips: THREE.AnimationClip[], indexes: number[], splatBuffer: SplatBuffer}}
+     * @throws {ResourceDisposedError} If the asset was disposed or already handed over
+     */
+    take() {
+        if (!this.isUsable) {
+            throw new ResourceDisposedError(`AvatarAsset '${this.characterName}'`);
+        }
+        this._consumed = true;
+        return {
+            skinModel: this.skinModel,
+            clips: this.clips,
+            indexes: this.vertexOrder,
+            splatBuffer: this.splatBuffer
+        };
+    }
+
+    /**
+     * Release the asset without displaying it
+     *
+     * Frees the skin model's GPU-side resources if no renderer took ownership of them.
+     */
+    dispose() {
+        if (this._disposed) {
+            return;
+        }
+        if (!this._consumed && this.skinModel) {
+            disposeAllMeshes(this.skinModel);
+        }
+        this._disposed = true;
+        this.zip = null;
+        this.skinModel = null;
+        this.clips = null;
+        this.vertexOrder = null;
+        this.splatBuffer = null;
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * AvatarConfig - Per-avatar camera, background, motion, animation and frame rate settings
+ *
+ * Avatars differ in head size and framing, so these settings travel with the
+ * avatar package instead of living in module scope. A resolved config is built
+ * from up to four layers, highest precedence first:
+ *
+ *   1. create() options (camera, backgroundColor, motion, animation, fps, frameInterpolation)
+ *   2. config.json in the avatar package (path configurable via manifest.json "files.config")
+ *   3. The camera, backgroundColor, motion, animation, fps and frameInterpolation fields of manifest.json
+ *   4. Library defaults (DEFAULT_AVATAR_CONFIG)
+ *
+ * Camera fields are merged one by one (a layer may override only the FOV),
+ * motion offsets/scales are merged per blendshape, and animation grouping is
+ * merged per state. An animation state graph (see AnimationStateGraph.js) and
+ * a grouping never merge: whichever comes from the higher layer is used.
+ */
+
+import { THREE_CAMERA_FOV } from '../enums/EngineConstants.js';
+import { getLogger } from '../utils/Logger.js';
+import { ConfigurationError, ParseError } from '../errors/index.js';
+import { isAnimationGraph, normalizeAnimationGraph } from '../renderer/AnimationStateGraph.js';
+
+const logger = getLogger('AvatarConfig');
+
+/**
+ * Library defaults, used for anything no other layer sets
+ *
+ * Animation grouping describes how the clips in animation.glb are distributed
+ * to states, in the order hello, idle, listen, speak, think. A state with size 0
+ * shares the clips of another state. Equivalent to DEFAULT_ANIMATION_GRAPH.
+ */
+export const DEFAULT_AVATAR_CONFIG = Object.freeze({
+    camera: Object.freeze({
+        position: Object.freeze({ x: 0, y: 1.8, z: 1 }),
+        rotation: Object.freeze({ x: -10, y: 0, z: 0 }),
+        target: null,
+        fov: THREE_CAMERA_FOV
+    }),
+    backgroundColor: 'ffffff',
+    motion: Object.freeze({
+        offset: Object.freeze({}),
+        scale: Object.freeze({})
+    }),
+    animation: Object.freeze({
+        hello: Object.freeze({ size: 0, isGroup: false }), // No 'hello' animations
+        idle: Object.freeze({ size: 1, isGroup: false }),  // First clip is for idle
+        listen: Object.freeze({ size: 0, isGroup: false }), // 'listen' shares the idle clip
+        speak: Object.freeze({ size: 3, isGroup: true }),  // Next 3 clips are for speaking
+        think: Object.freeze({ size: 0, isGroup: false }), // 'think' shares the idle clip
+        other: Object.freeze([])
+    }),
+    fps: null,                  // Frame rate of the baked animation; detected from animation.glb when null
+    frameInterpolation: true    // Blend between frames on displays faster than the frame rate
+});
+
+/**
+ * Check for a plain object
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize a vector given as [x, y, z] or {x, y, z}
+ *
+ * @param {*} value - Vector value
+ * @param {string} key - Config key, for error messages
+ * @returns {{x: number, y: number, z: number}}
+ * @throws {ConfigurationError} If the value is not a 3-component numeric vector
+ */
+export function parseConfigVector3(value, key) {
+    const [x, y, z] = Array.isArray(value) ? value : isPlainObject(value) ? [value.x, value.y, value.z] : [];
+    if (![x, y, z].every(component => typeof component === 'number' && Number.isFinite(component))) {
+        throw new ConfigurationError(`${key} must be [x, y, z] or {x, y, z} with finite numbers`, key);
+    }
+    return { x, y, z };
+}
+
+/**
+ * Normalize a hex color given as '#rrggbb', '0xrrggbb' or 'rrggbb'
+ *
+ * @param {*} value - Color value
+ * @param {string} [key='backgroundColor'] - Config key, for error messages
+ * @returns {string} Six lower-case hex digits without prefix
+ * @throws {ConfigurationError} If the value is not a hex color
+ */
+export function parseConfigColor(value, key = 'backgroundColor') {
+    const matches = typeof value === 'string' ? value.match(/^(?:#|0x)?([0-9a-f]{6})$/i) : null;
+    if (!matches) {
+        throw new ConfigurationError(`${key} must be a hex color such as "#ffffff"`, key);
+    }
+    return matches[1].toLowerCase();
+}
+
+/**
+ * Normalize a map of blendshape name to number
+ * @private
+ * @param {*} value - Map value
+ * @param {string} key - Config key, for error messages
+ * @returns {Object<string, number>}
+ * @throws {ConfigurationError} If the value is not a map of finite numbers
+ */
+function parseNumberMap(value, key) {
+    if (!isPlainObject(value)) {
+        throw new ConfigurationError(`${key} must be an object of blendshape name to number`, key);
+    }
+    const result = {};
+    Object.entries(value).forEach(([name, number]) => {
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            throw new ConfigurationError(`${key}.${name} must be a finite number`, `${key}.${name}`);
+        }
+        result[name] = number;
+    });
+    return result;
+}
+
+/**
+ * Validate and normalize one config layer
+ *
+ * Only keys present in the layer are returned, so layers can be merged with
+ * mergeAvatarConfig(). The legacy 'camPos'/'camRot' keys are accepted as
+ * aliases of camera.position/camera.rotation. 'animation' is either the legacy
+ * grouping or an animation state graph (an object with 'states').
+ *
+ * @param {object} raw - Layer contents (config.json, manifest.json or create() options)
+ * @returns {object} Partial config: {camera?: {position?, rotation?, target?, fov?},
+ *   backgroundColor?, motion?: {offset?, scale?}, animation?, fps?, frameInterpolation?}
+ * @throws {ConfigurationError} If a value is malformed; 'configKey' names the offending key
+ */
+export function normalizeAvatarConfig(raw) {
+    if (!isPlainObject(raw)) {
+        throw new ConfigurationError('Avatar config must be an object', 'config');
+    }
+
+    const layer = {};
+
+    const rawCamera = raw.camera ?? {};
+    if (!isPlainObject(rawCamera)) {
+        throw new ConfigurationError('camera must be an object', 'camera');
+    }
+    const position = rawCamera.position ?? raw.camPos;
+    const rotation = rawCamera.rotation ?? raw.camRot;
+    const camera = {};
+    if (position !== undefined) camera.position = parseConfigVector3(position, 'camera.position');
+    if (rotation !== undefined) camera.rotation = parseConfigVector3(rotation, 'camera.rotation');
+    if (rawCamera.target !== undefined) {
+        camera.target = rawCamera.target === null ? null : parseConfigVector3(rawCamera.target, 'camera.target');
+    }
+    if (rawCamera.fov !== undefined) {
+        if (typeof rawCamera.fov !== 'number' || !(rawCamera.fov > 0 && rawCamera.fov < 180)) {
+            throw new ConfigurationError('camera.fov must be a number of degrees between 0 and 180', 'camera.fov');
+        }
+        camera.fov = rawCamera.fov;
+    }
+    if (Object.keys(camera).length > 0) {
+        layer.camera = camera;
+    }
+
+    if (raw.backgroundColor !== undefined) {
+        layer.backgroundColor = parseConfigColor(raw.backgroundColor);
+    }
+
+    if (raw.motion !== undefined) {
+        if (!isPlainObject(raw.motion)) {
+            throw new ConfigurationError('motion must be an object', 'motion');
+        }
+        layer.motion = {};
+        if (raw.motion.offset !== undefined) layer.motion.offset = parseNumberMap(raw.motion.offset, 'motion.offset');
+        if (raw.motion.scale !== undefined) layer.motion.scale = parseNumberMap(raw.motion.scale, 'motion.scale');
+    }
+
+    if (raw.animation !== undefined) {
+        if (!isPlainObject(raw.animation)) {
+            throw new ConfigurationError('animation must be an object', 'animation');
+        }
+        if (isAnimationGraph(raw.animation)) {
+            layer.animation = normalizeAnimationGraph(raw.animation);
+        } else {
+            layer.animation = {};
+            Object.entries(raw.animation).forEach(([state, group]) => {
+                const key = `animation.${state}`;
+                if (state === 'other') {
+                    if (!Array.isArray(group)) {
+                        throw new ConfigurationError(`${key} must be an array`, key);
+                    }
+                    layer.animation.other = [...group];
+                    return;
+                }
+                if (!isPlainObject(group) || !Number.isInteger(group.size) || group.size < 0) {
+                    throw new ConfigurationError(`${key} must be {size, isGroup} with a non-negative integer size`, key);
+                }
+                layer.animation[state] = { size: group.size, isGroup: Boolean(group.isGroup) };
+            });
+        }
+    }
+
+    if (raw.fps !== undefined) {
+        if (raw.fps !== null && (typeof raw.fps !== 'number' || !Number.isFinite(raw.fps) || raw.fps <= 0)) {
+            throw new ConfigurationError('fps must be a positive number of frames per second, or null', 'fps');
+        }
+        layer.fps = raw.fps;
+    }
+
+    if (raw.frameInterpolation !== undefined) {
+        if (typeof raw.frameInterpolation !== 'boolean') {
+            throw new ConfigurationError('frameInterpolation must be a boolean', 'frameInterpolation');
+        }
+        layer.frameInterpolation = raw.frameInterpolation;
+    }
+
+    return layer;
+}
+
+/**
+ * Merge normalized config layers
+ *
+ * @param {...object} layers - Normalized layers, lowest precedence first; null/undefined layers are skipped
+ * @returns {object} Merged config
+ */
+export function mergeAvatarConfig(...layers) {
+    const merged = {
+        camera: {},
+        motion: { offset: {}, scale: {} },
+        animation: {}
+    };
+
+    layers.filter(Boolean).forEach(layer => {
+        Object.assign(merged.camera, layer.camera);
+        if (layer.backgroundColor !== undefined) {
+            merged.backgroundColor = layer.backgroundColor;
+        }
+        ['fps', 'frameInterpolation'].forEach((key) => {
+            if (layer[key] !== undefined) {
+                merged[key] = layer[key];
+            }
+        });
+        Object.assign(merged.motion.offset, layer.motion?.offset);
+        Object.assign(merged.motion.scale, layer.motion?.scale);
+        if (isAnimationGraph(layer.animation)) {
+            merged.animation = { ...layer.animation };
+        } else if (isAnimationGraph(merged.animation) && layer.animation) {
+            // A grouping cannot refine a graph; it replaces it, on top of the default grouping
+            merged.animation = { ...DEFAULT_AVATAR_CONFIG.animation, ...layer.animation };
+        } else {
+            Object.assign(merged.animation, layer.animation);
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Resolve the effective avatar config from all layers
+ *
+ * @param {object} [layers={}] - Config layers
+ * @param {object} [layers.options] - Normalized layer from create() options
+ * @param {object} [layers.packageConfig] - Normalized layer from the package's config.json
+ * @param {object} [layers.manifest] - Normalized layer from manifest.json
+ * @returns {object} Complete config with every field of DEFAULT_AVATAR_CONFIG set
+ */
+export function resolveAvatarConfig({ options, packageConfig, manifest } = {}) {
+    return mergeAvatarConfig(DEFAULT_AVATAR_CONFIG, manifest, packageConfig, options);
+}
+
+/**
+ * Load the config.json layer of an avatar package
+ *
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {object} manifest - Normalized avatar manifest (see loadAvatarManifest())
+ * @returns {Promise<object|null>} Normalized config layer, or null if the package has no config file
+ * @throws {ParseError} If the config file is not valid JSON
+ * @throws {ConfigurationError} If the config file is malformed
+ */
+export async function loadPackageConfig(zip, manifest) {
+    const path = manifest.files.config;
+    const entry = path ? zip.file(path) : null;
+    if (!entry) {
+        logger.debug('No avatar config file in package', { path });
+        return null;
+    }
+
+    let json;
+    try {
+        json = JSON.parse(await entry.async('string'));
+    } catch (error) {
+        throw new ParseError(`Failed to parse ${path}: ${error.message}`, 'JSON', error);
+    }
+
+    try {
+        const layer = normalizeAvatarConfig(json);
+        logger.debug('Avatar config loaded', { path, keys: Object.keys(layer) });
+        return layer;
+    } catch (error) {
+        if (error instanceof ConfigurationError) {
+            throw new ConfigurationError(`${path}: ${error.message}`, error.configKey, error);
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,40 @@
+/**
+ * AvatarLoadStage - Named stages of loading an avatar package
+ *
+ * Used with ProgressReporter to turn the loading pipeline into a single
+ * weighted progress value. Stage values are stable strings so they can be
+ * shown in a UI or logged.
+ */
+
+/**
+ * Loading stages, in pipeline order
+ */
+export const AvatarLoadStage = Object.freeze({
+    Download: 'download',
+    Unzip: 'unzip',
+    SkinGlb: 'skin.glb',
+    AnimationGlb: 'animation.glb',
+    VertexOrder: 'vertex_order.json',
+    PlyParse: 'offset.ply',
+    SplatBufferBuild: 'splatBufferBuild',
+    TextureUpload: 'textureUpload',
+    FirstSort: 'firstSort'
+});
+
+/**
+ * Default relative weight of each stage
+ *
+ * Roughly proportional to the time each stage takes for a typical avatar
+ * downloaded over the network. Weights are normalized by ProgressReporter.
+ */
+export const DEFAULT_AVATAR_LOAD_STAGE_WEIGHTS = Object.freeze({
+    [AvatarLoadStage.Download]: 30,
+    [AvatarLoadStage.Unzip]: 3,
+    [AvatarLoadStage.SkinGlb]: 10,
+    [AvatarLoadStage.AnimationGlb]: 10,
+    [AvatarLoadStage.VertexOrder]: 5,
+    [AvatarLoadStage.PlyParse]: 20,
+    [AvatarLoadStage.SplatBufferBuild]: 7,
+    [AvatarLoadStage.TextureUpload]: 10,
+    [AvatarLoadStage.FirstSort]: 5
+});
@@ -0,0 +1,296 @@
+/**
+ * AvatarManifest - Describes where the files of an avatar package live
+ *
+ * An avatar archive may contain a `manifest.json` at its root naming the files
+ * that make up the avatar, their format versions, default avatar settings
+ * (camera, background color, motion, animation, fps; see AvatarConfig) and free-form extras:
+ *
+ * {
+ *   "formatVersion": 1,
+ *   "name": "alice",
+ *   "root": "models/alice",
+ *   "files": {
+ *     "splats": "offset.ply",
+ *     "skin": { "path": "skin.glb", "version": "2" },
+ *     "animation": "animation.glb",
+ *     "vertexOrder": "vertex_order.json",
+ *     "irisOcclusion": "iris_occlusion.json",
+ *     "config": "config.json"
+ *   },
+ *   "camera": { "position": [0, 1.8, 1], "rotation": [-10, 0, 0] },
+ *   "backgroundColor": "#ffffff",
+ *   "fps": 25,
+ *   "extras": {}
+ * }
+ *
+ * File paths are relative to `root`, which is itself relative to the archive
+ * root. Without a manifest, the historical layout is assumed: a single model
+ * folder holding offset.ply, skin.glb, animation.glb, vertex_order.json and
+ * optionally iris_occlusion.json and config.json.
+ */
+
+import { getLogger } from '../utils/Logger.js';
+import { AssetLoadError, ConfigurationError, ParseError } from '../errors/index.js';
+import { normalizeAvatarConfig } from './AvatarConfig.js';
+
+const logger = getLogger('AvatarManifest');
+
+/**
+ * Name of the manifest file at the archive root
+ */
+export const AVATAR_MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Highest manifest format version understood by this library
+ */
+export const AVATAR_MANIFEST_VERSION = 1;
+
+/**
+ * Conventional file names used when an archive has no manifest
+ */
+export const DEFAULT_AVATAR_FILES = Object.freeze({
+    splats: 'offset.ply',
+    skin: 'skin.glb',
+    animation: 'animation.glb',
+    vertexOrder: 'vertex_order.json',
+    irisOcclusion: 'iris_occlusion.json',
+    config: 'config.json'
+});
+
+/**
+ * Files an avatar cannot be rendered without
+ */
+export const REQUIRED_AVATAR_FILES = Object.freeze(['splats', 'skin', 'animation', 'vertexOrder']);
+
+/**
+ * Join archive path segments, ignoring empty segments and redundant slashes
+ *
+ * @param {...string} parts - Path segments
+ * @returns {string} Joined path without leading or trailing slash
+ */
+export function joinArchivePath(...parts) {
+    return parts
+        .filter(part => typeof part === 'string' && part.length > 0)
+        .join('/')
+        .split('/')
+        .filter(segment => segment.length > 0 && segment !== '.')
+        .join('/');
+}
+
+/**
+ * Find the model folder inside an avatar archive
+ *
+ * Mirrors the historical behaviour of taking the last directory entry
+ * of the archive.
+ *
+ * @param {JSZip} zip - Opened avatar archive
+ * @returns {string} Folder name without trailing slash, or '' if none found
+ */
+export function findAvatarFolder(zip) {
+    let folder = '';
+    Object.values(zip.files).forEach(file => {
+        if (file.dir) {
+            folder = file.name?.slice(0, file.name?.length - 1); // Remove trailing '/'
+        }
+    });
+    return folder;
+}
+
+/**
+ * Build the manifest describing the historical archive layout
+ *
+ * @param {string} folder - Model folder inside the archive ('' for the archive root)
+ * @returns {object} Normalized manifest (see parseAvatarManifest())
+ */
+export function conventionalAvatarManifest(folder) {
+    const files = {};
+    const versions = {};
+    Object.entries(DEFAULT_AVATAR_FILES).forEach(([key, fileName]) => {
+        files[key] = joinArchivePath(folder, fileName);
+        versions[key] = null;
+    });
+
+    return {
+        formatVersion: AVATAR_MANIFEST_VERSION,
+        source: 'convention',
+        name: null,
+        root: joinArchivePath(folder),
+        files,
+        versions,
+        config: {},
+        extras: {}
+    };
+}
+
+/**
+ * Validate and normalize a parsed manifest.json
+ *
+ * @param {object} json - Parsed manifest contents
+ * @returns {object} Normalized manifest: {formatVersion, source: 'manifest', name, root,
+ *   files: {splats, skin, animation, vertexOrder, irisOcclusion, config}, versions, config, extras}.
+ *   'config' is the normalized avatar config layer (see normalizeAvatarConfig()) built from the
+ *   manifest's camera, backgroundColor, motion and animation fields.
+ *   File paths are resolved against the archive root. Undeclared files default to their conventional
+ *   name under 'root'; an optional file declared as null is disabled (its path is null).
+ * @throws {ConfigurationError} If the manifest is malformed or uses an unsupported format version
+ */
+export function parseAvatarManifest(json) {
+    if (json === null || typeof json !== 'object' || Array.isArray(json)) {
+        throw new ConfigurationError('Avatar manifest must be a JSON object', 'manifest');
+    }
+
+    const formatVersion = json.formatVersion ?? 1;
+    if (!Number.isInteger(formatVersion) || formatVersion < 1) {
+        throw new ConfigurationError('formatVersion must be a positive integer', 'formatVersion');
+    }
+    if (formatVersion > AVATAR_MANIFEST_VERSION) {
+        throw new ConfigurationError(
+            `Avatar manifest format version ${formatVersion} is not supported (max ${AVATAR_MANIFEST_VERSION})`,
+            'formatVersion'
+        );
+    }
+
+    if (json.name !== undefined && (typeof json.name !== 'string' || json.name.length === 0)) {
+        throw new ConfigurationError('name must be a non-empty string', 'name');
+    }
+    if (json.root !== undefined && typeof json.root !== 'string') {
+        throw new ConfigurationError('root must be a string', 'root');
+    }
+    if (json.files !== undefined && (json.files === null || typeof json.files !== 'object')) {
+        throw new ConfigurationError('files must be an object', 'files');
+    }
+    if (json.extras !== undefined && (json.extras === null || typeof json.extras !== 'object')) {
+        throw new ConfigurationError('extras must be an object', 'extras');
+    }
+
+    const root = joinArchivePath(json.root ?? '');
+    const declared = json.files ?? {};
+    const files = {};
+    const versions = {};
+
+    Object.entries(DEFAULT_AVATAR_FILES).forEach(([key, defaultName]) => {
+        // Undeclared files fall back to their conventional name; null explicitly opts out of an optional file
+        const entry = declared[key] === undefined ? defaultName : declared[key];
+        if (entry === null && !REQUIRED_AVATAR_FILES.includes(key)) {
+            files[key] = null;
+            versions[key] = null;
+            return;
+        }
+
+        const path = typeof entry === 'string' ? entry : entry?.path;
+        if (typeof path !== 'string' || path.length === 0) {
+            throw new ConfigurationError(`files.${key} must be a path or {path, version}`, `files.${key}`);
+        }
+        files[key] = joinArchivePath(root, path);
+        versions[key] = typeof entry === 'object' && entry.version !== undefined ? String(entry.version) : null;
+    });
+
+    const config = normalizeAvatarConfig({
+        camera: json.camera,
+        backgroundColor: json.backgroundColor,
+        motion: json.motion,
+        animation: json.animation,
+        fps: json.fps,
+        frameInterpolation: json.frameInterpolation
+    });
+
+    return {
+        formatVersion,
+        source: 'manifest',
+        name: json.name ?? null,
+        root,
+        files,
+        versions,
+        config,
+        extras: json.extras ?? {}
+    };
+}
+
+/**
+ * Find the model folder of an archive without a manifest
+ *
+ * Looks for the folder holding offset.ply so archives with several or nested
+ * directories (or no directory entries at all) still load, and falls back to
+ * the historical "last directory entry" rule.
+ *
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @returns {string|null} Folder path ('' for the archive root), or null if none found
+ */
+function findConventionalFolder(zip) {
+    let splatsFolder = null;
+    Object.values(zip.files).forEach(file => {
+        if (file.dir || file.name.startsWith('__MACOSX/')) return;
+        const segments = file.name.split('/');
+        if (segments.pop() === DEFAULT_AVATAR_FILES.splats) {
+            splatsFolder = segments.join('/');
+        }
+    });
+    if (splatsFolder !== null) {
+        return splatsFolder;
+    }
+    return findAvatarFolder(zip) || null;
+}
+
+/**
+ * List the required files of an avatar package that its archive does not contain
+ *
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {object} manifest - Normalized avatar manifest
+ * @returns {string[]} Keys of the missing files (see REQUIRED_AVATAR_FILES)
+ */
+export function findMissingAvatarFiles(zip, manifest) {
+    return REQUIRED_AVATAR_FILES.filter(key => !zip.file(manifest.files[key]));
+}
+
+/**
+ * Resolve the manifest of an opened avatar archive
+ *
+ * Reads manifest.json from the archive root when present, otherwise derives the
+ * manifest from the historical layout. Checks that all required files exist.
+ *
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string} [label='archive'] - Source label used in error messages
+ * @param {object} [options={}] - Options
+ * @param {boolean} [options.requireFiles=true] - Throw if a required file is missing; disable to inspect
+ *   incomplete packages (see findMissingAvatarFiles())
+ * @returns {Promise<object>} Normalized manifest (see parseAvatarManifest())
+ * @throws {ParseError} If manifest.json is not valid JSON
+ * @throws {ConfigurationError} If manifest.json is malformed
+ * @throws {AssetLoadError} If no model folder is found or a required file is missing
+ */
+export async function loadAvatarManifest(zip, label = 'archive', { requireFiles = true } = {}) {
+    let manifest;
+    const manifestEntry = zip.file(AVATAR_MANIFEST_FILE);
+
+    if (manifestEntry) {
+        let json;
+        try {
+            json = JSON.parse(await manifestEntry.async('string'));
+        } catch (error) {
+            throw new ParseError(`Failed to parse ${AVATAR_MANIFEST_FILE}: ${error.message}`, 'JSON', error);
+        }
+        manifest = parseAvatarManifest(json);
+        logger.debug('Avatar manifest loaded', { root: manifest.root, formatVersion: manifest.formatVersion });
+    } else {
+        const folder = findConventionalFolder(zip);
+        if (folder === null) {
+            throw new AssetLoadError(
+                'No folder found in ZIP archive. Expected ZIP to contain a folder with model files or a manifest.json.',
+                label
+            );
+        }
+        manifest = conventionalAvatarManifest(folder);
+        logger.debug('No avatar manifest, using conventional layout', { folder });
+    }
+
+    const missing = requireFiles ? findMissingAvatarFiles(zip, manifest) : [];
+    if (missing.length > 0) {
+        throw new AssetLoadError(
+            `Avatar package is missing required files: ${missing.map(key => manifest.files[key]).join(', ')}`,
+            label
+        );
+    }
+
+    return manifest;
+}
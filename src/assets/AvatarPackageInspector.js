@@ -0,0 +1,222 @@
+/**
+ * AvatarPackageInspector - Reports what an avatar package contains
+ *
+ * Opens a package without a renderer and summarizes its splats (count,
+ * spherical harmonics degree, bounding box), skin model (vertices, bones,
+ * blendshape names), animation clips and iris occlusion ranges. Used by the
+ * gsplat-avatar command-line tool; see validateAvatarPackage() for checking
+ * that a package is correct.
+ */
+
+import { Bone, Vector3 } from 'three';
+
+import { getLogger } from '../utils/Logger.js';
+import { disposeAllMeshes, throwIfAborted } from '../utils/Util.js';
+import { INRIAV1PlyParser } from '../loaders/INRIAV1PlyParser.js';
+import { PlyParser } from '../loaders/PlyParser.js';
+import { SplatBuffer } from '../buffers/SplatBuffer.js';
+import { UncompressedSplatArray } from '../buffers/UncompressedSplatArray.js';
+import { openAvatarSource } from './AvatarSource.js';
+import { DEFAULT_AVATAR_FILES, REQUIRED_AVATAR_FILES } from './AvatarManifest.js';
+import { extractFile, parseGlb } from './AvatarAsset.js';
+import { detectClipFrameRate } from '../renderer/FrameTiming.js';
+
+const logger = getLogger('AvatarPackageInspector');
+
+/**
+ * Summarize the splat PLY
+ * @private
+ * @param {ArrayBuffer} data - PLY file contents
+ * @returns {object} {count, sphericalHarmonicsDegree, boundingBox: {min, max, size, center}, splatBufferBytes}
+ */
+function inspectSplats(data) {
+    const header = new INRIAV1PlyParser().decodeHeaderFromBuffer(data);
+    const shDegree = header.sphericalHarmonicsDegree;
+    const splatArray = PlyParser.parseToUncompressedSplatArray(data, shDegree);
+
+    const { X, Y, Z } = UncompressedSplatArray.OFFSET;
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    splatArray.splats.forEach((splat) => {
+        [splat[X], splat[Y], splat[Z]].forEach((value, axis) => {
+            if (value < min[axis]) min[axis] = value;
+            if (value > max[axis]) max[axis] = value;
+        });
+    });
+    const empty = splatArray.splatCount === 0;
+
+    // Built the way the renderer builds it: every splat kept, uncompressed
+    const splatBuffer = SplatBuffer.generateFromUncompressedSplatArrays([splatArray], 0, 0, new Vector3());
+
+    return {
+        count: splatBuffer.getSplatCount(),
+        sphericalHarmonicsDegree: shDegree,
+        boundingBox: empty ? null : {
+            min,
+            max,
+            size: max.map((value, axis) => value - min[axis]),
+            center: max.map((value, axis) => (value + min[axis]) / 2)
+        },
+        splatBufferBytes: splatBuffer.bufferData.byteLength
+    };
+}
+
+/**
+ * Summarize the skin model
+ * @private
+ * @param {object} gltf - Parsed skin.glb
+ * @returns {object} {vertexCount, boneCount, hasHipBone, blendshapes}
+ */
+function inspectSkin(gltf) {
+    let skinnedMesh = null;
+    let hasHipBone = false;
+    let boneCount = 0;
+    gltf.scene.traverse((object) => {
+        if (object.isSkinnedMesh) {
+            skinnedMesh = object;
+        }
+        if (object instanceof Bone) {
+            boneCount++;
+            hasHipBone = hasHipBone || object.name === 'hip';
+        }
+    });
+
+    // Blendshape names in morph target order
+    const dictionary = skinnedMesh?.morphTargetDictionary ?? {};
+    const blendshapes = Object.keys(dictionary).sort((a, b) => dictionary[a] - dictionary[b]);
+
+    return {
+        vertexCount: skinnedMesh ? skinnedMesh.geometry.attributes.position.count : null,
+        boneCount,
+        hasHipBone,
+        blendshapes
+    };
+}
+
+/**
+ * Summarize iris occlusion ranges
+ * @private
+ * @param {object} config - Parsed iris_occlusion.json
+ * @param {number|null} splatCount - Splat count, or null if unknown
+ * @returns {object} {regions: {key: {ranges, splats}}, coveredSplats, coverage}. 'coverage' is the
+ *   fraction of all splats covered by any range; it and 'coveredSplats' are null if the splat count is unknown.
+ */
+function inspectIrisOcclusion(config, splatCount) {
+    const regions = {};
+    const covered = splatCount !== null ? new Uint8Array(splatCount) : null;
+    Object.entries(config ?? {}).forEach(([key, ranges]) => {
+        if (!Array.isArray(ranges)) return;
+        let splats = 0;
+        ranges.forEach((range) => {
+            if (!Array.isArray(range) || !Number.isInteger(range[0]) || !Number.isInteger(range[1])) return;
+            const start = Math.max(range[0], 0);
+            const end = covered ? Math.min(range[1], splatCount - 1) : range[1];
+            splats += Math.max(end - start + 1, 0);
+            covered?.fill(1, start, end + 1);
+        });
+        regions[key] = { ranges: ranges.length, splats };
+    });
+
+    const coveredSplats = covered ? covered.reduce((total, flag) => total + flag, 0) : null;
+    return {
+        regions,
+        coveredSplats,
+        coverage: covered && splatCount > 0 ? coveredSplats / splatCount : null
+    };
+}
+
+/**
+ * Inspect an avatar package without rendering it
+ *
+ * Files that are missing or cannot be parsed leave their section null and are listed in 'errors'.
+ *
+ * @param {string|ArrayBuffer|Blob|File|JSZip} source - Avatar package (see GaussianSplatRenderer.create())
+ * @param {object} [options={}] - Options
+ * @param {AbortSignal} [options.signal] - Cancels inspection
+ * @returns {Promise<object>} Report: {characterName, layout, root, files, splats, skin, animation,
+ *   irisOcclusion, errors}. 'files' maps each file key to {path, size} (size null when missing);
+ *   'splats' is {count, sphericalHarmonicsDegree, boundingBox, splatBufferBytes}; 'skin' is
+ *   {vertexCount, boneCount, hasHipBone, blendshapes}; 'animation' is {clips: [{name, duration, tracks, fps}],
+ *   totalDuration}, 'fps' being the frame rate detected from the keyframes or null; 'irisOcclusion' is {regions, coveredSplats, coverage} or null if the package has none;
+ *   'errors' lists {file, message} for every file that could not be read.
+ * @throws {ValidationError} If the source type is unsupported or a URL is invalid
+ * @throws {NetworkError} If a URL source cannot be downloaded
+ * @throws {AssetLoadError} If the source is not a ZIP archive or has no model folder
+ * @throws {ParseError} If the package's manifest.json is not valid JSON
+ * @throws {ConfigurationError} If the package's manifest.json is malformed
+ * @throws {AbortError} If the signal fires before inspection completes
+ */
+export async function inspectAvatarPackage(source, options = {}) {
+    const signal = options.signal;
+    const { zip, manifest, characterName } = await openAvatarSource(source, { signal, requireFiles: false });
+
+    const report = {
+        characterName,
+        layout: manifest.source,
+        root: manifest.root,
+        files: {},
+        splats: null,
+        skin: null,
+        animation: null,
+        irisOcclusion: null,
+        errors: []
+    };
+
+    // Read a file, recording why it could not be read; optional files may be absent silently
+    const read = async (key, parse) => {
+        throwIfAborted(signal, 'Avatar inspection');
+        const path = manifest.files[key];
+        const entry = path ? zip.file(path) : null;
+        report.files[key] = { path, size: null };
+        if (!entry) {
+            if (REQUIRED_AVATAR_FILES.includes(key)) {
+                report.errors.push({ file: path, message: 'Required file is missing' });
+            }
+            return null;
+        }
+        try {
+            const data = await extractFile(zip, path, 'arraybuffer');
+            report.files[key].size = data.byteLength;
+            return await parse(data, path);
+        } catch (error) {
+            report.errors.push({ file: path, message: error.message });
+            return null;
+        }
+    };
+    const parseJson = data => JSON.parse(new TextDecoder().decode(data));
+
+    report.splats = await read('splats', data => inspectSplats(data));
+
+    report.skin = await read('skin', async (data, path) => {
+        const gltf = await parseGlb(data, path);
+        const skin = inspectSkin(gltf);
+        disposeAllMeshes(gltf.scene);
+        return skin;
+    });
+
+    report.animation = await read('animation', async (data, path) => {
+        const gltf = await parseGlb(data, path);
+        disposeAllMeshes(gltf.scene);
+        const clips = gltf.animations.map(clip => ({
+            name: clip.name,
+            duration: clip.duration,
+            tracks: clip.tracks.length,
+            fps: detectClipFrameRate(clip)
+        }));
+        return { clips, totalDuration: clips.reduce((total, clip) => total + clip.duration, 0) };
+    });
+
+    await read('vertexOrder', parseJson);
+
+    report.irisOcclusion = await read('irisOcclusion',
+        data => inspectIrisOcclusion(parseJson(data), report.splats?.count ?? null));
+
+    await read('config', parseJson);
+    throwIfAborted(signal, 'Avatar inspection');
+
+    // Keep the conventional file order
+    report.files = Object.fromEntries(Object.keys(DEFAULT_AVATAR_FILES).map(key => [key, report.files[key]]));
+
+    logger.debug('Avatar package inspected', { characterName, errors: report.errors.length });
+    return report;
+}
@@ -0,0 +1,549 @@
+/**
+ * AvatarPackageValidator - Checks an avatar package before it reaches users
+ *
+ * A malformed package otherwise only fails deep inside model or splat scene
+ * loading, one problem at a time. validateAvatarPackage() opens the package
+ * without a renderer, parses every file and reports all problems it finds as
+ * diagnostics with stable codes, so upload pipelines can reject bad avatars
+ * and tell artists exactly what to fix.
+ *
+ * Errors are problems that break or visibly corrupt the avatar; warnings are
+ * problems the renderer tolerates (e.g. an unreadable iris_occlusion.json,
+ * which only disables iris occlusion).
+ */
+
+import { Bone } from 'three';
+
+import { getLogger } from '../utils/Logger.js';
+import {
+    AbortError,
+    AssetLoadError,
+    ConfigurationError,
+    NetworkError,
+    ParseError,
+    ValidationError
+} from '../errors/index.js';
+import { throwIfAborted, disposeAllMeshes } from '../utils/Util.js';
+import { PlyLoader } from '../loaders/PlyLoader.js';
+import { openAvatarSource } from './AvatarSource.js';
+import { findMissingAvatarFiles } from './AvatarManifest.js';
+import { normalizeAvatarConfig, resolveAvatarConfig, loadPackageConfig } from './AvatarConfig.js';
+import { AnimationStateGraph, isAnimationGraph } from '../renderer/AnimationStateGraph.js';
+import { extractFile, parseGlb } from './AvatarAsset.js';
+
+const logger = getLogger('AvatarPackageValidator');
+
+/**
+ * Severity of a package diagnostic
+ */
+export const AvatarDiagnosticSeverity = Object.freeze({
+    Error: 'error',     // The avatar fails to load or renders incorrectly
+    Warning: 'warning'  // The avatar loads, but something is ignored or likely unintended
+});
+
+/**
+ * Codes of package diagnostics
+ */
+export const AvatarDiagnosticCode = Object.freeze({
+    ArchiveUnreadable: 'ARCHIVE_UNREADABLE',
+    ManifestInvalid: 'MANIFEST_INVALID',
+    ConfigInvalid: 'CONFIG_INVALID',
+    MissingFile: 'MISSING_FILE',
+    SplatsInvalid: 'SPLATS_INVALID',
+    SkinInvalid: 'SKIN_INVALID',
+    SkinNoSkinnedMesh: 'SKIN_NO_SKINNED_MESH',
+    SkinNoHipBone: 'SKIN_NO_HIP_BONE',
+    SkinNoMorphTargets: 'SKIN_NO_MORPH_TARGETS',
+    VertexCountMismatch: 'VERTEX_COUNT_MISMATCH',
+    VertexOrderInvalid: 'VERTEX_ORDER_INVALID',
+    VertexOrderLengthMismatch: 'VERTEX_ORDER_LENGTH_MISMATCH',
+    VertexOrderIndexOutOfRange: 'VERTEX_ORDER_INDEX_OUT_OF_RANGE',
+    VertexOrderDuplicateIndex: 'VERTEX_ORDER_DUPLICATE_INDEX',
+    IrisOcclusionInvalid: 'IRIS_OCCLUSION_INVALID',
+    IrisOcclusionUnknownKey: 'IRIS_OCCLUSION_UNKNOWN_KEY',
+    IrisOcclusionInvalidRange: 'IRIS_OCCLUSION_INVALID_RANGE',
+    IrisOcclusionRangeOutOfBounds: 'IRIS_OCCLUSION_RANGE_OUT_OF_BOUNDS',
+    AnimationInvalid: 'ANIMATION_INVALID',
+    AnimationNoClips: 'ANIMATION_NO_CLIPS',
+    AnimationTooFewClips: 'ANIMATION_TOO_FEW_CLIPS',
+    AnimationUnusedClips: 'ANIMATION_UNUSED_CLIPS',
+    AnimationNoIdleClips: 'ANIMATION_NO_IDLE_CLIPS',
+    AnimationUnknownState: 'ANIMATION_UNKNOWN_STATE',
+    AnimationDuplicateClipName: 'ANIMATION_DUPLICATE_CLIP_NAME',
+    AnimationClipStateMismatch: 'ANIMATION_CLIP_STATE_MISMATCH',
+    AnimationEmptyClip: 'ANIMATION_EMPTY_CLIP',
+    AnimationClipNotFound: 'ANIMATION_CLIP_NOT_FOUND',
+    AnimationStateNoClips: 'ANIMATION_STATE_NO_CLIPS'
+});
+
+/**
+ * Grouping states in the order their clips are taken from animation.glb
+ */
+const ANIMATION_STATES = Object.freeze(['hello', 'idle', 'listen', 'speak', 'think']);
+
+/**
+ * Keys of iris_occlusion.json understood by the splat material
+ */
+const IRIS_OCCLUSION_KEYS = Object.freeze([
+    'right_iris', 'right_iris_north', 'right_iris_south',
+    'left_iris', 'left_iris_north', 'left_iris_south'
+]);
+
+/**
+ * Collects diagnostics for one package
+ * @private
+ */
+class DiagnosticList {
+    constructor() {
+        this.items = [];
+    }
+
+    /**
+     * Record an error
+     * @param {string} code - Value from AvatarDiagnosticCode
+     * @param {string} message - Human-readable description
+     * @param {string|null} [file=null] - Archive path of the offending file
+     * @param {object} [details] - Machine-readable specifics
+     */
+    error(code, message, file = null, details = undefined) {
+        this._add(AvatarDiagnosticSeverity.Error, code, message, file, details);
+    }
+
+    /**
+     * Record a warning
+     * @param {string} code - Value from AvatarDiagnosticCode
+     * @param {string} message - Human-readable description
+     * @param {string|null} [file=null] - Archive path of the offending file
+     * @param {object} [details] - Machine-readable specifics
+     */
+    warning(code, message, file = null, details = undefined) {
+        this._add(AvatarDiagnosticSeverity.Warning, code, message, file, details);
+    }
+
+    /**
+     * Record a diagnostic
+     * @private
+     */
+    _add(severity, code, message, file, details) {
+        const item = { code, severity, message, file };
+        if (details !== undefined) {
+            item.details = details;
+        }
+        this.items.push(item);
+    }
+}
+
+/**
+ * Parse the splat PLY and count its splats
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string} path - Path of the PLY file
+ * @param {DiagnosticList} diagnostics - Diagnostics to add to
+ * @returns {Promise<number|null>} Splat count, or null if the file could not be parsed
+ */
+async function checkSplats(zip, path, diagnostics) {
+    try {
+        const data = await extractFile(zip, path, 'arraybuffer');
+        // Keep every splat, as the renderer does, so the count matches the FLAME vertices
+        const splatBuffer = await PlyLoader.loadFromFileData(data, 0, 0, false, 0);
+        return splatBuffer.getSplatCount();
+    } catch (error) {
+        diagnostics.error(AvatarDiagnosticCode.SplatsInvalid, `Failed to parse ${path}: ${error.message}`, path);
+        return null;
+    }
+}
+
+/**
+ * Check the skinned mesh and skeleton of skin.glb
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string} path - Path of the GLB file
+ * @param {DiagnosticList} diagnostics - Diagnostics to add to
+ * @returns {Promise<number|null>} Vertex count of the skinned mesh, or null if there is none
+ */
+async function checkSkin(zip, path, diagnostics) {
+    let gltf;
+    try {
+        gltf = await parseGlb(await extractFile(zip, path, 'arraybuffer'), path);
+    } catch (error) {
+        diagnostics.error(AvatarDiagnosticCode.SkinInvalid, error.message, path);
+        return null;
+    }
+
+    let skinnedMesh = null;
+    let hipBone = null;
+    gltf.scene.traverse((object) => {
+        if (object.isSkinnedMesh) {
+            skinnedMesh = object;
+        }
+        if (object instanceof Bone && object.name === 'hip') {
+            hipBone = object;
+        }
+    });
+
+    if (!hipBone) {
+        diagnostics.error(AvatarDiagnosticCode.SkinNoHipBone, `${path} has no bone named 'hip'`, path);
+    }
+    let vertexCount = null;
+    if (!skinnedMesh) {
+        diagnostics.error(AvatarDiagnosticCode.SkinNoSkinnedMesh, `${path} contains no skinned mesh`, path);
+    } else {
+        vertexCount = skinnedMesh.geometry.attributes.position.count;
+        if (Object.keys(skinnedMesh.morphTargetDictionary ?? {}).length === 0) {
+            diagnostics.warning(AvatarDiagnosticCode.SkinNoMorphTargets,
+                `The skinned mesh in ${path} has no blendshapes; expressions will not animate`, path);
+        }
+    }
+
+    disposeAllMeshes(gltf.scene);
+    return vertexCount;
+}
+
+/**
+ * Check that vertex_order.json is a permutation of the splat indexes
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string} path - Path of the JSON file
+ * @param {number|null} splatCount - Splat count, or null if unknown
+ * @param {DiagnosticList} diagnostics - Diagnostics to add to
+ */
+async function checkVertexOrder(zip, path, splatCount, diagnostics) {
+    let vertexOrder;
+    try {
+        vertexOrder = JSON.parse(await extractFile(zip, path, 'string'));
+    } catch (error) {
+        diagnostics.error(AvatarDiagnosticCode.VertexOrderInvalid, `Failed to parse ${path}: ${error.message}`, path);
+        return;
+    }
+    if (!Array.isArray(vertexOrder)) {
+        diagnostics.error(AvatarDiagnosticCode.VertexOrderInvalid, `${path} must be an array of splat indexes`, path);
+        return;
+    }
+
+    if (splatCount !== null && vertexOrder.length !== splatCount) {
+        diagnostics.error(AvatarDiagnosticCode.VertexOrderLengthMismatch,
+            `${path} lists ${vertexOrder.length} indexes but the avatar has ${splatCount} splats`,
+            path, { length: vertexOrder.length, splatCount });
+    }
+
+    const limit = splatCount ?? Infinity;
+    const seen = new Set();
+    const outOfRange = [];
+    const duplicates = [];
+    vertexOrder.forEach((index, position) => {
+        if (!Number.isInteger(index) || index < 0 || index >= limit) {
+            outOfRange.push(position);
+        } else if (seen.has(index)) {
+            duplicates.push(position);
+        } else {
+            seen.add(index);
+        }
+    });
+
+    if (outOfRange.length > 0) {
+        const first = outOfRange[0];
+        const range = splatCount !== null ? `between 0 and ${splatCount - 1}` : 'that is a non-negative integer';
+        diagnostics.error(AvatarDiagnosticCode.VertexOrderIndexOutOfRange,
+            `${path} has ${outOfRange.length} entries that are not a splat index ${range}, ` +
+            `first at [${first}]: ${JSON.stringify(vertexOrder[first])}`,
+            path, { count: outOfRange.length, firstPosition: first });
+    }
+    if (duplicates.length > 0) {
+        const first = duplicates[0];
+        diagnostics.error(AvatarDiagnosticCode.VertexOrderDuplicateIndex,
+            `${path} lists ${duplicates.length} splat indexes more than once, first at [${first}]: ${vertexOrder[first]}`,
+            path, { count: duplicates.length, firstPosition: first });
+    }
+}
+
+/**
+ * Check the ranges of the optional iris_occlusion.json
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string|null} path - Path of the JSON file, or null if disabled
+ * @param {number|null} splatCount - Splat count, or null if unknown
+ * @param {DiagnosticList} diagnostics - Diagnostics to add to
+ */
+async function checkIrisOcclusion(zip, path, splatCount, diagnostics) {
+    if (!path || !zip.file(path)) {
+        return;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(await extractFile(zip, path, 'string'));
+    } catch (error) {
+        diagnostics.warning(AvatarDiagnosticCode.IrisOcclusionInvalid,
+            `Failed to parse ${path}, iris occlusion will be disabled: ${error.message}`, path);
+        return;
+    }
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        diagnostics.warning(AvatarDiagnosticCode.IrisOcclusionInvalid,
+            `${path} must be an object, iris occlusion will be disabled`, path);
+        return;
+    }
+
+    Object.entries(config).forEach(([key, ranges]) => {
+        if (!IRIS_OCCLUSION_KEYS.includes(key)) {
+            diagnostics.warning(AvatarDiagnosticCode.IrisOcclusionUnknownKey,
+                `${path} has unknown key '${key}', which is ignored`, path, { key });
+            return;
+        }
+        if (!Array.isArray(ranges)) {
+            diagnostics.error(AvatarDiagnosticCode.IrisOcclusionInvalidRange,
+                `${path}: ${key} must be an array of [start, end] ranges`, path, { key });
+            return;
+        }
+        ranges.forEach((range, i) => {
+            const valid = Array.isArray(range) && range.length === 2 &&
+                Number.isInteger(range[0]) && Number.isInteger(range[1]) &&
+                range[0] >= 0 && range[0] <= range[1];
+            if (!valid) {
+                diagnostics.error(AvatarDiagnosticCode.IrisOcclusionInvalidRange,
+                    `${path}: ${key}[${i}] must be [start, end] with integers 0 <= start <= end: ${JSON.stringify(range)}`,
+                    path, { key, index: i });
+            } else if (splatCount !== null && range[1] >= splatCount) {
+                diagnostics.error(AvatarDiagnosticCode.IrisOcclusionRangeOutOfBounds,
+                    `${path}: ${key}[${i}] ends at splat ${range[1]} but the avatar has ${splatCount} splats`,
+                    path, { key, index: i, range, splatCount });
+            }
+        });
+    });
+}
+
+/**
+ * Check that an animation state graph finds its clips
+ * @private
+ * @param {THREE.AnimationClip[]} clips - Clips of animation.glb
+ * @param {string} path - Path of the GLB file
+ * @param {object} definition - Normalized animation state graph
+ * @param {DiagnosticList} diagnostics - Diagnostics to add to
+ */
+function checkAnimationGraph(clips, path, definition, diagnostics) {
+    const graph = new AnimationStateGraph(definition);
+    const { states, missing, empty } = graph.resolveClips(clips);
+    missing.forEach(({ state, phase, selector }) => {
+        const clip = typeof selector === 'number' ? `Clip ${selector}` : `Clip '${selector}'`;
+        diagnostics.error(AvatarDiagnosticCode.AnimationClipNotFound,
+            `${clip} of the ${state} state (${phase}) is not in ${path}`, path, { state, phase, selector });
+    });
+    empty.forEach(({ state, selectors }) => {
+        diagnostics.error(AvatarDiagnosticCode.AnimationStateNoClips,
+            `No clip in ${path} matches the ${state} state (${selectors.join(', ')})`, path, { state, selectors });
+    });
+
+    const used = new Set(Object.values(states).flatMap(phases => Object.values(phases).flat()));
+    const unused = clips.filter(clip => !used.has(clip));
+    if (unused.length > 0) {
+        diagnostics.warning(AvatarDiagnosticCode.AnimationUnusedClips,
+            `No animation state plays ${unused.length} of the clips in ${path}`,
+            path, { clips: unused.map(clip => clip.name) });
+    }
+}
+
+/**
+ * Check that the clips of animation.glb fit a legacy animation grouping
+ * @private
+ * @param {THREE.AnimationClip[]} clips - Clips of animation.glb
+ * @param {string} path - Path of the GLB file
+ * @param {object} grouping - Resolved animation grouping ({hello: {size, isGroup}, ...})
+ * @param {DiagnosticList} diagnostics - Diagnostics to add to
+ */
+function checkAnimationGrouping(clips, path, grouping, diagnostics) {
+    Object.keys(grouping).forEach((state) => {
+        if (state !== 'other' && !ANIMATION_STATES.includes(state)) {
+            diagnostics.warning(AvatarDiagnosticCode.AnimationUnknownState,
+                `Animation grouping has unknown state '${state}', which is ignored`, null, { state });
+        }
+    });
+
+    // Same distribution as AnimationStateGraph.fromGrouping(): consecutive runs of clips per state
+    const clipStates = [];
+    ANIMATION_STATES.forEach((state) => {
+        for (let i = 0; i < (grouping[state]?.size ?? 0); i++) {
+            clipStates.push(state);
+        }
+    });
+
+    if (clips.length < clipStates.length) {
+        diagnostics.error(AvatarDiagnosticCode.AnimationTooFewClips,
+            `Animation grouping expects ${clipStates.length} clips but ${path} has ${clips.length}`,
+            path, { expected: clipStates.length, actual: clips.length });
+    } else if (clips.length > clipStates.length) {
+        diagnostics.warning(AvatarDiagnosticCode.AnimationUnusedClips,
+            `Animation grouping uses ${clipStates.length} clips; the last ${clips.length - clipStates.length} ` +
+            `clips in ${path} are never played`,
+            path, { expected: clipStates.length, actual: clips.length });
+    }
+    if (!(grouping.idle?.size > 0)) {
+        diagnostics.warning(AvatarDiagnosticCode.AnimationNoIdleClips,
+            'Animation grouping assigns no idle clips; the avatar stays still while idle', null);
+    }
+
+    // A clip named after another state was most likely meant for that state
+    clips.forEach((clip, i) => {
+        const state = clipStates[i];
+        const name = clip.name.toLowerCase();
+        const namedState = ANIMATION_STATES.find(candidate => name.includes(candidate));
+        if (state && namedState && !name.includes(state)) {
+            diagnostics.warning(AvatarDiagnosticCode.AnimationClipStateMismatch,
+                `Clip ${i} '${clip.name}' is played for the ${state} state; check the animation grouping`,
+                path, { clip: clip.name, index: i, state, namedState });
+        }
+    });
+}
+
+/**
+ * Check that the clips of animation.glb fit the animation config
+ * @private
+ * @param {JSZip} zip - Opened avatar archive
+ * @param {string} path - Path of the GLB file
+ * @param {object} animation - Resolved animation config: a state graph or a grouping ({hello: {size, isGroup}, ...})
+ * @param {DiagnosticList} diagnostics - Diagnostics to add to
+ */
+async function checkAnimation(zip, path, animation, diagnostics) {
+    let clips;
+    try {
+        const gltf = await parseGlb(await extractFile(zip, path, 'arraybuffer'), path);
+        clips = gltf.animations;
+        disposeAllMeshes(gltf.scene);
+    } catch (error) {
+        diagnostics.error(AvatarDiagnosticCode.AnimationInvalid, error.message, path);
+        return;
+    }
+
+    if (clips.length === 0) {
+        diagnostics.error(AvatarDiagnosticCode.AnimationNoClips, `${path} contains no animation clips`, path);
+        return;
+    }
+
+    const names = new Set();
+    clips.forEach((clip, i) => {
+        if (names.has(clip.name)) {
+            diagnostics.warning(AvatarDiagnosticCode.AnimationDuplicateClipName,
+                `${path} has more than one clip named '${clip.name}'`, path, { clip: clip.name, index: i });
+        }
+        names.add(clip.name);
+
+        if (!(clip.duration > 0)) {
+            diagnostics.warning(AvatarDiagnosticCode.AnimationEmptyClip,
+                `Clip '${clip.name}' in ${path} has no duration`, path, { clip: clip.name, index: i });
+        }
+    });
+
+    if (isAnimationGraph(animation)) {
+        checkAnimationGraph(clips, path, animation, diagnostics);
+    } else {
+        checkAnimationGrouping(clips, path, animation, diagnostics);
+    }
+}
+
+/**
+ * Validate an avatar package without rendering it
+ *
+ * Never throws for problems with the package itself; they are returned as diagnostics.
+ *
+ * @param {string|ArrayBuffer|Blob|File|JSZip} source - Avatar package (see GaussianSplatRenderer.create())
+ * @param {object} [options={}] - Options
+ * @param {object} [options.animation] - Animation state graph or grouping the avatar will be created with (see
+ *   GaussianSplatRenderer.create()); overrides the package's own config like the create() option does
+ * @param {AbortSignal} [options.signal] - Cancels validation
+ * @returns {Promise<{valid: boolean, characterName: string|null, diagnostics: object[], errors: object[],
+ *   warnings: object[]}>} 'valid' is true when there are no errors. Each diagnostic is
+ *   {code, severity, message, file, details?}: 'code' is from AvatarDiagnosticCode, 'severity' from
+ *   AvatarDiagnosticSeverity, 'file' the archive path concerned (or null) and 'details' code-specific data.
+ * @throws {ValidationError} If the source type or an option is invalid
+ * @throws {NetworkError} If a URL source cannot be downloaded
+ * @throws {AbortError} If the signal fires before validation completes
+ */
+export async function validateAvatarPackage(source, options = {}) {
+    const signal = options.signal;
+    const diagnostics = new DiagnosticList();
+
+    let optionsConfig = null;
+    if (options.animation !== undefined) {
+        try {
+            optionsConfig = normalizeAvatarConfig({ animation: options.animation });
+        } catch (error) {
+            throw new ValidationError(error.message, `options.${error.configKey}`, error);
+        }
+    }
+
+    let characterName = null;
+    const result = () => {
+        const errors = diagnostics.items.filter(item => item.severity === AvatarDiagnosticSeverity.Error);
+        const warnings = diagnostics.items.filter(item => item.severity === AvatarDiagnosticSeverity.Warning);
+        return { valid: errors.length === 0, characterName, diagnostics: diagnostics.items, errors, warnings };
+    };
+
+    let zip;
+    let manifest;
+    try {
+        ({ zip, manifest, characterName } = await openAvatarSource(source, { signal, requireFiles: false }));
+    } catch (error) {
+        if (error instanceof ValidationError || error instanceof NetworkError || error instanceof AbortError) {
+            throw error;
+        }
+        if (error instanceof ParseError || error instanceof ConfigurationError) {
+            diagnostics.error(AvatarDiagnosticCode.ManifestInvalid, error.message, 'manifest.json');
+        } else if (error instanceof AssetLoadError) {
+            diagnostics.error(AvatarDiagnosticCode.ArchiveUnreadable, error.message);
+        } else {
+            throw error;
+        }
+        return result();
+    }
+
+    const missing = findMissingAvatarFiles(zip, manifest);
+    missing.forEach((key) => {
+        diagnostics.error(AvatarDiagnosticCode.MissingFile,
+            `Required file ${manifest.files[key]} is missing`, manifest.files[key], { file: key });
+    });
+    const has = key => !missing.includes(key);
+
+    let packageConfig = null;
+    try {
+        packageConfig = await loadPackageConfig(zip, manifest);
+    } catch (error) {
+        diagnostics.error(AvatarDiagnosticCode.ConfigInvalid, error.message, manifest.files.config);
+    }
+    throwIfAborted(signal, 'Avatar validation');
+
+    const splatCount = has('splats') ? await checkSplats(zip, manifest.files.splats, diagnostics) : null;
+    throwIfAborted(signal, 'Avatar validation');
+
+    if (has('skin')) {
+        const vertexCount = await checkSkin(zip, manifest.files.skin, diagnostics);
+        if (vertexCount !== null && splatCount !== null && vertexCount !== splatCount) {
+            diagnostics.error(AvatarDiagnosticCode.VertexCountMismatch,
+                `The skinned mesh in ${manifest.files.skin} has ${vertexCount} vertices but ` +
+                `${manifest.files.splats} has ${splatCount} splats`,
+                manifest.files.skin, { vertexCount, splatCount });
+        }
+        throwIfAborted(signal, 'Avatar validation');
+    }
+
+    if (has('vertexOrder')) {
+        await checkVertexOrder(zip, manifest.files.vertexOrder, splatCount, diagnostics);
+    }
+    await checkIrisOcclusion(zip, manifest.files.irisOcclusion, splatCount, diagnostics);
+    throwIfAborted(signal, 'Avatar validation');
+
+    if (has('animation')) {
+        const { animation } = resolveAvatarConfig({
+            options: optionsConfig,
+            packageConfig,
+            manifest: manifest.config
+        });
+        await checkAnimation(zip, manifest.files.animation, animation, diagnostics);
+        throwIfAborted(signal, 'Avatar validation');
+    }
+
+    const validation = result();
+    logger.debug('Avatar package validated', {
+        characterName,
+        errors: validation.errors.length,
+        warnings: validation.warnings.length
+    });
+    return validation;
+}
@@ -0,0 +1,266 @@
+/**
+ * AvatarSource - Resolves the different ways an avatar package can be supplied
+ *
+ * An avatar package is a ZIP archive. It can be handed to the renderer as a URL,
+ * raw bytes (ArrayBuffer / typed array), a Blob or File (drag-and-drop, IndexedDB),
+ * or an already opened JSZip instance. All of them are normalized to an opened
+ * JSZip archive plus a character name so the rest of the loading pipeline does
+ * not need to care where the bytes came from.
+ */
+
+import JSZip from 'jszip';
+
+import { getLogger } from '../utils/Logger.js';
+import { ValidationError, AssetLoadError, AbortError } from '../errors/index.js';
+import { validateUrl } from '../utils/ValidationUtils.js';
+import { fetchWithProgress, raceWithAbortSignal, throwIfAborted } from '../utils/Util.js';
+import { loadAvatarManifest } from './AvatarManifest.js';
+import {
+    AvatarCacheRecord,
+    avatarCacheKey,
+    resolveAvatarCacheVersion,
+    readAvatarCache,
+    writeAvatarCache
+} from '../cache/AvatarCache.js';
+
+const logger = getLogger('AvatarSource');
+
+/**
+ * Kinds of avatar sources accepted by openAvatarSource()
+ */
+export const AvatarSourceType = Object.freeze({
+    Url: 'url',
+    ArrayBuffer: 'arrayBuffer',
+    Blob: 'blob',
+    File: 'file',
+    Zip: 'zip'
+});
+
+/**
+ * Check whether a value looks like a JSZip instance
+ *
+ * Duck-typed so archives opened by another copy of JSZip are accepted too.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value behaves like a JSZip instance
+ */
+export function isZipArchive(value) {
+    if (value instanceof JSZip) {
+        return true;
+    }
+    return value !== null &&
+        typeof value === 'object' &&
+        typeof value.file === 'function' &&
+        typeof value.files === 'object';
+}
+
+/**
+ * Determine the kind of an avatar source
+ *
+ * @param {*} source - Avatar source
+ * @returns {string|null} Value from AvatarSourceType, or null if unsupported
+ */
+export function getAvatarSourceType(source) {
+    if (typeof source === 'string') {
+        return AvatarSourceType.Url;
+    }
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+        return AvatarSourceType.ArrayBuffer;
+    }
+    if (typeof File !== 'undefined' && source instanceof File) {
+        return AvatarSourceType.File;
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+        return AvatarSourceType.Blob;
+    }
+    if (isZipArchive(source)) {
+        return AvatarSourceType.Zip;
+    }
+    return null;
+}
+
+/**
+ * Extract a character name from an archive file name or URL path
+ *
+ * @private
+ * @param {string} name - File name or URL path (e.g. '/avatars/alice.zip')
+ * @returns {string|undefined} Character name (e.g. 'alice')
+ */
+function characterNameFromFileName(name) {
+    const matches = name.match(/([^/]+?)\.zip$/i);
+    return matches?.[1];
+}
+
+/**
+ * Call a download progress callback with error isolation
+ *
+ * @private
+ * @param {Function} [onDownloadProgress] - Progress callback
+ * @param {number} loaded - Bytes received so far
+ * @param {number} [total] - Total bytes, if known
+ */
+function reportDownloadProgress(onDownloadProgress, loaded, total) {
+    if (!onDownloadProgress) return;
+    try {
+        onDownloadProgress({
+            loaded,
+            total,
+            percent: total ? Math.min((loaded / total) * 100, 100) : undefined
+        });
+    } catch (error) {
+        logger.warn('Error in download progress callback', error);
+    }
+}
+
+/**
+ * Download an avatar archive from a URL
+ *
+ * @private
+ * @param {string} url - Validated absolute URL
+ * @param {Function} [onDownloadProgress] - Byte-level progress callback ({loaded, total, percent})
+ * @param {AbortSignal} [signal] - Signal that cancels the download
+ * @returns {Promise<ArrayBuffer>} Archive bytes
+ * @throws {NetworkError} If the download fails
+ * @throws {AbortError} If the signal fires before the download completes
+ */
+async function downloadArchive(url, onDownloadProgress, signal) {
+    throwIfAborted(signal, 'Avatar download');
+    logger.info('Downloading asset ZIP', { path: url });
+
+    let loaded = 0;
+    const download = fetchWithProgress(url, (percent, percentLabel, chunk, fileSize) => {
+        if (chunk) loaded += chunk.byteLength;
+        reportDownloadProgress(onDownloadProgress, loaded, fileSize ?? (percent === 100 ? loaded : undefined));
+    });
+
+    return raceWithAbortSignal(download, signal, 'Avatar download', (reason) => download.abort(reason));
+}
+
+/**
+ * Open an avatar source as a JSZip archive
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob|File|JSZip} source - Avatar package
+ * @param {object} [options={}] - Options
+ * @param {string} [options.characterName] - Explicit character name. When omitted it is taken
+ *   from the manifest name, then derived from the URL or file name, and finally from the model folder.
+ * @param {Function} [options.onDownloadProgress] - Byte-level progress callback receiving
+ *   {loaded, total, percent}; 'total' and 'percent' are undefined when the size is unknown
+ * @param {AbortSignal} [options.signal] - Signal that cancels the download and unpacking
+ * @param {AssetCache} [options.cache] - Cache for URL sources; a cached archive is used instead of downloading,
+ *   and a downloaded one is stored
+ * @param {string|number} [options.cacheVersion] - Package version for the cache key; the URL's ETag or
+ *   Last-Modified header is used when omitted
+ * @param {boolean} [options.requireFiles=true] - Reject archives missing a required file; disable to inspect
+ *   incomplete packages (an incomplete archive is then never cached)
+ * @returns {Promise<{zip: JSZip, folder: string, manifest: object, characterName: string, sourceType: string,
+ *   label: string, cacheVersion: string|null, fromCache: boolean}>}
+ *   'manifest' is the normalized avatar manifest (see loadAvatarManifest()); 'folder' is its root.
+ *   'cacheVersion' is the version the package is cached under ('label' is its URL), or null if it is not cached.
+ * @throws {ValidationError} If the source type is unsupported or a URL is invalid
+ * @throws {NetworkError} If a URL source cannot be downloaded
+ * @throws {AssetLoadError} If the archive cannot be unpacked, has no model folder or misses required files
+ * @throws {ParseError} If the archive's manifest.json is not valid JSON
+ * @throws {ConfigurationError} If the archive's manifest.json is malformed
+ * @throws {AbortError} If the signal fires before the archive is opened
+ */
+export async function openAvatarSource(source, options = {}) {
+    const sourceType = getAvatarSourceType(source);
+    if (!sourceType) {
+        throw new ValidationError(
+            'Avatar source must be a URL string, ArrayBuffer, Blob, File or JSZip instance',
+            'source'
+        );
+    }
+
+    if (options.characterName !== undefined &&
+        (typeof options.characterName !== 'string' || options.characterName.length === 0)) {
+        throw new ValidationError('characterName must be a non-empty string', 'options.characterName');
+    }
+
+    let fileCharacterName;
+    let label;
+    let data;
+    let zip;
+    let cacheVersion = null;
+    let fromCache = false;
+
+    switch (sourceType) {
+        case AvatarSourceType.Url: {
+            label = validateUrl(source);
+            fileCharacterName = characterNameFromFileName(new URL(label).pathname);
+            if (options.cache) {
+                cacheVersion = await resolveAvatarCacheVersion(label, options.cacheVersion, options.signal);
+            }
+            if (cacheVersion !== null) {
+                data = await raceWithAbortSignal(
+                    readAvatarCache(options.cache, avatarCacheKey(label, cacheVersion, AvatarCacheRecord.Archive)),
+                    options.signal,
+                    'Avatar cache read'
+                );
+            }
+            if (data) {
+                fromCache = true;
+                reportDownloadProgress(options.onDownloadProgress, data.byteLength, data.byteLength);
+            } else {
+                data = await downloadArchive(label, options.onDownloadProgress, options.signal);
+            }
+            break;
+        }
+        case AvatarSourceType.File:
+            label = source.name || 'file';
+            fileCharacterName = characterNameFromFileName(source.name || '');
+            data = await raceWithAbortSignal(source.arrayBuffer(), options.signal, 'Avatar read');
+            reportDownloadProgress(options.onDownloadProgress, data.byteLength, data.byteLength);
+            break;
+        case AvatarSourceType.Blob:
+            label = 'blob';
+            data = await raceWithAbortSignal(source.arrayBuffer(), options.signal, 'Avatar read');
+            reportDownloadProgress(options.onDownloadProgress, data.byteLength, data.byteLength);
+            break;
+        case AvatarSourceType.ArrayBuffer:
+            label = 'arraybuffer';
+            data = source;
+            reportDownloadProgress(options.onDownloadProgress, data.byteLength, data.byteLength);
+            break;
+        case AvatarSourceType.Zip:
+            label = 'zip';
+            zip = source;
+            break;
+    }
+
+    if (!zip) {
+        logger.debug('Unpacking ZIP archive', { source: label });
+        try {
+            zip = await raceWithAbortSignal(JSZip.loadAsync(data), options.signal, 'Avatar unpack');
+        } catch (error) {
+            if (error instanceof AbortError) {
+                throw error;
+            }
+            throw new AssetLoadError(
+                `Failed to unpack ZIP archive: ${error.message}`,
+                label,
+                error
+            );
+        }
+    }
+
+    throwIfAborted(options.signal, 'Avatar unpack');
+
+    const requireFiles = options.requireFiles ?? true;
+    const manifest = await loadAvatarManifest(zip, label, { requireFiles });
+    const folder = manifest.root;
+
+    // Only cache archives that turned out to be valid packages. Not awaited: persisting a large
+    // archive must not delay showing the avatar
+    if (cacheVersion !== null && !fromCache && requireFiles) {
+        writeAvatarCache(options.cache, label, cacheVersion, AvatarCacheRecord.Archive, data);
+    }
+
+    const characterName = options.characterName ??
+        manifest.name ??
+        fileCharacterName ??
+        (folder.split('/').pop() || 'avatar');
+    logger.debug('Avatar source opened', { sourceType, folder, characterName, layout: manifest.source, fromCache });
+
+    return { zip, folder, manifest, characterName, sourceType, label, cacheVersion, fromCache };
+}
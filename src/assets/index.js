@@ -0,0 +1,55 @@
+/**
+ * gsplat-flame-avatar - Assets Module
+ * Avatar package sources and loading helpers.
+ */
+
+export {
+    AvatarSourceType,
+    isZipArchive,
+    getAvatarSourceType,
+    openAvatarSource
+} from './AvatarSource.js';
+
+export {
+    AVATAR_MANIFEST_FILE,
+    AVATAR_MANIFEST_VERSION,
+    DEFAULT_AVATAR_FILES,
+    REQUIRED_AVATAR_FILES,
+    joinArchivePath,
+    findAvatarFolder,
+    conventionalAvatarManifest,
+    parseAvatarManifest,
+    findMissingAvatarFiles,
+    loadAvatarManifest
+} from './AvatarManifest.js';
+
+export {
+    AvatarLoadStage,
+    DEFAULT_AVATAR_LOAD_STAGE_WEIGHTS
+} from './AvatarLoadStage.js';
+
+export {
+    DEFAULT_AVATAR_CONFIG,
+    parseConfigVector3,
+    parseConfigColor,
+    normalizeAvatarConfig,
+    mergeAvatarConfig,
+    resolveAvatarConfig,
+    loadPackageConfig
+} from './AvatarConfig.js';
+
+export {
+    AVATAR_ASSET_LOAD_STAGES,
+    zipProgressCallback,
+    AvatarAsset
+} from './AvatarAsset.js';
+
+export {
+    AvatarDiagnosticSeverity,
+    AvatarDiagnosticCode,
+    validateAvatarPackage
+} from './AvatarPackageValidator.js';
+
+export {
+    inspectAvatarPackage
+} from './AvatarPackageInspector.js';
@@ -0,0 +1,275 @@
+/**
+ * AssetCache - Size-bounded LRU cache of binary assets
+ *
+ * Stores ArrayBuffers under string keys in a pluggable storage backend
+ * (in-memory, IndexedDB or Cache Storage) and evicts the least recently used
+ * records once the total size exceeds 'maxBytes'. Backends implement:
+ *
+ *   list()                   -> Promise<object[]>   metadata of every record ({key, size, lastAccess, ...})
+ *   get(key)                 -> Promise<ArrayBuffer|undefined>
+ *   put(key, data, meta)     -> Promise<void>
+ *   touch(key, lastAccess)   -> Promise<void>
+ *   delete(key)              -> Promise<void>
+ *   clear()                  -> Promise<void>
+ *
+ * Operations are serialized, so concurrent loads never race an eviction.
+ */
+
+import { getLogger } from '../utils/Logger.js';
+import { ValidationError } from '../errors/index.js';
+import { MemoryAssetStore } from './MemoryAssetStore.js';
+import { IndexedDBAssetStore } from './IndexedDBAssetStore.js';
+import { CacheStorageAssetStore } from './CacheStorageAssetStore.js';
+
+const logger = getLogger('AssetCache');
+
+/**
+ * Default maximum cache size (512 MiB)
+ */
+export const DEFAULT_ASSET_CACHE_MAX_BYTES = 512 * 1024 * 1024;
+
+/**
+ * Create the most persistent storage backend available
+ *
+ * Prefers IndexedDB, then Cache Storage, and falls back to memory (e.g. in Node).
+ *
+ * @returns {MemoryAssetStore|IndexedDBAssetStore|CacheStorageAssetStore}
+ */
+export function createDefaultAssetStore() {
+    if (IndexedDBAssetStore.isSupported()) {
+        return new IndexedDBAssetStore();
+    }
+    if (CacheStorageAssetStore.isSupported()) {
+        return new CacheStorageAssetStore();
+    }
+    return new MemoryAssetStore();
+}
+
+/**
+ * Convert cacheable data to an ArrayBuffer
+ * @private
+ * @param {ArrayBuffer|ArrayBufferView} data - Data to store
+ * @returns {ArrayBuffer}
+ * @throws {ValidationError} If data is not binary
+ */
+function toArrayBuffer(data) {
+    if (data instanceof ArrayBuffer) {
+        return data;
+    }
+    if (ArrayBuffer.isView(data)) {
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+    throw new ValidationError('Cached data must be an ArrayBuffer or typed array', 'data');
+}
+
+/**
+ * AssetCache - LRU cache over a storage backend
+ */
+export class AssetCache {
+    /**
+     * Create an AssetCache
+     * @param {object} [options={}] - Options
+     * @param {object} [options.store] - Storage backend; defaults to createDefaultAssetStore()
+     * @param {number} [options.maxBytes=536870912] - Maximum total size of all records, in bytes
+     * @throws {ValidationError} If maxBytes is not a positive number
+     */
+    constructor({ store = createDefaultAssetStore(), maxBytes = DEFAULT_ASSET_CACHE_MAX_BYTES } = {}) {
+        if (typeof maxBytes !== 'number' || !(maxBytes > 0)) {
+            throw new ValidationError('maxBytes must be a positive number', 'maxBytes');
+        }
+
+        this.store = store;
+        this.maxBytes = maxBytes;
+
+        /**
+         * Key to metadata, in least to most recently used order; loaded from the store on first use
+         * @private
+         */
+        this._index = null;
+
+        /**
+         * Tail of the operation queue
+         * @private
+         */
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Run an operation after all previously queued ones
+     * @private
+     * @param {Function} operation - Async function receiving the loaded index
+     * @returns {Promise<*>} Result of the operation
+     */
+    _enqueue(operation) {
+        const result = this._queue.then(async () => {
+            if (!this._index) {
+                const records = await this.store.list();
+                records.sort((a, b) => a.lastAccess - b.lastAccess);
+                this._index = new Map(records.map(meta => [meta.key, meta]));
+            }
+            return operation(this._index);
+        });
+        this._queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Read a record and mark it as most recently used
+     *
+     * @param {string} key - Record key
+     * @returns {Promise<ArrayBuffer|null>} Record data, or null on a cache miss
+     */
+    get(key) {
+        return this._enqueue(async (index) => {
+            const meta = index.get(key);
+            if (!meta) {
+                return null;
+            }
+
+            const data = await this.store.get(key);
+            if (!data) {
+                // Metadata without data: the backend lost the record
+                index.delete(key);
+                await this.store.delete(key);
+                return null;
+            }
+
+            meta.lastAccess = Date.now();
+            index.delete(key);
+            index.set(key, meta);
+            await this.store.touch(key, meta.lastAccess);
+            return data;
+        });
+    }
+
+    /**
+     * Check whether a record is cached, without marking it as used
+     * @param {string} key - Record key
+     * @returns {Promise<boolean>}
+     */
+    has(key) {
+        return this._enqueue(async index => index.has(key));
+    }
+
+    /**
+     * Store a record, evicting least recently used records to stay within maxBytes
+     *
+     * @param {string} key - Record key
+     * @param {ArrayBuffer|ArrayBufferView} data - Record data
+     * @param {object} [meta={}] - Extra metadata stored with the record (must be structured-cloneable)
+     * @returns {Promise<boolean>} False if the record alone is larger than maxBytes and was not stored
+     * @throws {ValidationError} If key is not a non-empty string or data is not binary
+     */
+    set(key, data, meta = {}) {
+        if (typeof key !== 'string' || key.length === 0) {
+            return Promise.reject(new ValidationError('Cache key must be a non-empty string', 'key'));
+        }
+        let buffer;
+        try {
+            buffer = toArrayBuffer(data);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this._enqueue(async (index) => {
+            if (buffer.byteLength > this.maxBytes) {
+                logger.debug('Asset larger than the cache, not stored', { key, size: buffer.byteLength });
+                return false;
+            }
+
+            const now = Date.now();
+            const record = { ...meta, key, size: buffer.byteLength, createdAt: now, lastAccess: now };
+            index.delete(key);
+            await this._evict(index, this.maxBytes - buffer.byteLength);
+
+            await this.store.put(key, buffer, record);
+            index.set(key, record);
+            logger.debug('Asset cached', { key, size: buffer.byteLength });
+            return true;
+        });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} key - Record key
+     * @returns {Promise<boolean>} True if the record existed
+     */
+    delete(key) {
+        return this._enqueue(async (index) => {
+            const existed = index.delete(key);
+            await this.store.delete(key);
+            return existed;
+        });
+    }
+
+    /**
+     * Delete every record whose metadata matches a predicate
+     * @param {Function} predicate - Called with each record's metadata
+     * @returns {Promise<number>} Number of records deleted
+     */
+    deleteWhere(predicate) {
+        return this._enqueue(async (index) => {
+            const keys = Array.from(index.values()).filter(predicate).map(meta => meta.key);
+            for (const key of keys) {
+                index.delete(key);
+                await this.store.delete(key);
+            }
+            return keys.length;
+        });
+    }
+
+    /**
+     * Delete every record
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this._enqueue(async (index) => {
+            index.clear();
+            await this.store.clear();
+            logger.debug('Asset cache cleared');
+        });
+    }
+
+    /**
+     * Get the total size of all records
+     * @returns {Promise<number>} Size in bytes
+     */
+    size() {
+        return this._enqueue(async (index) => {
+            let bytes = 0;
+            index.forEach((meta) => {
+                bytes += meta.size;
+            });
+            return bytes;
+        });
+    }
+
+    /**
+     * List the metadata of all records, least recently used first
+     * @returns {Promise<object[]>} Record metadata ({key, size, createdAt, lastAccess, ...})
+     */
+    entries() {
+        return this._enqueue(async index => Array.from(index.values(), meta => ({ ...meta })));
+    }
+
+    /**
+     * Evict least recently used records until the total size is at most 'limit'
+     * @private
+     * @param {Map} index - Loaded index
+     * @param {number} limit - Size limit in bytes
+     */
+    async _evict(index, limit) {
+        let bytes = 0;
+        index.forEach((meta) => {
+            bytes += meta.size;
+        });
+
+        for (const [key, meta] of index) {
+            if (bytes <= limit) break;
+            index.delete(key);
+            await this.store.delete(key);
+            bytes -= meta.size;
+            logger.debug('Asset evicted', { key, size: meta.size });
+        }
+    }
+}
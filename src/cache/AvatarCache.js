@@ -0,0 +1,161 @@
+/**
+ * AvatarCache - Avatar-specific use of AssetCache
+ *
+ * Avatar packages downloaded from a URL are cached under the URL plus a
+ * version: the 'cacheVersion' option when given, otherwise the ETag (or
+ * Last-Modified date) the server reports for the URL. A new version on the
+ * server therefore never serves stale data, and replaces the old records.
+ *
+ * Two records are stored per package:
+ *   - the raw ZIP archive, so the package is not downloaded again
+ *   - the built SplatBuffer bytes, so the splat PLY is not parsed again
+ *
+ * Parsed GLBs are not cached: GLTFLoader produces live three.js objects
+ * (skinned meshes, bones, animation clips) that cannot be written to
+ * storage, and the GLB bytes are already in the cached archive. Parsing
+ * them again takes milliseconds, against seconds for the download and the
+ * PLY.
+ *
+ * Caching is best effort: storage failures are logged and loading carries on
+ * as if the cache were empty.
+ */
+
+import { getLogger } from '../utils/Logger.js';
+import { AbortError } from '../errors/index.js';
+import { raceWithAbortSignal } from '../utils/Util.js';
+import { SplatBuffer } from '../buffers/SplatBuffer.js';
+
+const logger = getLogger('AvatarCache');
+
+/**
+ * Kinds of records cached per avatar package
+ */
+export const AvatarCacheRecord = Object.freeze({
+    Archive: 'archive',
+    SplatBuffer: 'splatBuffer'
+});
+
+/**
+ * Build the cache key of an avatar record
+ *
+ * @param {string} url - Absolute package URL
+ * @param {string} version - Package version (ETag, Last-Modified or explicit version)
+ * @param {string} record - Value from AvatarCacheRecord
+ * @returns {string}
+ */
+export function avatarCacheKey(url, version, record) {
+    return `${url}|${version}|${record}`;
+}
+
+/**
+ * Determine the version of an avatar package for caching
+ *
+ * Without an explicit version a HEAD request reads the ETag or Last-Modified
+ * header. Cross-origin servers must list these in Access-Control-Expose-Headers.
+ *
+ * @param {string} url - Absolute package URL
+ * @param {string|number} [version] - Explicit version; skips the HEAD request
+ * @param {AbortSignal} [signal] - Signal that cancels the HEAD request
+ * @returns {Promise<string|null>} Version, or null if the package cannot be versioned (it is then not cached)
+ * @throws {AbortError} If the signal fires before the version is known
+ */
+export async function resolveAvatarCacheVersion(url, version, signal) {
+    if (version !== undefined && version !== null) {
+        return String(version);
+    }
+
+    try {
+        const response = await raceWithAbortSignal(fetch(url, { method: 'HEAD', signal }), signal, 'Avatar version check');
+        if (!response.ok) {
+            logger.debug('Avatar version check failed, not caching', { url, status: response.status });
+            return null;
+        }
+        const etag = response.headers.get('ETag') ?? response.headers.get('Last-Modified');
+        if (!etag) {
+            logger.debug('No ETag or Last-Modified header, not caching', { url });
+        }
+        return etag;
+    } catch (error) {
+        if (error instanceof AbortError) {
+            throw error;
+        }
+        logger.debug('Avatar version check failed, not caching', { url, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Read an avatar record from the cache
+ *
+ * @param {AssetCache} cache - Asset cache
+ * @param {string} key - Record key (see avatarCacheKey())
+ * @returns {Promise<ArrayBuffer|null>} Record data, or null on a miss or storage failure
+ */
+export async function readAvatarCache(cache, key) {
+    try {
+        const data = await cache.get(key);
+        logger.debug(data ? 'Avatar cache hit' : 'Avatar cache miss', { key });
+        return data;
+    } catch (error) {
+        logger.warn('Failed to read from the avatar cache', { key, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Write an avatar record to the cache, replacing records of other versions of the same package
+ *
+ * @param {AssetCache} cache - Asset cache
+ * @param {string} url - Absolute package URL
+ * @param {string} version - Package version
+ * @param {string} record - Value from AvatarCacheRecord
+ * @param {ArrayBuffer|ArrayBufferView} data - Record data
+ * @returns {Promise<boolean>} True if stored; never rejects
+ */
+export async function writeAvatarCache(cache, url, version, record, data) {
+    try {
+        await cache.deleteWhere(meta => meta.url === url && meta.record === record && meta.version !== version);
+        return await cache.set(avatarCacheKey(url, version, record), data, { url, version, record });
+    } catch (error) {
+        logger.warn('Failed to write to the avatar cache', { url, record, error: error.message });
+        return false;
+    }
+}
+
+/**
+ * Read the cached SplatBuffer of an avatar package
+ *
+ * @param {AssetCache} [cache] - Asset cache
+ * @param {string} url - Absolute package URL
+ * @param {string|null} version - Version the package is cached under, or null if it is not cached
+ * @returns {Promise<SplatBuffer|null>} Cached SplatBuffer, or null on a miss
+ */
+export async function readCachedSplatBuffer(cache, url, version) {
+    if (!cache || version === null) {
+        return null;
+    }
+    const data = await readAvatarCache(cache, avatarCacheKey(url, version, AvatarCacheRecord.SplatBuffer));
+    if (!data) {
+        return null;
+    }
+    try {
+        return new SplatBuffer(data);
+    } catch (error) {
+        logger.warn('Ignoring unreadable cached SplatBuffer', { url, error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Store the SplatBuffer of an avatar package, without waiting for the write
+ *
+ * @param {AssetCache} [cache] - Asset cache
+ * @param {string} url - Absolute package URL
+ * @param {string|null} version - Version the package is cached under, or null if it is not cached
+ * @param {SplatBuffer} [splatBuffer] - Built SplatBuffer
+ */
+export function cacheSplatBuffer(cache, url, version, splatBuffer) {
+    if (cache && version !== null && splatBuffer?.bufferData) {
+        writeAvatarCache(cache, url, version, AvatarCacheRecord.SplatBuffer, splatBuffer.bufferData);
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * CacheStorageAssetStore - Cache Storage (service worker cache) backend for AssetCache
+ *
+ * Persists records across page loads using the Cache API. Records are stored
+ * as responses under synthetic URLs; their metadata is kept together in a
+ * single JSON index entry, since the Cache API offers no cheap way to list
+ * or update per-entry metadata.
+ */
+
+/* global caches */
+
+import { InitializationError } from '../errors/index.js';
+
+/**
+ * Default cache name
+ */
+export const DEFAULT_CACHE_STORAGE_ASSET_STORE_NAME = 'gsplat-avatar-cache';
+
+// Synthetic origin for record URLs; the Cache API only accepts http(s) requests
+const RECORD_URL_BASE = 'https://gsplat-avatar-cache.invalid/';
+const INDEX_URL = `${RECORD_URL_BASE}index.json`;
+
+/**
+ * Build the synthetic URL of a record
+ * @private
+ * @param {string} key - Record key
+ * @returns {string}
+ */
+function recordUrl(key) {
+    return `${RECORD_URL_BASE}records/${encodeURIComponent(key)}`;
+}
+
+/**
+ * CacheStorageAssetStore - Persistent AssetCache backend
+ */
+export class CacheStorageAssetStore {
+    /**
+     * Check whether Cache Storage is available in this environment
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof caches !== 'undefined' && typeof Response !== 'undefined';
+    }
+
+    /**
+     * Create a CacheStorageAssetStore
+     * @param {object} [options={}] - Options
+     * @param {string} [options.cacheName='gsplat-avatar-cache'] - Cache name
+     */
+    constructor({ cacheName = DEFAULT_CACHE_STORAGE_ASSET_STORE_NAME } = {}) {
+        this.cacheName = cacheName;
+
+        /**
+         * Pending index update; index writes are chained so concurrent updates are not lost
+         * @private
+         */
+        this._indexUpdate = Promise.resolve();
+    }
+
+    /**
+     * Open the cache
+     * @private
+     * @returns {Promise<Cache>}
+     * @throws {InitializationError} If Cache Storage is unavailable
+     */
+    async _open() {
+        if (!CacheStorageAssetStore.isSupported()) {
+            throw new InitializationError('Cache Storage is not available in this environment', 'CacheStorageAssetStore');
+        }
+        return caches.open(this.cacheName);
+    }
+
+    /**
+     * Read the metadata index
+     * @private
+     * @param {Cache} cache - Opened cache
+     * @returns {Promise<Object<string, object>>} Key to metadata
+     */
+    async _readIndex(cache) {
+        const response = await cache.match(INDEX_URL);
+        if (!response) {
+            return {};
+        }
+        try {
+            return await response.json();
+        } catch {
+            // A corrupt index only loses metadata; orphaned records are overwritten or cleared later
+            return {};
+        }
+    }
+
+    /**
+     * Apply a change to the metadata index
+     * @private
+     * @param {Function} change - Called with the index object; mutates it in place
+     * @returns {Promise<void>}
+     */
+    _updateIndex(change) {
+        const update = this._indexUpdate.then(async () => {
+            const cache = await this._open();
+            const index = await this._readIndex(cache);
+            change(index);
+            await cache.put(INDEX_URL, new Response(JSON.stringify(index), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        });
+        this._indexUpdate = update.catch(() => {});
+        return update;
+    }
+
+    /**
+     * List the metadata of every stored record
+     * @returns {Promise<object[]>} Record metadata ({key, size, lastAccess, ...})
+     */
+    async list() {
+        await this._indexUpdate;
+        return Object.values(await this._readIndex(await this._open()));
+    }
+
+    /**
+     * Read a record's data
+     * @param {string} key - Record key
+     * @returns {Promise<ArrayBuffer|undefined>} Data, or undefined if not stored
+     */
+    async get(key) {
+        const response = await (await this._open()).match(recordUrl(key));
+        return response ? response.arrayBuffer() : undefined;
+    }
+
+    /**
+     * Store a record, replacing any record with the same key
+     * @param {string} key - Record key
+     * @param {ArrayBuffer} data - Record data
+     * @param {object} meta - Record metadata
+     * @returns {Promise<void>}
+     */
+    async put(key, data, meta) {
+        const cache = await this._open();
+        await cache.put(recordUrl(key), new Response(data, {
+            headers: { 'Content-Type': 'application/octet-stream' }
+        }));
+        await this._updateIndex((index) => {
+            index[key] = { ...meta, key };
+        });
+    }
+
+    /**
+     * Update the last access time of a record
+     * @param {string} key - Record key
+     * @param {number} lastAccess - Access time (ms since epoch)
+     * @returns {Promise<void>}
+     */
+    touch(key, lastAccess) {
+        return this._updateIndex((index) => {
+            if (index[key]) {
+                index[key].lastAccess = lastAccess;
+            }
+        });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await (await this._open()).delete(recordUrl(key));
+        await this._updateIndex((index) => {
+            delete index[key];
+        });
+    }
+
+    /**
+     * Delete every record
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this._indexUpdate;
+        if (CacheStorageAssetStore.isSupported()) {
+            await caches.delete(this.cacheName);
+        }
+    }
+}
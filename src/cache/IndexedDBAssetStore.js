@@ -0,0 +1,176 @@
+/**
+ * IndexedDBAssetStore - IndexedDB storage backend for AssetCache
+ *
+ * Persists records across page loads. Data and metadata live in separate
+ * object stores so the cache index can be read, and access times updated,
+ * without loading the (large) record data.
+ */
+
+/* global indexedDB */
+
+import { InitializationError } from '../errors/index.js';
+
+const DATA_STORE = 'data';
+const META_STORE = 'meta';
+
+/**
+ * Default IndexedDB database name
+ */
+export const DEFAULT_INDEXEDDB_ASSET_STORE_NAME = 'gsplat-avatar-cache';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @private
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDBAssetStore - Persistent AssetCache backend
+ */
+export class IndexedDBAssetStore {
+    /**
+     * Check whether IndexedDB is available in this environment
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Create an IndexedDBAssetStore
+     * @param {object} [options={}] - Options
+     * @param {string} [options.dbName='gsplat-avatar-cache'] - Database name
+     */
+    constructor({ dbName = DEFAULT_INDEXEDDB_ASSET_STORE_NAME } = {}) {
+        this.dbName = dbName;
+
+        /**
+         * Promise of the opened database
+         * @private
+         */
+        this._dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating its object stores on first use
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     * @throws {InitializationError} If IndexedDB is unavailable or the database cannot be opened
+     */
+    _open() {
+        if (!this._dbPromise) {
+            if (!IndexedDBAssetStore.isSupported()) {
+                return Promise.reject(new InitializationError('IndexedDB is not available in this environment',
+                    'IndexedDBAssetStore'));
+            }
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(DATA_STORE);
+                request.result.createObjectStore(META_STORE, { keyPath: 'key' });
+            };
+            this._dbPromise = requestToPromise(request).catch((error) => {
+                this._dbPromise = null;
+                throw new InitializationError(`Failed to open IndexedDB database '${this.dbName}': ${error?.message}`,
+                    'IndexedDBAssetStore', error);
+            });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * Run a function in a transaction and wait for the transaction to complete
+     * @private
+     * @param {string[]} storeNames - Object stores used by the transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - Called with the object stores, in storeNames order; may return a request
+     * @returns {Promise<*>} Result of the request returned by fn, if any
+     */
+    async _transaction(storeNames, mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const request = fn(...storeNames.map(name => transaction.objectStore(name)));
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * List the metadata of every stored record
+     * @returns {Promise<object[]>} Record metadata ({key, size, lastAccess, ...})
+     */
+    list() {
+        return this._transaction([META_STORE], 'readonly', meta => meta.getAll());
+    }
+
+    /**
+     * Read a record's data
+     * @param {string} key - Record key
+     * @returns {Promise<ArrayBuffer|undefined>} Data, or undefined if not stored
+     */
+    get(key) {
+        return this._transaction([DATA_STORE], 'readonly', data => data.get(key));
+    }
+
+    /**
+     * Store a record, replacing any record with the same key
+     * @param {string} key - Record key
+     * @param {ArrayBuffer} data - Record data
+     * @param {object} meta - Record metadata
+     * @returns {Promise<void>}
+     */
+    async put(key, data, meta) {
+        await this._transaction([DATA_STORE, META_STORE], 'readwrite', (dataStore, metaStore) => {
+            dataStore.put(data, key);
+            metaStore.put({ ...meta, key });
+        });
+    }
+
+    /**
+     * Update the last access time of a record
+     * @param {string} key - Record key
+     * @param {number} lastAccess - Access time (ms since epoch)
+     * @returns {Promise<void>}
+     */
+    async touch(key, lastAccess) {
+        await this._transaction([META_STORE], 'readwrite', (metaStore) => {
+            const request = metaStore.get(key);
+            request.onsuccess = () => {
+                if (request.result) {
+                    metaStore.put({ ...request.result, lastAccess });
+                }
+            };
+        });
+    }
+
+    /**
+     * Delete a record
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this._transaction([DATA_STORE, META_STORE], 'readwrite', (dataStore, metaStore) => {
+            dataStore.delete(key);
+            metaStore.delete(key);
+        });
+    }
+
+    /**
+     * Delete every record
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this._transaction([DATA_STORE, META_STORE], 'readwrite', (dataStore, metaStore) => {
+            dataStore.clear();
+            metaStore.clear();
+        });
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * MemoryAssetStore - In-memory storage backend for AssetCache
+ *
+ * Keeps records in a Map for the lifetime of the page (or Node process).
+ * Data is copied on the way in and out, matching the structured-clone
+ * semantics of the persistent backends so callers can never alter a cached
+ * record by mutating a buffer they received.
+ */
+
+/**
+ * MemoryAssetStore - Non-persistent AssetCache backend
+ */
+export class MemoryAssetStore {
+    constructor() {
+        /**
+         * Map of key to {data, meta}
+         * @private
+         */
+        this._records = new Map();
+    }
+
+    /**
+     * List the metadata of every stored record
+     * @returns {Promise<object[]>} Record metadata ({key, size, lastAccess, ...})
+     */
+    async list() {
+        return Array.from(this._records.values(), record => ({ ...record.meta }));
+    }
+
+    /**
+     * Read a record's data
+     * @param {string} key - Record key
+     * @returns {Promise<ArrayBuffer|undefined>} Copy of the data, or undefined if not stored
+     */
+    async get(key) {
+        return this._records.get(key)?.data.slice(0);
+    }
+
+    /**
+     * Store a record, replacing any record with the same key
+     * @param {string} key - Record key
+     * @param {ArrayBuffer} data - Record data
+     * @param {object} meta - Record metadata
+     * @returns {Promise<void>}
+     */
+    async put(key, data, meta) {
+        this._records.set(key, { data: data.slice(0), meta: { ...meta } });
+    }
+
+    /**
+     * Update the last access time of a record
+     * @param {string} key - Record key
+     * @param {number} lastAccess - Access time (ms since epoch)
+     * @returns {Promise<void>}
+     */
+    async touch(key, lastAccess) {
+        const record = this._records.get(key);
+        if (record) {
+            record.meta.lastAccess = lastAccess;
+        }
+    }
+
+    /**
+     * Delete a record
+     * @param {string} key - Record key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        this._records.delete(key);
+    }
+
+    /**
+     * Delete every record
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this._records.clear();
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * gsplat-flame-avatar - Cache Module
+ * Persistent, size-bounded caching of avatar assets.
+ */
+
+export {
+    DEFAULT_ASSET_CACHE_MAX_BYTES,
+    createDefaultAssetStore,
+    AssetCache
+} from './AssetCache.js';
+
+export { MemoryAssetStore } from './MemoryAssetStore.js';
+
+export {
+    DEFAULT_INDEXEDDB_ASSET_STORE_NAME,
+    IndexedDBAssetStore
+} from './IndexedDBAssetStore.js';
+
+export {
+    DEFAULT_CACHE_STORAGE_ASSET_STORE_NAME,
+    CacheStorageAssetStore
+} from './CacheStorageAssetStore.js';
+
+export {
+    AvatarCacheRecord,
+    avatarCacheKey,
+    resolveAvatarCacheVersion,
+    readAvatarCache,
+    writeAvatarCache,
+    readCachedSplatBuffer,
+    cacheSplatBuffer
+} from './AvatarCache.js';
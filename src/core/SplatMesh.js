@@ -378,6 +378,9 @@ export class SplatMesh extends Mesh {
 
         // Degree 0 means no spherical harmonics
         this.sphericalHarmonicsDegree = sphericalHarmonicsDegree;
+
+        // Animation clock driving the fade-in time uniforms; the wall clock when not set
+        this.clock = null;
         this.minSphericalHarmonicsDegree = 0;
 
         this.sceneFadeInRateMultiplier = sceneFadeInRateMultiplier;
@@ -1743,12 +1746,20 @@ export class SplatMesh extends Mesh {
         this.material.uniforms.visibleRegionFadeStartRadius.value = this.visibleRegionFadeStartRadius;
         this.material.uniforms.visibleRegionRadius.value = this.visibleRegionRadius;
         this.material.uniforms.firstRenderTime.value = this.firstRenderTime;
-        this.material.uniforms.currentTime.value = performance.now();
+        this.material.uniforms.currentTime.value = this.getCurrentTime();
         this.material.uniforms.fadeInComplete.value = shaderFadeInComplete;
         this.material.uniformsNeedUpdate = true;
         this.visibleRegionChanging = !fadeInComplete;
     }
 
+    /**
+     * Current time for the fade-in uniforms
+     * @returns {number} Time in milliseconds, from the animation clock when one is set
+     */
+    getCurrentTime() {
+        return this.clock ? this.clock.time * 1000 : performance.now();
+    }
+
     /**
      * Set the indexes of splats that should be rendered; should be sorted in desired render order.
      * @param {Uint32Array} globalIndexes Sorted index list of splats to be rendered
@@ -1759,7 +1770,7 @@ export class SplatMesh extends Mesh {
         const geometry = this.geometry;
         geometry.attributes.splatIndex.set(globalIndexes);
         geometry.attributes.splatIndex.needsUpdate = true;
-        if (renderSplatCount > 0 && this.firstRenderTime === -1) this.firstRenderTime = performance.now();
+        if (renderSplatCount > 0 && this.firstRenderTime === -1) this.firstRenderTime = this.getCurrentTime();
         geometry.instanceCount = renderSplatCount;
         geometry.setDrawRange(0, renderSplatCount);
     }
@@ -113,6 +113,7 @@ export class Viewer {
    * @param {Array<number>} [options.initialCameraPosition=[0, 10, 15]] - Initial camera position
    * @param {Array<number>} [options.initialCameraRotation=[0, 0, 0]] - Initial camera rotation
    * @param {Array<number>} [options.initialCameraLookAt=[0, 0, 0]] - Initial camera look-at point
+   * @param {number} [options.cameraFov=THREE_CAMERA_FOV] - Vertical field of view of the viewer's own perspective camera, in degrees
    * @param {boolean} [options.dropInMode=false] - If true, viewer is used as a Three.js scene object
    * @param {boolean} [options.selfDrivenMode=true] - If true, viewer manages its own render loop
    * @param {boolean} [options.useBuiltInControls=true] - If true, uses OrbitControls
@@ -151,12 +152,20 @@ export class Viewer {
     // Iris occlusion configuration for FLAME avatars
     this.irisOcclusionConfig = options.irisOcclusionConfig || null;
 
+    // Animation clock (AnimationClock) for the splat fade-in time; the wall clock when not given
+    this.clock = options.clock || null;
+
     // The initial focal point of the camera and center of the camera's orbit (only used when the viewer uses its own camera).
+    // When given explicitly, the camera is aimed at it instead of using 'initialCameraRotation'.
+    this.aimCameraAtInitialLookAt = !!options.initialCameraLookAt;
     if (!options.initialCameraLookAt) options.initialCameraLookAt = [0, 0, 0];
     this.initialCameraLookAt = new Vector3().fromArray(
       options.initialCameraLookAt
     );
 
+    // Vertical field of view of the perspective camera (only used when the viewer uses its own camera).
+    this.cameraFov = options.cameraFov || THREE_CAMERA_FOV;
+
     // 'dropInMode' is a flag that is used internally to support the usage of the viewer as a Three.js scene object
     this.dropInMode = options.dropInMode || false;
 
@@ -453,6 +462,7 @@ export class Viewer {
     // Config is now set via constructor parameter
     // this.splatMesh.irisOcclusionConfig = this.irisOcclusionConfig;
     this.splatMesh.frustumCulled = false;
+    this.splatMesh.clock = this.clock;
     if (this.onSplatMeshChangedCallback) this.onSplatMeshChangedCallback();
   }
 
@@ -496,7 +506,7 @@ export class Viewer {
       this.getRenderDimensions(renderDimensions);
 
       this.perspectiveCamera = new PerspectiveCamera(
-        THREE_CAMERA_FOV,
+        this.cameraFov,
         renderDimensions.x / renderDimensions.y,
         0.1,
         1000
@@ -512,15 +522,63 @@ export class Viewer {
       this.camera = this.startInOrthographicMode
         ? this.orthographicCamera
         : this.perspectiveCamera;
-      this.camera.position.copy(this.initialCameraPosition);
       // this.camera.up.copy(this.cameraUp).normalize()
-      // this.camera.lookAt(this.initialCameraLookAt)
+      this.applyInitialCameraPose();
+    }
+  }
+
+  /**
+   * Move the viewer's own camera to the initial position, and aim it at the initial look-at point or apply the
+   * initial rotation (in degrees).
+   */
+  applyInitialCameraPose() {
+    this.camera.position.copy(this.initialCameraPosition);
+    this.camera.quaternion.identity();
+    if (this.aimCameraAtInitialLookAt) {
+      this.camera.lookAt(this.initialCameraLookAt);
+    } else {
       this.camera.rotateX(MathUtils.degToRad(this.initialCameraRotation.x));
       this.camera.rotateY(MathUtils.degToRad(this.initialCameraRotation.y));
       this.camera.rotateZ(MathUtils.degToRad(this.initialCameraRotation.z));
     }
   }
 
+  /**
+   * Replace the initial camera pose and move the camera to it. Has no effect on an external camera.
+   * @param {object} pose Camera pose: {
+   *
+   *         position (Array<number>):  Camera position
+   *
+   *         rotation (Array<number>):  Camera rotation in degrees, used when no look-at point is given
+   *
+   *         lookAt (Array<number>):    Point to aim the camera at, or null to use 'rotation'
+   *
+   *         fov (number):              Vertical field of view in degrees
+   * }
+   */
+  setCameraPose({ position, rotation, lookAt = null, fov } = {}) {
+    if (this.usingExternalCamera) return
+    if (position) this.initialCameraPosition.fromArray(position);
+    if (rotation) this.initialCameraRotation.fromArray(rotation);
+    this.aimCameraAtInitialLookAt = !!lookAt;
+    if (lookAt) this.initialCameraLookAt.fromArray(lookAt);
+    if (fov) {
+      this.cameraFov = fov;
+      this.perspectiveCamera.fov = fov;
+      this.perspectiveCamera.updateProjectionMatrix();
+    }
+    this.applyInitialCameraPose();
+  }
+
+  /**
+   * Change the color the canvas is cleared to
+   * @param {number} backgroundColor Color as a number, e.g. 0xffffff
+   */
+  setBackgroundColor(backgroundColor) {
+    this.backgroundColor = backgroundColor;
+    if (this.renderer) this.renderer.setClearColor(backgroundColor, 1.0);
+  }
+
   setupRenderer() {
     if (!this.usingExternalRenderer) {
       const renderDimensions = new Vector2();
@@ -960,6 +1018,12 @@ export class Viewer {
    *
    *         onProgress:                 Function to be called as file data are received, or other processing occurs
    *
+   *         onSplatBufferBuilt:         Function called as (firstBuild, finalBuild) when a splat buffer (or progressively
+   *                                     loaded section of one) is ready to be added to the splat mesh
+   *
+   *         onSplatMeshBuilt:           Function called as (firstBuild, finalBuild) once the splat buffer's data have been
+   *                                     written to the splat mesh's data textures, before the first sort
+   *
    *         headers:                    Optional HTTP headers to be sent along with splat requests
    * }
    * @return {Promise}
@@ -1081,6 +1145,8 @@ export class Viewer {
     const buildSection = (splatBuffer, firstBuild, finalBuild) => {
       if (!progressiveLoad && options.onProgress)
         options.onProgress(0, '0%', LoaderStatus.Processing);
+      if (options.onSplatBufferBuilt)
+        options.onSplatBufferBuilt(firstBuild, finalBuild);
       const addSplatBufferOptions = {
         rotation: options.rotation || options.orientation,
         position: options.position,
@@ -1094,7 +1160,11 @@ export class Viewer {
         firstBuild && showLoadingUI,
         showLoadingUI,
         progressiveLoad,
-        progressiveLoad
+        progressiveLoad,
+        true,
+        options.onSplatMeshBuilt
+          ? () => options.onSplatMeshBuilt(firstBuild, finalBuild)
+          : undefined
       ).then(() => {
         if (!progressiveLoad && options.onProgress)
           options.onProgress(100, '100%', LoaderStatus.Processing);
@@ -1481,6 +1551,8 @@ export class Viewer {
   /**
    * Add one or more instances of SplatBuffer to the SplatMesh instance managed by the viewer and set up the sorting web worker.
    * This function will terminate the existing sort worker (if there is one).
+   * The returned promise resolves once the first sort of the new splats has completed. 'onMeshBuilt', if given, is called
+   * earlier, as soon as the splat data have been written to the splat mesh's data textures.
    */
   addSplatBuffers = (
     splatBuffers,
@@ -1490,7 +1562,8 @@ export class Viewer {
     showLoadingUIForSplatTreeBuild = true,
     replaceExisting = false,
     enableRenderBeforeFirstSort = false,
-    preserveVisibleRegion = true
+    preserveVisibleRegion = true,
+    onMeshBuilt = undefined
   ) => {
     if (this.isDisposingOrDisposed()) return Promise.resolve()
 
@@ -1521,6 +1594,13 @@ export class Viewer {
             replaceExisting,
             preserveVisibleRegion
           );
+          if (onMeshBuilt) {
+            try {
+              onMeshBuilt();
+            } catch (error) {
+              logger.warn('Error in onMeshBuilt callback', error);
+            }
+          }
 
           const maxSplatCount = this.splatMesh.getMaxSplatCount();
           if (
@@ -1904,6 +1984,54 @@ export class Viewer {
     return this.splatSceneRemovalPromise
   }
 
+  /**
+   * Remove the current avatar -- splat mesh, skin model and sort worker -- while keeping the renderer, camera and
+   * canvas alive, leaving an empty splat mesh ready for the next avatar's splat buffers.
+   * @param {object} irisOcclusionConfig Iris occlusion configuration for the next avatar, or null
+   * @return {Promise} Resolves once any in-flight sort has finished and the old avatar's resources are released
+   */
+  async clearAvatar(irisOcclusionConfig = null) {
+    if (this.isLoadingOrUnloading()) {
+      throw new Error(
+        'Cannot clear avatar while a load or unload is already in progress.'
+      )
+    }
+
+    if (this.isDisposingOrDisposed()) {
+      throw new Error('Cannot clear avatar after dispose() is called.')
+    }
+
+    this.splatRenderReady = false;
+    if (this.sortPromise) await this.sortPromise;
+    if (this.isDisposingOrDisposed()) return
+
+    this.disposeSortWorker();
+    this.splatMesh.dispose();
+
+    if (this.avatarMesh) {
+      // The skinned mesh lives inside the skin model's scene graph, which is what was added to the scene
+      let avatarRoot = this.avatarMesh;
+      while (avatarRoot.parent && avatarRoot.parent !== this.threeScene) {
+        avatarRoot = avatarRoot.parent;
+      }
+      this.threeScene.remove(avatarRoot);
+      disposeAllMeshes(avatarRoot);
+    }
+
+    this.avatarMesh = null;
+    this.skinModel = null;
+    this.boneRoot = null;
+    this.sortedIndexes = null;
+    this.gaussianSplatCount = 0;
+    this.totalFrames = 0;
+    this.frame = 0;
+    this.setSkinAttibutes = false;
+    this.preSortMessages = [];
+
+    this.irisOcclusionConfig = irisOcclusionConfig;
+    this.createSplatMesh();
+  }
+
   /**
    * Start self-driven mode
    */
@@ -183,3 +183,24 @@ export class ConfigurationError extends ApplicationError {
         this.configKey = configKey;
     }
 }
+
+/**
+ * AbortError - Thrown when an operation is cancelled through an AbortSignal
+ *
+ * Used for user-initiated cancellation of downloads, unpacking and scene loading.
+ * Shares its name with the DOM AbortError so existing `error.name === 'AbortError'`
+ * checks keep working.
+ *
+ * @extends ApplicationError
+ */
+export class AbortError extends ApplicationError {
+    /**
+     * Create an AbortError
+     * @param {string} [message='Operation was aborted'] - Description of the aborted operation
+     * @param {*} [reason] - Abort reason supplied to AbortController.abort()
+     */
+    constructor(message = 'Operation was aborted', reason = undefined) {
+        super(message, 'ABORTED', reason instanceof Error ? reason : null);
+        this.reason = reason;
+    }
+}
@@ -13,5 +13,6 @@ export {
     ResourceDisposedError,
     InitializationError,
     ParseError,
-    ConfigurationError
+    ConfigurationError,
+    AbortError
 } from './ApplicationError.js';
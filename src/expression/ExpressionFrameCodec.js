@@ -0,0 +1,278 @@
+/**
+ * ExpressionFrameCodec - Compact binary wire format for blendshape frames
+ *
+ * A frame of 52 named weights is about 1.5 KB of JSON; in this format it is
+ * at most 85 bytes with 8-bit weights (137 with 16-bit weights and both
+ * rotations), and far less when most channels are at rest. The same
+ * functions run in Node and the browser, so a backend and the renderer
+ * share one implementation.
+ *
+ * Layout (version 1, little-endian):
+ *
+ *   offset  size  field
+ *   0       1     magic, 0xEF
+ *   1       1     version, 1
+ *   2       1     flags: bit 0 16-bit weights (else 8-bit), bit 1 head rotation, bit 2 eye rotations
+ *   3       1     channel count N of the channel table (52, the order of ARKitBlendshapes)
+ *   4       8     time in seconds, float64
+ *   12      ⌈N/8⌉ channel mask: bit i of byte i >> 3 set when channel i is present
+ *   ...     1|2   weight of each present channel in table order, 0-1 as uint8 / 255 or uint16 / 65535
+ *   ...     6     head rotation, if flagged: pitch, yaw, roll as int16, radians * 32767 / π
+ *   ...     8     eye rotations, if flagged: left pitch, yaw, right pitch, yaw as int16, radians * 32767 / π
+ *
+ * Channels left out of the mask decode as absent, which the renderer and
+ * ExpressionStream treat as 0. Both ends can agree on another channel table
+ * with the channels option; the header then holds its length.
+ */
+
+import { ValidationError, ParseError } from '../errors/index.js';
+import { ARKitBlendshapes } from '../renderer/AppConstants.js';
+
+/**
+ * Wire format version written by encodeExpressionFrame()
+ */
+export const EXPRESSION_FRAME_VERSION = 1;
+
+/**
+ * First byte of every frame
+ * @private
+ */
+const MAGIC = 0xEF;
+
+/**
+ * Header flags
+ * @private
+ */
+const FLAG_16_BIT = 0x01;
+const FLAG_HEAD = 0x02;
+const FLAG_EYES = 0x04;
+
+/**
+ * Bytes before the channel mask
+ * @private
+ */
+const HEADER_SIZE = 12;
+
+/**
+ * Scale of the quantized angles
+ * @private
+ */
+const ANGLE_SCALE = 32767 / Math.PI;
+
+/**
+ * Channel index by name of the default table
+ * @private
+ */
+const ARKIT_INDEX = new Map(ARKitBlendshapes.map((name, index) => [name, index]));
+
+/**
+ * Channel index by name of a channel table
+ * @private
+ */
+function channelIndex(channels) {
+    if (channels === ARKitBlendshapes) {
+        return ARKIT_INDEX;
+    }
+    if (!Array.isArray(channels) || channels.length > 255 || !channels.every(name => typeof name === 'string')) {
+        throw new ValidationError('channels must be an array of at most 255 names', 'channels');
+    }
+    return new Map(channels.map((name, index) => [name, index]));
+}
+
+/**
+ * @private
+ */
+function validateAngles(value, names, field) {
+    if (value === null || typeof value !== 'object') {
+        throw new ValidationError(`${field} must be an object of ${names.join(', ')} in radians`, field);
+    }
+    names.forEach((name) => {
+        if (typeof value[name] !== 'number' || !Number.isFinite(value[name])) {
+            throw new ValidationError(`${field}.${name} must be a number of radians`, `${field}.${name}`);
+        }
+    });
+}
+
+/**
+ * @private
+ */
+const writeAngle = (view, offset, angle) => {
+    const wrapped = Math.atan2(Math.sin(angle), Math.cos(angle));
+    view.setInt16(offset, Math.round(Math.min(Math.max(wrapped * ANGLE_SCALE, -32767), 32767)), true);
+};
+
+/**
+ * @private
+ */
+const readAngle = (view, offset) => view.getInt16(offset, true) / ANGLE_SCALE;
+
+/**
+ * Encode a blendshape frame
+ *
+ * @param {object} frame - Frame to encode
+ * @param {number} frame.time - Time in seconds
+ * @param {object} frame.weights - Weights by ARKit blendshape name (see ARKitBlendshapes), clamped to 0-1
+ * @param {{pitch: number, yaw: number, roll: number}} [frame.head] - Head rotation in radians
+ * @param {{left: {pitch: number, yaw: number}, right: {pitch: number, yaw: number}}} [frame.eyes] - Eye rotations
+ *   in radians
+ * @param {object} [options={}] - Options
+ * @param {number} [options.precision=8] - Bits per weight, 8 or 16
+ * @param {boolean} [options.skipZeros=true] - Leave out channels whose weight quantizes to 0
+ * @param {string[]} [options.channels=ARKitBlendshapes] - Channel table, at most 255 names
+ * @returns {Uint8Array} Encoded frame
+ * @throws {ValidationError} If the frame has a blendshape not in the table, an invalid value or option
+ */
+export function encodeExpressionFrame(frame, options = {}) {
+    const { precision = 8, skipZeros = true, channels: table = ARKitBlendshapes } = options;
+    if (precision !== 8 && precision !== 16) {
+        throw new ValidationError('precision must be 8 or 16', 'precision');
+    }
+    const index = channelIndex(table);
+    if (typeof frame?.time !== 'number' || !Number.isFinite(frame.time)) {
+        throw new ValidationError('frame.time must be a number of seconds', 'time');
+    }
+    const weights = frame.weights;
+    if (weights === null || typeof weights !== 'object' || Array.isArray(weights)) {
+        throw new ValidationError('frame.weights must be an object of blendshape weights by name', 'weights');
+    }
+    if (frame.head !== undefined && frame.head !== null) {
+        validateAngles(frame.head, ['pitch', 'yaw', 'roll'], 'head');
+    }
+    if (frame.eyes !== undefined && frame.eyes !== null) {
+        validateAngles(frame.eyes.left, ['pitch', 'yaw'], 'eyes.left');
+        validateAngles(frame.eyes.right, ['pitch', 'yaw'], 'eyes.right');
+    }
+
+    // Quantize the present channels, in table order
+    const max = precision === 16 ? 65535 : 255;
+    const channels = [];
+    Object.entries(weights).forEach(([name, value]) => {
+        const channel = index.get(name);
+        if (channel === undefined) {
+            throw new ValidationError(`Unknown blendshape '${name}'; not in the channel table`, `weights.${name}`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new ValidationError(`Weight of '${name}' must be a finite number`, `weights.${name}`);
+        }
+        const quantized = Math.round(Math.min(Math.max(value, 0), 1) * max);
+        if (quantized > 0 || !skipZeros) {
+            channels.push([channel, quantized]);
+        }
+    });
+    channels.sort((a, b) => a[0] - b[0]);
+
+    const head = frame.head ?? null;
+    const eyes = frame.eyes ?? null;
+    const weightSize = precision / 8;
+    const maskSize = Math.ceil(table.length / 8);
+    const size = HEADER_SIZE + maskSize + channels.length * weightSize + (head ? 6 : 0) + (eyes ? 8 : 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint8(0, MAGIC);
+    view.setUint8(1, EXPRESSION_FRAME_VERSION);
+    view.setUint8(2, (precision === 16 ? FLAG_16_BIT : 0) | (head ? FLAG_HEAD : 0) | (eyes ? FLAG_EYES : 0));
+    view.setUint8(3, table.length);
+    view.setFloat64(4, frame.time, true);
+
+    let offset = HEADER_SIZE + maskSize;
+    channels.forEach(([channel, quantized]) => {
+        bytes[HEADER_SIZE + (channel >> 3)] |= 1 << (channel & 7);
+        if (precision === 16) {
+            view.setUint16(offset, quantized, true);
+        } else {
+            view.setUint8(offset, quantized);
+        }
+        offset += weightSize;
+    });
+    if (head) {
+        writeAngle(view, offset, head.pitch);
+        writeAngle(view, offset + 2, head.yaw);
+        writeAngle(view, offset + 4, head.roll);
+        offset += 6;
+    }
+    if (eyes) {
+        writeAngle(view, offset, eyes.left.pitch);
+        writeAngle(view, offset + 2, eyes.left.yaw);
+        writeAngle(view, offset + 4, eyes.right.pitch);
+        writeAngle(view, offset + 6, eyes.right.yaw);
+    }
+    return bytes;
+}
+
+/**
+ * Decode a blendshape frame
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data - Encoded frame (a Node Buffer works)
+ * @param {object} [options={}] - Options
+ * @param {string[]} [options.channels=ARKitBlendshapes] - Channel table the frame was encoded with
+ * @returns {{time: number, weights: object, head?: {pitch: number, yaw: number, roll: number},
+ *   eyes?: {left: {pitch: number, yaw: number}, right: {pitch: number, yaw: number}}}} Time in seconds, weights
+ *   of the present channels by name, and the rotations in radians when the frame has them
+ * @throws {ValidationError} If data is not binary or the channel table is invalid
+ * @throws {ParseError} If the data is not a frame, is truncated or has an unsupported version or channel table
+ */
+export function decodeExpressionFrame(data, options = {}) {
+    const { channels: table = ARKitBlendshapes } = options;
+    channelIndex(table);
+    let view;
+    if (data instanceof ArrayBuffer) {
+        view = new DataView(data);
+    } else if (ArrayBuffer.isView(data)) {
+        view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+        throw new ValidationError('Frame data must be an ArrayBuffer or a typed array', 'data');
+    }
+    if (view.byteLength < HEADER_SIZE || view.getUint8(0) !== MAGIC) {
+        throw new ParseError('Not an expression frame', 'expression frame');
+    }
+    const version = view.getUint8(1);
+    if (version !== EXPRESSION_FRAME_VERSION) {
+        throw new ParseError(`Unsupported expression frame version ${version}; ` +
+            `this version reads ${EXPRESSION_FRAME_VERSION}`, 'expression frame');
+    }
+    const flags = view.getUint8(2);
+    const count = view.getUint8(3);
+    if (count !== table.length) {
+        throw new ParseError(`Expression frame has ${count} channels; expected ${table.length}`,
+            'expression frame');
+    }
+
+    const weightSize = flags & FLAG_16_BIT ? 2 : 1;
+    const max = weightSize === 2 ? 65535 : 255;
+    const maskSize = Math.ceil(count / 8);
+    if (view.byteLength < HEADER_SIZE + maskSize) {
+        throw new ParseError('Expression frame is truncated in its channel mask', 'expression frame');
+    }
+    const present = [];
+    for (let index = 0; index < count; index++) {
+        if (view.getUint8(HEADER_SIZE + (index >> 3)) & (1 << (index & 7))) {
+            present.push(index);
+        }
+    }
+    const size = HEADER_SIZE + maskSize + present.length * weightSize +
+        (flags & FLAG_HEAD ? 6 : 0) + (flags & FLAG_EYES ? 8 : 0);
+    if (view.byteLength < size) {
+        throw new ParseError(`Expression frame is truncated: ${view.byteLength} of ${size} bytes`,
+            'expression frame');
+    }
+
+    const frame = { time: view.getFloat64(4, true), weights: {} };
+    let offset = HEADER_SIZE + maskSize;
+    present.forEach((index) => {
+        const quantized = weightSize === 2 ? view.getUint16(offset, true) : view.getUint8(offset);
+        frame.weights[table[index]] = quantized / max;
+        offset += weightSize;
+    });
+    if (flags & FLAG_HEAD) {
+        frame.head = { pitch: readAngle(view, offset), yaw: readAngle(view, offset + 2), roll: readAngle(view, offset + 4) };
+        offset += 6;
+    }
+    if (flags & FLAG_EYES) {
+        frame.eyes = {
+            left: { pitch: readAngle(view, offset), yaw: readAngle(view, offset + 2) },
+            right: { pitch: readAngle(view, offset + 4), yaw: readAngle(view, offset + 6) }
+        };
+    }
+    return frame;
+}
@@ -0,0 +1,351 @@
+/**
+ * ExpressionStream - Jitter buffer for blendshape frames received over a network
+ *
+ * A server streaming ARKit weights at 30-60 Hz delivers them with uneven
+ * gaps, in bursts, sometimes out of order. Showing whatever arrived last
+ * turns that jitter into stutter. An ExpressionStream keeps the frames in a
+ * short playout buffer and plays them a little behind real time, on the
+ * sender's timeline: each rendered frame is interpolated between the two
+ * received frames around the playout time.
+ *
+ * The sender clock is mapped to the local one from the quickest transit
+ * seen (arrival time minus frame time), creeping up slowly to follow clock
+ * drift. The playout delay grows to three times the measured jitter when
+ * the network gets worse. When the buffer runs dry the last motion
+ * continues briefly, then holds, and an underrun is reported.
+ *
+ * Eye gaze and jaw channels are interpolated as rotations: each pair of
+ * opposing channels (eyeLookIn/Out, eyeLookUp/Down, jawLeft/Right with
+ * jawOpen) is turned into a direction and interpolated along the sphere,
+ * so a quick glance sweeps at an even angular speed. All other channels
+ * are interpolated linearly.
+ */
+
+import { ValidationError, ResourceDisposedError } from '../errors/index.js';
+import { getLogger } from '../utils/Logger.js';
+import { TypedEventEmitter } from '../utils/EventEmitter.js';
+
+const logger = getLogger('ExpressionStream');
+
+/**
+ * Events emitted on ExpressionStream.events
+ */
+export const ExpressionStreamEvent = Object.freeze({
+    Underrun: 'underrun',   // {time, frameTime}: playout reached the newest frame; the motion is extrapolated, then held
+    Recovered: 'recovered'  // {duration}: frames are buffered again after an underrun lasting duration seconds
+});
+
+/**
+ * Defaults of the stream options
+ */
+export const DEFAULT_EXPRESSION_STREAM_OPTIONS = Object.freeze({
+    delay: 0.1,             // Playout delay in seconds; the least when adaptive
+    maxDelay: 0.5,          // Largest adaptive playout delay in seconds
+    adaptive: true,         // Grow the delay to three times the measured jitter
+    maxExtrapolation: 0.1,  // Seconds the last motion continues past the newest frame before holding
+    maxFrames: 256,         // Frames kept at most; the oldest are dropped
+    now: null               // Local clock in seconds; performance.now() / 1000 by default
+});
+
+/**
+ * Pairs of opposing channels interpolated as a rotation, and the angle in radians of weight 1
+ * @private
+ */
+const ROTATION_GROUPS = Object.freeze([
+    Object.freeze({ yaw: ['eyeLookOutLeft', 'eyeLookInLeft'], pitch: ['eyeLookUpLeft', 'eyeLookDownLeft'], range: 0.5 }),
+    Object.freeze({ yaw: ['eyeLookInRight', 'eyeLookOutRight'], pitch: ['eyeLookUpRight', 'eyeLookDownRight'], range: 0.5 }),
+    Object.freeze({ yaw: ['jawLeft', 'jawRight'], pitch: ['jawOpen', null], range: 0.4 })
+]);
+
+/**
+ * Weight of transit time changes in the jitter estimate (as in RTP, RFC 3550)
+ * @private
+ */
+const JITTER_GAIN = 1 / 16;
+
+/**
+ * Rate at which the clock offset follows slower transits, per frame
+ * @private
+ */
+const OFFSET_CREEP = 0.01;
+
+/**
+ * @private
+ */
+const clamp01 = value => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Signed angle of a pair of opposing channels
+ * @private
+ */
+const angleOf = (weights, [positive, negative], range) =>
+    ((weights[positive] ?? 0) - (negative ? weights[negative] ?? 0 : 0)) * range;
+
+/**
+ * Write a signed angle back to a pair of opposing channels
+ * @private
+ */
+function writeAngle(weights, [positive, negative], range, angle) {
+    weights[positive] = clamp01(angle / range);
+    if (negative) {
+        weights[negative] = clamp01(-angle / range);
+    }
+}
+
+/**
+ * Interpolate the channels of a rotation group along the sphere
+ * @private
+ */
+function slerpGroup(out, a, b, t, { yaw, pitch, range }) {
+    const direction = (weights) => {
+        const y = angleOf(weights, yaw, range);
+        const p = angleOf(weights, pitch, range);
+        return [Math.sin(y) * Math.cos(p), Math.sin(p), Math.cos(y) * Math.cos(p)];
+    };
+    const from = direction(a);
+    const to = direction(b);
+    const cos = Math.min(Math.max(from[0] * to[0] + from[1] * to[1] + from[2] * to[2], -1), 1);
+    const angle = Math.acos(cos);
+    let v;
+    if (angle < 1e-6) {
+        v = to;
+    } else {
+        const sin = Math.sin(angle);
+        const wa = Math.sin((1 - t) * angle) / sin;
+        const wb = Math.sin(t * angle) / sin;
+        v = from.map((value, i) => value * wa + to[i] * wb);
+    }
+    writeAngle(out, yaw, range, Math.atan2(v[0], v[2]));
+    writeAngle(out, pitch, range, Math.asin(Math.min(Math.max(v[1], -1), 1)));
+}
+
+/**
+ * Interpolate two frames of weights
+ * @private
+ */
+function interpolate(a, b, t) {
+    const out = {};
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach((name) => {
+        const from = a[name] ?? 0;
+        out[name] = from + ((b[name] ?? 0) - from) * t;
+    });
+    ROTATION_GROUPS.forEach((group) => {
+        const names = [...group.yaw, ...group.pitch].filter(Boolean);
+        if (names.some(name => name in a || name in b)) {
+            slerpGroup(out, a, b, t, group);
+        }
+    });
+    return out;
+}
+
+/**
+ * ExpressionStream - Buffers timestamped blendshape frames and plays them back smoothly
+ */
+export class ExpressionStream {
+    /**
+     * Create an ExpressionStream
+     *
+     * @param {object} [options={}] - Options (see DEFAULT_EXPRESSION_STREAM_OPTIONS)
+     * @throws {ValidationError} If an option is invalid
+     */
+    constructor(options = {}) {
+        const resolved = { ...DEFAULT_EXPRESSION_STREAM_OPTIONS, ...options };
+        ['delay', 'maxExtrapolation'].forEach((key) => {
+            if (typeof resolved[key] !== 'number' || !(resolved[key] >= 0) || !Number.isFinite(resolved[key])) {
+                throw new ValidationError(`${key} must be a non-negative number of seconds`, key);
+            }
+        });
+        if (typeof resolved.maxDelay !== 'number' || !(resolved.maxDelay >= resolved.delay)) {
+            throw new ValidationError('maxDelay must be a number of seconds, at least delay', 'maxDelay');
+        }
+        if (!Number.isInteger(resolved.maxFrames) || resolved.maxFrames < 2) {
+            throw new ValidationError('maxFrames must be an integer of at least 2', 'maxFrames');
+        }
+        if (resolved.now !== null && typeof resolved.now !== 'function') {
+            throw new ValidationError('now must be a function returning seconds', 'now');
+        }
+
+        this.options = resolved;
+        this.events = new TypedEventEmitter(Object.values(ExpressionStreamEvent));
+        this._now = resolved.now ?? (() => performance.now() / 1000);
+        this._disposed = false;
+        this.reset();
+    }
+
+    /**
+     * Drop the buffered frames and timing estimates, e.g. when the connection is re-established
+     */
+    reset() {
+        this._frames = [];
+        this._offset = null;
+        this._lastTransit = null;
+        this._jitter = 0;
+        this._playoutTime = -Infinity;
+        this._underrunSince = null;
+        this._stats = { received: 0, late: 0, dropped: 0, underruns: 0 };
+    }
+
+    /**
+     * Current playout delay in seconds
+     * @returns {number}
+     */
+    get delay() {
+        const { delay, maxDelay, adaptive } = this.options;
+        return adaptive ? Math.min(Math.max(delay, 3 * this._jitter), maxDelay) : delay;
+    }
+
+    /**
+     * Whether the playout time has passed the newest frame
+     * @returns {boolean}
+     */
+    get underrun() {
+        return this._underrunSince !== null;
+    }
+
+    /**
+     * Counters and estimates of the stream
+     *
+     * @returns {{received: number, late: number, dropped: number, underruns: number, buffered: number,
+     *   delay: number, jitter: number}} Frames received, arrived after their playout time, dropped for exceeding
+     *   maxFrames, underruns so far, frames ahead of the playout time, playout delay and jitter in seconds
+     */
+    get stats() {
+        const buffered = this._frames.filter(frame => frame.time > this._playoutTime).length;
+        return { ...this._stats, buffered, delay: this.delay, jitter: this._jitter };
+    }
+
+    /**
+     * Add a received frame
+     *
+     * @param {{time?: number, weights: object}} frame - Blendshape weights by name (ARKit names), and the time in
+     *   seconds the sender captured them, on any clock of its own; the arrival time when omitted
+     * @returns {boolean} False if the frame arrived after its playout time and was dropped
+     * @throws {ValidationError} If the frame is invalid
+     * @throws {ResourceDisposedError} If the stream has been disposed
+     */
+    push(frame) {
+        this._assertNotDisposed();
+        const weights = frame?.weights;
+        if (weights === null || typeof weights !== 'object' || Array.isArray(weights)) {
+            throw new ValidationError('frame.weights must be an object of blendshape weights by name', 'weights');
+        }
+        const arrival = this._now();
+        const time = frame.time ?? arrival;
+        if (typeof time !== 'number' || !Number.isFinite(time)) {
+            throw new ValidationError('frame.time must be a number of seconds', 'time');
+        }
+        this._stats.received++;
+
+        // Clock offset from the quickest transit; jitter from transit changes between frames
+        const transit = arrival - time;
+        if (this._offset === null || transit < this._offset) {
+            this._offset = transit;
+        } else {
+            this._offset += (transit - this._offset) * OFFSET_CREEP;
+        }
+        if (this._lastTransit !== null) {
+            this._jitter += (Math.abs(transit - this._lastTransit) - this._jitter) * JITTER_GAIN;
+        }
+        this._lastTransit = transit;
+
+        if (time <= this._playoutTime) {
+            this._stats.late++;
+            return false;
+        }
+
+        // Insert in time order; a frame with the same time replaces the buffered one
+        const frames = this._frames;
+        let index = frames.length;
+        while (index > 0 && frames[index - 1].time > time) index--;
+        if (index > 0 && frames[index - 1].time === time) {
+            frames[index - 1] = { time, weights: { ...weights } };
+        } else {
+            frames.splice(index, 0, { time, weights: { ...weights } });
+        }
+        if (frames.length > this.options.maxFrames) {
+            frames.splice(0, frames.length - this.options.maxFrames);
+            this._stats.dropped++;
+        }
+        return true;
+    }
+
+    /**
+     * Weights at the playout time of a local time
+     *
+     * @param {number} [now] - Local time in seconds on the clock of the now option; the current time by default
+     * @returns {object|null} Blendshape weights by name, or null before the first frame has arrived
+     */
+    sample(now = this._now()) {
+        const frames = this._frames;
+        if (this._disposed || frames.length === 0) {
+            return null;
+        }
+        const time = now - this._offset - this.delay;
+        this._playoutTime = Math.max(this._playoutTime, time);
+
+        // Drop the frames played, keeping one to interpolate from and two to extrapolate from
+        let current = 0;
+        while (current + 1 < frames.length && frames[current + 1].time <= time) current++;
+        const played = Math.min(current, frames.length - 2);
+        if (played > 0) {
+            frames.splice(0, played);
+            current -= played;
+        }
+
+        const newest = frames[frames.length - 1];
+        if (time < newest.time) {
+            if (this._underrunSince !== null) {
+                const duration = now - this._underrunSince;
+                this._underrunSince = null;
+                logger.debug('Expression stream recovered', { duration });
+                this.events.emit(ExpressionStreamEvent.Recovered, { duration });
+            }
+            const a = frames[current];
+            const b = frames[current + 1];
+            if (time <= a.time) {
+                return { ...a.weights };
+            }
+            return interpolate(a.weights, b.weights, (time - a.time) / (b.time - a.time));
+        }
+
+        if (this._underrunSince === null) {
+            this._underrunSince = now;
+            this._stats.underruns++;
+            logger.debug('Expression stream underrun', { time, frameTime: newest.time });
+            this.events.emit(ExpressionStreamEvent.Underrun, { time, frameTime: newest.time });
+        }
+        const previous = frames.length > 1 ? frames[frames.length - 2] : null;
+        if (!previous || this.options.maxExtrapolation === 0) {
+            return { ...newest.weights };
+        }
+
+        // Continue the last motion for a moment, then hold
+        const ahead = Math.min(time - newest.time, this.options.maxExtrapolation);
+        const weights = interpolate(previous.weights, newest.weights, 1 + ahead / (newest.time - previous.time));
+        Object.keys(weights).forEach((name) => {
+            weights[name] = clamp01(weights[name]);
+        });
+        return weights;
+    }
+
+    /**
+     * Release the buffer and listeners
+     */
+    dispose() {
+        if (this._disposed) return;
+        this._disposed = true;
+        this._frames = [];
+        this.events.dispose();
+    }
+
+    /**
+     * @private
+     */
+    _assertNotDisposed() {
+        if (this._disposed) {
+            throw new ResourceDisposedError('ExpressionStream');
+        }
+    }
+}
+
+export default ExpressionStream;
@@ -0,0 +1,400 @@
+/**
+ * SessionFormat - Serialization of recorded renderer sessions
+ *
+ * A session is a plain object, so JSON.stringify() writes it and
+ * parseSession() reads it back:
+ *
+ *   {
+ *     version: 1,
+ *     meta: { characterName, recordedAt, ... },
+ *     channels: ['browDownLeft', ...],     // expression channel table
+ *     frames: [{
+ *       time,                  // seconds since the recording started
+ *       animationTime,         // renderer animation time (baked frames, idle motion)
+ *       weights: [...],        // expression weights in channel order; missing trailing channels are 0
+ *       chatState?,            // state name, on the first frame and when it changed
+ *       gaze?,                 // {type: 'world'|'screen', x, y, z} or null, when it changed
+ *       camera?,               // {position: [x, y, z], quaternion: [x, y, z, w], fov, target?: [x, y, z]},
+ *                              //   when it changed
+ *       clips?                 // skeleton clips playing: [{clip, time, weight, index?, gesture?, additive?}],
+ *     }]                       //   on every frame rendered with an animation mixer
+ *   }
+ *
+ * A clip entry names an animation clip or, with gesture: true, a gesture
+ * (additive unless additive is false), and gives its time in seconds and its
+ * weight. index tells apart the actions of a clip shared by several states.
+ *
+ * encodeSession() packs the same data in a compact binary container, with
+ * each expression as a 16-bit frame of the ExpressionFrameCodec format:
+ *
+ *   'GSRS' magic, uint8 version, 3 reserved bytes,
+ *   uint32 length + UTF-8 JSON of {meta, channels, clips: [clip names]}, uint32 frame count,
+ *   per frame: float64 animationTime, uint16 length + expression frame,
+ *   uint8 flags (bit 0 chat state, bit 1 gaze, bit 2 camera, bit 3 camera target, bit 4 clips),
+ *   then as flagged: uint16 length + UTF-8 chat state; uint8 gaze kind (0 none, 1 world, 2 screen)
+ *   + 3 float32; 8 float32 camera position, quaternion and fov; 3 float32 camera target;
+ *   uint8 clip count + per clip: uint8 clip name index, uint8 flags (bit 0 gesture, bit 1 additive),
+ *   uint8 index, float32 time, float32 weight.
+ *
+ * Weights are clamped to 0-1 and quantized in the binary form.
+ */
+
+import { ValidationError, ParseError } from '../errors/index.js';
+import { encodeExpressionFrame, decodeExpressionFrame } from './ExpressionFrameCodec.js';
+
+/**
+ * Session format version written by the recorder
+ */
+export const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * @private
+ */
+const MAGIC = 'GSRS';
+
+/**
+ * Frame flags of the binary form
+ * @private
+ */
+const HAS_CHAT_STATE = 0x01;
+const HAS_GAZE = 0x02;
+const HAS_CAMERA = 0x04;
+const HAS_CAMERA_TARGET = 0x08;
+const HAS_CLIPS = 0x10;
+
+/**
+ * Clip flags of the binary form
+ * @private
+ */
+const CLIP_GESTURE = 0x01;
+const CLIP_ADDITIVE = 0x02;
+
+/**
+ * Gaze kinds of the binary form
+ * @private
+ */
+const GAZE_KINDS = Object.freeze([null, 'world', 'screen']);
+
+/**
+ * @private
+ */
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * @private
+ */
+const isVector = (value, length) => Array.isArray(value) && value.length === length && value.every(isFiniteNumber);
+
+/**
+ * @private
+ */
+const isClipEntry = entry => entry !== null && typeof entry === 'object' && typeof entry.clip === 'string' &&
+    isFiniteNumber(entry.time) && isFiniteNumber(entry.weight) &&
+    (entry.index === undefined || (Number.isInteger(entry.index) && entry.index >= 0 && entry.index < 256)) &&
+    (entry.gesture === undefined || typeof entry.gesture === 'boolean') &&
+    (entry.additive === undefined || typeof entry.additive === 'boolean');
+
+/**
+ * Validate a session object
+ *
+ * @param {object} session - Session, as returned by SessionRecorder.stop() or parseSession()
+ * @throws {ValidationError} If the session is malformed or of an unsupported version
+ */
+export function validateSession(session) {
+    if (session === null || typeof session !== 'object') {
+        throw new ValidationError('session must be an object', 'session');
+    }
+    if (session.version !== SESSION_FORMAT_VERSION) {
+        throw new ValidationError(`Unsupported session version ${session.version}; ` +
+            `this version reads ${SESSION_FORMAT_VERSION}`, 'version');
+    }
+    if (!Array.isArray(session.channels) || !session.channels.every(name => typeof name === 'string')) {
+        throw new ValidationError('channels must be an array of blendshape names', 'channels');
+    }
+    if (!Array.isArray(session.frames) || session.frames.length === 0) {
+        throw new ValidationError('frames must be a non-empty array', 'frames');
+    }
+    let previous = -Infinity;
+    session.frames.forEach((frame, i) => {
+        const field = `frames[${i}]`;
+        if (!isFiniteNumber(frame?.time) || frame.time < previous) {
+            throw new ValidationError('time must be a number of seconds, in order', `${field}.time`);
+        }
+        previous = frame.time;
+        if (!isFiniteNumber(frame.animationTime)) {
+            throw new ValidationError('animationTime must be a number of seconds', `${field}.animationTime`);
+        }
+        if (!Array.isArray(frame.weights) || frame.weights.length > session.channels.length ||
+            !frame.weights.every(isFiniteNumber)) {
+            throw new ValidationError('weights must be an array of numbers, one per channel', `${field}.weights`);
+        }
+        if (frame.chatState !== undefined && typeof frame.chatState !== 'string') {
+            throw new ValidationError('chatState must be a string', `${field}.chatState`);
+        }
+        const gaze = frame.gaze;
+        if (gaze !== undefined && gaze !== null && (!GAZE_KINDS.includes(gaze.type) || gaze.type === null ||
+            !isFiniteNumber(gaze.x) || !isFiniteNumber(gaze.y) || !isFiniteNumber(gaze.z))) {
+            throw new ValidationError('gaze must be null or {type, x, y, z}', `${field}.gaze`);
+        }
+        const camera = frame.camera;
+        if (camera !== undefined && (!isVector(camera?.position, 3) || !isVector(camera.quaternion, 4) ||
+            !isFiniteNumber(camera.fov) || (camera.target !== undefined && !isVector(camera.target, 3)))) {
+            throw new ValidationError('camera must be {position, quaternion, fov, target}', `${field}.camera`);
+        }
+        if (frame.clips !== undefined && (!Array.isArray(frame.clips) || frame.clips.length > 255 ||
+            !frame.clips.every(isClipEntry))) {
+            throw new ValidationError('clips must be an array of {clip, time, weight}', `${field}.clips`);
+        }
+    });
+    if (session.frames[0].chatState === undefined) {
+        throw new ValidationError('the first frame must have a chatState', 'frames[0].chatState');
+    }
+}
+
+/**
+ * Read a session from JSON
+ *
+ * @param {string|object} json - JSON text, or its parsed object
+ * @returns {object} The session
+ * @throws {ParseError} If the text is not JSON or not a valid session
+ */
+export function parseSession(json) {
+    let session = json;
+    if (typeof json === 'string') {
+        try {
+            session = JSON.parse(json);
+        } catch (error) {
+            throw new ParseError(`Session is not valid JSON: ${error.message}`, 'session', error);
+        }
+    }
+    try {
+        validateSession(session);
+    } catch (error) {
+        throw new ParseError(`Invalid session: ${error.message}`, 'session', error);
+    }
+    return session;
+}
+
+/**
+ * Encode a session in the binary form
+ *
+ * @param {object} session - Session to encode
+ * @returns {Uint8Array} Encoded session
+ * @throws {ValidationError} If the session is malformed or has more than 255 channels or clip names
+ */
+export function encodeSession(session) {
+    validateSession(session);
+    const clipNames = [...new Set(session.frames.flatMap(frame => (frame.clips ?? []).map(entry => entry.clip)))];
+    if (clipNames.length > 255) {
+        throw new ValidationError('The binary form holds at most 255 clip names', 'frames.clips');
+    }
+    const clipIndex = new Map(clipNames.map((name, i) => [name, i]));
+    const encoder = new TextEncoder();
+    const header = encoder.encode(JSON.stringify({
+        meta: session.meta ?? {},
+        channels: session.channels,
+        clips: clipNames
+    }));
+
+    const parts = session.frames.map((frame) => {
+        const weights = {};
+        frame.weights.forEach((value, i) => {
+            weights[session.channels[i]] = value;
+        });
+        const expression = encodeExpressionFrame({ time: frame.time, weights },
+            { precision: 16, channels: session.channels });
+        const chatState = frame.chatState !== undefined ? encoder.encode(frame.chatState) : null;
+        const hasGaze = frame.gaze !== undefined;
+        const camera = frame.camera;
+        const clips = frame.clips;
+        const size = 8 + 2 + expression.length + 1 + (chatState ? 2 + chatState.length : 0) +
+            (hasGaze ? 1 + (frame.gaze ? 12 : 0) : 0) + (camera ? 32 + (camera.target ? 12 : 0) : 0) +
+            (clips ? 1 + clips.length * 11 : 0);
+
+        const bytes = new Uint8Array(size);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        view.setFloat64(offset, frame.animationTime, true);
+        view.setUint16(offset + 8, expression.length, true);
+        bytes.set(expression, offset + 10);
+        offset += 10 + expression.length;
+        view.setUint8(offset++, (chatState ? HAS_CHAT_STATE : 0) | (hasGaze ? HAS_GAZE : 0) |
+            (camera ? HAS_CAMERA : 0) | (camera?.target ? HAS_CAMERA_TARGET : 0) | (clips ? HAS_CLIPS : 0));
+        const writeFloats = (values) => {
+            values.forEach((value) => {
+                view.setFloat32(offset, value, true);
+                offset += 4;
+            });
+        };
+        if (chatState) {
+            view.setUint16(offset, chatState.length, true);
+            bytes.set(chatState, offset + 2);
+            offset += 2 + chatState.length;
+        }
+        if (hasGaze) {
+            view.setUint8(offset++, GAZE_KINDS.indexOf(frame.gaze?.type ?? null));
+            if (frame.gaze) writeFloats([frame.gaze.x, frame.gaze.y, frame.gaze.z]);
+        }
+        if (camera) {
+            writeFloats([...camera.position, ...camera.quaternion, camera.fov]);
+            if (camera.target) writeFloats(camera.target);
+        }
+        if (clips) {
+            view.setUint8(offset++, clips.length);
+            clips.forEach((entry) => {
+                view.setUint8(offset, clipIndex.get(entry.clip));
+                view.setUint8(offset + 1, (entry.gesture ? CLIP_GESTURE : 0) | (entry.additive ? CLIP_ADDITIVE : 0));
+                view.setUint8(offset + 2, entry.index ?? 0);
+                offset += 3;
+                writeFloats([entry.time, entry.weight]);
+            });
+        }
+        return bytes;
+    });
+
+    const size = 8 + 4 + header.length + 4 + parts.reduce((sum, part) => sum + part.length, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    bytes.set(encoder.encode(MAGIC), 0);
+    view.setUint8(4, SESSION_FORMAT_VERSION);
+    view.setUint32(8, header.length, true);
+    bytes.set(header, 12);
+    let offset = 12 + header.length;
+    view.setUint32(offset, parts.length, true);
+    offset += 4;
+    parts.forEach((part) => {
+        bytes.set(part, offset);
+        offset += part.length;
+    });
+    return bytes;
+}
+
+/**
+ * Decode a session from the binary form
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data - Encoded session (a Node Buffer works)
+ * @returns {object} The session
+ * @throws {ValidationError} If data is not binary
+ * @throws {ParseError} If the data is not a session, is truncated or has an unsupported version
+ */
+export function decodeSession(data) {
+    let bytes;
+    if (data instanceof ArrayBuffer) {
+        bytes = new Uint8Array(data);
+    } else if (ArrayBuffer.isView(data)) {
+        bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+        throw new ValidationError('Session data must be an ArrayBuffer or a typed array', 'data');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+    if (bytes.length < 12 || decoder.decode(bytes.subarray(0, 4)) !== MAGIC) {
+        throw new ParseError('Not a recorded session', 'session');
+    }
+    const version = view.getUint8(4);
+    if (version !== SESSION_FORMAT_VERSION) {
+        throw new ParseError(`Unsupported session version ${version}; this version reads ${SESSION_FORMAT_VERSION}`,
+            'session');
+    }
+
+    let offset = 8;
+    const need = (count) => {
+        if (offset + count > bytes.length) {
+            throw new ParseError('Session data is truncated', 'session');
+        }
+    };
+    const readFloats = count => Array.from({ length: count }, () => {
+        const value = view.getFloat32(offset, true);
+        offset += 4;
+        return value;
+    });
+
+    need(4);
+    const headerLength = view.getUint32(offset, true);
+    need(4 + headerLength + 4);
+    let header;
+    try {
+        header = JSON.parse(decoder.decode(bytes.subarray(offset + 4, offset + 4 + headerLength)));
+    } catch (error) {
+        throw new ParseError(`Session header is not valid JSON: ${error.message}`, 'session', error);
+    }
+    offset += 4 + headerLength;
+    const channels = header?.channels;
+    if (!Array.isArray(channels) || channels.length > 255 || !channels.every(name => typeof name === 'string')) {
+        throw new ParseError('Session header has no valid channel table', 'session');
+    }
+    const clipNames = header.clips ?? [];
+    if (!Array.isArray(clipNames) || !clipNames.every(name => typeof name === 'string')) {
+        throw new ParseError('Session header has no valid clip table', 'session');
+    }
+    const count = view.getUint32(offset, true);
+    offset += 4;
+
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+        need(10);
+        const animationTime = view.getFloat64(offset, true);
+        const length = view.getUint16(offset + 8, true);
+        offset += 10;
+        need(length + 1);
+        const expression = decodeExpressionFrame(bytes.subarray(offset, offset + length), { channels });
+        offset += length;
+        const flags = view.getUint8(offset++);
+        const frame = {
+            time: expression.time,
+            animationTime,
+            weights: channels.map(name => expression.weights[name] ?? 0)
+        };
+        if (flags & HAS_CHAT_STATE) {
+            need(2);
+            const stateLength = view.getUint16(offset, true);
+            need(2 + stateLength);
+            frame.chatState = decoder.decode(bytes.subarray(offset + 2, offset + 2 + stateLength));
+            offset += 2 + stateLength;
+        }
+        if (flags & HAS_GAZE) {
+            need(1);
+            const type = GAZE_KINDS[view.getUint8(offset++)] ?? null;
+            if (type) {
+                need(12);
+                const [x, y, z] = readFloats(3);
+                frame.gaze = { type, x, y, z };
+            } else {
+                frame.gaze = null;
+            }
+        }
+        if (flags & HAS_CAMERA) {
+            need(32 + (flags & HAS_CAMERA_TARGET ? 12 : 0));
+            const values = readFloats(8);
+            frame.camera = { position: values.slice(0, 3), quaternion: values.slice(3, 7), fov: values[7] };
+            if (flags & HAS_CAMERA_TARGET) {
+                frame.camera.target = readFloats(3);
+            }
+        }
+        if (flags & HAS_CLIPS) {
+            need(1);
+            const clipCount = view.getUint8(offset++);
+            need(clipCount * 11);
+            frame.clips = Array.from({ length: clipCount }, () => {
+                const clip = clipNames[view.getUint8(offset)];
+                if (clip === undefined) {
+                    throw new ParseError(`Session frame ${i} names a clip outside the clip table`, 'session');
+                }
+                const clipFlags = view.getUint8(offset + 1);
+                const index = view.getUint8(offset + 2);
+                offset += 3;
+                const [time, weight] = readFloats(2);
+                const entry = { clip, time, weight };
+                if (index > 0) entry.index = index;
+                if (clipFlags & CLIP_GESTURE) {
+                    entry.gesture = true;
+                    entry.additive = !!(clipFlags & CLIP_ADDITIVE);
+                }
+                return entry;
+            });
+        }
+        frames.push(frame);
+    }
+
+    return parseSession({ version, meta: header.meta ?? {}, channels, frames });
+}
@@ -0,0 +1,233 @@
+/**
+ * SessionPlayer - Replays a recorded session
+ *
+ * Steps through a session (see SessionFormat) on the renderer clock and
+ * returns, for each rendered frame, the recorded expression, chat state,
+ * look-at target, camera and skeleton clips. Expression weights, the
+ * animation time and clip times and weights are interpolated between
+ * recorded frames; chat state, gaze and camera are held until the next
+ * change. The result only depends on the time, so a replay paused, stepped
+ * or moved back with the renderer clock shows the same frames every time.
+ */
+
+import { ValidationError, ResourceDisposedError } from '../errors/index.js';
+import { TypedEventEmitter } from '../utils/EventEmitter.js';
+import { validateSession } from './SessionFormat.js';
+
+/**
+ * Events emitted on SessionPlayer.events
+ */
+export const SessionPlayerEvent = Object.freeze({
+    Ended: 'ended',     // {time}: playback reached the end of the session and holds its last frame
+    Looped: 'looped'    // {count}: playback wrapped past the end (or back past the start) for the count-th time
+});
+
+/**
+ * Look-at target in the form of LookAtController.setTarget()
+ * @private
+ */
+const toTarget = gaze => gaze && (gaze.type === 'screen' ? { x: gaze.x, y: gaze.y } : { x: gaze.x, y: gaze.y, z: gaze.z });
+
+/**
+ * Whether two clip entries are of the same action
+ * @private
+ */
+const sameClip = (a, b) => a.clip === b.clip && (a.index ?? 0) === (b.index ?? 0) && !!a.gesture === !!b.gesture;
+
+/**
+ * Clip entries part way between two frames
+ * @private
+ */
+function interpolateClips(from, to, t) {
+    return from.map((entry) => {
+        const next = to?.find(other => sameClip(entry, other));
+        // A clip that restarted or wrapped around before the next frame holds its time
+        if (!next || next.time < entry.time) {
+            return { ...entry };
+        }
+        return {
+            ...entry,
+            time: entry.time + (next.time - entry.time) * t,
+            weight: entry.weight + (next.weight - entry.weight) * t
+        };
+    });
+}
+
+/**
+ * SessionPlayer - Samples a recorded session over time
+ */
+export class SessionPlayer {
+    /**
+     * Create a SessionPlayer
+     *
+     * @param {object} session - Session, as returned by SessionRecorder.stop(), parseSession() or decodeSession()
+     * @param {object} [options={}] - Options
+     * @param {boolean} [options.loop=false] - Start over at the end instead of holding the last frame
+     * @throws {ValidationError} If the session is malformed
+     */
+    constructor(session, options = {}) {
+        validateSession(session);
+        const { loop = false } = options;
+
+        // Carry chat state, gaze and camera forward so every frame has them
+        let chatState;
+        let gaze = null;
+        let camera = null;
+        this._frames = session.frames.map((frame) => {
+            chatState = frame.chatState ?? chatState;
+            if (frame.gaze !== undefined) gaze = toTarget(frame.gaze);
+            camera = frame.camera ?? camera;
+            return {
+                time: frame.time,
+                animationTime: frame.animationTime,
+                weights: frame.weights,
+                chatState,
+                gaze,
+                camera,
+                clips: frame.clips ?? null
+            };
+        });
+        this.channels = session.channels.slice();
+        this.meta = session.meta ?? {};
+        this.loop = !!loop;
+        this.events = new TypedEventEmitter(Object.values(SessionPlayerEvent));
+        this._time = this._frames[0].time;
+        this._index = 0;
+        this._loops = 0;
+        this._ended = false;
+        this._disposed = false;
+    }
+
+    /**
+     * Seconds from the first frame to the last
+     * @returns {number}
+     */
+    get duration() {
+        return this._frames[this._frames.length - 1].time - this._frames[0].time;
+    }
+
+    /**
+     * Playback position in seconds from the first frame
+     * @returns {number}
+     */
+    get time() {
+        return this._time - this._frames[0].time;
+    }
+
+    /**
+     * Whether playback has reached the end (never when looping)
+     * @returns {boolean}
+     */
+    get ended() {
+        return this._ended;
+    }
+
+    /**
+     * Move the playback position
+     *
+     * @param {number} time - Seconds from the first frame, clamped to the session
+     * @throws {ValidationError} If time is not a finite number
+     */
+    seek(time) {
+        if (typeof time !== 'number' || !Number.isFinite(time)) {
+            throw new ValidationError('time must be a number of seconds', 'time');
+        }
+        const start = this._frames[0].time;
+        this._time = Math.min(Math.max(start + time, start), start + this.duration);
+        this._ended = false;
+    }
+
+    /**
+     * Move the playback position by the clock delta and sample the session there
+     *
+     * Called by the renderer every frame with the clock delta, which is negative when the clock was moved back.
+     *
+     * @param {number} delta - Seconds since the last frame
+     * @returns {object|null} See sample(); null once disposed
+     * @throws {ValidationError} If delta is not a finite number
+     */
+    advance(delta) {
+        if (this._disposed) {
+            return null;
+        }
+        if (typeof delta !== 'number' || !Number.isFinite(delta)) {
+            throw new ValidationError('delta must be a number of seconds', 'delta');
+        }
+        const duration = this.duration;
+        let position = this.time + delta;
+        if (this.loop && duration > 0) {
+            if (position > duration || position < 0) {
+                const wraps = Math.floor(position / duration);
+                position -= wraps * duration;
+                this._loops += Math.abs(wraps);
+                this.events.emit(SessionPlayerEvent.Looped, { count: this._loops });
+            }
+        } else {
+            position = Math.min(Math.max(position, 0), duration);
+        }
+        this._time = this._frames[0].time + position;
+
+        const atEnd = !this.loop && position >= duration;
+        if (atEnd && !this._ended) {
+            this._ended = true;
+            this.events.emit(SessionPlayerEvent.Ended, { time: duration });
+        } else if (!atEnd) {
+            this._ended = false;
+        }
+        return this.sample(position);
+    }
+
+    /**
+     * Sample the session
+     *
+     * @param {number} [time] - Seconds from the first frame; the playback position by default
+     * @returns {{time: number, animationTime: number, expression: object, chatState: string,
+     *   gaze: ({x: number, y: number, z?: number}|null), camera: ({position: number[], quaternion: number[],
+     *   fov: number, target?: number[]}|null), clips: (Array<object>|null)}} The frame; gaze keeps its identity
+     *   until it changes; clips is null when the session has no skeleton clips at this time
+     * @throws {ResourceDisposedError} If the player has been disposed
+     */
+    sample(time = this.time) {
+        if (this._disposed) {
+            throw new ResourceDisposedError('SessionPlayer');
+        }
+        const frames = this._frames;
+        const at = frames[0].time + time;
+
+        // Frames are usually sampled in order; start from the last index found
+        let index = this._index;
+        if (index >= frames.length || frames[index].time > at) index = 0;
+        while (index < frames.length - 1 && frames[index + 1].time <= at) index++;
+        this._index = index;
+
+        const a = frames[index];
+        const b = frames[Math.min(index + 1, frames.length - 1)];
+        const span = b.time - a.time;
+        const t = span > 0 ? Math.min(Math.max((at - a.time) / span, 0), 1) : 0;
+        const expression = {};
+        this.channels.forEach((name, i) => {
+            const from = a.weights[i] ?? 0;
+            expression[name] = from + ((b.weights[i] ?? 0) - from) * t;
+        });
+        return {
+            time: Math.min(Math.max(time, 0), this.duration),
+            animationTime: a.animationTime + (b.animationTime - a.animationTime) * t,
+            expression,
+            chatState: a.chatState,
+            gaze: a.gaze,
+            camera: a.camera,
+            clips: a.clips && interpolateClips(a.clips, b === a ? null : b.clips, t)
+        };
+    }
+
+    /**
+     * Release the event listeners
+     */
+    dispose() {
+        if (this._disposed) return;
+        this._disposed = true;
+        this.events.dispose();
+    }
+}
+
+export default SessionPlayer;
@@ -0,0 +1,209 @@
+/**
+ * SessionRecorder - Captures what the renderer showed, frame by frame
+ *
+ * Records, for every rendered frame, the expression weights after idle
+ * motion and look-at (before the avatar's motion config), the chat state,
+ * the look-at target, the camera and the skeleton clips playing, so a
+ * session can be saved with a bug report and replayed with SessionPlayer.
+ * Keeps the last maxDuration seconds, so it can run for a whole
+ * conversation.
+ *
+ * Session time only moves forward: when the renderer clock is moved back
+ * (AnimationClock.seek()), recording carries on from the time reached.
+ */
+
+import { ValidationError, ResourceDisposedError } from '../errors/index.js';
+import { SESSION_FORMAT_VERSION } from './SessionFormat.js';
+
+/**
+ * Defaults of the recorder options
+ */
+export const DEFAULT_SESSION_RECORDER_OPTIONS = Object.freeze({
+    maxDuration: 600,   // Seconds kept; older frames are dropped
+    meta: null          // Extra metadata stored with the session (JSON-serializable)
+});
+
+/**
+ * @private
+ */
+const sameArray = (a, b) => a === b || (!!a && !!b && a.length === b.length && a.every((value, i) => value === b[i]));
+
+/**
+ * @private
+ */
+const sameGaze = (a, b) => a === b ||
+    (!!a && !!b && a.type === b.type && a.x === b.x && a.y === b.y && a.z === b.z);
+
+/**
+ * @private
+ */
+const sameCamera = (a, b) => a === b || (!!a && !!b && a.fov === b.fov && sameArray(a.position, b.position) &&
+    sameArray(a.quaternion, b.quaternion) && sameArray(a.target, b.target));
+
+/**
+ * SessionRecorder - Collects frames into a serializable session
+ */
+export class SessionRecorder {
+    /**
+     * Create a SessionRecorder
+     *
+     * @param {object} [options={}] - Options (see DEFAULT_SESSION_RECORDER_OPTIONS)
+     * @throws {ValidationError} If an option is invalid
+     */
+    constructor(options = {}) {
+        const resolved = { ...DEFAULT_SESSION_RECORDER_OPTIONS, ...options };
+        if (typeof resolved.maxDuration !== 'number' || !(resolved.maxDuration > 0)) {
+            throw new ValidationError('maxDuration must be a positive number of seconds', 'maxDuration');
+        }
+        if (resolved.meta !== null && (typeof resolved.meta !== 'object' || Array.isArray(resolved.meta))) {
+            throw new ValidationError('meta must be an object', 'meta');
+        }
+        this.options = resolved;
+        this.recordedAt = new Date().toISOString();
+        this._channels = [];
+        this._channelIndex = new Map();
+        this._frames = [];
+        this._clockTime = null;
+        this._time = 0;
+        this._stopped = false;
+    }
+
+    /**
+     * Whether frames are being captured
+     * @returns {boolean}
+     */
+    get recording() {
+        return !this._stopped;
+    }
+
+    /**
+     * Frames kept
+     * @returns {number}
+     */
+    get frameCount() {
+        return this._frames.length;
+    }
+
+    /**
+     * Seconds from the first kept frame to the last
+     * @returns {number}
+     */
+    get duration() {
+        const frames = this._frames;
+        return frames.length > 0 ? frames[frames.length - 1].time - frames[0].time : 0;
+    }
+
+    /**
+     * Add a frame; a frame at the same session time as the last one replaces it
+     *
+     * Called by the renderer every frame while recording.
+     *
+     * @param {object} input - State of the frame
+     * @param {number} input.time - Clock time in seconds; the session time advances by how far it moved forward
+     * @param {number} input.animationTime - Renderer animation time in seconds
+     * @param {object} input.expression - Blendshape weights by name
+     * @param {string} input.chatState - Chat state
+     * @param {{type: string, x: number, y: number, z: number}|null} [input.gaze] - Look-at target
+     * @param {{position: number[], quaternion: number[], fov: number, target?: number[]}} [input.camera] - Camera
+     * @param {Array<{clip: string, time: number, weight: number}>} [input.clips] - Skeleton clips playing (see
+     *   SessionFormat)
+     * @throws {ValidationError} If a time or the chat state is invalid
+     * @throws {ResourceDisposedError} If the recorder has been stopped
+     */
+    capture(input) {
+        if (this._stopped) {
+            throw new ResourceDisposedError('SessionRecorder');
+        }
+        ['time', 'animationTime'].forEach((key) => {
+            if (typeof input[key] !== 'number' || !Number.isFinite(input[key])) {
+                throw new ValidationError(`${key} must be a number of seconds`, key);
+            }
+        });
+        if (typeof input.chatState !== 'string') {
+            throw new ValidationError('chatState must be a string', 'chatState');
+        }
+        if (this._clockTime !== null) {
+            this._time += Math.max(input.time - this._clockTime, 0);
+        }
+        this._clockTime = input.time;
+        const time = this._time;
+
+        const weights = new Array(this._channels.length).fill(0);
+        Object.entries(input.expression ?? {}).forEach(([name, value]) => {
+            let index = this._channelIndex.get(name);
+            if (index === undefined) {
+                index = this._channels.push(name) - 1;
+                this._channelIndex.set(name, index);
+            }
+            // A weight that is not a number (a broken expression source) is recorded as 0
+            weights[index] = Number.isFinite(value) ? value : 0;
+        });
+        const frame = {
+            time,
+            animationTime: input.animationTime,
+            weights,
+            chatState: input.chatState,
+            gaze: input.gaze ?? null,
+            camera: input.camera ?? null,
+            clips: input.clips ? input.clips.map(entry => ({ ...entry })) : null
+        };
+
+        const frames = this._frames;
+        if (frames.length > 0 && frames[frames.length - 1].time === time) {
+            frames[frames.length - 1] = frame;
+        } else {
+            frames.push(frame);
+        }
+        let drop = 0;
+        while (drop < frames.length - 1 && time - frames[drop].time > this.options.maxDuration) drop++;
+        if (drop > 0) frames.splice(0, drop);
+    }
+
+    /**
+     * Stop capturing and return the session
+     *
+     * @returns {object|null} The session (see SessionFormat), or null if no frame was captured
+     */
+    stop() {
+        this._stopped = true;
+        return this.session;
+    }
+
+    /**
+     * Session of the frames kept so far; chat state, gaze and camera are only stored when they change
+     *
+     * Always passes validateSession().
+     * @returns {object|null}
+     */
+    get session() {
+        if (this._frames.length === 0) {
+            return null;
+        }
+        let previous = null;
+        const frames = this._frames.map((frame) => {
+            const out = { time: frame.time, animationTime: frame.animationTime, weights: frame.weights.slice() };
+            if (!previous || frame.chatState !== previous.chatState) {
+                out.chatState = frame.chatState;
+            }
+            if (!previous ? frame.gaze !== null : !sameGaze(frame.gaze, previous.gaze)) {
+                out.gaze = frame.gaze && { ...frame.gaze };
+            }
+            if (frame.camera && !sameCamera(frame.camera, previous?.camera)) {
+                out.camera = { ...frame.camera };
+            }
+            if (frame.clips) {
+                out.clips = frame.clips.map(entry => ({ ...entry }));
+            }
+            previous = frame;
+            return out;
+        });
+        return {
+            version: SESSION_FORMAT_VERSION,
+            meta: { ...this.options.meta, recordedAt: this.recordedAt },
+            channels: this._channels.slice(),
+            frames
+        };
+    }
+}
+
+export default SessionRecorder;
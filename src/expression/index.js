@@ -0,0 +1,16 @@
+/**
+ * gsplat-flame-avatar - Expression Module
+ * Binary wire format, buffering and playback of streamed expression data, and recording and replay of sessions
+ */
+
+export { ExpressionStream, ExpressionStreamEvent, DEFAULT_EXPRESSION_STREAM_OPTIONS } from './ExpressionStream.js';
+export { encodeExpressionFrame, decodeExpressionFrame, EXPRESSION_FRAME_VERSION } from './ExpressionFrameCodec.js';
+export { SessionRecorder, DEFAULT_SESSION_RECORDER_OPTIONS } from './SessionRecorder.js';
+export { SessionPlayer, SessionPlayerEvent } from './SessionPlayer.js';
+export {
+    SESSION_FORMAT_VERSION,
+    validateSession,
+    parseSession,
+    encodeSession,
+    decodeSession
+} from './SessionFormat.js';
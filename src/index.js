@@ -11,15 +11,31 @@
 // Enums
 export * from './enums/index.js';
 
+// Errors
+export * from './errors/index.js';
+
 // Utils
 export * from './utils/index.js';
 
 // Api
 export * from './api/index.js';
 
-// Renderer (GaussianSplatRenderer, AnimationManager, state classes)
+// Assets (avatar package sources)
+export * from './assets/index.js';
+
+// Cache (avatar asset caching)
+export * from './cache/index.js';
+
+// Renderer (GaussianSplatRenderer, AnimationManager, animation state graph)
 export * from './renderer/index.js';
 
+// Lip-sync (audio to visemes and ARKit blendshapes)
+export * from './lipsync/index.js';
+
+// Expression streaming (binary frame format and jitter buffer for networked blendshape frames) and session
+// recording and replay
+export * from './expression/index.js';
+
 // Buffers
 export * from './buffers/index.js';
 
@@ -0,0 +1,272 @@
+/**
+ * AudioFeatureExtractor - Spectral features of short audio windows
+ *
+ * Computes, per analysis window: loudness (RMS and dBFS), zero-crossing rate,
+ * spectral centroid, the energy share of a few speech bands, estimates of the
+ * first two formant frequencies, and MFCC-like coefficients (DCT of log mel
+ * filterbank energies). Plain JavaScript with a radix-2 FFT, so it runs the
+ * same in browsers, workers and Node.
+ */
+
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Speech bands whose energy share is reported, in Hz
+ *
+ * Roughly: voicing, first formant (jaw opening), second formant (lip spread
+ * vs. rounding), upper formants, and the hiss of fricatives.
+ */
+export const SPEECH_BANDS = Object.freeze([
+    Object.freeze({ name: 'low', from: 80, to: 300 }),
+    Object.freeze({ name: 'f1', from: 300, to: 1000 }),
+    Object.freeze({ name: 'f2', from: 1000, to: 2500 }),
+    Object.freeze({ name: 'f3', from: 2500, to: 4000 }),
+    Object.freeze({ name: 'fricative', from: 4000, to: 8000 })
+]);
+
+/**
+ * Defaults of the extractor options
+ */
+export const DEFAULT_FEATURE_OPTIONS = Object.freeze({
+    windowDuration: 0.03,   // Analysis window in seconds, rounded up to a power of two of samples
+    melBands: 24,           // Filters of the mel filterbank
+    coefficients: 13,       // MFCC-like coefficients kept
+    minFrequency: 80,       // Lowest mel filter edge in Hz
+    maxFrequency: 8000      // Highest mel filter edge in Hz; capped at the Nyquist frequency
+});
+
+/**
+ * Search ranges of the formant estimates in Hz, and the half width of the
+ * spectral smoothing that hides the individual voice harmonics
+ * @private
+ */
+const F1_RANGE = [250, 1000];
+const F2_RANGE = [700, 3000];
+const F2_MIN_SPACING = 250;
+const ENVELOPE_HALF_WIDTH = 100;
+
+/**
+ * @private
+ */
+const hzToMel = hz => 2595 * Math.log10(1 + hz / 700);
+
+/**
+ * @private
+ */
+const melToHz = mel => 700 * (10 ** (mel / 2595) - 1);
+
+/**
+ * In-place iterative radix-2 FFT
+ *
+ * @param {Float32Array|Float64Array} re - Real parts; length a power of two
+ * @param {Float32Array|Float64Array} im - Imaginary parts, same length
+ */
+export function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        const half = size >> 1;
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+}
+
+/**
+ * AudioFeatureExtractor - Features of fixed-size windows at one sample rate
+ */
+export class AudioFeatureExtractor {
+    /**
+     * Create an AudioFeatureExtractor
+     *
+     * @param {number} sampleRate - Sample rate of the audio in Hz
+     * @param {object} [options={}] - Options (see DEFAULT_FEATURE_OPTIONS)
+     * @throws {ValidationError} If the sample rate or an option is invalid
+     */
+    constructor(sampleRate, options = {}) {
+        if (typeof sampleRate !== 'number' || !Number.isFinite(sampleRate) || sampleRate < 4000) {
+            throw new ValidationError('sampleRate must be a number of Hz, at least 4000', 'sampleRate');
+        }
+        const { windowDuration, melBands, coefficients, minFrequency, maxFrequency } = {
+            ...DEFAULT_FEATURE_OPTIONS, ...options
+        };
+        if (!(windowDuration > 0) || !(melBands >= 2) || !(coefficients >= 1) || coefficients > melBands) {
+            throw new ValidationError('windowDuration must be positive and coefficients between 1 and melBands',
+                'options');
+        }
+
+        this.sampleRate = sampleRate;
+        this.windowSize = 2 ** Math.ceil(Math.log2(windowDuration * sampleRate));
+        this.coefficients = coefficients;
+
+        const bins = this.windowSize / 2 + 1;
+        this._binHz = sampleRate / this.windowSize;
+        this._window = Float32Array.from({ length: this.windowSize },
+            (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (this.windowSize - 1)));
+        this._re = new Float64Array(this.windowSize);
+        this._im = new Float64Array(this.windowSize);
+        this._power = new Float64Array(bins);
+        this._cumulative = new Float64Array(bins + 1);
+        this._envelopeHalfWidth = Math.max(Math.round(ENVELOPE_HALF_WIDTH / this._binHz), 1);
+
+        // Triangular mel filters between minFrequency and maxFrequency
+        const top = Math.min(maxFrequency, sampleRate / 2);
+        const edges = Array.from({ length: melBands + 2 },
+            (_, i) => melToHz(hzToMel(minFrequency) + (hzToMel(top) - hzToMel(minFrequency)) * i / (melBands + 1)));
+        this._melFilters = Array.from({ length: melBands }, (_, m) => {
+            const [from, center, to] = [edges[m], edges[m + 1], edges[m + 2]];
+            const weights = new Float64Array(bins);
+            for (let bin = 0; bin < bins; bin++) {
+                const hz = bin * this._binHz;
+                if (hz > from && hz < to) {
+                    weights[bin] = hz <= center ? (hz - from) / (center - from) : (to - hz) / (to - center);
+                }
+            }
+            return weights;
+        });
+        this._melEnergies = new Float64Array(melBands);
+    }
+
+    /**
+     * Features of one window
+     *
+     * @param {Float32Array} samples - Mono samples, -1 to 1; the last windowSize samples are used, and missing
+     *   ones count as silence
+     * @returns {{rms: number, db: number, zcr: number, centroid: number, bands: object,
+     *   formants: {f1: number, f2: number}, mfcc: Float32Array}} RMS level, level in dBFS (-100 for silence), zero
+     *   crossings per sample, spectral centroid in Hz, energy share of each SPEECH_BANDS band by name (0-1),
+     *   estimated first and second formant frequencies in Hz (0 for silence), and MFCC-like coefficients
+     */
+    extract(samples) {
+        const size = this.windowSize;
+        const offset = samples.length - size;
+        let sumSquares = 0;
+        let crossings = 0;
+        let previous = 0;
+        for (let i = 0; i < size; i++) {
+            const sample = offset + i >= 0 ? samples[offset + i] : 0;
+            sumSquares += sample * sample;
+            if (i > 0 && (sample >= 0) !== (previous >= 0)) {
+                crossings++;
+            }
+            previous = sample;
+            this._re[i] = sample * this._window[i];
+            this._im[i] = 0;
+        }
+        const rms = Math.sqrt(sumSquares / size);
+        fft(this._re, this._im);
+
+        let total = 0;
+        let weighted = 0;
+        for (let bin = 0; bin < this._power.length; bin++) {
+            const power = this._re[bin] * this._re[bin] + this._im[bin] * this._im[bin];
+            this._power[bin] = power;
+            total += power;
+            weighted += power * bin * this._binHz;
+        }
+
+        const bands = {};
+        SPEECH_BANDS.forEach(({ name, from, to }) => {
+            let energy = 0;
+            const last = Math.min(Math.floor(to / this._binHz), this._power.length - 1);
+            for (let bin = Math.ceil(from / this._binHz); bin <= last; bin++) {
+                energy += this._power[bin];
+            }
+            bands[name] = total > 0 ? energy / total : 0;
+        });
+
+        return {
+            rms,
+            db: rms > 0 ? Math.max(20 * Math.log10(rms), -100) : -100,
+            zcr: crossings / size,
+            centroid: total > 0 ? weighted / total : 0,
+            bands,
+            formants: total > 0 ? this._formants() : { f1: 0, f2: 0 },
+            mfcc: this._mfcc()
+        };
+    }
+
+    /**
+     * Peaks of the smoothed power spectrum in the first and second formant ranges
+     * @private
+     */
+    _formants() {
+        const power = this._power;
+        const cumulative = this._cumulative;
+        for (let bin = 0; bin < power.length; bin++) {
+            cumulative[bin + 1] = cumulative[bin] + power[bin];
+        }
+        const envelope = (bin) => {
+            const from = Math.max(bin - this._envelopeHalfWidth, 0);
+            const to = Math.min(bin + this._envelopeHalfWidth + 1, power.length);
+            return (cumulative[to] - cumulative[from]) / (to - from);
+        };
+        const peak = (fromHz, toHz) => {
+            let best = Math.ceil(fromHz / this._binHz);
+            const last = Math.min(Math.floor(toHz / this._binHz), power.length - 1);
+            for (let bin = best + 1; bin <= last; bin++) {
+                if (envelope(bin) > envelope(best)) best = bin;
+            }
+            return best * this._binHz;
+        };
+
+        const f1 = peak(F1_RANGE[0], F1_RANGE[1]);
+        const f2 = peak(Math.max(f1 + F2_MIN_SPACING, F2_RANGE[0]), F2_RANGE[1]);
+        return { f1, f2 };
+    }
+
+    /**
+     * DCT-II of the log mel energies of the current power spectrum
+     * @private
+     */
+    _mfcc() {
+        const melEnergies = this._melEnergies;
+        this._melFilters.forEach((weights, m) => {
+            let energy = 0;
+            for (let bin = 0; bin < weights.length; bin++) {
+                energy += weights[bin] * this._power[bin];
+            }
+            melEnergies[m] = Math.log(energy + 1e-10);
+        });
+
+        const count = melEnergies.length;
+        const mfcc = new Float32Array(this.coefficients);
+        for (let k = 0; k < this.coefficients; k++) {
+            let sum = 0;
+            for (let m = 0; m < count; m++) {
+                sum += melEnergies[m] * Math.cos(Math.PI * k * (m + 0.5) / count);
+            }
+            mfcc[k] = sum;
+        }
+        return mfcc;
+    }
+}
+
+export default AudioFeatureExtractor;
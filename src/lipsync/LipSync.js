@@ -0,0 +1,365 @@
+/**
+ * LipSync - Drives an avatar's mouth from audio
+ *
+ * Offline, analyzeLipSync() turns a whole recording (WAV bytes, PCM or an
+ * AudioBuffer) into timed frames of ARKit blendshape weights; it needs no
+ * Web Audio API and runs in Node. Live, a LipSync instance taps a
+ * MediaStream (microphone, WebRTC), a playing AudioBuffer or any Web Audio
+ * node, or takes PCM pushed with process(), and sends each frame to the
+ * renderer through setExpression(), the same path as app-supplied expressions.
+ */
+
+import { ValidationError, ResourceDisposedError, InitializationError } from '../errors/index.js';
+import { getLogger } from '../utils/Logger.js';
+import { LipSyncAnalyzer } from './LipSyncAnalyzer.js';
+import { VISEME_BLENDSHAPE_NAMES } from './Visemes.js';
+import { decodeWav, mixToMono } from './WavDecoder.js';
+
+/* global AudioContext, AudioWorkletNode, MediaStream */
+
+const logger = getLogger('LipSync');
+
+/**
+ * Name the audio tap processor is registered under
+ * @private
+ */
+const TAP_PROCESSOR = 'gsplat-lip-sync-tap';
+
+/**
+ * AudioWorklet module forwarding each render quantum, mixed to mono, to the main thread
+ * @private
+ */
+const TAP_PROCESSOR_SOURCE = `
+class LipSyncTapProcessor extends AudioWorkletProcessor {
+    process(inputs) {
+        const input = inputs[0];
+        if (input && input.length > 0) {
+            const mono = new Float32Array(input[0].length);
+            input.forEach((channel) => {
+                for (let i = 0; i < mono.length; i++) mono[i] += channel[i] / input.length;
+            });
+            this.port.postMessage(mono, [mono.buffer]);
+        }
+        return true;
+    }
+}
+registerProcessor('${TAP_PROCESSOR}', LipSyncTapProcessor);
+`;
+
+/**
+ * Contexts the tap processor has been added to
+ * @private
+ */
+const tapContexts = new WeakSet();
+
+/**
+ * Whether a value looks like a Web Audio AudioBuffer
+ * @private
+ */
+const isAudioBuffer = value => typeof value?.getChannelData === 'function' &&
+    typeof value.numberOfChannels === 'number' && typeof value.sampleRate === 'number';
+
+/**
+ * Mono PCM of an audio input
+ *
+ * @param {ArrayBuffer|Uint8Array|Float32Array|Int16Array|AudioBuffer|{sampleRate: number, channels: Float32Array[]}} input -
+ *   WAV file bytes (ArrayBuffer, Uint8Array or Node Buffer), PCM samples (Float32Array -1 to 1 or Int16Array), an
+ *   AudioBuffer, or decoded audio as returned by decodeWav()
+ * @param {number} [sampleRate] - Sample rate of PCM samples; required for Float32Array and Int16Array
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ * @throws {ValidationError} If the input type is unsupported or PCM has no sample rate
+ * @throws {ParseError} If WAV bytes cannot be decoded
+ */
+export function toMonoPcm(input, sampleRate) {
+    if (input instanceof Float32Array || input instanceof Int16Array) {
+        if (typeof sampleRate !== 'number' || !(sampleRate > 0)) {
+            throw new ValidationError('sampleRate is required for PCM samples', 'sampleRate');
+        }
+        const samples = input instanceof Int16Array ? Float32Array.from(input, value => value / 32768) : input;
+        return { samples, sampleRate };
+    }
+    if (input instanceof ArrayBuffer || input instanceof Uint8Array || input instanceof DataView) {
+        const wav = decodeWav(input);
+        return { samples: mixToMono(wav.channels), sampleRate: wav.sampleRate };
+    }
+    if (isAudioBuffer(input)) {
+        const channels = Array.from({ length: input.numberOfChannels }, (_, c) => input.getChannelData(c));
+        return { samples: mixToMono(channels), sampleRate: input.sampleRate };
+    }
+    if (Array.isArray(input?.channels) && typeof input.sampleRate === 'number') {
+        return { samples: mixToMono(input.channels), sampleRate: input.sampleRate };
+    }
+    throw new ValidationError('Audio input must be WAV bytes, Float32Array/Int16Array PCM, an AudioBuffer ' +
+        'or decoded audio', 'input');
+}
+
+/**
+ * Analyze a whole recording
+ *
+ * @param {ArrayBuffer|Uint8Array|Float32Array|Int16Array|AudioBuffer|object} input - Audio (see toMonoPcm())
+ * @param {object} [options={}] - Analyzer options (see DEFAULT_LIP_SYNC_OPTIONS)
+ * @param {number} [options.sampleRate] - Sample rate of PCM input
+ * @returns {{fps: number, duration: number, frames: Array<object>}} Frame rate, duration in seconds, and frames
+ *   (see LipSyncAnalyzer.process()) from time 0 to the end of the audio
+ * @throws {ValidationError} If the input or an option is invalid
+ * @throws {ParseError} If WAV bytes cannot be decoded
+ */
+export function analyzeLipSync(input, options = {}) {
+    const { samples, sampleRate } = toMonoPcm(input, options.sampleRate);
+    const analyzer = new LipSyncAnalyzer(sampleRate, options);
+    const frames = [...analyzer.process(samples), ...analyzer.flush()];
+    return { fps: analyzer.options.fps, duration: samples.length / sampleRate, frames };
+}
+
+/**
+ * Audio node forwarding the samples passing through it
+ * @private
+ */
+async function createTap(context, onSamples) {
+    if (context.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+        if (!tapContexts.has(context)) {
+            const url = URL.createObjectURL(new Blob([TAP_PROCESSOR_SOURCE], { type: 'application/javascript' }));
+            try {
+                await context.audioWorklet.addModule(url);
+            } finally {
+                URL.revokeObjectURL(url);
+            }
+            tapContexts.add(context);
+        }
+        const node = new AudioWorkletNode(context, TAP_PROCESSOR, { numberOfOutputs: 1, outputChannelCount: [1] });
+        node.port.onmessage = event => onSamples(event.data);
+        return node;
+    }
+
+    // Older browsers: ScriptProcessorNode, deprecated but still widely available
+    const node = context.createScriptProcessor(1024, 1, 1);
+    node.onaudioprocess = event => onSamples(Float32Array.from(event.inputBuffer.getChannelData(0)));
+    return node;
+}
+
+/**
+ * Close an AudioContext created by LipSync
+ * @private
+ */
+function closeContext(context) {
+    context.close().catch((error) => {
+        logger.warn('Error closing lip-sync audio context', { error: error.message });
+    });
+}
+
+/**
+ * LipSync - Live lip-sync from audio to a renderer
+ */
+export class LipSync {
+    /**
+     * Create a LipSync
+     *
+     * @param {object} [options={}] - Analyzer options (see DEFAULT_LIP_SYNC_OPTIONS) and:
+     * @param {Function} [options.onFrame] - Called with each frame ({time, level, visemes, weights})
+     * @param {number} [options.blendMs] - Blend time passed to setExpression(); one frame by default
+     * @throws {ValidationError} If onFrame or an analyzer option is invalid
+     */
+    constructor(options = {}) {
+        const { onFrame = null, blendMs, ...analyzerOptions } = options;
+        if (onFrame !== null && typeof onFrame !== 'function') {
+            throw new ValidationError('onFrame must be a function', 'onFrame');
+        }
+        // Check the analyzer options now rather than in the first audio callback
+        new LipSyncAnalyzer(48000, analyzerOptions);
+        this.options = analyzerOptions;
+        this.onFrame = onFrame;
+        this.blendMs = blendMs;
+        this.analyzer = null;
+        this.target = null;
+        this._attachment = null;
+        this._disposed = false;
+    }
+
+    /**
+     * Send frames to a renderer (or anything with setExpression(weights, options))
+     *
+     * setExpression() replaces the whole expression, so the other blendshapes rest at 0; idle motion still
+     * adds blinks and saccades under it.
+     *
+     * @param {{setExpression: Function}} target - Usually the GaussianSplatRenderer
+     * @throws {ValidationError} If the target has no setExpression()
+     */
+    connect(target) {
+        this._assertNotDisposed();
+        if (typeof target?.setExpression !== 'function') {
+            throw new ValidationError('target must have a setExpression() method', 'target');
+        }
+        this.target = target;
+    }
+
+    /**
+     * Stop sending frames; the mouth of the connected target eases back to rest
+     */
+    disconnect() {
+        const target = this.target;
+        this.target = null;
+        if (target) {
+            this._send(target, Object.fromEntries(VISEME_BLENDSHAPE_NAMES.map(name => [name, 0])));
+        }
+    }
+
+    /**
+     * Analyze a chunk of PCM pushed by the app, e.g. TTS audio arriving over a WebSocket
+     *
+     * @param {Float32Array|Int16Array} samples - Mono samples following the previous chunk
+     * @param {number} sampleRate - Sample rate in Hz; a different rate than before starts a new stream
+     * @returns {Array<object>} Frames completed by this chunk (see LipSyncAnalyzer.process())
+     * @throws {ValidationError} If the samples or sample rate are invalid
+     */
+    process(samples, sampleRate) {
+        this._assertNotDisposed();
+        const pcm = toMonoPcm(samples, sampleRate);
+        if (this.analyzer?.sampleRate !== pcm.sampleRate) {
+            this.analyzer = new LipSyncAnalyzer(pcm.sampleRate, this.options);
+        }
+        const frames = this.analyzer.process(pcm.samples);
+        frames.forEach((frame) => {
+            if (!this.onFrame) return;
+            try {
+                this.onFrame(frame);
+            } catch (error) {
+                logger.warn('Error in onFrame callback', { error: error.message });
+            }
+        });
+        if (frames.length > 0 && this.target) {
+            this._send(this.target, frames[frames.length - 1].weights);
+        }
+        return frames;
+    }
+
+    /**
+     * Analyze live audio
+     *
+     * An AudioBuffer is played to the context's destination and analyzed as it plays. MediaStreams and other
+     * nodes are only listened to, not played.
+     *
+     * @param {MediaStream|AudioNode|AudioBuffer} source - Microphone or WebRTC stream, a Web Audio node, or an
+     *   AudioBuffer to play
+     * @param {object} [options={}] - Options
+     * @param {AudioContext} [options.audioContext] - Context to use; the node's own context, or a new one, which
+     *   detach() closes
+     * @returns {Promise<AudioContext>} The context analyzing the audio
+     * @throws {ValidationError} If the source type is unsupported
+     * @throws {InitializationError} If no AudioContext is available
+     */
+    async attach(source, options = {}) {
+        this._assertNotDisposed();
+        this.detach();
+
+        const isStream = typeof MediaStream !== 'undefined' && source instanceof MediaStream;
+        const isBuffer = isAudioBuffer(source);
+        if (!isStream && !isBuffer && typeof source?.connect !== 'function') {
+            throw new ValidationError('source must be a MediaStream, an AudioNode or an AudioBuffer', 'source');
+        }
+        const ownsContext = !options.audioContext && !source?.context;
+        if (ownsContext && typeof AudioContext === 'undefined') {
+            throw new InitializationError('Web Audio is not available; pass options.audioContext', 'LipSync');
+        }
+        const context = options.audioContext ?? source?.context ?? new AudioContext();
+
+        // Nothing is connected until the tap exists, so a failure leaves no node behind
+        let tap;
+        try {
+            tap = await createTap(context, samples => this._onLiveSamples(samples, context.sampleRate));
+        } catch (error) {
+            if (ownsContext) closeContext(context);
+            throw error;
+        }
+
+        let node = source;
+        if (isStream) {
+            node = context.createMediaStreamSource(source);
+        } else if (isBuffer) {
+            node = context.createBufferSource();
+            node.buffer = source;
+            node.connect(context.destination);
+        }
+        // A tap only runs while connected towards the destination; the muted gain keeps it silent
+        const mute = context.createGain();
+        mute.gain.value = 0;
+        node.connect(tap);
+        tap.connect(mute);
+        mute.connect(context.destination);
+        this._attachment = { context, node, tap, mute, owned: isStream || isBuffer, ownsContext };
+        this.analyzer = new LipSyncAnalyzer(context.sampleRate, this.options);
+        if (isBuffer) {
+            node.start();
+        }
+        logger.debug('Lip-sync attached', { sampleRate: context.sampleRate, worklet: !!context.audioWorklet });
+        return context;
+    }
+
+    /**
+     * Stop analyzing live audio; a playing AudioBuffer is stopped, and a context created by attach() closed
+     */
+    detach() {
+        const attachment = this._attachment;
+        if (!attachment) return;
+        this._attachment = null;
+        const { context, node, tap, mute, owned, ownsContext } = attachment;
+        try {
+            if (owned && typeof node.stop === 'function') {
+                node.stop();
+            }
+            node.disconnect(tap);
+            if (owned) node.disconnect();
+            tap.disconnect();
+            mute.disconnect();
+            if (tap.port) tap.port.onmessage = null;
+            tap.onaudioprocess = null;
+        } catch (error) {
+            logger.warn('Error detaching lip-sync audio', { error: error.message });
+        }
+        if (ownsContext) {
+            closeContext(context);
+        }
+    }
+
+    /**
+     * Detach, disconnect and release the analyzer
+     */
+    dispose() {
+        if (this._disposed) return;
+        this.detach();
+        this.disconnect();
+        this.analyzer = null;
+        this.onFrame = null;
+        this._disposed = true;
+    }
+
+    /**
+     * @private
+     */
+    _onLiveSamples(samples, sampleRate) {
+        if (this._disposed || !this._attachment) return;
+        this.process(samples, sampleRate);
+    }
+
+    /**
+     * @private
+     */
+    _send(target, weights) {
+        const blendMs = this.blendMs ?? 1000 / (this.analyzer?.options.fps ?? 60);
+        try {
+            target.setExpression(weights, { blendMs });
+        } catch (error) {
+            logger.warn('Error sending lip-sync frame', { error: error.message });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _assertNotDisposed() {
+        if (this._disposed) {
+            throw new ResourceDisposedError('LipSync');
+        }
+    }
+}
+
+export default LipSync;
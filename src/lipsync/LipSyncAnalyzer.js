@@ -0,0 +1,225 @@
+/**
+ * LipSyncAnalyzer - Streaming audio to viseme and blendshape frames
+ *
+ * Takes mono PCM in chunks of any size and produces frames at a fixed rate.
+ * Frame k describes time k / fps; it is produced once the analysis window
+ * centred on that time is complete, so live input lags by half a window
+ * (about 16 ms at 48 kHz).
+ *
+ * Visemes are estimated from the spectral shape of the window: the level
+ * opens the mouth, the first formant frequency sets how far (high for "a",
+ * low for "i" and "u"), the second spreads the lips when high (E, I) and
+ * rounds them when low (O, U), and hiss with many zero crossings gives
+ * fricatives (SS, FF). It is an estimate from the sound alone, not phoneme
+ * recognition: plosives and the other consonant visemes are not told apart.
+ */
+
+import { ValidationError } from '../errors/index.js';
+import { AudioFeatureExtractor } from './AudioFeatureExtractor.js';
+import { Viseme, VISEME_BLENDSHAPE_NAMES, visemesToBlendshapes } from './Visemes.js';
+
+/**
+ * Defaults of the analyzer options
+ */
+export const DEFAULT_LIP_SYNC_OPTIONS = Object.freeze({
+    fps: 60,            // Frames per second
+    silenceDb: -50,     // Level (dBFS) at or below which the mouth rests
+    speechDb: -20,      // Level (dBFS) at which the mouth opens fully
+    intensity: 1,       // Scale of the blendshape weights
+    attack: 0.03,       // Time constant in seconds of rising weights
+    release: 0.08       // Time constant in seconds of falling weights
+});
+
+/**
+ * @private
+ */
+const clamp01 = value => Math.min(Math.max(value, 0), 1);
+
+/**
+ * 0 below edge0, 1 above edge1, smooth in between
+ * @private
+ */
+const smoothstep = (value, edge0, edge1) => {
+    const t = clamp01((value - edge0) / (edge1 - edge0));
+    return t * t * (3 - 2 * t);
+};
+
+/**
+ * Estimate visemes from the features of one window
+ *
+ * @param {object} features - Result of AudioFeatureExtractor.extract()
+ * @param {object} [options={}] - Options
+ * @param {number} [options.silenceDb=-50] - Level at or below which the result is silence
+ * @param {number} [options.speechDb=-20] - Level of full speech
+ * @returns {{visemes: object, level: number}} Viseme weights by name (summing to 1) and speech level, 0-1
+ */
+export function classifyVisemes(features, options = {}) {
+    const { silenceDb = DEFAULT_LIP_SYNC_OPTIONS.silenceDb, speechDb = DEFAULT_LIP_SYNC_OPTIONS.speechDb } = options;
+    const { db, zcr, centroid, bands, formants } = features;
+    const level = clamp01((db - silenceDb) / (speechDb - silenceDb));
+
+    // Hiss: energy above the formants together with many zero crossings
+    const hiss = smoothstep(bands.fricative + bands.f3 * 0.5, 0.3, 0.6) * smoothstep(zcr, 0.05, 0.2);
+    const voiced = level * (1 - hiss);
+
+    // Jaw opening from the first formant; lips spread with a high second formant and round with a low one
+    const open = smoothstep(formants.f1, 300, 650);
+    const spread = smoothstep(formants.f2, 1450, 1900);
+    const rounded = 1 - smoothstep(formants.f2, 900, 1200);
+    const neutral = Math.max(1 - spread - rounded, 0);
+
+    const sibilant = smoothstep(centroid, 3000, 5000);
+    const visemes = {
+        [Viseme.Silence]: 1 - level,
+        [Viseme.AA]: voiced * neutral * open,
+        [Viseme.DD]: voiced * neutral * (1 - open),
+        [Viseme.E]: voiced * spread * open,
+        [Viseme.I]: voiced * spread * (1 - open),
+        [Viseme.O]: voiced * rounded * open,
+        [Viseme.U]: voiced * rounded * (1 - open),
+        [Viseme.SS]: level * hiss * sibilant,
+        [Viseme.FF]: level * hiss * (1 - sibilant)
+    };
+    return { visemes, level };
+}
+
+/**
+ * LipSyncAnalyzer - Turns a stream of PCM into lip-sync frames
+ */
+export class LipSyncAnalyzer {
+    /**
+     * Create a LipSyncAnalyzer
+     *
+     * @param {number} sampleRate - Sample rate of the input in Hz
+     * @param {object} [options={}] - Options (see DEFAULT_LIP_SYNC_OPTIONS); feature options such as
+     *   windowDuration are passed to the AudioFeatureExtractor
+     * @throws {ValidationError} If the sample rate or an option is invalid
+     */
+    constructor(sampleRate, options = {}) {
+        const resolved = { ...DEFAULT_LIP_SYNC_OPTIONS, ...options };
+        ['fps', 'intensity'].forEach((key) => {
+            if (typeof resolved[key] !== 'number' || !(resolved[key] > 0) || !Number.isFinite(resolved[key])) {
+                throw new ValidationError(`${key} must be a positive number`, key);
+            }
+        });
+        ['attack', 'release'].forEach((key) => {
+            if (typeof resolved[key] !== 'number' || !(resolved[key] >= 0)) {
+                throw new ValidationError(`${key} must be a non-negative number of seconds`, key);
+            }
+        });
+        if (!(resolved.speechDb > resolved.silenceDb)) {
+            throw new ValidationError('speechDb must be greater than silenceDb', 'speechDb');
+        }
+
+        this.options = resolved;
+        this.extractor = new AudioFeatureExtractor(sampleRate, options);
+        this.sampleRate = sampleRate;
+        this._history = new Float32Array(this.extractor.windowSize);
+        this.reset();
+    }
+
+    /**
+     * Start over as if no audio had been processed
+     */
+    reset() {
+        this._history.fill(0);
+        this._samplesSeen = 0;
+        this._frameIndex = 0;
+        this._weights = Object.fromEntries(VISEME_BLENDSHAPE_NAMES.map(name => [name, 0]));
+    }
+
+    /**
+     * Time of the next frame in seconds
+     * @returns {number}
+     */
+    get time() {
+        return this._frameIndex / this.options.fps;
+    }
+
+    /**
+     * Analyze the next chunk of audio
+     *
+     * @param {Float32Array} samples - Mono samples, -1 to 1, following the previous chunk
+     * @returns {Array<{time: number, level: number, visemes: object, weights: object}>} Frames completed by this
+     *   chunk, oldest first: time in seconds since the start of the stream, speech level 0-1, viseme weights,
+     *   and smoothed ARKit blendshape weights
+     */
+    process(samples) {
+        const frames = [];
+        let position = 0;
+        while (position < samples.length) {
+            const due = Math.ceil(this._nextFrameEnd() - this._samplesSeen);
+            const take = Math.min(Math.max(due, 1), samples.length - position);
+            this._append(samples.subarray(position, position + take));
+            position += take;
+            while (this._samplesSeen >= this._nextFrameEnd()) {
+                frames.push(this._frame());
+            }
+        }
+        return frames;
+    }
+
+    /**
+     * Finish the stream: analyze the frames whose windows run past the end of the audio
+     *
+     * @returns {Array<object>} Remaining frames up to the end of the audio (see process())
+     */
+    flush() {
+        const end = this._samplesSeen / this.sampleRate;
+        const frames = [];
+        const silence = new Float32Array(this.extractor.windowSize);
+        while (this.time <= end) {
+            const due = Math.ceil(this._nextFrameEnd() - this._samplesSeen);
+            this._append(silence.subarray(0, Math.max(due, 0)));
+            frames.push(this._frame());
+        }
+        return frames;
+    }
+
+    /**
+     * Sample count at which the window of the next frame is complete
+     * @private
+     */
+    _nextFrameEnd() {
+        return this._frameIndex * this.sampleRate / this.options.fps + this.extractor.windowSize / 2;
+    }
+
+    /**
+     * @private
+     */
+    _append(chunk) {
+        const history = this._history;
+        if (chunk.length >= history.length) {
+            history.set(chunk.subarray(chunk.length - history.length));
+        } else if (chunk.length > 0) {
+            history.copyWithin(0, chunk.length);
+            history.set(chunk, history.length - chunk.length);
+        }
+        this._samplesSeen += chunk.length;
+    }
+
+    /**
+     * @private
+     */
+    _frame() {
+        const { fps, intensity, attack, release } = this.options;
+        const { visemes, level } = classifyVisemes(this.extractor.extract(this._history), this.options);
+        const target = visemesToBlendshapes(visemes, { intensity });
+
+        const dt = 1 / fps;
+        const rise = attack > 0 ? 1 - Math.exp(-dt / attack) : 1;
+        const fall = release > 0 ? 1 - Math.exp(-dt / release) : 1;
+        const weights = {};
+        Object.entries(target).forEach(([name, value]) => {
+            const previous = this._weights[name] ?? 0;
+            weights[name] = previous + (value - previous) * (value > previous ? rise : fall);
+        });
+        this._weights = weights;
+
+        const frame = { time: this.time, level, visemes, weights: { ...weights } };
+        this._frameIndex++;
+        return frame;
+    }
+}
+
+export default LipSyncAnalyzer;
@@ -0,0 +1,424 @@
+/**
+ * VisemeTrack - Plays timed visemes from a TTS engine in sync with its audio
+ *
+ * TTS services report the visemes of the speech they synthesize with
+ * timestamps. A VisemeTrack maps them (Oculus, Azure or Polly sets) to
+ * ARKit blendshapes and plays them against an audio clock, so the mouth
+ * follows the audio even when frames drop or playback starts late.
+ *
+ * Each viseme holds from its time to the next one. Around every boundary
+ * the two neighbours crossfade over the coarticulation time, so short
+ * visemes blend into their neighbours instead of snapping, and contact
+ * visemes (PP, FF, TH, CH, SS) dominate the mix so lips still close.
+ */
+
+import { ValidationError, ResourceDisposedError } from '../errors/index.js';
+import { getLogger } from '../utils/Logger.js';
+import { TYVoiceChatState } from '../renderer/AppConstants.js';
+import { Viseme, VisemeSet, VISEME_SETS, VISEME_BLENDSHAPES, visemesToBlendshapes } from './Visemes.js';
+
+const logger = getLogger('VisemeTrack');
+
+/**
+ * Defaults of the track options
+ */
+export const DEFAULT_VISEME_TRACK_OPTIONS = Object.freeze({
+    visemeSet: VisemeSet.Oculus,    // VisemeSet value, or an object mapping the viseme values to Viseme names
+    coarticulation: 0.06,           // Crossfade time in seconds around each viseme boundary
+    intensity: 1,                   // Scale of the blendshape weights
+    duration: null,                 // Length of the track in seconds; the last viseme time plus 0.15 when null
+    chatState: true                 // Request the Responding chat state of the target while playing
+});
+
+/**
+ * Time the last viseme holds when the track has no duration
+ * @private
+ */
+const DEFAULT_TAIL = 0.15;
+
+/**
+ * Weight of the visemes in the crossfades; the lips close or touch for these
+ * @private
+ */
+const DOMINANCE = Object.freeze({
+    [Viseme.PP]: 2,
+    [Viseme.FF]: 2,
+    [Viseme.TH]: 2,
+    [Viseme.CH]: 2,
+    [Viseme.SS]: 2
+});
+
+/**
+ * @private
+ */
+const smoothstep = (value, edge0, edge1) => {
+    const t = Math.min(Math.max((value - edge0) / (edge1 - edge0), 0), 1);
+    return t * t * (3 - 2 * t);
+};
+
+/**
+ * Current time of a clock in seconds
+ * @private
+ */
+const readClock = clock => (typeof clock === 'function' ? clock() : clock.currentTime);
+
+/**
+ * Run a callback on the next display frame; a 60 Hz timer where there is none (Node, workers)
+ * @private
+ * @returns {Function} Cancels the callback
+ */
+function nextFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        const id = requestAnimationFrame(callback);
+        return () => cancelAnimationFrame(id);
+    }
+    const id = setTimeout(callback, 1000 / 60);
+    return () => clearTimeout(id);
+}
+
+/**
+ * VisemeTrack - Timed visemes, sampled or played to a renderer
+ */
+export class VisemeTrack {
+    /**
+     * Create a VisemeTrack
+     *
+     * @param {Array<{time: number, viseme: string|number, weight?: number}>} visemes - Viseme events: start time in
+     *   seconds from the start of the audio, viseme in the set of options.visemeSet, and weight 0-1 (default 1).
+     *   Need not be sorted.
+     * @param {object} [options={}] - Options (see DEFAULT_VISEME_TRACK_OPTIONS)
+     * @param {object} [options.shapes=VISEME_BLENDSHAPES] - Blendshape weights of each viseme
+     * @param {Function} [options.onFrame] - Called with each played frame ({time, visemes, weights})
+     * @throws {ValidationError} If an event or option is invalid
+     */
+    constructor(visemes, options = {}) {
+        const { shapes = VISEME_BLENDSHAPES, onFrame = null, ...rest } = options;
+        const resolved = { ...DEFAULT_VISEME_TRACK_OPTIONS, ...rest };
+        const map = typeof resolved.visemeSet === 'string' ? VISEME_SETS[resolved.visemeSet] : resolved.visemeSet;
+        if (!map || typeof map !== 'object') {
+            throw new ValidationError(`visemeSet must be one of ${Object.values(VisemeSet).join(', ')} or an ` +
+                'object mapping visemes to Viseme names', 'visemeSet');
+        }
+        if (typeof resolved.coarticulation !== 'number' || !(resolved.coarticulation >= 0)) {
+            throw new ValidationError('coarticulation must be a non-negative number of seconds', 'coarticulation');
+        }
+        if (typeof resolved.intensity !== 'number' || !(resolved.intensity > 0) ||
+            !Number.isFinite(resolved.intensity)) {
+            throw new ValidationError('intensity must be a positive number', 'intensity');
+        }
+        if (resolved.duration !== null && (typeof resolved.duration !== 'number' || !(resolved.duration >= 0))) {
+            throw new ValidationError('duration must be a non-negative number of seconds or null', 'duration');
+        }
+        if (onFrame !== null && typeof onFrame !== 'function') {
+            throw new ValidationError('onFrame must be a function', 'onFrame');
+        }
+        if (!Array.isArray(visemes)) {
+            throw new ValidationError('visemes must be an array of {time, viseme, weight}', 'visemes');
+        }
+
+        const events = visemes.map((event, index) => {
+            const viseme = Object.hasOwn(map, event?.viseme) ? map[event.viseme] : undefined;
+            if (typeof event?.time !== 'number' || !Number.isFinite(event.time)) {
+                throw new ValidationError('time must be a number of seconds', `visemes[${index}].time`);
+            }
+            if (!Object.values(Viseme).includes(viseme)) {
+                throw new ValidationError(`Unknown viseme '${event.viseme}' in the ${typeof resolved.visemeSet ===
+                    'string' ? resolved.visemeSet : 'custom'} set`, `visemes[${index}].viseme`);
+            }
+            const weight = event.weight ?? 1;
+            if (typeof weight !== 'number' || !(weight >= 0 && weight <= 1)) {
+                throw new ValidationError('weight must be a number from 0 to 1', `visemes[${index}].weight`);
+            }
+            return { time: event.time, viseme, weight };
+        }).sort((a, b) => a.time - b.time);
+
+        const last = events[events.length - 1];
+        const end = resolved.duration ?? (last ? last.time + DEFAULT_TAIL : 0);
+
+        // Segments covering all time: silence, each viseme until the next, silence after the end
+        this._segments = [
+            { from: -Infinity, to: events[0]?.time ?? end, viseme: Viseme.Silence, weight: 1 },
+            ...events.map((event, i) => ({
+                from: event.time,
+                to: Math.max(i + 1 < events.length ? events[i + 1].time : end, event.time),
+                viseme: event.viseme,
+                weight: event.weight
+            })),
+            { from: Math.max(end, last?.time ?? end), to: Infinity, viseme: Viseme.Silence, weight: 1 }
+        ];
+
+        this.options = { ...resolved, shapes };
+        this.duration = Math.max(end, last?.time ?? 0);
+        this.onFrame = onFrame;
+        this.target = null;
+        this._playback = null;
+        this._disposed = false;
+    }
+
+    /**
+     * Whether the track is playing (including waiting for its start time)
+     * @returns {boolean}
+     */
+    get playing() {
+        return this._playback !== null;
+    }
+
+    /**
+     * Track time of the playback in seconds, or null when not playing
+     * @returns {number|null}
+     */
+    get time() {
+        const playback = this._playback;
+        return playback ? readClock(playback.clock) - playback.startAt : null;
+    }
+
+    /**
+     * Visemes and blendshape weights at a time
+     *
+     * @param {number} time - Seconds from the start of the track
+     * @returns {{time: number, visemes: object, weights: object}} Viseme weights by name (summing to 1) and ARKit
+     *   blendshape weights (see visemesToBlendshapes())
+     */
+    sample(time) {
+        const c = this.options.coarticulation;
+        const segments = this._segments;
+
+        // Last segment starting at or before the time, then every segment whose crossfades reach it
+        let low = 0;
+        let high = segments.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (segments[mid].from <= time) low = mid; else high = mid - 1;
+        }
+        let first = low;
+        while (first > 0 && segments[first - 1].to + c > time) first--;
+        let last = low;
+        while (last < segments.length - 1 && segments[last + 1].from - c < time) last++;
+
+        const visemes = {};
+        let total = 0;
+        for (let i = first; i <= last; i++) {
+            const { from, to, viseme, weight } = segments[i];
+            const rise = from === -Infinity ? 1 : c > 0 ? smoothstep(time, from - c, from + c) : +(time >= from);
+            const fall = to === Infinity ? 0 : c > 0 ? smoothstep(time, to - c, to + c) : +(time >= to);
+            const activation = rise * (1 - fall) * (DOMINANCE[viseme] ?? 1);
+            if (activation <= 0) continue;
+            visemes[viseme] = (visemes[viseme] ?? 0) + activation * weight;
+            visemes[Viseme.Silence] = (visemes[Viseme.Silence] ?? 0) + activation * (1 - weight);
+            total += activation;
+        }
+        if (total > 0) {
+            Object.keys(visemes).forEach((name) => {
+                visemes[name] /= total;
+            });
+        } else {
+            visemes[Viseme.Silence] = 1;
+        }
+
+        const { intensity, shapes } = this.options;
+        return { time, visemes, weights: visemesToBlendshapes(visemes, { intensity, shapes }) };
+    }
+
+    /**
+     * Send played frames to a renderer (or anything with setExpression(weights, options))
+     *
+     * setExpression() replaces the whole expression, so the other blendshapes rest at 0 while the track plays.
+     *
+     * @param {{setExpression: Function, setChatState?: Function}} target - Usually the GaussianSplatRenderer
+     * @throws {ValidationError} If the target has no setExpression()
+     */
+    connect(target) {
+        this._assertNotDisposed();
+        if (typeof target?.setExpression !== 'function') {
+            throw new ValidationError('target must have a setExpression() method', 'target');
+        }
+        this.target = target;
+    }
+
+    /**
+     * Stop sending frames
+     */
+    disconnect() {
+        this.stop();
+        this.target = null;
+    }
+
+    /**
+     * Play the track against an audio clock
+     *
+     * Every display frame the clock is read and the track sampled at that time, so the mouth stays on the
+     * audio whatever the frame rate. While the track plays, the target is put in the Responding chat state;
+     * when it ends, the target goes back to the state it was in before, unless the app changed it meanwhile.
+     * Replaces any playback in progress.
+     *
+     * @param {object} [options={}] - Options
+     * @param {Function|{currentTime: number}} [options.clock] - Clock in seconds: a function, or an object with
+     *   currentTime such as an AudioContext or an audio element. performance.now() by default.
+     * @param {number} [options.startAt] - Clock time at which the track starts (e.g. the `when` passed to
+     *   AudioBufferSourceNode.start()); the current clock time by default, 0 for an audio element
+     * @returns {Promise<boolean>} Resolves once playback ends: true if the track played to its end, false if it
+     *   was stopped, replaced or the track was disposed
+     * @throws {ValidationError} If the clock or start time is invalid
+     * @throws {ResourceDisposedError} If the track has been disposed
+     */
+    play(options = {}) {
+        this._assertNotDisposed();
+        const clock = options.clock ?? (() => performance.now() / 1000);
+        if (typeof clock !== 'function' && typeof clock?.currentTime !== 'number') {
+            throw new ValidationError('clock must be a function returning seconds or have currentTime', 'clock');
+        }
+        const startAt = options.startAt ?? readClock(clock);
+        if (typeof startAt !== 'number' || !Number.isFinite(startAt)) {
+            throw new ValidationError('startAt must be a number of seconds', 'startAt');
+        }
+
+        const replaced = this._playback;
+        return new Promise((resolve) => {
+            const playback = { clock, startAt, resolve, cancel: null, previousState: null, responding: false };
+            if (replaced?.responding) {
+                // Stay in Responding across the tracks, and return to the state from before the first
+                playback.previousState = replaced.previousState;
+                playback.responding = true;
+            }
+            this._playback = playback;
+            if (replaced) {
+                this._finish(replaced, false);
+            }
+            this._tick(playback);
+        });
+    }
+
+    /**
+     * Stop playing; the mouth of the target goes back to rest
+     */
+    stop() {
+        if (this._playback) {
+            this._finish(this._playback, false);
+        }
+    }
+
+    /**
+     * Stop and release the track
+     */
+    dispose() {
+        if (this._disposed) return;
+        this.disconnect();
+        this.onFrame = null;
+        this._segments = [];
+        this._disposed = true;
+    }
+
+    /**
+     * @private
+     */
+    _tick(playback) {
+        playback.cancel = null;
+        let time;
+        try {
+            time = readClock(playback.clock) - playback.startAt;
+        } catch (error) {
+            logger.warn('Error reading the viseme track clock', { error: error.message });
+            this._finish(playback, false);
+            return;
+        }
+
+        if (time >= 0 && !playback.responding) {
+            this._enterResponding(playback);
+        }
+        if (time > this.duration + this.options.coarticulation) {
+            this._finish(playback, true);
+            return;
+        }
+
+        const frame = this.sample(time);
+        if (this.onFrame) {
+            try {
+                this.onFrame(frame);
+            } catch (error) {
+                logger.warn('Error in onFrame callback', { error: error.message });
+            }
+        }
+        if (this.target) {
+            this._send(frame.weights);
+        }
+        playback.cancel = nextFrame(() => this._tick(playback));
+    }
+
+    /**
+     * End a playback; the mouth rests unless another playback has replaced it
+     * @private
+     */
+    _finish(playback, completed) {
+        playback.cancel?.();
+        playback.cancel = null;
+        if (this._playback === playback) {
+            this._playback = null;
+            if (this.target) {
+                this._send(this.sample(Infinity).weights);
+            }
+            if (playback.responding) {
+                this._leaveResponding(playback);
+            }
+        }
+        playback.resolve(completed);
+    }
+
+    /**
+     * @private
+     */
+    _enterResponding(playback) {
+        const target = this.target;
+        playback.responding = true;
+        if (!this.options.chatState || typeof target?.setChatState !== 'function') return;
+        playback.previousState = target.chatState ?? TYVoiceChatState.Idle;
+        this._requestChatState(target, TYVoiceChatState.Responding);
+    }
+
+    /**
+     * @private
+     */
+    _leaveResponding(playback) {
+        const target = this.target;
+        if (!this.options.chatState || typeof target?.setChatState !== 'function') return;
+        // Leave the state alone if the app has moved on meanwhile
+        if (target.chatState !== TYVoiceChatState.Responding) return;
+        const previous = playback.previousState;
+        this._requestChatState(target, previous && previous !== TYVoiceChatState.Responding
+            ? previous : TYVoiceChatState.Idle);
+    }
+
+    /**
+     * @private
+     */
+    _requestChatState(target, state) {
+        try {
+            Promise.resolve(target.setChatState(state)).catch((error) => {
+                logger.warn('Error setting the chat state', { state, error: error.message });
+            });
+        } catch (error) {
+            logger.warn('Error setting the chat state', { state, error: error.message });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _send(weights) {
+        try {
+            this.target.setExpression(weights);
+        } catch (error) {
+            logger.warn('Error sending viseme frame', { error: error.message });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _assertNotDisposed() {
+        if (this._disposed) {
+            throw new ResourceDisposedError('VisemeTrack');
+        }
+    }
+}
+
+export default VisemeTrack;
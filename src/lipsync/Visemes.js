@@ -0,0 +1,148 @@
+/**
+ * Visemes - Mouth shapes of speech and their ARKit blendshape weights
+ *
+ * Uses the 15 visemes of the Oculus/Meta lip-sync set, which most viseme
+ * sources can be mapped to. Each viseme is a small set of ARKit blendshape
+ * weights; a mix of visemes is the weighted sum of their shapes.
+ */
+
+/**
+ * Viseme names (Oculus/Meta set)
+ */
+export const Viseme = Object.freeze({
+    Silence: 'sil',
+    PP: 'PP',   // p, b, m
+    FF: 'FF',   // f, v
+    TH: 'TH',   // th
+    DD: 'DD',   // t, d
+    KK: 'kk',   // k, g
+    CH: 'CH',   // ch, j, sh
+    SS: 'SS',   // s, z
+    NN: 'nn',   // n, l
+    RR: 'RR',   // r
+    AA: 'aa',   // a (father)
+    E: 'E',     // e (bed)
+    I: 'I',     // i (tip)
+    O: 'O',     // o (thought)
+    U: 'U'      // u (book)
+});
+
+/**
+ * Viseme sets of speech engines, mapped to the Oculus set by VISEME_SETS
+ */
+export const VisemeSet = Object.freeze({
+    Oculus: 'oculus',   // Names of Viseme ('sil', 'PP', ... 'U') or their index 0-14 in OVRLipSync order
+    Azure: 'azure',     // Azure Speech viseme IDs 0-21
+    Polly: 'polly'      // Amazon Polly speech mark values ('p', 't', 'S', ... 'sil')
+});
+
+/**
+ * Viseme of each value of the VisemeSet sets
+ */
+export const VISEME_SETS = Object.freeze({
+    [VisemeSet.Oculus]: Object.freeze(Object.fromEntries(Object.values(Viseme).flatMap((viseme, index) => [
+        [viseme, viseme], [index, viseme]
+    ]))),
+    [VisemeSet.Azure]: Object.freeze({
+        0: Viseme.Silence,
+        1: Viseme.AA,   // æ ə ʌ
+        2: Viseme.AA,   // ɑ
+        3: Viseme.O,    // ɔ
+        4: Viseme.E,    // ɛ ʊ
+        5: Viseme.RR,   // ɝ
+        6: Viseme.I,    // j i ɪ
+        7: Viseme.U,    // w u
+        8: Viseme.O,    // o
+        9: Viseme.AA,   // aʊ
+        10: Viseme.O,   // ɔɪ
+        11: Viseme.AA,  // aɪ
+        12: Viseme.KK,  // h
+        13: Viseme.RR,  // ɹ
+        14: Viseme.NN,  // l
+        15: Viseme.SS,  // s z
+        16: Viseme.CH,  // ʃ tʃ dʒ ʒ
+        17: Viseme.TH,  // ð
+        18: Viseme.FF,  // f v
+        19: Viseme.DD,  // d t n θ
+        20: Viseme.KK,  // k g ŋ
+        21: Viseme.PP   // p b m
+    }),
+    [VisemeSet.Polly]: Object.freeze({
+        sil: Viseme.Silence,
+        p: Viseme.PP,
+        f: Viseme.FF,
+        T: Viseme.TH,
+        t: Viseme.DD,
+        k: Viseme.KK,
+        S: Viseme.CH,
+        s: Viseme.SS,
+        r: Viseme.RR,
+        a: Viseme.AA,
+        '@': Viseme.AA,
+        e: Viseme.E,
+        E: Viseme.E,
+        i: Viseme.I,
+        o: Viseme.O,
+        O: Viseme.O,
+        u: Viseme.U
+    })
+});
+
+/**
+ * ARKit blendshape weights of each viseme
+ */
+export const VISEME_BLENDSHAPES = Object.freeze({
+    [Viseme.Silence]: Object.freeze({}),
+    [Viseme.PP]: Object.freeze({ mouthClose: 0.3, mouthPressLeft: 0.5, mouthPressRight: 0.5, mouthRollLower: 0.2 }),
+    [Viseme.FF]: Object.freeze({ jawOpen: 0.1, mouthRollLower: 0.5, mouthUpperUpLeft: 0.3, mouthUpperUpRight: 0.3 }),
+    [Viseme.TH]: Object.freeze({ jawOpen: 0.15, tongueOut: 0.4, mouthStretchLeft: 0.1, mouthStretchRight: 0.1 }),
+    [Viseme.DD]: Object.freeze({ jawOpen: 0.2, mouthStretchLeft: 0.2, mouthStretchRight: 0.2 }),
+    [Viseme.KK]: Object.freeze({ jawOpen: 0.25, mouthStretchLeft: 0.2, mouthStretchRight: 0.2 }),
+    [Viseme.CH]: Object.freeze({ jawOpen: 0.15, mouthFunnel: 0.5, mouthPucker: 0.2 }),
+    [Viseme.SS]: Object.freeze({
+        jawOpen: 0.05, mouthStretchLeft: 0.3, mouthStretchRight: 0.3, mouthSmileLeft: 0.2, mouthSmileRight: 0.2
+    }),
+    [Viseme.NN]: Object.freeze({ jawOpen: 0.15, mouthClose: 0.1 }),
+    [Viseme.RR]: Object.freeze({ jawOpen: 0.15, mouthFunnel: 0.3, mouthPucker: 0.3 }),
+    [Viseme.AA]: Object.freeze({ jawOpen: 0.65, mouthLowerDownLeft: 0.3, mouthLowerDownRight: 0.3 }),
+    [Viseme.E]: Object.freeze({
+        jawOpen: 0.35, mouthSmileLeft: 0.3, mouthSmileRight: 0.3, mouthStretchLeft: 0.2, mouthStretchRight: 0.2
+    }),
+    [Viseme.I]: Object.freeze({
+        jawOpen: 0.2, mouthSmileLeft: 0.4, mouthSmileRight: 0.4, mouthStretchLeft: 0.2, mouthStretchRight: 0.2
+    }),
+    [Viseme.O]: Object.freeze({ jawOpen: 0.4, mouthFunnel: 0.6, mouthPucker: 0.2 }),
+    [Viseme.U]: Object.freeze({ jawOpen: 0.15, mouthFunnel: 0.4, mouthPucker: 0.7 })
+});
+
+/**
+ * Every blendshape any viseme moves, sorted by name
+ */
+export const VISEME_BLENDSHAPE_NAMES = Object.freeze(
+    [...new Set(Object.values(VISEME_BLENDSHAPES).flatMap(Object.keys))].sort()
+);
+
+/**
+ * Blendshape weights of a viseme mix
+ *
+ * @param {object} visemes - Weight of each viseme by name (see Viseme), 0-1; unknown names are ignored
+ * @param {object} [options={}] - Options
+ * @param {number} [options.intensity=1] - Scale of the resulting weights
+ * @param {object} [options.shapes=VISEME_BLENDSHAPES] - Blendshape weights of each viseme
+ * @returns {object} Weight of every blendshape in VISEME_BLENDSHAPE_NAMES (0 when unused), clamped to 0-1
+ */
+export function visemesToBlendshapes(visemes, options = {}) {
+    const { intensity = 1, shapes = VISEME_BLENDSHAPES } = options;
+    const weights = Object.fromEntries(VISEME_BLENDSHAPE_NAMES.map(name => [name, 0]));
+    Object.entries(visemes).forEach(([viseme, amount]) => {
+        const shape = shapes[viseme];
+        if (!shape || !(amount > 0)) return;
+        Object.entries(shape).forEach(([name, value]) => {
+            weights[name] = (weights[name] ?? 0) + value * amount * intensity;
+        });
+    });
+    Object.keys(weights).forEach((name) => {
+        weights[name] = Math.min(Math.max(weights[name], 0), 1);
+    });
+    return weights;
+}
@@ -0,0 +1,197 @@
+/**
+ * WavDecoder - Decodes RIFF WAVE files to Float32 PCM
+ *
+ * Lets lip-sync run on audio files without the Web Audio API, e.g. in Node
+ * or a worker. Supports integer PCM of 8, 16, 24 and 32 bits and 32/64-bit
+ * float, including WAVE_FORMAT_EXTENSIBLE headers. Compressed formats
+ * (ADPCM, mu-law...) are rejected; decode those with
+ * AudioContext.decodeAudioData() and pass the AudioBuffer instead.
+ */
+
+import { ParseError, ValidationError } from '../errors/index.js';
+
+/**
+ * Format tags of the 'fmt ' chunk
+ * @private
+ */
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+/**
+ * @private
+ */
+function readTag(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+}
+
+/**
+ * Reader of one sample, returning -1 to 1
+ * @private
+ */
+function sampleReader(view, format, bits) {
+    if (format === WAVE_FORMAT_IEEE_FLOAT) {
+        if (bits === 32) return offset => view.getFloat32(offset, true);
+        if (bits === 64) return offset => view.getFloat64(offset, true);
+    } else {
+        switch (bits) {
+            case 8: return offset => (view.getUint8(offset) - 128) / 128;
+            case 16: return offset => view.getInt16(offset, true) / 32768;
+            case 24: return (offset) => {
+                const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+                return value / 8388608;
+            };
+            case 32: return offset => view.getInt32(offset, true) / 2147483648;
+        }
+    }
+    throw new ParseError(`Unsupported WAV sample format: ${format === WAVE_FORMAT_IEEE_FLOAT ? 'float' : 'PCM'} ` +
+        `${bits}-bit`, 'wav');
+}
+
+/**
+ * Decode a WAV file
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data - Contents of the WAV file (a Node Buffer works)
+ * @returns {{sampleRate: number, channels: Float32Array[], length: number, duration: number}} Samples of each
+ *   channel (-1 to 1), frames per channel and duration in seconds
+ * @throws {ValidationError} If data is not binary
+ * @throws {ParseError} If the data is not a WAV file or uses an unsupported format
+ */
+export function decodeWav(data) {
+    let view;
+    if (data instanceof ArrayBuffer) {
+        view = new DataView(data);
+    } else if (ArrayBuffer.isView(data)) {
+        view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    } else {
+        throw new ValidationError('WAV data must be an ArrayBuffer or a typed array', 'data');
+    }
+    if (view.byteLength < 12 || readTag(view, 0) !== 'RIFF' || readTag(view, 8) !== 'WAVE') {
+        throw new ParseError('Not a RIFF WAVE file', 'wav');
+    }
+
+    // Walk the chunks for 'fmt ' and 'data'; chunks are padded to an even size
+    let fmt = null;
+    let dataChunk = null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength && !(fmt && dataChunk)) {
+        const tag = readTag(view, offset);
+        const size = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        if (tag === 'fmt ') {
+            if (size < 16) {
+                throw new ParseError('WAV fmt chunk is too short', 'wav');
+            }
+            let format = view.getUint16(start, true);
+            if (format === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+                // The sub-format GUID starts with the actual format tag
+                format = view.getUint16(start + 24, true);
+            }
+            fmt = {
+                format,
+                channels: view.getUint16(start + 2, true),
+                sampleRate: view.getUint32(start + 4, true),
+                blockAlign: view.getUint16(start + 12, true),
+                bits: view.getUint16(start + 14, true)
+            };
+        } else if (tag === 'data') {
+            // Streamed files may leave the size at 0 or past the end; read what is there
+            const available = view.byteLength - start;
+            dataChunk = { start, size: size === 0 || size > available ? available : size };
+        }
+        offset = start + size + (size % 2);
+    }
+    if (!fmt) {
+        throw new ParseError('WAV file has no fmt chunk', 'wav');
+    }
+    if (!dataChunk) {
+        throw new ParseError('WAV file has no data chunk', 'wav');
+    }
+    if (fmt.format !== WAVE_FORMAT_PCM && fmt.format !== WAVE_FORMAT_IEEE_FLOAT) {
+        throw new ParseError(`Unsupported WAV format tag 0x${fmt.format.toString(16)}; only PCM and float ` +
+            'are supported', 'wav');
+    }
+    if (fmt.channels === 0 || fmt.sampleRate === 0) {
+        throw new ParseError('WAV file has no channels or a sample rate of 0', 'wav');
+    }
+
+    const read = sampleReader(view, fmt.format, fmt.bits);
+    const bytesPerSample = fmt.bits / 8;
+    const blockAlign = fmt.blockAlign || bytesPerSample * fmt.channels;
+    const length = Math.floor(dataChunk.size / blockAlign);
+    const channels = Array.from({ length: fmt.channels }, () => new Float32Array(length));
+    for (let i = 0; i < length; i++) {
+        const frame = dataChunk.start + i * blockAlign;
+        for (let c = 0; c < fmt.channels; c++) {
+            channels[c][i] = read(frame + c * bytesPerSample);
+        }
+    }
+
+    return { sampleRate: fmt.sampleRate, channels, length, duration: length / fmt.sampleRate };
+}
+
+/**
+ * Encode Float32 PCM as a 16-bit WAV file
+ *
+ * @param {Float32Array[]} channels - Samples of each channel, -1 to 1 (clipped), all of the same length
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {ArrayBuffer} WAV file contents
+ * @throws {ValidationError} If there are no channels or the sample rate is invalid
+ */
+export function encodeWav(channels, sampleRate) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+        throw new ValidationError('channels must be a non-empty array of Float32Array', 'channels');
+    }
+    if (!Number.isInteger(sampleRate) || sampleRate <= 0) {
+        throw new ValidationError('sampleRate must be a positive integer', 'sampleRate');
+    }
+    const length = channels[0].length;
+    const blockAlign = channels.length * 2;
+    const buffer = new ArrayBuffer(44 + length * blockAlign);
+    const view = new DataView(buffer);
+    const writeTag = (offset, tag) => [...tag].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+
+    writeTag(0, 'RIFF');
+    view.setUint32(4, 36 + length * blockAlign, true);
+    writeTag(8, 'WAVE');
+    writeTag(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, WAVE_FORMAT_PCM, true);
+    view.setUint16(22, channels.length, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, 16, true);
+    writeTag(36, 'data');
+    view.setUint32(40, length * blockAlign, true);
+
+    for (let i = 0; i < length; i++) {
+        channels.forEach((channel, c) => {
+            const value = Math.max(-1, Math.min(1, channel[i] ?? 0));
+            view.setInt16(44 + i * blockAlign + c * 2, value < 0 ? value * 32768 : value * 32767, true);
+        });
+    }
+    return buffer;
+}
+
+/**
+ * Mix channels down to one
+ *
+ * @param {Float32Array[]} channels - Samples of each channel
+ * @returns {Float32Array} Average of the channels; the channel itself when there is only one
+ */
+export function mixToMono(channels) {
+    if (channels.length === 1) {
+        return channels[0];
+    }
+    const length = Math.min(...channels.map(channel => channel.length));
+    const mono = new Float32Array(length);
+    channels.forEach((channel) => {
+        for (let i = 0; i < length; i++) {
+            mono[i] += channel[i] / channels.length;
+        }
+    });
+    return mono;
+}
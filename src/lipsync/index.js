@@ -0,0 +1,13 @@
+/**
+ * gsplat-flame-avatar - Lip-sync Module
+ * Audio features, viseme estimation, viseme timelines and ARKit blendshape weights for lip-sync
+ */
+
+export { decodeWav, encodeWav, mixToMono } from './WavDecoder.js';
+export { AudioFeatureExtractor, DEFAULT_FEATURE_OPTIONS, SPEECH_BANDS, fft } from './AudioFeatureExtractor.js';
+export {
+    Viseme, VisemeSet, VISEME_SETS, VISEME_BLENDSHAPES, VISEME_BLENDSHAPE_NAMES, visemesToBlendshapes
+} from './Visemes.js';
+export { LipSyncAnalyzer, DEFAULT_LIP_SYNC_OPTIONS, classifyVisemes } from './LipSyncAnalyzer.js';
+export { LipSync, analyzeLipSync, toMonoPcm } from './LipSync.js';
+export { VisemeTrack, DEFAULT_VISEME_TRACK_OPTIONS } from './VisemeTrack.js';
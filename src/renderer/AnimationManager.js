@@ -3,349 +3,301 @@
  *
  * Derived from gaussian-splat-renderer-for-lam
  * Manages animation state machine with Three.js AnimationMixer.
+ * The states, their clips and the allowed transitions come from an
+ * AnimationStateGraph; see AnimationStateGraph.js for the graph format.
  */
 
 import { LoopOnce, LoopRepeat } from 'three';
+import {
+    AnimationPhase,
+    AnimationPlayback,
+    AnimationStateGraph,
+    DEFAULT_ANIMATION_BLEND
+} from './AnimationStateGraph.js';
 import { TYVoiceChatState } from './AppConstants.js';
 import { getLogger } from '../utils/Logger.js';
+import { TypedEventEmitter } from '../utils/EventEmitter.js';
+import { ConfigurationError } from '../errors/index.js';
 
 const logger = getLogger('AnimationManager');
 
 /**
- * Base State class for animation states
+ * Events emitted on AnimationManager.events
+ */
+export const AnimationManagerEvent = Object.freeze({
+    StateChanged: 'stateChanged',   // {state, previous}: the crossfade into a state has finished
+    ClipStarted: 'clipStarted',     // {state, phase, clip}: a state started playing a clip
+    ClipFinished: 'clipFinished'    // {state, phase, clip}: a state handed over from a clip, or stopped
+});
+
+/**
+ * Describe the states that found no clips, listing the clips they looked for
+ * @private
+ * @param {Array<{state: string, selectors: Array<number|string>}>} empty - States without clips
+ * @param {THREE.AnimationClip[]} animations - Clips of animation.glb
+ * @returns {string}
+ */
+function describeStatesWithoutClips(empty, animations) {
+    const states = empty.map(({ state, selectors }) => `${state} (${selectors.join(', ')})`).join('; ');
+    const available = animations.map(clip => clip.name).join(', ') || 'none';
+    return `No animation clips found for states: ${states}. Clips in animation.glb: ${available}`;
+}
+
+/**
+ * State - A state of the graph being played
+ *
+ * Plays the state's enter, loop and exit clips with crossfades between them.
  */
 class State {
-    constructor(actions, isGroup) {
+    /**
+     * @param {AnimationManager} manager - Manager playing the state
+     * @param {string} name - State name
+     * @param {object} definition - Normalized state from the graph
+     * @param {{enter: THREE.AnimationAction[], loop: THREE.AnimationAction[], exit: THREE.AnimationAction[]}} actions
+     *   Actions per phase
+     * @param {number} blendingTime - Crossfade time between the state's clips, in seconds
+     */
+    constructor(manager, name, definition, actions, blendingTime) {
+        this.manager = manager;
+        this.name = name;
+        this.playback = definition.playback;
         this.isPlaying = false;
+        this.phase = null;
         this.stage = 0;
-        this.actions = actions || [];
-        this.blendingTime = 0.5;
-        this.isGroup = isGroup || false;
+        this.actions = actions;
+        this.blendingTime = blendingTime;
     }
 
-    dispose() {
-        this.actions = [];
+    /**
+     * Whether the state has anything to play
+     * @returns {boolean}
+     */
+    get hasActions() {
+        return this.actions.enter.length + this.actions.loop.length > 0;
     }
 
-    update(state) {
-        // Override in subclasses
+    /**
+     * The action currently playing, if any
+     * @returns {THREE.AnimationAction|undefined}
+     */
+    get currentAction() {
+        return this.phase ? this.actions[this.phase][this.stage] : undefined;
     }
-}
 
-/**
- * Hello state - initial greeting animation
- */
-class Hello extends State {
-    constructor(actions, isGroup) {
-        super(actions, isGroup);
+    dispose() {
+        this.manager = null;
+        this.actions = { enter: [], loop: [], exit: [] };
+        this.isPlaying = false;
+        this.phase = null;
     }
 
-    update(state) {
-        // Safety check: return early if no actions available
-        if (!this.actions || this.actions.length === 0) return;
-        
-        if (AnimationManager.CurPlaying === undefined &&
-            state === TYVoiceChatState.Idle &&
-            this.isPlaying === false) {
-            this.stage = 0;
-            this.actions[this.stage].time = 0;
-            AnimationManager.SetWeight(this.actions[this.stage], 1.0);
-            this.actions[this.stage].loop = LoopRepeat;
-            this.actions[this.stage].clampWhenFinished = false;
-            this.actions[this.stage].paused = false;
-            this.actions[this.stage].play();
-            if (AnimationManager.LastAction !== undefined) {
-                AnimationManager.PrepareCrossFade(AnimationManager.LastAction, this.actions[this.stage], this.blendingTime);
-            }
-            this.isPlaying = true;
-        }
-
-        if (AnimationManager.CurPlaying === TYVoiceChatState.Idle &&
-            state === TYVoiceChatState.Idle &&
-            this.isPlaying === true) {
-            if (this.actions[this.stage].time >
-                this.actions[this.stage].getClip().duration - this.blendingTime) {
-                let nextStage = this.stage + 1;
-                if (nextStage >= this.actions.length) nextStage = 0;
-                this.actions[nextStage].time = 0;
-                AnimationManager.SetWeight(this.actions[nextStage], 1.0);
-                this.actions[nextStage].loop = LoopRepeat;
-                this.actions[nextStage].play();
-                AnimationManager.PrepareCrossFade(this.actions[this.stage], this.actions[nextStage], this.blendingTime);
-                this.stage = nextStage;
-            }
+    /**
+     * Start playing the state
+     * @param {THREE.AnimationAction} [lastAction] - Action to crossfade from
+     * @param {number} blendingTime - Crossfade time from the last action
+     */
+    enter(lastAction, blendingTime) {
+        this.isPlaying = true;
+        if (this.actions.enter.length > 0) {
+            this._play(AnimationPhase.Enter, 0, lastAction, blendingTime);
+        } else {
+            this._playLoop(lastAction, blendingTime);
         }
     }
-}
-
-/**
- * Idle state - resting animation
- */
-class Idle extends State {
-    constructor(actions, isGroup) {
-        super(actions, isGroup);
-    }
 
-    update(state) {
-        // Safety check: return early if no actions available
-        if (!this.actions || this.actions.length === 0) return;
-        
-        if (AnimationManager.CurPlaying === undefined &&
-            state === TYVoiceChatState.Idle &&
-            this.isPlaying === false) {
-            this.stage = 0;
-            this.actions[this.stage].time = 0;
-            AnimationManager.SetWeight(this.actions[this.stage], 1.0);
-            this.actions[this.stage].loop = LoopRepeat;
-            this.actions[this.stage].clampWhenFinished = false;
-            this.actions[this.stage].paused = false;
-            this.actions[this.stage].play();
-            if (AnimationManager.LastAction !== undefined) {
-                AnimationManager.PrepareCrossFade(AnimationManager.LastAction, this.actions[this.stage], this.blendingTime);
-            }
-            this.isPlaying = true;
+    /**
+     * Advance through the state's clips
+     * @returns {boolean} True once the exit phase has finished
+     */
+    update() {
+        const action = this.currentAction;
+        if (!action || action.time < action.getClip().duration - this.blendingTime) {
+            return false;
         }
 
-        if (AnimationManager.CurPlaying === TYVoiceChatState.Idle &&
-            state !== TYVoiceChatState.Idle &&
-            this.isPlaying === true &&
-            this.stage === 0) {
-            this.actions[this.stage].loop = LoopOnce;
-            this.actions[this.stage].clampWhenFinished = true;
-            this.isPlaying = false;
-            AnimationManager.LastAction = this.actions[this.stage];
+        const clips = this.actions[this.phase];
+        switch (this.phase) {
+            case AnimationPhase.Enter:
+                if (this.stage < clips.length - 1) {
+                    this._play(AnimationPhase.Enter, this.stage + 1, action, this.blendingTime);
+                } else if (this.actions.loop.length > 0) {
+                    this._playLoop(action, this.blendingTime);
+                }
+                return false;
+            case AnimationPhase.Loop:
+                if (this.playback === AnimationPlayback.RandomCycle && clips.length > 1) {
+                    // Pick a different clip than the one finishing
+                    const offset = 1 + Math.floor(Math.random() * (clips.length - 1));
+                    this._play(AnimationPhase.Loop, (this.stage + offset) % clips.length, action, this.blendingTime);
+                } else if (this.stage < clips.length - 1) {
+                    this._play(AnimationPhase.Loop, this.stage + 1, action, this.blendingTime);
+                } else if (this.playback === AnimationPlayback.Loop && clips.length > 1) {
+                    this._play(AnimationPhase.Loop, 0, action, this.blendingTime);
+                }
+                return false;
+            case AnimationPhase.Exit:
+                if (this.stage < clips.length - 1) {
+                    this._play(AnimationPhase.Exit, this.stage + 1, action, this.blendingTime);
+                    return false;
+                }
+                return true;
+            default:
+                return false;
         }
     }
-}
 
-/**
- * Listen state - listening animation
- */
-class Listen extends State {
-    constructor(actions, isGroup) {
-        super(actions, isGroup);
+    /**
+     * Start the exit phase
+     * @param {number} blendingTime - Crossfade time into the first exit clip
+     * @returns {boolean} True if the state has exit clips to play
+     */
+    exit(blendingTime) {
+        if (this.actions.exit.length === 0) {
+            return false;
+        }
+        this._play(AnimationPhase.Exit, 0, this.currentAction, blendingTime);
+        return true;
     }
 
-    update(state) {
-        // Safety check: return early if no actions available
-        if (!this.actions || this.actions.length === 0) return;
-        
-        if (AnimationManager.CurPlaying === undefined &&
-            state === TYVoiceChatState.Listening &&
-            this.isPlaying === false) {
-            this.stage = 0;
-            this.actions[this.stage].time = 0;
-            this.actions[this.stage].play();
-            AnimationManager.SetWeight(this.actions[this.stage], 1.0);
-            this.actions[this.stage].loop = this.isGroup ? LoopOnce : LoopRepeat;
-            this.actions[this.stage].clampWhenFinished = this.isGroup ? true : false;
-            if (AnimationManager.LastAction !== undefined) {
-                AnimationManager.PrepareCrossFade(AnimationManager.LastAction, this.actions[this.stage], this.blendingTime);
-            }
-            this.isPlaying = true;
+    /**
+     * Stop the state, holding the last frame of its current clip for the next state to fade from
+     * @returns {THREE.AnimationAction|undefined} The action that was playing
+     */
+    stop() {
+        const action = this.currentAction;
+        if (action) {
+            action.loop = LoopOnce;
+            action.clampWhenFinished = true;
+            this.manager.emitClipEvent(AnimationManagerEvent.ClipFinished, this.name, this.phase, action);
         }
+        this.isPlaying = false;
+        this.phase = null;
+        return action;
+    }
 
-        if (this.isGroup) {
-            if (AnimationManager.CurPlaying === TYVoiceChatState.Listening &&
-                state === TYVoiceChatState.Listening &&
-                this.isPlaying === true &&
-                this.stage === 0) {
-                if (this.actions[this.stage].time >
-                    this.actions[this.stage].getClip().duration - this.blendingTime) {
-                    this.actions[this.stage + 1].time = 0;
-                    AnimationManager.SetWeight(this.actions[this.stage + 1], 1.0);
-                    this.actions[this.stage + 1].loop = LoopRepeat;
-                    this.actions[this.stage + 1].play();
-                    AnimationManager.PrepareCrossFade(this.actions[this.stage], this.actions[this.stage + 1], this.blendingTime);
-                    this.stage = 1;
-                }
-            }
+    /**
+     * Start the loop phase
+     * @private
+     */
+    _playLoop(lastAction, blendingTime) {
+        const clips = this.actions.loop;
+        const stage = this.playback === AnimationPlayback.RandomCycle ? Math.floor(Math.random() * clips.length) : 0;
+        this._play(AnimationPhase.Loop, stage, lastAction, blendingTime);
+    }
 
-            if (AnimationManager.CurPlaying === TYVoiceChatState.Listening &&
-                state !== TYVoiceChatState.Listening &&
-                this.isPlaying === true &&
-                (this.stage === 0 || this.stage === 1)) {
-                this.actions[2].time = 0;
-                this.actions[2].play();
-                AnimationManager.SetWeight(this.actions[2], 1.0);
-                this.actions[2].loop = LoopOnce;
-                AnimationManager.PrepareCrossFade(this.actions[this.stage], this.actions[2], this.blendingTime);
-                this.stage = 2;
-            }
+    /**
+     * Play one of the state's actions, crossfading from the previous one
+     * @private
+     */
+    _play(phase, stage, lastAction, blendingTime) {
+        const action = this.actions[phase][stage];
+        const previous = this.currentAction;
+        if (previous) {
+            this.manager.emitClipEvent(AnimationManagerEvent.ClipFinished, this.name, this.phase, previous);
         }
-
-        if (AnimationManager.CurPlaying === TYVoiceChatState.Listening &&
-            state !== TYVoiceChatState.Listening &&
-            this.isPlaying === true &&
-            this.stage === (this.isGroup ? this.actions.length - 1 : 0)) {
-            this.actions[this.stage].loop = LoopOnce;
-            this.actions[this.stage].clampWhenFinished = true;
-            this.isPlaying = false;
-            AnimationManager.LastAction = this.actions[this.stage];
+        // A single looping clip repeats itself; everything else plays once and hands over near its end
+        const repeat = phase === AnimationPhase.Loop && this.playback !== AnimationPlayback.Once &&
+            (this.playback === AnimationPlayback.Loop || this.actions.loop.length === 1);
+
+        this.phase = phase;
+        this.stage = stage;
+        action.time = 0;
+        action.loop = repeat ? LoopRepeat : LoopOnce;
+        action.clampWhenFinished = !repeat;
+        action.paused = false;
+        this.manager.setWeight(action, 1.0);
+        action.play();
+        if (lastAction !== undefined && lastAction !== action) {
+            this.manager.prepareCrossFade(lastAction, action, blendingTime);
         }
+        logger.debug('Playing clip', { state: this.name, phase, stage, clip: action.getClip().name });
+        this.manager.emitClipEvent(AnimationManagerEvent.ClipStarted, this.name, phase, action);
     }
 }
 
 /**
- * Think state - thinking animation
+ * Stands in for the AnimationManager of a legacy state constructed without one: sets weights and crossfades
+ * the state's own actions, without events
+ * @private
  */
-class Think extends State {
-    constructor(actions, isGroup) {
-        super(actions, isGroup);
-    }
-
-    update(state) {
-        // Safety check: return early if no actions available
-        if (!this.actions || this.actions.length === 0) return;
-        
-        if (AnimationManager.CurPlaying === undefined &&
-            state === TYVoiceChatState.Thinking &&
-            this.isPlaying === false) {
-            this.stage = 0;
-            this.actions[this.stage].time = 0;
-            this.actions[this.stage].play();
-            AnimationManager.SetWeight(this.actions[this.stage], 1.0);
-            this.actions[this.stage].loop = LoopOnce;
-            if (AnimationManager.LastAction !== undefined) {
-                AnimationManager.PrepareCrossFade(AnimationManager.LastAction, this.actions[this.stage], this.blendingTime);
-            }
-            this.isPlaying = true;
-        }
-
-        if (this.isGroup) {
-            if (AnimationManager.CurPlaying === TYVoiceChatState.Thinking &&
-                state === TYVoiceChatState.Thinking &&
-                this.isPlaying === true &&
-                this.stage === 0) {
-                if (this.actions[this.stage].time >
-                    this.actions[this.stage].getClip().duration - this.blendingTime) {
-                    this.actions[this.stage + 1].time = 0;
-                    AnimationManager.SetWeight(this.actions[this.stage + 1], 1.0);
-                    this.actions[this.stage + 1].loop = LoopRepeat;
-                    this.actions[this.stage + 1].play();
-                    AnimationManager.PrepareCrossFade(this.actions[this.stage], this.actions[this.stage + 1], this.blendingTime);
-                    this.stage = 1;
-                }
-            }
+const standaloneManager = Object.freeze({
+    setWeight(action, weight) {
+        action.enabled = true;
+        action.setEffectiveTimeScale(1);
+        action.setEffectiveWeight(weight);
+    },
+    prepareCrossFade(startAction, endAction, duration) {
+        this.setWeight(endAction, 1);
+        endAction.time = 0;
+        startAction.crossFadeTo(endAction, duration, true);
+    },
+    emitClipEvent() {}
+});
 
-            if (AnimationManager.CurPlaying === TYVoiceChatState.Thinking &&
-                state !== TYVoiceChatState.Thinking &&
-                this.isPlaying === true &&
-                (this.stage === 0 || this.stage === 1)) {
-                this.actions[2].time = 0;
-                this.actions[2].play();
-                AnimationManager.SetWeight(this.actions[2], 1.0);
-                this.actions[2].loop = LoopOnce;
-                AnimationManager.PrepareCrossFade(this.actions[this.stage], this.actions[2], this.blendingTime);
-                this.stage = 2;
+/**
+ * Build one of the per-state classes of earlier versions as a State of a fixed name
+ * @private
+ * @param {string} className - Class name of earlier versions
+ * @param {string} name - State name
+ * @param {string} playback - Value from AnimationPlayback
+ * @param {boolean} [phased=false] - Whether a group of three or more clips plays as enter, loop and exit, as in
+ *   AnimationStateGraph.fromGrouping()
+ * @returns {typeof State}
+ */
+function legacyState(className, name, playback, phased = false) {
+    const LegacyState = class extends State {
+        /**
+         * Takes (manager, actions, blendingTime), or the (actions, isGroup) of earlier versions
+         *
+         * @param {AnimationManager|THREE.AnimationAction[]} [manager] - Manager playing the state; without one,
+         *   the state sets the weights and crossfades of its actions itself
+         * @param {THREE.AnimationAction[]|boolean} [actions=[]] - Loop actions of the state; with the earlier
+         *   signature, isGroup
+         * @param {number} [blendingTime=DEFAULT_ANIMATION_BLEND] - Crossfade time between the clips, in seconds
+         */
+        constructor(manager, actions, blendingTime = DEFAULT_ANIMATION_BLEND) {
+            let phases = { enter: [], loop: actions ?? [], exit: [] };
+            if (!(manager instanceof AnimationManager)) {
+                // (actions, isGroup) of earlier versions
+                const clips = manager ?? [];
+                phases = phased && actions && clips.length >= 3
+                    ? { enter: [clips[0]], loop: [clips[1]], exit: [clips[2]] }
+                    : { enter: [], loop: clips, exit: [] };
+                manager = standaloneManager;
+                blendingTime = DEFAULT_ANIMATION_BLEND;
             }
+            super(manager, name, { playback }, phases, blendingTime);
         }
-
-        if (AnimationManager.CurPlaying === TYVoiceChatState.Thinking &&
-            state !== TYVoiceChatState.Thinking &&
-            this.isPlaying === true &&
-            this.stage === (this.isGroup ? this.actions.length - 1 : 0)) {
-            this.actions[this.stage].loop = LoopOnce;
-            this.actions[this.stage].clampWhenFinished = true;
-            this.isPlaying = false;
-            AnimationManager.LastAction = this.actions[this.stage];
-        }
-    }
+    };
+    Object.defineProperty(LegacyState, 'name', { value: className });
+    return LegacyState;
 }
 
 /**
- * Speak state - speaking animation with random movement selection
+ * Per-state classes of version 1.2 and earlier
+ *
+ * @deprecated States are now State instances built from the animation graph (see AnimationStateGraph); these
+ *   aliases only keep existing code working and will be removed in the next major version. Each plays the
+ *   clips it is given as the state of the same name in the default graph ('Hello' as in
+ *   AnimationStateGraph.fromGrouping()). The (actions, isGroup) constructor of earlier versions still works,
+ *   but the state is then driven like any State, with enter(), update() and exit(), not update(chatState).
  */
-class Speak extends State {
-    constructor(actions, isGroup) {
-        super(actions, isGroup);
-        logger.debug('[SPEAK] Initialized with', actions?.length || 0, 'actions, isGroup:', isGroup);
-    }
-
-    /**
-     * Get a random number in range [min, max]
-     */
-    getRandomNumber(max, min) {
-        const range = max - min;
-        return min + Math.round(Math.random() * range);
-    }
-
-    update(state) {
-        // Safety check: return early if no actions available
-        if (!this.actions || this.actions.length === 0) {
-            if (!this._warnedNoActions) {
-                logger.warn('[SPEAK] No actions available!');
-                this._warnedNoActions = true;
-            }
-            return;
-        }
-        
-        // Start speaking - pick a random animation
-        if (AnimationManager.CurPlaying === undefined &&
-            state === TYVoiceChatState.Responding &&
-            this.isPlaying === false) {
-            // Randomly select initial animation
-            this.stage = Math.ceil(this.getRandomNumber(0, this.actions.length - 1));
-            logger.debug('[SPEAK] Starting animation, stage:', this.stage, 'of', this.actions.length);
-            this.actions[this.stage].time = 0;
-            this.actions[this.stage].play();
-            AnimationManager.SetWeight(this.actions[this.stage], 1.0);
-            this.actions[this.stage].loop = LoopOnce;
-            this.actions[this.stage].clampWhenFinished = true;
-            if (AnimationManager.LastAction !== undefined) {
-                AnimationManager.PrepareCrossFade(AnimationManager.LastAction, this.actions[this.stage], this.blendingTime);
-            }
-            this.isPlaying = true;
-        }
-
-        // Continue speaking - cycle through random animations
-        if (AnimationManager.CurPlaying === TYVoiceChatState.Responding &&
-            state === TYVoiceChatState.Responding &&
-            this.isPlaying === true) {
-            if (this.actions[this.stage].time >=
-                this.actions[this.stage].getClip().duration - this.blendingTime) {
-                const lastAction = this.actions[this.stage];
-                // Pick a different random animation
-                this.stage = (this.stage + Math.ceil(this.getRandomNumber(1, this.actions.length - 1))) % this.actions.length;
-                logger.debug('[SPEAK] Cycling to next animation, stage:', this.stage);
-                this.actions[this.stage].time = 0;
-                this.actions[this.stage].play();
-                AnimationManager.SetWeight(this.actions[this.stage], 1.0);
-                this.actions[this.stage].loop = LoopOnce;
-                this.actions[this.stage].clampWhenFinished = true;
-                AnimationManager.PrepareCrossFade(lastAction, this.actions[this.stage], this.blendingTime);
-            }
-        }
-
-        // Stop speaking - finish current animation
-        if (AnimationManager.CurPlaying === TYVoiceChatState.Responding &&
-            state !== TYVoiceChatState.Responding &&
-            this.isPlaying === true) {
-            this.actions[this.stage].loop = LoopOnce;
-            this.actions[this.stage].clampWhenFinished = true;
-            this.isPlaying = false;
-            AnimationManager.LastAction = this.actions[this.stage];
-        }
-    }
-}
+export const Hello = legacyState('Hello', 'Hello', AnimationPlayback.Loop);
+export const Idle = legacyState('Idle', TYVoiceChatState.Idle, AnimationPlayback.Loop);
+export const Listen = legacyState('Listen', TYVoiceChatState.Listening, AnimationPlayback.Loop, true);
+export const Think = legacyState('Think', TYVoiceChatState.Thinking, AnimationPlayback.Once, true);
+export const Speak = legacyState('Speak', TYVoiceChatState.Responding, AnimationPlayback.RandomCycle);
 
 /**
  * AnimationManager - Main animation controller
- * Manages state machine with crossfade transitions between animation states
+ * Manages state machine with crossfade transitions between animation states.
+ * All state lives on the instance, so several avatars can animate independently.
  */
 export class AnimationManager {
-    // Static properties
-    static IsBlending = false;
-    static actions = [];
-    static NeedReset = false;
-    static NeedFullReset = false;
-    static LastAction = undefined;
-    static CurPlaying = undefined;
-
     /**
      * Set animation action weight
      */
-    static SetWeight(action, weight) {
+    setWeight(action, weight) {
         action.enabled = true;
         action.setEffectiveTimeScale(1);
         action.setEffectiveWeight(weight);
@@ -353,22 +305,82 @@ export class AnimationManager {
 
     /**
      * Prepare crossfade between two actions
+     *
+     * State updates are held back until the crossfade has finished.
      */
-    static PrepareCrossFade(startAction, endAction, defaultDuration) {
+    prepareCrossFade(startAction, endAction, defaultDuration) {
         const duration = defaultDuration;
-        AnimationManager.UnPauseAllActions();
-        AnimationManager.ExecuteCrossFade(startAction, endAction, duration);
-        AnimationManager.IsBlending = true;
-        setTimeout(() => {
-            AnimationManager.IsBlending = false;
-        }, defaultDuration + 0.1);
+        this.unPauseAllActions();
+        this.executeCrossFade(startAction, endAction, duration);
+        this._crossFade = { startAction, endAction };
+        this._blendRemaining = duration;
+        this._blendCheckTime = this.mixer.time;
+    }
+
+    /**
+     * Whether a crossfade started by prepareCrossFade() is still running
+     * @returns {boolean}
+     */
+    get isBlending() {
+        this._advanceBlend();
+        return this._blendRemaining > 0;
+    }
+
+    /**
+     * Count the running crossfade down by the mixer time passed since the last check
+     *
+     * The animation clock can seek back, taking the mixer time with it. The
+     * mixer's fade would then wait for the mixer to return to where it
+     * started, so the crossfade is finished at once instead.
+     * @private
+     */
+    _advanceBlend() {
+        const time = this.mixer.time;
+        const elapsed = time - this._blendCheckTime;
+        this._blendCheckTime = time;
+        if (this._blendRemaining <= 0) {
+            return;
+        }
+        if (elapsed < 0) {
+            this._finishCrossFade();
+        } else {
+            this._blendRemaining -= elapsed;
+        }
+    }
+
+    /**
+     * End the running crossfade with the weights it fades to
+     * @private
+     */
+    _finishCrossFade() {
+        const fade = this._crossFade;
+        this._crossFade = null;
+        this._blendRemaining = 0;
+        if (!fade) {
+            return;
+        }
+        fade.startAction.stopFading().stopWarping();
+        fade.startAction.enabled = false;
+        fade.endAction.stopFading().stopWarping();
+        this.setWeight(fade.endAction, 1.0);
+    }
+
+    /**
+     * Emit a clip event for an action of a state
+     * @param {string} event - AnimationManagerEvent.ClipStarted or ClipFinished
+     * @param {string} state - State name
+     * @param {string} phase - AnimationPhase of the clip in the state
+     * @param {THREE.AnimationAction} action - Action of the clip
+     */
+    emitClipEvent(event, state, phase, action) {
+        this.events.emit(event, { state, phase, clip: action.getClip().name });
     }
 
     /**
      * Pause all animation actions
      */
-    static PauseAllActions() {
-        AnimationManager.actions.forEach(function(action) {
+    pauseAllActions() {
+        this.actions.forEach(function(action) {
             action.paused = true;
         });
     }
@@ -376,8 +388,8 @@ export class AnimationManager {
     /**
      * Unpause all animation actions
      */
-    static UnPauseAllActions() {
-        AnimationManager.actions.forEach(function(action) {
+    unPauseAllActions() {
+        this.actions.forEach(function(action) {
             action.paused = false;
         });
     }
@@ -385,8 +397,8 @@ export class AnimationManager {
     /**
      * Execute crossfade between two actions
      */
-    static ExecuteCrossFade(startAction, endAction, duration) {
-        AnimationManager.SetWeight(endAction, 1);
+    executeCrossFade(startAction, endAction, duration) {
+        this.setWeight(endAction, 1);
         endAction.time = 0;
         startAction.crossFadeTo(endAction, duration, true);
     }
@@ -395,183 +407,281 @@ export class AnimationManager {
      * Constructor
      * @param {THREE.AnimationMixer} mixer - Three.js animation mixer
      * @param {THREE.AnimationClip[]} animations - Animation clips
-     * @param {object} animationcfg - Animation configuration
+     * @param {object|AnimationStateGraph} [animationcfg] - Animation state graph, graph definition or
+     *   legacy grouping config ({hello, idle, listen, speak, think: {size, isGroup}}); the default graph when absent
+     * @throws {ConfigurationError} If the graph definition is malformed, or if the graph sets 'requireClips'
+     *   and a state has no clips
      */
     constructor(mixer, animations, animationcfg) {
-        const helloActions = [];
-        const idleActions = [];
-        const listenActions = [];
-        const speakActions = [];
-        const thinkActions = [];
-
         this.mixer = mixer;
-
-        // Calculate action indices based on config
-        const helloIdx = animationcfg?.hello?.size || 0;
-        const idleIdx = (animationcfg?.idle?.size || 0) + helloIdx;
-        const listenIdx = (animationcfg?.listen?.size || 0) + idleIdx;
-        const speakIdx = (animationcfg?.speak?.size || 0) + listenIdx;
-        const thinkIdx = (animationcfg?.think?.size || 0) + speakIdx;
-
-        // Distribute animation clips to state action arrays
-        if (animations && animations.length > 0) {
-            for (let i = 0; i < animations.length; i++) {
-                const clip = animations[i];
-                const action = mixer.clipAction(clip);
-
-                if (i < helloIdx) {
-                    helloActions.push(action);
-                } else if (i < idleIdx) {
-                    idleActions.push(action);
-                    // Duplicate for states that share idle
-                    if (listenIdx === idleIdx) {
-                        listenActions.push(mixer.clipAction(clip.clone()));
-                    }
-                    if (speakIdx === listenIdx) {
-                        speakActions.push(mixer.clipAction(clip.clone()));
-                    }
-                    if (thinkIdx === speakIdx) {
-                        thinkActions.push(mixer.clipAction(clip.clone()));
-                    }
-                } else if (i < listenIdx) {
-                    listenActions.push(action);
-                } else if (i < speakIdx) {
-                    speakActions.push(action);
-                } else if (i < thinkIdx) {
-                    thinkActions.push(action);
-                }
-
-                AnimationManager.actions.push(action);
-                AnimationManager.SetWeight(action, 0);
+        // Animation state of this avatar only; other managers on the page keep their own
+        this.actions = [];
+        this.lastAction = undefined;
+        this.curPlayingState = undefined;
+        this._crossFade = null;
+        this._blendRemaining = 0;
+        this._blendCheckTime = mixer.time;
+        this.graph = animationcfg instanceof AnimationStateGraph
+            ? animationcfg
+            : AnimationStateGraph.fromConfig(animationcfg);
+        this.current = null;
+        this.events = new TypedEventEmitter(Object.values(AnimationManagerEvent));
+        this._warnedStates = new Set();
+        // State entered but not yet reported, until its crossfade has finished
+        this._enteredState = null;
+        this._blendOverride = undefined;
+
+        const { states, missing, empty } = this.graph.resolveClips(animations || []);
+        missing.forEach(({ state, phase, selector }) => {
+            logger.warn('Animation clip not found', { state, phase, selector });
+        });
+        if (empty.length > 0) {
+            const message = describeStatesWithoutClips(empty, animations || []);
+            if (this.graph.requireClips) {
+                throw new ConfigurationError(message, `animation.states.${empty[0].state}`);
             }
+            logger.error(message);
         }
 
-        // Create state instances
-        this.hello = new Hello(helloActions, animationcfg?.hello?.isGroup || false);
-        this.idle = new Idle(idleActions, animationcfg?.idle?.isGroup || false);
-        this.listen = new Listen(listenActions, animationcfg?.listen?.isGroup || false);
-        this.think = new Think(thinkActions, animationcfg?.think?.isGroup || false);
-        this.speak = new Speak(speakActions, animationcfg?.speak?.isGroup || false);
+        // Each clip gets its own action once; states sharing a clip play clones so they can crossfade
+        const usedClips = new Set();
+        const actionFor = (clip) => {
+            const action = mixer.clipAction(usedClips.has(clip) ? clip.clone() : clip);
+            usedClips.add(clip);
+            this.actions.push(action);
+            this.setWeight(action, 0);
+            return action;
+        };
+
+        this.states = new Map();
+        Object.entries(states).forEach(([name, clips]) => {
+            const actions = {};
+            Object.values(AnimationPhase).forEach((phase) => {
+                actions[phase] = clips[phase].map(actionFor);
+            });
+            this.states.set(name, new State(this, name, this.graph.states[name], actions, this.graph.getStateBlend(name)));
+        });
+
+        logger.debug('Animation states created', {
+            states: this.graph.stateNames,
+            clips: animations?.length || 0
+        });
     }
 
     /**
      * Get currently playing state
+     * @returns {string|undefined} State name (a TYVoiceChatState value for the default states)
      */
     curPlaying() {
-        if (this.hello.isPlaying) return TYVoiceChatState.Idle;
-        if (this.idle.isPlaying) return TYVoiceChatState.Idle;
-        if (this.listen.isPlaying) return TYVoiceChatState.Listening;
-        if (this.think.isPlaying) return TYVoiceChatState.Thinking;
-        if (this.speak.isPlaying) return TYVoiceChatState.Responding;
-        return undefined;
+        return this.current?.isPlaying ? this.current.name : undefined;
+    }
+
+    /**
+     * Clips of the states playing now, with their times and weights, e.g. to record them (see applyPose())
+     *
+     * A clip shared by several states has an action per state; 'index' numbers them, from 0 when left out.
+     *
+     * @returns {Array<{clip: string, index?: number, time: number, weight: number}>}
+     */
+    capturePose() {
+        const pose = [];
+        this._forEachAction((action, clip, index) => {
+            const weight = action.enabled && action.isScheduled() ? action.getEffectiveWeight() : 0;
+            if (weight > 0) {
+                pose.push(index > 0 ? { clip, index, time: action.time, weight } : { clip, time: action.time, weight });
+            }
+        });
+        return pose;
+    }
+
+    /**
+     * Pose the skeleton from clip times and weights, e.g. recorded by capturePose(), bypassing the states
+     *
+     * The actions hold the given times until the next call; update() must not be called meanwhile. Call
+     * resetAllActions(true) to hand the skeleton back to the states. Gesture entries are ignored.
+     *
+     * @param {Array<{clip: string, index?: number, time: number, weight: number, gesture?: boolean}>} pose - Clips
+     */
+    applyPose(pose) {
+        this._crossFade = null;
+        this._blendRemaining = 0;
+        const entries = new Map(pose.filter(entry => !entry.gesture)
+            .map(entry => [`${entry.clip}|${entry.index ?? 0}`, entry]));
+        this._forEachAction((action, clip, index) => {
+            const entry = entries.get(`${clip}|${index}`);
+            action.stopFading().stopWarping();
+            if (!entry) {
+                action.setEffectiveWeight(0);
+                return;
+            }
+            action.enabled = true;
+            action.paused = true;
+            action.time = entry.time;
+            action.setEffectiveWeight(entry.weight);
+            if (!action.isScheduled()) {
+                action.play();
+            }
+        });
+    }
+
+    /**
+     * Call a function for each action, with its clip name and its number among the actions of that clip
+     * @private
+     */
+    _forEachAction(callback) {
+        const counts = new Map();
+        this.actions.forEach((action) => {
+            const clip = action.getClip().name;
+            const index = counts.get(clip) ?? 0;
+            counts.set(clip, index + 1);
+            callback(action, clip, index);
+        });
     }
 
     /**
      * Dispose animation manager
      */
     dispose() {
-        this.hello.dispose();
-        this.idle.dispose();
-        this.listen.dispose();
-        this.think.dispose();
-        this.speak.dispose();
-        AnimationManager.actions = [];
+        this.states.forEach(state => state.dispose());
+        this.current = null;
+        this.actions = [];
+        this.lastAction = undefined;
+        this._enteredState = null;
+        this.events.dispose();
     }
 
     /**
      * Reset all animation actions
      */
     resetAllActions(ignoreBlending = false) {
-        const curPlaying = this.curPlaying();
-        
-        switch (curPlaying) {
-            case TYVoiceChatState.Idle:
-                AnimationManager.LastAction = this.hello.actions[this.hello.stage];
-                break;
-            case TYVoiceChatState.Listening:
-                AnimationManager.LastAction = this.listen.actions[this.listen.stage];
-                break;
-            case TYVoiceChatState.Thinking:
-                AnimationManager.LastAction = this.think.actions[this.think.stage];
-                break;
-            case TYVoiceChatState.Responding:
-                AnimationManager.LastAction = this.speak.actions[this.speak.stage];
-                break;
-            default:
-                AnimationManager.LastAction = undefined;
-                break;
-        }
+        this.lastAction = this.current?.stop();
+        this.current = null;
 
-        if (AnimationManager.LastAction) {
-            AnimationManager.LastAction.loop = LoopOnce;
-            AnimationManager.LastAction.clampWhenFinished = true;
-            AnimationManager.SetWeight(AnimationManager.LastAction, 1.0);
+        if (this.lastAction) {
+            this.setWeight(this.lastAction, 1.0);
         }
 
         if (ignoreBlending) {
-            AnimationManager.PauseAllActions();
-            AnimationManager.actions.forEach(function(action) {
+            this.pauseAllActions();
+            this.actions.forEach((action) => {
                 action.time = 0;
-                AnimationManager.SetWeight(action, 0.0);
+                this.setWeight(action, 0.0);
             });
-            AnimationManager.LastAction = undefined;
+            this.lastAction = undefined;
+            this._crossFade = null;
+            this._blendRemaining = 0;
         }
 
-        this.hello.isPlaying = false;
-        this.idle.isPlaying = false;
-        this.listen.isPlaying = false;
-        this.think.isPlaying = false;
-        this.speak.isPlaying = false;
+        this.states.forEach((state) => {
+            state.isPlaying = false;
+        });
     }
 
     /**
      * Update animation state
-     * @param {string} state - Target state (TYVoiceChatState)
+     *
+     * Unknown states fall back to the graph's initial state. A requested state
+     * that cannot be reached from the current one, or has no clips, is ignored.
+     * Leaving a state plays its exit clips before the next state starts.
+     * Once the crossfade into the new state has finished, a 'stateChanged'
+     * event is emitted on `events`.
+     *
+     * @param {string} state - Requested state (a TYVoiceChatState value or custom state name)
+     * @param {object} [options={}] - Options
+     * @param {number} [options.blend] - Crossfade time in seconds for leaving the current state and entering the
+     *   requested one; the graph's transition blend when omitted
      */
-    update(state) {
-        if (AnimationManager.IsBlending) return;
-
-        AnimationManager.CurPlaying = this.curPlaying();
-
-        if (AnimationManager.CurPlaying === undefined) {
-            switch (state) {
-                case TYVoiceChatState.Idle:
-                    this.idle.update(state);
-                    break;
-                case TYVoiceChatState.Listening:
-                    this.listen.update(state);
-                    break;
-                case TYVoiceChatState.Thinking:
-                    this.think.update(state);
-                    break;
-                case TYVoiceChatState.Responding:
-                    this.speak.update(state);
-                    break;
-                default:
-                    this.idle.update(state);
-                    break;
+    update(state, options = {}) {
+        if (this.isBlending) return;
+
+        if (this._enteredState) {
+            const change = this._enteredState;
+            this._enteredState = null;
+            logger.debug('Animation state changed', change);
+            this.events.emit(AnimationManagerEvent.StateChanged, change);
+        }
+
+        this._blendOverride = options.blend;
+        this.curPlayingState = this.curPlaying();
+
+        const target = this.states.has(state) ? state : this.graph.initial;
+        const next = this.states.get(target);
+        const current = this.current;
+
+        if (current) {
+            const exiting = current.phase === AnimationPhase.Exit;
+            if (!exiting && !this._canTransition(current, next)) {
+                current.update();
+                return;
             }
-        } else {
-            switch (AnimationManager.CurPlaying) {
-                case TYVoiceChatState.Idle:
-                    this.idle.update(state);
-                    break;
-                case TYVoiceChatState.Listening:
-                    this.listen.update(state);
-                    break;
-                case TYVoiceChatState.Thinking:
-                    this.think.update(state);
-                    break;
-                case TYVoiceChatState.Responding:
-                    this.speak.update(state);
-                    break;
-                default:
-                    this.idle.update(state);
-                    break;
+            if (!exiting) {
+                if (current.exit(this._transitionBlend(current, next))) return;
+            } else if (!current.update()) {
+                return;
             }
+
+            this.lastAction = current.stop();
+            this.current = null;
+            // A request that changed while exiting may not be allowed; re-enter the state instead
+            if (!this._canTransition(current, next)) {
+                this._enter(current, this.graph.getStateBlend(current.name));
+                return;
+            }
+        }
+
+        if (next?.hasActions) {
+            this._enter(next, current ? this._transitionBlend(current, next) : this.graph.getStateBlend(target));
+        }
+    }
+
+    /**
+     * Check whether the graph allows leaving a state for another
+     * @private
+     */
+    _canTransition(current, next) {
+        if (!next || next === current) {
+            return false;
+        }
+        if (!next.hasActions) {
+            this._warnOnce(next.name, 'Animation state has no clips, ignoring it');
+            return false;
+        }
+        return this.graph.getTransitionBlend(current.name, next.name) !== null;
+    }
+
+    /**
+     * @private
+     */
+    _transitionBlend(current, next) {
+        if (this._blendOverride !== undefined) {
+            return this._blendOverride;
+        }
+        return this.graph.getTransitionBlend(current.name, next.name) ?? this.graph.getStateBlend(next.name);
+    }
+
+    /**
+     * Start a state, crossfading from the last action
+     * @private
+     */
+    _enter(state, blendingTime) {
+        logger.debug('Entering animation state', { state: state.name, from: this.curPlayingState });
+        state.enter(this.lastAction, blendingTime);
+        this.current = state;
+        if (state.name !== this.curPlayingState) {
+            this._enteredState = { state: state.name, previous: this.curPlayingState };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _warnOnce(name, message) {
+        if (!this._warnedStates.has(name)) {
+            this._warnedStates.add(name);
+            logger.warn(message, { state: name });
         }
     }
 }
 
-export { State, Hello, Idle, Listen, Think, Speak };
+export { State };
 export default AnimationManager;
@@ -0,0 +1,540 @@
+/**
+ * AnimationStateGraph - Declarative description of the avatar's animation states
+ *
+ * A graph names the states the avatar can be in, which clips of animation.glb
+ * each state plays and how the avatar may move between states:
+ *
+ *   {
+ *     "initial": "Idle",
+ *     "blend": 0.5,
+ *     "states": {
+ *       "Idle":      { "loop": ["idle"] },
+ *       "Listening": { "enter": [4], "loop": [5], "exit": [6] },
+ *       "Greeting":  { "loop": ["wave"], "playback": "once" },
+ *       "Responding": { "loop": [1, 2, 3], "playback": "randomCycle", "blend": 0.3 }
+ *     },
+ *     "transitions": [
+ *       { "from": "*", "to": "*" },
+ *       { "from": "Greeting", "to": "Responding", "blend": 0.2 }
+ *     ]
+ *   }
+ *
+ * Clips are selected by index in animation.glb, by clip name, or by a name
+ * pattern in which '*' matches any characters and '?' one character (patterns
+ * ignore case). Each state has up to three phases: 'enter' clips play once in order, 'loop' clips play
+ * according to the state's playback policy, and 'exit' clips play once in order
+ * before the next state starts. Transitions not listed are not allowed; without
+ * a 'transitions' list every transition is allowed. A state whose clips are
+ * all missing plays the clips of its 'fallback' state instead.
+ *
+ * Instead of listing states, a graph can derive them from a clip naming
+ * convention ("naming": true, or a convention like DEFAULT_CLIP_NAMING), so
+ * clips are found by name whatever their order in animation.glb.
+ *
+ * The legacy grouping config ({hello, idle, listen, speak, think} with sizes)
+ * is converted to an equivalent graph by AnimationStateGraph.fromGrouping().
+ */
+
+import { TYVoiceChatState } from './AppConstants.js';
+import { ConfigurationError } from '../errors/index.js';
+
+/**
+ * How a state plays its 'loop' clips
+ */
+export const AnimationPlayback = Object.freeze({
+    Loop: 'loop',               // Repeat the clips in order, forever
+    Once: 'once',               // Play the clips in order once, then hold the last frame
+    RandomCycle: 'randomCycle'  // Play the clips once each in random order, forever
+});
+
+/**
+ * Phases of a state, in playing order
+ */
+export const AnimationPhase = Object.freeze({
+    Enter: 'enter',
+    Loop: 'loop',
+    Exit: 'exit'
+});
+
+/**
+ * Wildcard matching any state in a transition
+ */
+export const ANY_ANIMATION_STATE = '*';
+
+/**
+ * Default crossfade time between clips, in seconds
+ */
+export const DEFAULT_ANIMATION_BLEND = 0.5;
+
+/**
+ * Graph of the four voice-chat states, equivalent to the default animation grouping:
+ * the first clip is the idle loop, which listening and thinking share, and the next
+ * three clips are picked at random while responding.
+ */
+export const DEFAULT_ANIMATION_GRAPH = Object.freeze({
+    initial: TYVoiceChatState.Idle,
+    blend: DEFAULT_ANIMATION_BLEND,
+    states: Object.freeze({
+        [TYVoiceChatState.Idle]: Object.freeze({ loop: Object.freeze([0]) }),
+        [TYVoiceChatState.Listening]: Object.freeze({ loop: Object.freeze([0]) }),
+        [TYVoiceChatState.Thinking]: Object.freeze({ loop: Object.freeze([0]), playback: AnimationPlayback.Once }),
+        [TYVoiceChatState.Responding]: Object.freeze({
+            loop: Object.freeze([1, 2, 3]),
+            playback: AnimationPlayback.RandomCycle
+        })
+    })
+});
+
+/**
+ * Clip naming convention of the default states: 'idle', 'idle_2', 'listen_enter',
+ * 'listen_loop', 'listen_exit', 'speak_1', ... Each state plays the clips named
+ * after its prefix; '<prefix>_enter*' and '<prefix>_exit*' clips form its enter
+ * and exit phases. States without clips fall back to the 'fallback' state.
+ */
+export const DEFAULT_CLIP_NAMING = Object.freeze({
+    separator: '_',
+    enter: 'enter',
+    exit: 'exit',
+    fallback: TYVoiceChatState.Idle,
+    states: Object.freeze({
+        [TYVoiceChatState.Idle]: 'idle',
+        [TYVoiceChatState.Listening]: 'listen',
+        [TYVoiceChatState.Thinking]: 'think',
+        [TYVoiceChatState.Responding]: Object.freeze({ prefix: 'speak', playback: AnimationPlayback.RandomCycle })
+    })
+});
+
+/**
+ * Check for a plain object
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Normalize a blend time
+ * @private
+ * @param {*} value - Blend time in seconds
+ * @param {string} key - Config key, for error messages
+ * @returns {number}
+ * @throws {ConfigurationError} If the value is not a non-negative number
+ */
+function parseBlend(value, key) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw new ConfigurationError(`${key} must be a non-negative number of seconds`, key);
+    }
+    return value;
+}
+
+/**
+ * Normalize the clip selectors of a phase
+ * @private
+ * @param {*} value - A clip index, a clip name, or an array of them
+ * @param {string} key - Config key, for error messages
+ * @returns {Array<number|string>}
+ * @throws {ConfigurationError} If a selector is neither a non-negative integer nor a non-empty string
+ */
+function parseClipSelectors(value, key) {
+    const selectors = Array.isArray(value) ? value : [value];
+    selectors.forEach((selector, i) => {
+        const valid = (Number.isInteger(selector) && selector >= 0) ||
+            (typeof selector === 'string' && selector.length > 0);
+        if (!valid) {
+            throw new ConfigurationError(`${key}[${i}] must be a clip index or clip name`, `${key}[${i}]`);
+        }
+    });
+    return [...selectors];
+}
+
+/**
+ * Check whether a clip selector is a name pattern
+ *
+ * @param {number|string} selector - Clip selector
+ * @returns {boolean}
+ */
+export function isClipPattern(selector) {
+    return typeof selector === 'string' && /[*?]/.test(selector);
+}
+
+/**
+ * Build a matcher for a clip selector
+ * @private
+ * @param {number|string} selector - Clip index, clip name or name pattern
+ * @returns {Function} (clip, index) => boolean
+ */
+function clipMatcher(selector) {
+    if (typeof selector === 'number') {
+        return (clip, index) => index === selector;
+    }
+    if (!isClipPattern(selector)) {
+        return clip => clip.name === selector;
+    }
+    const source = selector.split('').map((char) => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    const regex = new RegExp(`^${source}$`, 'i');
+    return clip => regex.test(clip.name);
+}
+
+/**
+ * Derive graph states from a clip naming convention
+ * @private
+ * @param {true|object} raw - true for DEFAULT_CLIP_NAMING, or a convention overriding its fields
+ * @param {string} key - Config key of the convention, for error messages
+ * @returns {object} Raw state definitions
+ * @throws {ConfigurationError} If the convention is malformed
+ */
+function statesFromNaming(raw, key) {
+    if (raw !== true && !isPlainObject(raw)) {
+        throw new ConfigurationError(`${key} must be true or a naming convention object`, key);
+    }
+    const naming = { ...DEFAULT_CLIP_NAMING, ...(raw === true ? {} : raw) };
+    ['separator', 'enter', 'exit'].forEach((field) => {
+        if (typeof naming[field] !== 'string') {
+            throw new ConfigurationError(`${key}.${field} must be a string`, `${key}.${field}`);
+        }
+    });
+    if (!isPlainObject(naming.states)) {
+        throw new ConfigurationError(`${key}.states must be an object of state name to clip name prefix`, `${key}.states`);
+    }
+
+    const states = {};
+    Object.entries(naming.states).forEach(([name, entry]) => {
+        const { prefix, ...options } = typeof entry === 'string' ? { prefix: entry } : (entry ?? {});
+        if (typeof prefix !== 'string' || prefix.length === 0) {
+            throw new ConfigurationError(`${key}.states.${name} must be a clip name prefix or {prefix, playback, blend}`,
+                `${key}.states.${name}`);
+        }
+        states[name] = {
+            ...options,
+            enter: `${prefix}${naming.separator}${naming.enter}*`,
+            loop: `${prefix}*`,
+            exit: `${prefix}${naming.separator}${naming.exit}*`
+        };
+        if (naming.fallback && naming.fallback !== name && naming.states[naming.fallback] !== undefined) {
+            states[name].fallback = naming.fallback;
+        }
+    });
+    return states;
+}
+
+/**
+ * Validate and normalize an animation state graph
+ *
+ * A state's 'clips' key is accepted as an alias of 'loop'. States derived from
+ * 'naming' come first; 'states' adds to them or replaces them by name.
+ *
+ * @param {object} raw - Graph definition
+ * @param {string} [key='animation'] - Config key of the graph, for error messages
+ * @returns {object} Graph with every field set: {initial, blend, requireClips, states: {name: {enter, loop,
+ *   exit, playback, blend, fallback}}, transitions: [{from, to, blend}]}. State and transition blends and
+ *   fallbacks are null when unset, and may be given as null.
+ * @throws {ConfigurationError} If the graph is malformed; 'configKey' names the offending key
+ */
+export function normalizeAnimationGraph(raw, key = 'animation') {
+    if (!isPlainObject(raw)) {
+        throw new ConfigurationError(`${key} must be an object`, key);
+    }
+    if (raw.states !== undefined && !isPlainObject(raw.states)) {
+        throw new ConfigurationError(`${key}.states must be an object`, `${key}.states`);
+    }
+    const rawStates = {
+        ...(raw.naming !== undefined && raw.naming !== false ? statesFromNaming(raw.naming, `${key}.naming`) : {}),
+        ...raw.states
+    };
+    if (Object.keys(rawStates).length === 0) {
+        throw new ConfigurationError(`${key}.states must have at least one state`, `${key}.states`);
+    }
+
+    const states = {};
+    Object.entries(rawStates).forEach(([name, state]) => {
+        const stateKey = `${key}.states.${name}`;
+        if (name === ANY_ANIMATION_STATE) {
+            throw new ConfigurationError(`'${ANY_ANIMATION_STATE}' cannot be used as a state name`, stateKey);
+        }
+        if (!isPlainObject(state)) {
+            throw new ConfigurationError(`${stateKey} must be an object`, stateKey);
+        }
+
+        const loop = state.loop ?? state.clips;
+        const phases = {
+            enter: state.enter !== undefined ? parseClipSelectors(state.enter, `${stateKey}.enter`) : [],
+            loop: loop !== undefined ? parseClipSelectors(loop, `${stateKey}.loop`) : [],
+            exit: state.exit !== undefined ? parseClipSelectors(state.exit, `${stateKey}.exit`) : []
+        };
+        if (phases.enter.length + phases.loop.length === 0) {
+            throw new ConfigurationError(`${stateKey} must select at least one 'enter' or 'loop' clip`, stateKey);
+        }
+
+        const playback = state.playback ?? AnimationPlayback.Loop;
+        if (!Object.values(AnimationPlayback).includes(playback)) {
+            throw new ConfigurationError(
+                `${stateKey}.playback must be one of ${Object.values(AnimationPlayback).join(', ')}`,
+                `${stateKey}.playback`);
+        }
+
+        states[name] = {
+            ...phases,
+            playback,
+            blend: state.blend !== undefined && state.blend !== null ? parseBlend(state.blend, `${stateKey}.blend`) : null,
+            fallback: state.fallback ?? null
+        };
+    });
+
+    const names = Object.keys(states);
+    Object.entries(states).forEach(([name, state]) => {
+        if (state.fallback !== null && (state.fallback === name || !names.includes(state.fallback))) {
+            throw new ConfigurationError(`${key}.states.${name}.fallback must name another state, got '${state.fallback}'`,
+                `${key}.states.${name}.fallback`);
+        }
+    });
+    const initial = raw.initial ?? (names.includes(TYVoiceChatState.Idle) ? TYVoiceChatState.Idle : names[0]);
+    if (!names.includes(initial)) {
+        throw new ConfigurationError(`${key}.initial must name a state, got '${initial}'`, `${key}.initial`);
+    }
+
+    let transitions = [{ from: ANY_ANIMATION_STATE, to: ANY_ANIMATION_STATE, blend: null }];
+    if (raw.transitions !== undefined) {
+        if (!Array.isArray(raw.transitions)) {
+            throw new ConfigurationError(`${key}.transitions must be an array`, `${key}.transitions`);
+        }
+        transitions = raw.transitions.map((transition, i) => {
+            const transitionKey = `${key}.transitions[${i}]`;
+            if (!isPlainObject(transition)) {
+                throw new ConfigurationError(`${transitionKey} must be {from, to, blend}`, transitionKey);
+            }
+            ['from', 'to'].forEach((end) => {
+                const state = transition[end];
+                if (state !== ANY_ANIMATION_STATE && !names.includes(state)) {
+                    throw new ConfigurationError(
+                        `${transitionKey}.${end} must name a state or be '${ANY_ANIMATION_STATE}', got '${state}'`,
+                        `${transitionKey}.${end}`);
+                }
+            });
+            return {
+                from: transition.from,
+                to: transition.to,
+                blend: transition.blend !== undefined && transition.blend !== null
+                    ? parseBlend(transition.blend, `${transitionKey}.blend`) : null
+            };
+        });
+    }
+
+    if (raw.requireClips !== undefined && typeof raw.requireClips !== 'boolean') {
+        throw new ConfigurationError(`${key}.requireClips must be a boolean`, `${key}.requireClips`);
+    }
+
+    return {
+        initial,
+        blend: raw.blend !== undefined ? parseBlend(raw.blend, `${key}.blend`) : DEFAULT_ANIMATION_BLEND,
+        requireClips: raw.requireClips ?? false,
+        states,
+        transitions
+    };
+}
+
+/**
+ * Check whether an animation config is a state graph rather than the legacy grouping
+ *
+ * @param {object} [animationcfg] - 'animation' avatar config
+ * @returns {boolean}
+ */
+export function isAnimationGraph(animationcfg) {
+    return isPlainObject(animationcfg) && (animationcfg.states !== undefined || animationcfg.naming !== undefined);
+}
+
+/**
+ * AnimationStateGraph - A validated state graph with transition and clip lookup
+ */
+export class AnimationStateGraph {
+    /**
+     * Create a graph from a definition
+     * @param {object} [definition=DEFAULT_ANIMATION_GRAPH] - Graph definition (see normalizeAnimationGraph())
+     * @throws {ConfigurationError} If the definition is malformed
+     */
+    constructor(definition = DEFAULT_ANIMATION_GRAPH) {
+        const graph = normalizeAnimationGraph(definition);
+        this.initial = graph.initial;
+        this.blend = graph.blend;
+        this.requireClips = graph.requireClips;
+        this.states = graph.states;
+        this.transitions = graph.transitions;
+    }
+
+    /**
+     * Build the graph equivalent to a legacy animation grouping
+     *
+     * Clips are taken in the order hello, idle, listen, speak, think. Listen, speak
+     * and think states with size 0 share the idle clips. Grouped listen and think
+     * states of three or more clips play them as enter, loop and exit phases;
+     * speak clips are picked at random. Hello clips form a 'Hello' state that is
+     * only played when requested by name.
+     *
+     * @param {object} [grouping={}] - {hello, idle, listen, speak, think: {size, isGroup}}
+     * @returns {AnimationStateGraph}
+     */
+    static fromGrouping(grouping = {}) {
+        let next = 0;
+        const ranges = {};
+        ['hello', 'idle', 'listen', 'speak', 'think'].forEach((group) => {
+            const size = grouping[group]?.size || 0;
+            ranges[group] = Array.from({ length: size }, (_, i) => next + i);
+            next += size;
+        });
+        const clipsOf = group => (ranges[group].length > 0 || group === 'hello' ? ranges[group] : ranges.idle);
+
+        // Grouped states of three clips or more play them as enter, loop and exit
+        const phased = (group, playback) => {
+            const clips = clipsOf(group);
+            if (grouping[group]?.isGroup && clips.length >= 3) {
+                return { enter: [clips[0]], loop: [clips[1]], exit: [clips[2]], playback };
+            }
+            return { loop: clips, playback };
+        };
+
+        const states = {
+            [TYVoiceChatState.Idle]: { loop: clipsOf('idle') },
+            [TYVoiceChatState.Listening]: phased('listen', AnimationPlayback.Loop),
+            [TYVoiceChatState.Thinking]: phased('think', AnimationPlayback.Once),
+            [TYVoiceChatState.Responding]: { loop: clipsOf('speak'), playback: AnimationPlayback.RandomCycle }
+        };
+        if (ranges.hello.length > 0) {
+            states.Hello = { loop: ranges.hello };
+        }
+
+        // States without clips are left out; the avatar holds its pose when one is requested
+        Object.keys(states).forEach((name) => {
+            if (states[name].loop.length === 0) {
+                delete states[name];
+            }
+        });
+        if (Object.keys(states).length === 0) {
+            return new AnimationStateGraph(DEFAULT_ANIMATION_GRAPH);
+        }
+        return new AnimationStateGraph({ states });
+    }
+
+    /**
+     * Build the graph for an 'animation' avatar config, either a graph or a legacy grouping
+     *
+     * @param {object} [animationcfg] - 'animation' avatar config; the default graph when absent
+     * @returns {AnimationStateGraph}
+     * @throws {ConfigurationError} If the graph is malformed
+     */
+    static fromConfig(animationcfg) {
+        if (!animationcfg) {
+            return new AnimationStateGraph(DEFAULT_ANIMATION_GRAPH);
+        }
+        return isAnimationGraph(animationcfg)
+            ? new AnimationStateGraph(animationcfg)
+            : AnimationStateGraph.fromGrouping(animationcfg);
+    }
+
+    /**
+     * Names of all states
+     * @returns {string[]}
+     */
+    get stateNames() {
+        return Object.keys(this.states);
+    }
+
+    /**
+     * Check whether a state exists
+     * @param {string} name - State name
+     * @returns {boolean}
+     */
+    hasState(name) {
+        return Object.prototype.hasOwnProperty.call(this.states, name);
+    }
+
+    /**
+     * Crossfade time within a state (between its clips and phases)
+     * @param {string} name - State name
+     * @returns {number} Seconds
+     */
+    getStateBlend(name) {
+        return this.states[name]?.blend ?? this.blend;
+    }
+
+    /**
+     * Look up a transition
+     *
+     * The most specific matching transition wins: exact 'from' and 'to', then exact
+     * 'from', then exact 'to', then wildcards on both ends.
+     *
+     * @param {string} from - Current state
+     * @param {string} to - Requested state
+     * @returns {number|null} Crossfade time in seconds, or null if the transition is not allowed
+     */
+    getTransitionBlend(from, to) {
+        const candidates = [[from, to], [from, ANY_ANIMATION_STATE], [ANY_ANIMATION_STATE, to],
+            [ANY_ANIMATION_STATE, ANY_ANIMATION_STATE]];
+        for (const [fromKey, toKey] of candidates) {
+            const transition = this.transitions.find(t => t.from === fromKey && t.to === toKey);
+            if (transition) {
+                return transition.blend ?? this.getStateBlend(to);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve the clip selectors of every state against the clips of animation.glb
+     *
+     * A clip is played in one phase of a state only: enter and exit clips are left out of
+     * the loop phase. States left without enter or loop clips take the clips of their fallback.
+     *
+     * @param {THREE.AnimationClip[]} clips - Animation clips
+     * @returns {{states: Object<string, {enter: THREE.AnimationClip[], loop: THREE.AnimationClip[],
+     *   exit: THREE.AnimationClip[]}>, missing: Array<{state: string, phase: string, selector: number|string}>,
+     *   empty: Array<{state: string, selectors: Array<number|string>}>}} Resolved clips per state and phase;
+     *   the indexes and exact names that matched no clip (patterns may match none); and the states that have
+     *   no clips to play, with their selectors
+     */
+    resolveClips(clips) {
+        const states = {};
+        const missing = [];
+        Object.entries(this.states).forEach(([name, state]) => {
+            const resolved = {};
+            const taken = new Set();
+            [AnimationPhase.Enter, AnimationPhase.Exit, AnimationPhase.Loop].forEach((phase) => {
+                resolved[phase] = [];
+                state[phase].forEach((selector) => {
+                    const matches = clipMatcher(selector);
+                    const found = clips.filter((clip, index) => matches(clip, index));
+                    if (found.length === 0 && !isClipPattern(selector)) {
+                        missing.push({ state: name, phase, selector });
+                    }
+                    found.filter(clip => !taken.has(clip)).forEach((clip) => {
+                        taken.add(clip);
+                        resolved[phase].push(clip);
+                    });
+                });
+            });
+            states[name] = {
+                enter: resolved[AnimationPhase.Enter],
+                loop: resolved[AnimationPhase.Loop],
+                exit: resolved[AnimationPhase.Exit]
+            };
+        });
+
+        const isEmpty = name => states[name].enter.length + states[name].loop.length === 0;
+        const empty = [];
+        Object.entries(this.states).forEach(([name, state]) => {
+            if (!isEmpty(name)) return;
+            if (state.fallback !== null && !isEmpty(state.fallback)) {
+                states[name] = { ...states[state.fallback] };
+                return;
+            }
+            empty.push({ state: name, selectors: Object.values(AnimationPhase).flatMap(phase => state[phase]) });
+        });
+        return { states, missing, empty };
+    }
+}
+
+export default AnimationStateGraph;
@@ -0,0 +1,69 @@
+/**
+ * BoneOffsets - Rotations added on top of the animated pose of bones
+ *
+ * Procedural layers (idle motion, look-at) turn the neck and eyes after the
+ * animation mixer has posed the skeleton. Bones the clips do not animate keep
+ * whatever rotation they were last given, so each offset is undone with
+ * restore() before the mixer runs again; otherwise it would accumulate.
+ */
+
+import { Euler, Quaternion } from 'three';
+import { FlameBoneNames, FLAME_BONES_COUNT } from './AppConstants.js';
+
+/**
+ * Find the neck and eye bones of a FLAME skeleton
+ *
+ * Bones are matched by their FLAME names; skeletons with unnamed FLAME bones
+ * are matched by position (root, neck, jaw, left eye, right eye).
+ *
+ * @param {THREE.Skeleton} [skeleton] - Skeleton of the avatar's skinned mesh
+ * @returns {{neck: THREE.Bone|null, leftEye: THREE.Bone|null, rightEye: THREE.Bone|null}}
+ */
+export function findHeadBones(skeleton) {
+    const bones = skeleton?.bones ?? [];
+    const byName = name => bones.find(bone => bone.name === name)
+        ?? (bones.length === FLAME_BONES_COUNT ? bones[FlameBoneNames.indexOf(name)] : null)
+        ?? null;
+    return { neck: byName('neck'), leftEye: byName('leftEye'), rightEye: byName('rightEye') };
+}
+
+/**
+ * BoneOffsets - Applies and undoes rotation offsets of bones
+ */
+export class BoneOffsets {
+    constructor() {
+        this._restore = new Map();
+        this._euler = new Euler();
+        this._offset = new Quaternion();
+    }
+
+    /**
+     * Rotate a bone on top of its current pose, in its local frame
+     *
+     * Axes: pitch about X (positive looks down), yaw about Y (positive towards
+     * the avatar's left), roll about Z.
+     *
+     * @param {THREE.Bone|null} bone - Bone to rotate; ignored when null
+     * @param {number} pitch - Radians
+     * @param {number} yaw - Radians
+     * @param {number} [roll=0] - Radians
+     */
+    rotate(bone, pitch, yaw, roll = 0) {
+        if (!bone || (pitch === 0 && yaw === 0 && roll === 0)) return;
+        if (!this._restore.has(bone)) {
+            this._restore.set(bone, bone.quaternion.clone());
+        }
+        this._offset.setFromEuler(this._euler.set(pitch, yaw, roll));
+        bone.quaternion.multiply(this._offset);
+    }
+
+    /**
+     * Put the rotated bones back to the pose they had before the first rotate()
+     */
+    restore() {
+        this._restore.forEach((quaternion, bone) => bone.quaternion.copy(quaternion));
+        this._restore.clear();
+    }
+}
+
+export default BoneOffsets;
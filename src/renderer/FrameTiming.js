@@ -0,0 +1,115 @@
+/**
+ * FrameTiming - Frame rate and frame position of baked avatar animations
+ *
+ * Avatar animations are baked at a fixed rate (commonly 25, 30 or 60 fps).
+ * The rate comes from the avatar config ('fps' in create() options,
+ * config.json or manifest.json) or, when none is set, from the spacing of the
+ * keyframes of the first animation clip. Displays usually refresh faster than
+ * the source rate: the skeleton clips interpolate between their keyframes
+ * (see interpolateClipKeyframes()), while the FLAME frame index steps at the
+ * source rate.
+ */
+
+import { InterpolateDiscrete, InterpolateLinear } from 'three';
+
+/**
+ * Frame rate used when neither the config nor the clips give one
+ */
+export const DEFAULT_ANIMATION_FPS = 30;
+
+/**
+ * Range of frame rates accepted when detecting the rate of a clip; sparser keyframes are hand-placed, not baked
+ * @private
+ */
+const DETECTABLE_FPS_RANGE = [10, 240];
+
+/**
+ * Detect the rate a clip was baked at from the spacing of its keyframes
+ *
+ * Uses the median keyframe interval over all tracks, so a few held or
+ * missing keys do not change the result. Rates within 1% of a whole number
+ * are rounded to it (1 / 0.0417 is 24 fps, not 23.98).
+ *
+ * @param {THREE.AnimationClip} clip - Animation clip
+ * @returns {number|null} Frame rate, or null if the keyframes are too sparse (or dense) to be baked frames
+ */
+export function detectClipFrameRate(clip) {
+    const intervals = [];
+    clip?.tracks.forEach((track) => {
+        for (let i = 1; i < track.times.length; i++) {
+            const interval = track.times[i] - track.times[i - 1];
+            if (interval > 0) intervals.push(interval);
+        }
+    });
+    if (intervals.length === 0) {
+        return null;
+    }
+
+    intervals.sort((a, b) => a - b);
+    const fps = 1 / intervals[Math.floor(intervals.length / 2)];
+    if (fps < DETECTABLE_FPS_RANGE[0] || fps > DETECTABLE_FPS_RANGE[1]) {
+        return null;
+    }
+    const rounded = Math.round(fps);
+    return Math.abs(fps - rounded) <= rounded * 0.01 ? rounded : fps;
+}
+
+/**
+ * Resolve the frame rate of an avatar's animation
+ *
+ * @param {THREE.AnimationClip[]} clips - Clips of animation.glb
+ * @param {number|null} [configuredFps] - 'fps' of the resolved avatar config; detected from the clips when null
+ * @returns {{fps: number, source: string}} Frame rate and where it came from: 'config', 'clip' or 'default'
+ */
+export function resolveFrameRate(clips, configuredFps = null) {
+    if (configuredFps) {
+        return { fps: configuredFps, source: 'config' };
+    }
+    const detected = detectClipFrameRate(clips?.[0]);
+    return detected
+        ? { fps: detected, source: 'clip' }
+        : { fps: DEFAULT_ANIMATION_FPS, source: 'default' };
+}
+
+/**
+ * Frame position of a looping frame sequence at a time
+ *
+ * @param {number} time - Time since the sequence started, in seconds; may be negative
+ * @param {number} fps - Frame rate
+ * @param {number} totalFrames - Number of frames in the loop
+ * @returns {{frame: number, next: number, fraction: number}} Frame index, the frame after it (wrapping) and
+ *   how far playback is from 'frame' to 'next', 0-1, for callers that blend frames; the renderer shows 'frame'
+ */
+export function sampleFramePosition(time, fps, totalFrames) {
+    const frames = Math.max(totalFrames, 1);
+    const position = ((time * fps) % frames + frames) % frames;
+    const frame = Math.min(Math.floor(position), frames - 1);
+    return {
+        frame,
+        next: (frame + 1) % frames,
+        fraction: position - frame
+    };
+}
+
+/**
+ * Make step-interpolated tracks of a clip interpolate linearly between keyframes
+ *
+ * Exporters write baked animation as STEP keyframes at times, which snaps to
+ * the source rate. Number, vector, color and quaternion tracks are switched
+ * to linear (spherical for quaternions) interpolation; boolean and string
+ * tracks keep stepping.
+ *
+ * @param {THREE.AnimationClip} clip - Clip to change in place
+ * @returns {number} Number of tracks changed
+ */
+export function interpolateClipKeyframes(clip) {
+    let changed = 0;
+    clip.tracks.forEach((track) => {
+        if (track.getInterpolation() === InterpolateDiscrete &&
+            track.DefaultInterpolation !== InterpolateDiscrete) {
+            track.setInterpolation(InterpolateLinear);
+            changed++;
+        }
+    });
+    return changed;
+}
@@ -4,7 +4,7 @@
  * Derived from gaussian-splat-renderer-for-lam
  * 
  * High-level orchestration class that:
- * - Loads ZIP assets via fetch
+ * - Loads ZIP assets from a URL, raw bytes, Blob/File or JSZip archive
  * - Unpacks with JSZip
  * - Creates Viewer instance
  * - Loads FLAME/skin models
@@ -16,15 +16,28 @@
 import {
     Vector3,
     Bone,
-    Clock,
+    AnimationClip,
     AnimationMixer
 } from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import JSZip from 'jszip';
 
 // Import internal modules
 import { TYVoiceChatState } from './AppConstants.js';
-import { AnimationManager } from './AnimationManager.js';
+import { AnimationManager, AnimationManagerEvent } from './AnimationManager.js';
+import { GestureLayer, GestureLayerEvent } from './GestureLayer.js';
+import { IdleMotionGenerator } from './IdleMotionGenerator.js';
+import { LookAtController } from './LookAtController.js';
+import { findHeadBones } from './BoneOffsets.js';
+import { RendererEvent } from './RendererEvents.js';
+import {
+    DEFAULT_ANIMATION_FPS,
+    resolveFrameRate,
+    sampleFramePosition,
+    interpolateClipKeyframes
+} from './FrameTiming.js';
+import { ExpressionStream } from '../expression/ExpressionStream.js';
+import { SessionRecorder } from '../expression/SessionRecorder.js';
+import { SessionPlayer } from '../expression/SessionPlayer.js';
 import { Viewer } from '../core/Viewer.js';
 import { SceneFormat } from '../enums/SceneFormat.js';
 import { SceneRevealMode } from '../enums/SceneRevealMode.js';
@@ -36,42 +49,217 @@ import {
     NetworkError,
     AssetLoadError,
     InitializationError,
-    ResourceDisposedError
+    ResourceDisposedError,
+    ParseError,
+    ConfigurationError,
+    AbortError
 } from '../errors/index.js';
 import {
-    validateUrl,
     validateDOMElement,
     validateHexColor,
-    validateCallback
+    validateCallback,
+    validateAbortSignal
 } from '../utils/ValidationUtils.js';
+import { raceWithAbortSignal, throwIfAborted, fetchWithProgress, disposeAllMeshes } from '../utils/Util.js';
 import { BlobUrlManager } from '../utils/BlobUrlManager.js';
+import { TypedEventEmitter } from '../utils/EventEmitter.js';
+import { AnimationClock } from '../utils/AnimationClock.js';
 import { tempVector3A } from '../utils/ObjectPool.js';
+import { ProgressReporter } from '../utils/ProgressReporter.js';
+import { openAvatarSource, getAvatarSourceType } from '../assets/AvatarSource.js';
+import { AvatarLoadStage, DEFAULT_AVATAR_LOAD_STAGE_WEIGHTS } from '../assets/AvatarLoadStage.js';
+import { conventionalAvatarManifest } from '../assets/AvatarManifest.js';
+import { normalizeAvatarConfig, resolveAvatarConfig, loadPackageConfig } from '../assets/AvatarConfig.js';
+import { AssetCache } from '../cache/AssetCache.js';
+import { readCachedSplatBuffer, cacheSplatBuffer } from '../cache/AvatarCache.js';
+import { AvatarAsset, AVATAR_ASSET_LOAD_STAGES, zipProgressCallback, parseGlb } from '../assets/AvatarAsset.js';
 
 // Create logger for this module
 const logger = getLogger('GaussianSplatRenderer');
 
-// Configuration objects - these would normally be loaded from the ZIP
-const charactorConfig = {
-    camPos: { x: 0, y: 1.8, z: 1 },
-    camRot: { x: -10, y: 0, z: 0 },
-    backgroundColor: 'ffffff'
-};
-
-const motionConfig = {
-    offset: {},
-    scale: {}
-};
-
-// Animation configuration - defines how animation clips are distributed to states
-// The animation.glb contains clips in order: hello(2), idle(1), listen(0), speak(6), think(3)
-const animationConfig = {
-    hello: { size: 0, isGroup: false }, // No 'hello' animations
-    speak: { size: 3, isGroup: true },   // First 3 animations are for speaking
-    think: { size: 0, isGroup: false },  // 'think' will share 'speak' animations
-    listen: { size: 0, isGroup: false}, // 'listen' will share 'idle' animations
-    idle: { size: 1, isGroup: false },   // The next animation is for idle
-    other: []
-};
+// Default fade-out duration of the old avatar when loadAvatar() cross-fades, in milliseconds
+const DEFAULT_AVATAR_FADE_DURATION = 600;
+
+/**
+ * Validate the avatar source and the loading options shared by create() and loadAvatar()
+ *
+ * @param {*} source - Avatar package
+ * @param {object} options - create() or loadAvatar() options
+ * @throws {ValidationError} If the source or an option is invalid
+ */
+function validateAvatarLoadOptions(source, options) {
+    if (source instanceof AvatarAsset) {
+        if (!source.isUsable) {
+            throw new ValidationError('source AvatarAsset has already been used or disposed', 'source');
+        }
+    } else if (!getAvatarSourceType(source)) {
+        throw new ValidationError(
+            'source must be a URL string, ArrayBuffer, Blob, File, JSZip instance or AvatarAsset',
+            'source'
+        );
+    }
+    if (options.downloadProgress) {
+        validateCallback(options.downloadProgress, 'options.downloadProgress', false);
+    }
+    if (options.loadProgress) {
+        validateCallback(options.loadProgress, 'options.loadProgress', false);
+    }
+    if (options.backgroundColor) {
+        validateHexColor(options.backgroundColor, 'options.backgroundColor');
+    }
+    if (options.signal) {
+        validateAbortSignal(options.signal, 'options.signal');
+    }
+    if (options.cache !== undefined && !(options.cache instanceof AssetCache)) {
+        throw new ValidationError('cache must be an AssetCache instance', 'options.cache');
+    }
+}
+
+/**
+ * Validate the options of playGesture()
+ *
+ * @param {object} options - playGesture() options
+ * @throws {ValidationError} If an option is invalid
+ */
+function validateGestureOptions(options) {
+    if (options.weight !== undefined &&
+        (typeof options.weight !== 'number' || !(options.weight >= 0 && options.weight <= 1))) {
+        throw new ValidationError('weight must be a number between 0 and 1', 'options.weight');
+    }
+    ['fadeIn', 'fadeOut'].forEach((key) => {
+        const value = options[key];
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            throw new ValidationError(`${key} must be a non-negative number of seconds`, `options.${key}`);
+        }
+    });
+    if (options.additive !== undefined && typeof options.additive !== 'boolean') {
+        throw new ValidationError('additive must be a boolean', 'options.additive');
+    }
+}
+
+/**
+ * Validate setExpression() arguments
+ *
+ * @param {object} weights - Blendshape weights by name
+ * @param {object} options - setExpression() options
+ * @throws {ValidationError} If a weight or option is invalid
+ */
+function validateExpressionArgs(weights, options) {
+    if (weights === null || typeof weights !== 'object' || Array.isArray(weights)) {
+        throw new ValidationError('weights must be an object of blendshape weights by name', 'weights');
+    }
+    Object.entries(weights).forEach(([name, value]) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new ValidationError(`Weight of '${name}' must be a finite number`, `weights.${name}`);
+        }
+    });
+    const blendMs = options.blendMs;
+    if (blendMs !== undefined && (typeof blendMs !== 'number' || !Number.isFinite(blendMs) || blendMs < 0)) {
+        throw new ValidationError('blendMs must be a non-negative number of milliseconds', 'options.blendMs');
+    }
+}
+
+/**
+ * Forward download progress to a ProgressReporter and the downloadProgress option
+ *
+ * @param {ProgressReporter} progress - Load progress reporter
+ * @param {Function} [downloadProgress] - downloadProgress option
+ * @returns {Function} openAvatarSource() onDownloadProgress callback
+ */
+function downloadProgressCallback(progress, downloadProgress) {
+    return (info) => {
+        progress.update(AvatarLoadStage.Download, (info.percent ?? 0) / 100);
+        if (downloadProgress) {
+            try {
+                downloadProgress((info.percent ?? 0) / 100, info);
+            } catch (error) {
+                logger.warn('Error in downloadProgress callback', error);
+            }
+        }
+    };
+}
+
+/**
+ * Report load progress as loadProgress events and to the loadProgress option
+ *
+ * @param {Function} emit - Emits a renderer event
+ * @param {Function} [loadProgress] - loadProgress option
+ * @returns {Function} ProgressReporter callback
+ */
+function loadProgressCallback(emit, loadProgress) {
+    return (progress, info) => {
+        emit(RendererEvent.LoadProgress, progress, info);
+        loadProgress?.(progress, info);
+    };
+}
+
+/**
+ * Validate the listeners option of create()
+ *
+ * @param {object} listeners - Event handlers by event name
+ * @throws {ValidationError} If an event is unknown or a handler is not a function
+ */
+function validateListeners(listeners) {
+    if (listeners === null || typeof listeners !== 'object' || Array.isArray(listeners)) {
+        throw new ValidationError('listeners must be an object of event handlers by event name', 'options.listeners');
+    }
+    const events = Object.values(RendererEvent);
+    Object.entries(listeners).forEach(([event, callback]) => {
+        if (!events.includes(event)) {
+            throw new ValidationError(
+                `Unknown event '${event}'; events: ${events.join(', ')}`,
+                `options.listeners.${event}`
+            );
+        }
+        validateCallback(callback, `options.listeners.${event}`, false);
+    });
+}
+
+/**
+ * Create the idle motion generator of the idleMotion option
+ *
+ * @param {boolean|object|null} [idleMotion] - true for the defaults, options, or false/null/undefined for none
+ * @returns {IdleMotionGenerator|null}
+ * @throws {ValidationError} If the options are invalid
+ */
+function createIdleMotion(idleMotion) {
+    if (idleMotion === undefined || idleMotion === null || idleMotion === false) {
+        return null;
+    }
+    try {
+        return new IdleMotionGenerator(idleMotion === true ? {} : idleMotion);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            throw new ValidationError(error.message, `idleMotion${error.field ? `.${error.field}` : ''}`, error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Build the avatar config layer from create() options
+ *
+ * @param {object} options - create() options
+ * @returns {object} Normalized config layer (see normalizeAvatarConfig())
+ * @throws {ValidationError} If camera, backgroundColor, motion or animation is malformed
+ */
+function avatarConfigFromOptions(options) {
+    try {
+        return normalizeAvatarConfig({
+            camera: options.camera,
+            backgroundColor: options.backgroundColor,
+            motion: options.motion,
+            animation: options.animation,
+            fps: options.fps,
+            frameInterpolation: options.frameInterpolation
+        });
+    } catch (error) {
+        if (error instanceof ConfigurationError) {
+            throw new ValidationError(error.message, `options.${error.configKey}`, error);
+        }
+        throw error;
+    }
+}
 
 /**
  * GaussianSplatRenderer - Main rendering class
@@ -81,235 +269,170 @@ export class GaussianSplatRenderer {
      * Factory method to create a new renderer instance
      *
      * @param {HTMLElement} container - DOM container for canvas
-     * @param {string} assetPath - URL to character ZIP file
+     * @param {string|ArrayBuffer|Blob|File|JSZip|AvatarAsset} source - Avatar package: URL to the character ZIP file,
+     *   the ZIP bytes, a Blob/File holding the ZIP, an already opened JSZip archive, or an AvatarAsset from
+     *   preload(). A preloaded asset is consumed; the download, cache and characterName options do not apply to it
+     *   (characterName still overrides the asset's name).
      * @param {object} [options={}] - Configuration options
-     * @param {Function} [options.downloadProgress] - Download progress callback (0-1)
-     * @param {Function} [options.loadProgress] - Load progress callback (0-1)
-     * @param {Function} [options.getChatState] - Chat state provider function
-     * @param {Function} [options.getExpressionData] - Expression data provider function
+     * @param {string} [options.characterName] - Character name (derived from the URL, file name or archive folder if omitted)
+     * @param {Function} [options.downloadProgress] - Download progress callback (fraction 0-1, {loaded, total, percent}).
+     *   The fraction stays at 0 until the end when the server does not send a Content-Length.
+     * @param {Function} [options.loadProgress] - Load progress callback (progress, info). 'progress' is the
+     *   overall weighted fraction (0-1) across all loading stages (see AvatarLoadStage); 'info' is
+     *   {stage, stageProgress, stages} describing the stage that just advanced.
+     * @param {AbortSignal} [options.signal] - Cancels the download, ZIP unpack and splat scene load
+     * @param {AssetCache} [options.cache] - Cache for URL sources: reuses the downloaded ZIP and built splat buffer
+     *   of a previous load, and stores them after the first one
+     * @param {string|number} [options.cacheVersion] - Package version for the cache key; defaults to the URL's ETag
+     *   or Last-Modified header (fetched with a HEAD request)
+     * @param {Function} [options.getChatState] - Chat state provider function, polled every frame; see
+     *   setChatState() for pushing states instead
+     * @param {Function} [options.getExpressionData] - Expression data provider function, polled every frame; see
+     *   setExpression() for pushing expressions instead
+     * @param {ExpressionStream} [options.expressionStream] - Buffered stream of networked expression frames to play;
+     *   see setExpressionStream()
      * @param {string} [options.backgroundColor] - Background color (hex string)
+     * @param {object} [options.camera] - Camera overrides: {position, rotation, target, fov}; vectors as [x, y, z] or {x, y, z}.
+     *   When a target is set the camera looks at it and rotation is ignored.
+     * @param {object} [options.motion] - Blendshape adjustments: {offset: {name: number}, scale: {name: number}}
+     * @param {object} [options.animation] - Animation state graph ({states, transitions, ...}) or legacy clip
+     *   grouping per state ({idle: {size, isGroup}, ...}); see AnimationStateGraph
+     * @param {number} [options.fps] - Frame rate of the avatar's baked animation; detected from the keyframes of
+     *   animation.glb when omitted (30 if they are too sparse to be baked frames)
+     * @param {boolean} [options.frameInterpolation=true] - Blend between animation frames on displays faster than the
+     *   frame rate; false holds each frame
+     * @param {AnimationClock} [options.clock] - Clock for all animation time (skeleton clips, FLAME frames, splat
+     *   fade-in); pause, slow down, seek or step it to control playback. A wall clock based one by default.
+     * @param {boolean|object} [options.idleMotion] - Procedural blinks, saccades, breathing and head sway under the
+     *   expression: true for the defaults, or options (see DEFAULT_IDLE_MOTION_OPTIONS and setIdleMotion())
+     * @param {object} [options.listeners] - Event handlers by event name ({ready: fn, ...}; see RendererEvent),
+     *   subscribed before loading starts so they also receive the events of this load
      * @returns {Promise<GaussianSplatRenderer>} Renderer instance
      * @throws {ValidationError} If parameters are invalid
      * @throws {NetworkError} If asset download fails
      * @throws {AssetLoadError} If asset loading/parsing fails
+     * @throws {ParseError} If the package's manifest.json is not valid JSON
+     * @throws {ConfigurationError} If the package's manifest.json is malformed
      * @throws {InitializationError} If renderer initialization fails
+     * @throws {AbortError} If options.signal is aborted before loading completes
      */
-    static async create(container, assetPath, options = {}) {
+    static async create(container, source, options = {}) {
+        let renderer = null;
+        // Handed to the renderer once it exists, so listeners also see the events of this load
+        const events = new TypedEventEmitter(Object.values(RendererEvent));
+        const emit = (event, ...args) => (renderer ? renderer._emit(event, ...args) : events.emit(event, ...args));
 
         try {
             // Validate required parameters
             validateDOMElement(container, 'container');
-            validateUrl(assetPath);
-
-            // Validate optional callbacks
-            if (options.downloadProgress) {
-                validateCallback(options.downloadProgress, 'options.downloadProgress', false);
+            validateAvatarLoadOptions(source, options);
+            if (options.clock !== undefined && !(options.clock instanceof AnimationClock)) {
+                throw new ValidationError('clock must be an AnimationClock', 'options.clock');
             }
-            if (options.loadProgress) {
-                validateCallback(options.loadProgress, 'options.loadProgress', false);
+            const idleMotion = createIdleMotion(options.idleMotion);
+            if (options.listeners !== undefined) {
+                validateListeners(options.listeners);
+                Object.entries(options.listeners).forEach(([event, callback]) => events.on(event, callback));
             }
+
+            // Validate optional callbacks
             if (options.getChatState) {
                 validateCallback(options.getChatState, 'options.getChatState', false);
             }
             if (options.getExpressionData) {
                 validateCallback(options.getExpressionData, 'options.getExpressionData', false);
             }
-            if (options.backgroundColor) {
-                validateHexColor(options.backgroundColor, 'options.backgroundColor');
+            if (options.expressionStream !== undefined && options.expressionStream !== null &&
+                !(options.expressionStream instanceof ExpressionStream)) {
+                throw new ValidationError('expressionStream must be an ExpressionStream', 'options.expressionStream');
             }
+            const signal = options.signal;
+            const optionsConfig = avatarConfigFromOptions(options);
 
-            logger.info('Initializing GaussianSplatRenderer', { assetPath });
+            const progress = new ProgressReporter(DEFAULT_AVATAR_LOAD_STAGE_WEIGHTS,
+                loadProgressCallback(emit, options.loadProgress));
+            const asset = source instanceof AvatarAsset ? source : null;
+            const sourceType = asset ? 'asset' : getAvatarSourceType(source);
 
-            const characterPath = assetPath;
-
-            // Parse character name from path
-            let characterName;
-            try {
-                const url = new URL(characterPath, typeof window !== 'undefined' ? window.location.href : undefined);
-                const pathname = url.pathname;
-                const matches = pathname.match(/\/([^/]+?)\.zip/);
-                characterName = matches?.[1];
-
-                if (!characterName) {
-                    throw new ValidationError(
-                        'Character model name could not be extracted from path. Expected format: /path/name.zip',
-                        'assetPath'
-                    );
-                }
-            } catch (error) {
-                if (error instanceof ValidationError) {
-                    throw error;
-                }
-                throw new ValidationError(
-                    `Invalid asset path format: ${error.message}`,
-                    'assetPath',
-                    error
-                );
-            }
+            logger.info('Initializing GaussianSplatRenderer', { sourceType });
+            emit(RendererEvent.LoadStart, { sourceType });
 
             // Show progress
             if (typeof NProgress !== 'undefined') {
                 NProgress.start();
             }
 
-            // Download ZIP file
-            logger.info('Downloading asset ZIP', { path: characterPath });
-            let characterZipResponse;
-            try {
-                characterZipResponse = await fetch(characterPath);
-                if (!characterZipResponse.ok) {
-                    throw new NetworkError(
-                        `Failed to download asset: ${characterZipResponse.statusText}`,
-                        characterZipResponse.status
-                    );
-                }
-            } catch (error) {
-                if (error instanceof NetworkError) {
-                    throw error;
-                }
-                throw new NetworkError(
-                    `Network error downloading asset: ${error.message}`,
-                    0,
-                    error
-                );
-            }
-
-            // Report download progress
-            if (options.downloadProgress) {
-                try {
-                    options.downloadProgress(1.0);
-                } catch (error) {
-                    logger.warn('Error in downloadProgress callback', error);
-                }
-            }
-
-            if (options.loadProgress) {
-                try {
-                    options.loadProgress(0.1);
-                } catch (error) {
-                    logger.warn('Error in loadProgress callback', error);
-                }
-            }
+            // Download (if needed) and unpack the avatar package; a preloaded asset already holds it
+            const {
+                zip: zipData, folder: fileName, manifest, characterName, label, cacheVersion
+            } = asset ? {
+                zip: asset.zip,
+                folder: asset.manifest.root,
+                manifest: asset.manifest,
+                characterName: options.characterName ?? asset.characterName,
+                label: asset.label,
+                cacheVersion: asset.cacheVersion
+            } : await openAvatarSource(source, {
+                characterName: options.characterName,
+                signal,
+                cache: options.cache,
+                cacheVersion: options.cacheVersion,
+                onDownloadProgress: downloadProgressCallback(progress, options.downloadProgress)
+            });
+            progress.complete(AvatarLoadStage.Download);
+            progress.complete(AvatarLoadStage.Unzip);
 
             if (typeof NProgress !== 'undefined') {
                 NProgress.done();
             }
 
-            // Parse array buffer
-            let arrayBuffer;
-            try {
-                arrayBuffer = await characterZipResponse.arrayBuffer();
-            } catch (error) {
-                throw new NetworkError(
-                    `Failed to read response data: ${error.message}`,
-                    0,
-                    error
-                );
-            }
-
-            // Load ZIP with imported JSZip
-            logger.debug('Unpacking ZIP archive');
-            let zipData;
-            try {
-                zipData = await JSZip.loadAsync(arrayBuffer);
-            } catch (error) {
-                throw new AssetLoadError(
-                    `Failed to unpack ZIP archive: ${error.message}`,
-                    characterPath,
-                    error
-                );
-            }
-
-            // Find folder name in ZIP
-            let fileName = '';
-            Object.values(zipData.files).forEach(file => {
-                if (file.dir) {
-                    fileName = file.name?.slice(0, file.name?.length - 1); // Remove trailing '/'
-                }
-            });
-
-            if (!fileName) {
-                throw new AssetLoadError(
-                    'No folder found in ZIP archive. Expected ZIP to contain a folder with model files.',
-                    characterPath
-                );
-            }
-
-            logger.debug('Found model folder in ZIP', { fileName });
+            logger.debug('Found model folder in ZIP', { fileName, characterName, source: label, layout: manifest.source });
 
             // Create renderer instance
             logger.debug('Creating GaussianSplatRenderer instance');
-            const renderer = new GaussianSplatRenderer(container, zipData);
+            renderer = new GaussianSplatRenderer(container, zipData, events);
+            if (options.clock) {
+                renderer.clock = options.clock;
+                renderer.startTime = options.clock.time;
+            }
+            renderer.idleMotion = idleMotion;
+            renderer.characterName = characterName;
+            renderer.manifest = manifest;
+
+            // Resolve per-avatar settings: options > config.json > manifest.json > defaults
+            const avatarConfig = resolveAvatarConfig({
+                options: optionsConfig,
+                packageConfig: asset ? asset.packageConfig : await loadPackageConfig(zipData, manifest),
+                manifest: manifest.config
+            });
+            renderer.avatarConfig = avatarConfig;
 
             // Setup camera position (use object pool for temp vectors)
-            const cameraPos = tempVector3A.set(
-                charactorConfig.camPos?.x ?? 0,
-                charactorConfig.camPos?.y ?? 0,
-                charactorConfig.camPos?.z ?? 1
-            );
-
-            const cameraRotation = new Vector3(
-                charactorConfig.camRot?.x ?? 0,
-                charactorConfig.camRot?.y ?? 0,
-                charactorConfig.camRot?.z ?? 0
-            );
+            const { position: camPos, rotation: camRot, target: camTarget, fov: cameraFov } = avatarConfig.camera;
+            const cameraPos = tempVector3A.set(camPos.x, camPos.y, camPos.z);
+            const cameraRotation = new Vector3(camRot.x, camRot.y, camRot.z);
 
             logger.debug('Camera setup', {
                 position: { x: cameraPos.x, y: cameraPos.y, z: cameraPos.z },
-                rotation: { x: cameraRotation.x, y: cameraRotation.y, z: cameraRotation.z }
+                rotation: { x: cameraRotation.x, y: cameraRotation.y, z: cameraRotation.z },
+                target: camTarget,
+                fov: cameraFov
             });
 
-            // Background color with validation
-            let backgroundColor = 0xffffff;
-            try {
-                if (charactorConfig.backgroundColor) {
-                    const parsed = parseInt(charactorConfig.backgroundColor, 16);
-                    if (!isNaN(parsed)) {
-                        backgroundColor = parsed;
-                    } else {
-                        logger.warn('Invalid backgroundColor in config, using default', {
-                            value: charactorConfig.backgroundColor
-                        });
-                    }
-                }
-                if (options?.backgroundColor) {
-                    if (renderer.isHexColorStrict(options.backgroundColor)) {
-                        backgroundColor = parseInt(options.backgroundColor, 16);
-                    } else {
-                        logger.warn('Invalid backgroundColor option, using config value', {
-                            value: options.backgroundColor
-                        });
-                    }
-                }
-            } catch (error) {
-                logger.warn('Error parsing backgroundColor, using default', error);
-            }
-
-            logger.debug('Background color set', { backgroundColor: backgroundColor.toString(16) });
+            // Background color (validated and normalized to 'rrggbb' by the config)
+            const backgroundColor = parseInt(avatarConfig.backgroundColor, 16);
+            logger.debug('Background color set', { backgroundColor: avatarConfig.backgroundColor });
 
             // Store callbacks
             renderer.getChatState = options?.getChatState;
             renderer.getExpressionData = options?.getExpressionData;
+            renderer.expressionStream = options?.expressionStream ?? null;
 
             // Load iris occlusion configuration BEFORE creating viewer (optional)
-            logger.debug('Checking for iris_occlusion.json');
-            let irisOcclusionConfig = null;
-            try {
-                irisOcclusionConfig = await renderer._loadJsonFromZip(fileName + '/iris_occlusion.json');
-                if (irisOcclusionConfig) {
-                    logger.info('Iris occlusion configuration loaded', {
-                        rightIrisRanges: irisOcclusionConfig.right_iris?.length ?? 0,
-                        leftIrisRanges: irisOcclusionConfig.left_iris?.length ?? 0
-                    });
-                    renderer.irisOcclusionConfig = irisOcclusionConfig;
-                } else {
-                    logger.debug('No iris_occlusion.json found, iris occlusion will be disabled');
-                }
-            } catch (error) {
-                // Log but don't fail - iris occlusion is optional
-                logger.warn('Failed to load iris_occlusion.json, continuing without it', { error: error.message });
-                renderer.irisOcclusionConfig = null;
-            }
+            const irisOcclusionConfig = asset
+                ? asset.irisOcclusionConfig
+                : await renderer._loadIrisOcclusionConfig(manifest);
+            renderer.irisOcclusionConfig = irisOcclusionConfig;
 
             // Create Viewer with proper error handling
             logger.debug('Creating Viewer instance');
@@ -320,11 +443,14 @@ export class GaussianSplatRenderer {
                     cameraUp: [0, 1, 0],
                     initialCameraPosition: [cameraPos.x, cameraPos.y, cameraPos.z],
                     initialCameraRotation: [cameraRotation.x, cameraRotation.y, cameraRotation.z],
+                    initialCameraLookAt: camTarget ? [camTarget.x, camTarget.y, camTarget.z] : undefined,
+                    cameraFov,
                     sphericalHarmonicsDegree: 0,
                     backgroundColor: backgroundColor,
                     sceneRevealMode: SceneRevealMode.Default,  // Default reveal mode
                     sceneFadeInRateMultiplier: 3.0,  // 3x faster fade-in
-                    irisOcclusionConfig: irisOcclusionConfig  // Pass iris config to viewer
+                    irisOcclusionConfig: irisOcclusionConfig,  // Pass iris config to viewer
+                    clock: renderer.clock
                 });
             } catch (error) {
                 throw new InitializationError(
@@ -333,11 +459,25 @@ export class GaussianSplatRenderer {
                 );
             }
 
-            // Load model (non-FLAME mode only)
+            // Load model (non-FLAME mode only); a preloaded asset hands over its parsed model
             logger.info('Loading model', { fileName });
+            const preloadedParts = asset ? asset.take() : null;
             try {
-                await renderer.loadModel(fileName, animationConfig, motionConfig);
+                if (preloadedParts) {
+                    renderer._applyModel(preloadedParts, avatarConfig.animation, avatarConfig.motion);
+                    AVATAR_ASSET_LOAD_STAGES.forEach(stage => progress.complete(stage));
+                } else {
+                    await raceWithAbortSignal(
+                        renderer.loadModel(manifest.files, avatarConfig.animation, avatarConfig.motion,
+                            (file, fraction) => progress.update(file, fraction)),
+                        signal,
+                        'Model load'
+                    );
+                }
             } catch (error) {
+                if (error instanceof AbortError) {
+                    throw error;
+                }
                 throw new AssetLoadError(
                     `Failed to load model: ${error.message}`,
                     fileName,
@@ -345,54 +485,86 @@ export class GaussianSplatRenderer {
                 );
             }
 
-            // Progress callback with error isolation
-            if (options.loadProgress) {
+            // A preloaded or cached SplatBuffer skips extracting and parsing the PLY
+            const cachedSplatBuffer = preloadedParts
+                ? preloadedParts.splatBuffer
+                : await readCachedSplatBuffer(options.cache, label, cacheVersion);
+            if (cachedSplatBuffer) {
+                logger.debug('Adding prebuilt splat buffer');
+                progress.complete(AvatarLoadStage.PlyParse);
+                progress.complete(AvatarLoadStage.SplatBufferBuild);
                 try {
-                    options.loadProgress(0.2);
+                    throwIfAborted(signal, 'Splat scene load');
+                    await raceWithAbortSignal(
+                        renderer.viewer.addSplatBuffers([cachedSplatBuffer], [{}], true, false, false, false, false,
+                            true, () => progress.complete(AvatarLoadStage.TextureUpload)),
+                        signal,
+                        'Splat scene load'
+                    );
                 } catch (error) {
-                    logger.warn('Error in loadProgress callback', error);
+                    if (error instanceof AbortError) {
+                        throw error;
+                    }
+                    throw new InitializationError(
+                        `Failed to add prebuilt splat buffer: ${error.message}`,
+                        'Viewer',
+                        error
+                    );
                 }
-            }
-
-            // Load offset PLY
-            logger.debug('Loading offset PLY file');
-            let offsetFileUrl;
-            try {
-                offsetFileUrl = await renderer.unpackFileAsBlob(fileName + '/offset.ply');
-            } catch (error) {
-                throw new AssetLoadError(
-                    `Failed to load offset.ply: ${error.message}`,
-                    fileName + '/offset.ply',
-                    error
-                );
-            }
-
-            // Progress callback with error isolation
-            if (options.loadProgress) {
+            } else {
+                // Load offset PLY: extraction counts for the first quarter of the stage, parsing for the rest
+                logger.debug('Loading offset PLY file');
+                let offsetFileUrl;
                 try {
-                    options.loadProgress(0.3);
+                    offsetFileUrl = await renderer.unpackFileAsBlob(manifest.files.splats,
+                        (fraction) => progress.update(AvatarLoadStage.PlyParse, fraction * 0.25));
                 } catch (error) {
-                    logger.warn('Error in loadProgress callback', error);
+                    throw new AssetLoadError(
+                        `Failed to load ${manifest.files.splats}: ${error.message}`,
+                        manifest.files.splats,
+                        error
+                    );
                 }
-            }
 
-            // Add splat scene
-            logger.debug('Adding splat scene');
-            try {
-                await renderer.viewer.addSplatScene(offsetFileUrl, {
-                    progressiveLoad: true,
-                    sharedMemoryForWorkers: false,
-                    showLoadingUI: false,
-                    format: SceneFormat.Ply
-                });
-            } catch (error) {
-                throw new InitializationError(
-                    `Failed to add splat scene: ${error.message}`,
-                    error
-                );
+                // Add splat scene
+                logger.debug('Adding splat scene');
+                try {
+                    throwIfAborted(signal, 'Splat scene load');
+                    await raceWithAbortSignal(
+                        renderer.viewer.addSplatScene(offsetFileUrl, {
+                            progressiveLoad: true,
+                            sharedMemoryForWorkers: false,
+                            showLoadingUI: false,
+                            format: SceneFormat.Ply,
+                            onProgress: (percent) => {
+                                progress.update(AvatarLoadStage.PlyParse, 0.25 + (percent / 100) * 0.75);
+                            },
+                            onSplatBufferBuilt: () => {
+                                progress.complete(AvatarLoadStage.PlyParse);
+                                progress.complete(AvatarLoadStage.SplatBufferBuild);
+                            },
+                            onSplatMeshBuilt: () => progress.complete(AvatarLoadStage.TextureUpload)
+                        }),
+                        signal,
+                        'Splat scene load'
+                    );
+                } catch (error) {
+                    if (error instanceof AbortError) {
+                        throw error;
+                    }
+                    throw new InitializationError(
+                        `Failed to add splat scene: ${error.message}`,
+                        error
+                    );
+                }
+                if (renderer.viewer.getSceneCount() > 0) {
+                    cacheSplatBuffer(options.cache, label, cacheVersion, renderer.viewer.getSplatScene(0).splatBuffer);
+                }
             }
 
-            // Initial render
+            // Initial render; it draws the first frame of the avatar
+            renderer._firstFramePending = true;
+            emit(RendererEvent.Ready, { characterName });
             try {
                 renderer.render();
             } catch (error) {
@@ -400,47 +572,99 @@ export class GaussianSplatRenderer {
                 // Don't throw - render errors are non-fatal
             }
 
-            // Progress callback with error isolation
-            if (options.loadProgress) {
-                try {
-                    options.loadProgress(1);
-                } catch (error) {
-                    logger.warn('Error in loadProgress callback', error);
-                }
-            }
+            // addSplatScene() resolves once the first sort of the splats has completed; every stage is done
+            // by now, including any whose hooks did not fire (e.g. files served from the blob URL cache)
+            Object.values(AvatarLoadStage).forEach(stage => progress.complete(stage));
 
             logger.info('GaussianSplatRenderer initialized successfully');
             return renderer;
 
         } catch (error) {
-            // Re-throw custom errors as-is
-            if (error instanceof ValidationError ||
+            let failure = error;
+            if (error instanceof AbortError) {
+                logger.info('Initialization aborted', { message: error.message });
+            } else if (error instanceof ValidationError ||
                 error instanceof NetworkError ||
                 error instanceof AssetLoadError ||
+                error instanceof ParseError ||
+                error instanceof ConfigurationError ||
                 error instanceof InitializationError) {
+                // Re-throw custom errors as-is
                 logger.error('Initialization failed', { errorCode: error.code, message: error.message });
-                throw error;
+            } else {
+                // Wrap unexpected errors
+                logger.error('Unexpected error during initialization', error);
+                failure = new InitializationError(
+                    `Unexpected error initializing GaussianSplatRenderer: ${error.message}`,
+                    error
+                );
+            }
+            if (!(failure instanceof AbortError)) {
+                emit(RendererEvent.Error, failure);
             }
 
-            // Wrap unexpected errors
-            logger.error('Unexpected error during initialization', error);
-            throw new InitializationError(
-                `Unexpected error initializing GaussianSplatRenderer: ${error.message}`,
-                error
-            );
+            // Release the partially initialized renderer; the viewer aborts any in-flight scene load
+            if (renderer && !renderer._disposed) {
+                try {
+                    renderer.dispose();
+                } catch (disposeError) {
+                    logger.warn('Error disposing renderer after failed initialization', disposeError);
+                }
+            } else if (!renderer) {
+                events.dispose();
+            }
+            throw failure;
         }
     }
 
+    /**
+     * Download, unpack and parse an avatar package without a DOM container or WebGL context
+     *
+     * The returned asset can be passed to create() or loadAvatar() as the source, which then only has to
+     * upload it to the GPU. An asset can be used once; call asset.dispose() to release one that is not used.
+     *
+     * @param {string|ArrayBuffer|Blob|File|JSZip} source - Avatar package (see create())
+     * @param {object} [options={}] - Options
+     * @param {string} [options.characterName] - Character name (derived from the source if omitted)
+     * @param {Function} [options.downloadProgress] - Download progress callback (see create())
+     * @param {Function} [options.loadProgress] - Load progress callback (progress, info) over the preload stages
+     *   (see AVATAR_ASSET_LOAD_STAGES)
+     * @param {AbortSignal} [options.signal] - Cancels loading
+     * @param {AssetCache} [options.cache] - Asset cache (see create())
+     * @param {string|number} [options.cacheVersion] - Package version for the cache key (see create())
+     * @returns {Promise<AvatarAsset>} Prepared avatar
+     * @throws {ValidationError} If parameters are invalid
+     * @throws {NetworkError} If asset download fails
+     * @throws {AssetLoadError} If asset loading/parsing fails
+     * @throws {ParseError} If the package's manifest.json or config.json is not valid JSON
+     * @throws {ConfigurationError} If the package's manifest.json or config.json is malformed
+     * @throws {AbortError} If options.signal is aborted before loading completes
+     */
+    static async preload(source, options = {}) {
+        if (source instanceof AvatarAsset) {
+            throw new ValidationError('source is already an AvatarAsset', 'source');
+        }
+        validateAvatarLoadOptions(source, options);
+        return AvatarAsset.load(source, {
+            characterName: options.characterName,
+            downloadProgress: options.downloadProgress,
+            loadProgress: options.loadProgress,
+            signal: options.signal,
+            cache: options.cache,
+            cacheVersion: options.cacheVersion
+        });
+    }
+
     /**
      * @deprecated Use create() instead. This method is kept for backwards compatibility.
      * @param {HTMLElement} container - DOM container for canvas
-     * @param {string} assetPath - URL to character ZIP file
+     * @param {string|ArrayBuffer|Blob|File|JSZip} source - Avatar package (see create())
      * @param {object} [options={}] - Configuration options
      * @returns {Promise<GaussianSplatRenderer>} Renderer instance
      */
-    static async getInstance(container, assetPath, options = {}) {
+    static async getInstance(container, source, options = {}) {
         logger.warn('getInstance() is deprecated. Use create() instead. Each call creates a new instance.');
-        return this.create(container, assetPath, options);
+        return this.create(container, source, options);
     }
 
     /**
@@ -448,9 +672,10 @@ export class GaussianSplatRenderer {
      *
      * @param {HTMLElement} _container - DOM container element for the renderer
      * @param {JSZip} zipData - Loaded ZIP archive containing model data
+     * @param {TypedEventEmitter} [events] - Emitter for the renderer's events; a new one when omitted
      * @private - Use create() factory method instead
      */
-    constructor(_container, zipData) {
+    constructor(_container, zipData, events = null) {
         logger.debug('GaussianSplatRenderer constructor called');
 
         // Disposal tracking
@@ -469,6 +694,7 @@ export class GaussianSplatRenderer {
         this.lastTime = 0;
         this.startTime = 0;
         this.expressionData = {};
+        this._sourceExpression = {};
         this.chatState = TYVoiceChatState.Idle;
 
         // Create instance-specific canvas
@@ -479,162 +705,1005 @@ export class GaussianSplatRenderer {
             this._canvas.style.visibility = 'visible';
             this._canvas.width = width;
             this._canvas.height = height;
+            this._onContextLost = event => this._emit(RendererEvent.ContextLost, event);
+            this._canvas.addEventListener('webglcontextlost', this._onContextLost);
             _container.appendChild(this._canvas);
             logger.debug('Canvas setup', { width, height });
         }
 
-        // Animation timing
-        this.clock = new Clock();
-        this.startTime = performance.now() / 1000.0;
+        // Animation timing; create() may replace the clock with the one given as an option
+        this.clock = new AnimationClock();
+        this.startTime = this.clock.time;
+        this.frameRate = DEFAULT_ANIMATION_FPS;
+        this.frameInterpolation = true;
 
         // These will be set during loading
         this.viewer = null;
         this.mixer = null;
         this.animManager = null;
+        this.gestures = null;
+        this.idleMotion = null;
+        this.lookAt = new LookAtController();
+        this._headBones = null;
         this.model = null;
         this.irisOcclusionConfig = null;
         this.motioncfg = null;
+        this.characterName = null;
+        this.manifest = null;
+        this.avatarConfig = null;
         this.getChatState = null;
         this.getExpressionData = null;
+        this.expressionStream = null;
+
+        // Session recording and replay (see startRecording() and playSession())
+        this.sessionRecorder = null;
+        this.sessionPlayer = null;
+        this._liveState = null;
+        this._replayGaze = undefined;
+        this._replayPosed = false;
+
+        // Events (see on()) and pushed input (see setChatState() and setExpression())
+        this.events = events ?? new TypedEventEmitter(Object.values(RendererEvent));
+        this._firstFramePending = false;
+        this._chatStatePushed = false;
+        this._chatTransition = undefined;
+        this._pendingChatState = null;
+        this._expressionBlend = null;
+
+        // Gesture clips loaded with loadGestures(), kept across avatar swaps
+        this._gestureClips = [];
+
+        // Avatar swapping (see loadAvatar())
+        this._avatarSwap = null;
+        this._avatarCommit = null;
+        this._fadeOverlay = null;
+        this._fadeOverlayTimeout = null;
+
+        logger.debug('GaussianSplatRenderer instance created');
+    }
+
+    /**
+     * Assert renderer is not disposed
+     * @private
+     * @throws {ResourceDisposedError} If renderer has been disposed
+     */
+    _assertNotDisposed() {
+        if (this._disposed) {
+            throw new ResourceDisposedError('GaussianSplatRenderer has been disposed');
+        }
+    }
+
+    /**
+     * Dispose renderer and free all resources
+     *
+     * Properly cleans up:
+     * - Model resources (mesh, animations, textures)
+     * - Blob URLs to prevent memory leaks
+     * - Viewer instance
+     * - Canvas visibility
+     *
+     * @returns {void}
+     */
+    dispose() {
+        if (this._disposed) {
+            logger.warn('GaussianSplatRenderer.dispose() called on already disposed instance');
+            return;
+        }
+
+        logger.info('Disposing GaussianSplatRenderer');
+
+        // Cancel any avatar swap in progress
+        this._avatarSwap?.abort(new ResourceDisposedError('GaussianSplatRenderer'));
+        this._avatarSwap = null;
+        this._removeFadeOverlay();
+
+        // Hide and remove canvas
+        if (this._canvas) {
+            this._canvas.removeEventListener('webglcontextlost', this._onContextLost);
+            this._canvas.style.visibility = 'hidden';
+            if (this._canvas.parentNode) {
+                this._canvas.parentNode.removeChild(this._canvas);
+            }
+            this._canvas = null;
+        }
+
+        // Dispose model resources
+        this.disposeModel();
+
+        // Revoke all blob URLs using BlobUrlManager
+        try {
+            this._blobUrlManager?.dispose();
+        } catch (error) {
+            logger.error('Error disposing BlobUrlManager', error);
+        }
+
+        // Legacy blob URL cleanup (for URLs created before BlobUrlManager)
+        if (this.zipUrls?.urls) {
+            this.zipUrls.urls.forEach((value) => {
+                try {
+                    URL.revokeObjectURL(value);
+                } catch (error) {
+                    logger.warn('Error revoking blob URL', { url: value, error });
+                }
+            });
+            this.zipUrls.urls.clear();
+        }
+
+        // Nullify references to aid GC
+        this.viewer = null;
+        this.mixer = null;
+        this.animManager = null;
+        this.gestures = null;
+        this._gestureClips = [];
+        this.idleMotion = null;
+        this.lookAt = null;
+        this.model = null;
+        this.motioncfg = null;
+        this.getChatState = null;
+        this.getExpressionData = null;
+        this.expressionStream = null;
+        this.sessionRecorder = null;
+        this.sessionPlayer?.dispose();
+        this.sessionPlayer = null;
+        this._liveState = null;
+        this.zipUrls = null;
+        this._expressionBlend = null;
+        this._settleChatState(false);
+
+        // Mark as disposed
+        this._emit(RendererEvent.Disposed);
+        this._disposed = true;
+        this.events.dispose();
+
+        // Clear singleton instance
+        GaussianSplatRenderer.instance = undefined;
+
+        logger.debug('GaussianSplatRenderer disposed successfully');
+    }
+
+    /**
+     * Dispose model-specific resources
+     *
+     * Cleans up:
+     * - Animation mixer and cached actions
+     * - Animation manager
+     * - Viewer instance
+     *
+     * @returns {void}
+     */
+    disposeModel() {
+        logger.debug('Disposing model resources');
+
+        this._disposeAnimation();
+
+        // Dispose viewer
+        if (this.viewer) {
+            try {
+                this.viewer.dispose();
+            } catch (error) {
+                logger.error('Error disposing viewer', error);
+            }
+            this.viewer = null;
+        }
+
+        logger.debug('Model resources disposed');
+    }
+
+    /**
+     * Stop and release the animation mixer, animation manager and gestures of the current avatar
+     * @private
+     */
+    _disposeAnimation() {
+        // Put the skeleton back to its animated pose; its bones go with the mixer
+        this.lookAt?.bindBones(null);
+        this.idleMotion?.bindBones(null);
+
+        // Release gestures first; their pending promises resolve with false
+        if (this.gestures) {
+            try {
+                this.gestures.dispose();
+            } catch (error) {
+                logger.error('Error disposing gestures', error);
+            }
+            this.gestures = null;
+        }
+
+        // Dispose animation mixer
+        if (this.mixer) {
+            try {
+                this.mixer.stopAllAction();
+                if (this.viewer?.avatarMesh) {
+                    this.mixer.uncacheRoot(this.viewer.avatarMesh);
+                }
+            } catch (error) {
+                logger.error('Error disposing animation mixer', error);
+            }
+            this.mixer = null;
+        }
+
+        // Dispose animation manager
+        if (this.animManager) {
+            try {
+                this.animManager.dispose();
+            } catch (error) {
+                logger.error('Error disposing animation manager', error);
+            }
+            this.animManager = null;
+        }
+    }
+
+    /**
+     * Get the Three.js camera
+     * @returns {THREE.Camera}
+     */
+    getCamera() {
+        return this.viewer?.camera;
+    }
+
+    /**
+     * Subscribe to a renderer event
+     *
+     * @param {string} event - Event name (a RendererEvent value)
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     * @throws {ValidationError} If the event is unknown or the callback is not a function
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    on(event, callback) {
+        this._assertNotDisposed();
+        return this.events.on(event, callback);
+    }
+
+    /**
+     * Subscribe to the next occurrence of a renderer event
+     *
+     * @param {string} event - Event name (a RendererEvent value)
+     * @param {Function} callback - Event handler
+     * @returns {Function} Unsubscribe function
+     * @throws {ValidationError} If the event is unknown or the callback is not a function
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    once(event, callback) {
+        this._assertNotDisposed();
+        return this.events.once(event, callback);
+    }
+
+    /**
+     * Unsubscribe from a renderer event
+     *
+     * @param {string} event - Event name
+     * @param {Function} callback - Handler given to on() or once()
+     * @returns {boolean} True if the handler was subscribed
+     */
+    off(event, callback) {
+        if (this._disposed) return false;
+        return this.events.off(event, callback);
+    }
+
+    /**
+     * Emit a renderer event; listener errors are logged, not thrown
+     * @private
+     */
+    _emit(event, ...args) {
+        if (!this._disposed) {
+            this.events.emit(event, ...args);
+        }
+    }
+
+    /**
+     * Request an animation state
+     *
+     * Push-style alternative to the getChatState option. When getChatState is set, it is polled every frame
+     * and overrides the state set here. The avatar may play the current state's exit clips first, and a
+     * transition the state graph does not allow is ignored until another state is requested.
+     *
+     * @param {string} state - State name (a TYVoiceChatState value or a state of a custom animation graph)
+     * @param {object} [options={}] - Options
+     * @param {number} [options.transition] - Crossfade time in seconds into the state; the graph's
+     *   transition blend when omitted
+     * @returns {Promise<boolean>} Resolves once the avatar has finished blending into the state (when the
+     *   'stateChanged' event fires): true if it got there, false if another state was requested first, the
+     *   avatar was replaced by one without the state or the renderer was disposed
+     * @throws {ValidationError} If the state is unknown or the transition is invalid
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    async setChatState(state, options = {}) {
+        this._assertNotDisposed();
+        if (typeof state !== 'string' || state.length === 0) {
+            throw new ValidationError('state must be a non-empty string', 'state');
+        }
+        const transition = options.transition;
+        if (transition !== undefined &&
+            (typeof transition !== 'number' || !Number.isFinite(transition) || transition < 0)) {
+            throw new ValidationError('transition must be a non-negative number of seconds', 'options.transition');
+        }
+        if (this.animManager && !this.animManager.graph.hasState(state)) {
+            throw new ValidationError(
+                `Unknown animation state '${state}'; states: ${this.animManager.graph.stateNames.join(', ')}`,
+                'state'
+            );
+        }
+
+        this._settleChatState(false);
+        this.chatState = state;
+        this._chatTransition = transition;
+        this._chatStatePushed = true;
+
+        const animManager = this.animManager;
+        if (animManager && animManager.curPlaying() === state && !animManager.isBlending) {
+            return true;
+        }
+        return new Promise((resolve) => {
+            this._pendingChatState = { state, resolve };
+        });
+    }
+
+    /**
+     * Resolve the promise of the last setChatState() call, if still pending
+     * @private
+     */
+    _settleChatState(reached) {
+        const pending = this._pendingChatState;
+        this._pendingChatState = null;
+        pending?.resolve(reached);
+    }
+
+    /**
+     * Set the avatar's expression
+     *
+     * Push-style alternative to the getExpressionData option, which takes precedence when set, as does an
+     * expression stream (see setExpressionStream()). The weights
+     * replace the whole expression: blendshapes left out go to 0. With blendMs the avatar blends from its
+     * current expression to the new one.
+     *
+     * Called without arguments, applies the current expression data to the mesh (the behavior of earlier
+     * versions).
+     *
+     * @param {object} [weights] - Blendshape weights by name (ARKit names such as jawOpen or eyeBlinkLeft), 0-1
+     * @param {object} [options={}] - Options
+     * @param {number} [options.blendMs=0] - Blend time in milliseconds from the current expression, on the
+     *   animation clock
+     * @throws {ValidationError} If a weight or option is invalid
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    setExpression(weights, options = {}) {
+        if (weights === undefined) {
+            this.applyExpression();
+            return;
+        }
+        this._assertNotDisposed();
+        validateExpressionArgs(weights, options);
+
+        const now = this.clock.time;
+        this._expressionBlend = {
+            from: this._expressionBlend ? this._sampleExpression(now) : {},
+            to: { ...weights },
+            start: now,
+            duration: (options.blendMs ?? 0) / 1000
+        };
+    }
+
+    /**
+     * Play expression frames received over a network
+     *
+     * Replaces polling getExpressionData for streamed weights: push each received frame to the stream, and every
+     * rendered frame shows the stream's buffered, interpolated weights at its playout time. getExpressionData
+     * takes precedence when set; setExpression() weights apply again once the stream is removed. The stream is
+     * not disposed with the renderer.
+     *
+     * @param {ExpressionStream|null} stream - Stream to play, or null to stop
+     * @throws {ValidationError} If stream is not an ExpressionStream
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    setExpressionStream(stream) {
+        this._assertNotDisposed();
+        if (stream !== null && !(stream instanceof ExpressionStream)) {
+            throw new ValidationError('stream must be an ExpressionStream or null', 'stream');
+        }
+        this.expressionStream = stream;
+    }
+
+    /**
+     * Record what the avatar shows, frame by frame
+     *
+     * Every rendered frame adds the expression weights (with idle motion and look-at eye weights, before the
+     * avatar's motion config), the chat state, the look-at target and the camera. stopRecording() returns the
+     * session as a plain object: save it with JSON.stringify() or encodeSession(), and replay it with
+     * playSession(). Starting a new recording discards the current one.
+     *
+     * @param {object} [options={}] - Options (see DEFAULT_SESSION_RECORDER_OPTIONS)
+     * @param {number} [options.maxDuration=600] - Seconds kept; older frames are dropped
+     * @param {object} [options.meta] - Extra metadata stored with the session
+     * @returns {SessionRecorder} The recorder
+     * @throws {ValidationError} If an option is invalid
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    startRecording(options = {}) {
+        this._assertNotDisposed();
+        this.sessionRecorder = new SessionRecorder(options);
+        return this.sessionRecorder;
+    }
+
+    /**
+     * Stop recording
+     *
+     * @returns {object|null} The session (see SessionFormat), with the character name in its meta; null when
+     *   not recording or no frame was rendered
+     */
+    stopRecording() {
+        const recorder = this.sessionRecorder;
+        this.sessionRecorder = null;
+        const session = recorder?.stop() ?? null;
+        if (session) {
+            session.meta = { characterName: this.characterName, ...session.meta };
+        }
+        return session;
+    }
+
+    /**
+     * Replay a recorded session
+     *
+     * While the session plays it takes the place of live input: every rendered frame shows its expression, chat
+     * state, look-at target and camera at the playback position, the baked animation and idle motion at their
+     * recorded times, and the skeleton clips and gestures at their recorded times and weights. The playback
+     * position follows the renderer clock both ways, so pausing, stepping or seeking the clock (see
+     * AnimationClock.seek()) shows the recorded pose. The last frame is held at the end, unless looping, until
+     * stopSession(). Sessions recorded without an animation mixer have no clips; their chat states are
+     * replayed through the animation states instead.
+     *
+     * @param {object} session - Session from stopRecording(), parseSession() or decodeSession()
+     * @param {object} [options={}] - Options
+     * @param {boolean} [options.loop=false] - Start over at the end
+     * @returns {SessionPlayer} The player, to seek and listen to (see SessionPlayerEvent)
+     * @throws {ValidationError} If the session is malformed
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    playSession(session, options = {}) {
+        this._assertNotDisposed();
+        const player = new SessionPlayer(session, options);
+        if (this.sessionPlayer) {
+            this.sessionPlayer.dispose();
+        } else {
+            // Live state to restore in stopSession()
+            const camera = this.viewer?.camera;
+            const target = this.lookAt?.target;
+            this._liveState = {
+                chatState: this.chatState,
+                lookAt: target && (target.type === 'screen' ? { x: target.point.x, y: target.point.y } : target.point.clone()),
+                camera: camera && {
+                    position: camera.position.clone(),
+                    quaternion: camera.quaternion.clone(),
+                    fov: camera.fov,
+                    target: this.viewer.controls?.target.clone()
+                }
+            };
+        }
+        this.sessionPlayer = player;
+        this._replayGaze = undefined;
+        this._releaseReplayPose();
+        return player;
+    }
+
+    /**
+     * Stop replaying a session and return to live input
+     *
+     * Restores the chat state, look-at target and camera from before playSession(). The player is disposed.
+     */
+    stopSession() {
+        if (!this.sessionPlayer) {
+            return;
+        }
+        this.sessionPlayer.dispose();
+        this.sessionPlayer = null;
+        this._releaseReplayPose();
+        const live = this._liveState;
+        this._liveState = null;
+        if (this._disposed || !live) {
+            return;
+        }
+        this.chatState = live.chatState;
+        this._chatStatePushed = true;
+        this.lookAt?.setTarget(live.lookAt);
+        const camera = this.viewer?.camera;
+        if (camera && live.camera) {
+            camera.position.copy(live.camera.position);
+            camera.quaternion.copy(live.camera.quaternion);
+            if (live.camera.fov !== undefined) {
+                camera.fov = live.camera.fov;
+                camera.updateProjectionMatrix();
+            }
+            if (live.camera.target) {
+                this.viewer.controls?.target.copy(live.camera.target);
+            }
+        }
+    }
+
+    /**
+     * Weights of the expression set with setExpression() at a time, part way through its blend
+     * @private
+     * @param {number} now - Animation clock time in seconds
+     * @returns {object} Blendshape weights by name
+     */
+    _sampleExpression(now) {
+        const { from, to, start, duration } = this._expressionBlend;
+        const t = duration > 0 ? Math.min(Math.max((now - start) / duration, 0), 1) : 1;
+        if (t === 1) {
+            return { ...to };
+        }
+        const weights = {};
+        new Set([...Object.keys(from), ...Object.keys(to)]).forEach((name) => {
+            const a = from[name] ?? 0;
+            weights[name] = a + ((to[name] ?? 0) - a) * t;
+        });
+        return weights;
+    }
+
+    /**
+     * Play a one-shot gesture on top of the current animation state
+     *
+     * The gesture is a clip of animation.glb or of a GLB added with loadGestures(). It plays once over the
+     * state animation, which carries on underneath and has control again once the gesture has faded out.
+     *
+     * @param {string|THREE.AnimationClip} gesture - Clip name, or a clip to play directly
+     * @param {object} [options={}] - Gesture options
+     * @param {number} [options.weight=1] - Influence of the gesture, 0-1
+     * @param {number} [options.fadeIn=0.2] - Fade-in time in seconds
+     * @param {number} [options.fadeOut=0.3] - Fade-out time in seconds, ending with the clip
+     * @param {boolean} [options.additive=true] - Add the gesture's motion (relative to its first frame) to the
+     *   state animation; when false the gesture is mixed with the state clips in proportion to the weights
+     * @returns {Promise<boolean>} Resolves once the gesture has faded out: true if it played to its end, false if
+     *   it was stopped, restarted or the avatar was replaced first
+     * @throws {ValidationError} If the gesture is unknown or an option is invalid
+     * @throws {InitializationError} If no avatar is loaded
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    async playGesture(gesture, options = {}) {
+        this._assertNotDisposed();
+        if (typeof gesture !== 'string' && !(gesture instanceof AnimationClip)) {
+            throw new ValidationError('gesture must be a clip name or a THREE.AnimationClip', 'gesture');
+        }
+        validateGestureOptions(options);
+        if (!this.gestures) {
+            throw new InitializationError('No avatar is loaded', 'GaussianSplatRenderer');
+        }
+        if (typeof gesture === 'string' && !this.gestures.hasGesture(gesture)) {
+            throw new ValidationError(
+                `Unknown gesture '${gesture}'; available: ${this.gestures.gestureNames.join(', ') || 'none'}`,
+                'gesture'
+            );
+        }
+        return this.gestures.play(gesture, options);
+    }
+
+    /**
+     * Fade out running gestures early
+     *
+     * @param {string} [name] - Gesture to stop; all gestures when omitted
+     * @param {object} [options={}] - Options
+     * @param {number} [options.fadeOut] - Fade-out time in seconds; the time given to playGesture() when omitted
+     */
+    stopGesture(name, options = {}) {
+        this.gestures?.stop(name, options.fadeOut);
+    }
+
+    /**
+     * Names of the gestures playGesture() accepts
+     * @returns {string[]}
+     */
+    getGestureNames() {
+        return this.gestures?.gestureNames ?? [];
+    }
+
+    /**
+     * Turn procedural idle motion on, off or to other options
+     *
+     * Idle motion blinks, moves the eyes in small saccades and lets the head breathe and sway. Its blendshape
+     * channels are combined with the expression (getExpressionData or setExpression()) by per-channel rules,
+     * by default the larger blink and the sum of the gaze weights; its bone offsets go on top of the skeleton
+     * animation. The motion follows the animation clock and repeats exactly for the same seed.
+     *
+     * @param {boolean|object} options - true for the defaults, false to turn it off, or options
+     * @param {number} [options.seed] - Integer seed; random when omitted
+     * @param {object|boolean} [options.blink] - Blink options ({minInterval, maxInterval, duration,
+     *   doubleBlinkChance}), or false for no blinks
+     * @param {object|boolean} [options.saccades] - Saccade options ({minInterval, maxInterval, duration, range,
+     *   blendshapeWeight, boneAngle}), or false
+     * @param {object|boolean} [options.breathing] - Breathing options ({rate, amplitude}), or false
+     * @param {object|boolean} [options.sway] - Head sway options ({speed, amplitude}), or false
+     * @param {object} [options.channels] - IdleMotionChannelRule by blendshape name or group ('blink', 'gaze')
+     * @returns {IdleMotionGenerator|null} The new generator, or null when turned off
+     * @throws {ValidationError} If an option is invalid
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    setIdleMotion(options) {
+        this._assertNotDisposed();
+        const idleMotion = createIdleMotion(options);
+        this.idleMotion?.bindBones(null);
+        this.idleMotion = idleMotion;
+        if (this.mixer) {
+            idleMotion?.bindBones(this._headBones);
+        }
+        logger.debug('Idle motion set', { enabled: !!idleMotion, seed: idleMotion?.seed });
+        return idleMotion;
+    }
 
-        logger.debug('GaussianSplatRenderer instance created');
+    /**
+     * Turn the head and eyes towards a target
+     *
+     * The neck bone takes headWeight of the turn and the eyes the rest: the FLAME eye bones when the skeleton
+     * has them, otherwise the eyeLook* blendshapes (added to the expression). The turn is clamped to
+     * maxYaw/maxPitch, damped with the smoothing time constant and added on top of the animation clip, so the
+     * avatar keeps idling or talking while it follows the target. Call it on every pointer move; options
+     * stay set until changed.
+     *
+     * @param {THREE.Vector3|{x: number, y: number, z: number}|{x: number, y: number}|null} target - Point in the
+     *   scene; a screen point {x, y} in normalized device coordinates (-1 to 1, y up) such as the cursor; or
+     *   null to ease back to the clip's own pose
+     * @param {object} [options={}] - Options (see DEFAULT_LOOK_AT_OPTIONS)
+     * @param {number} [options.headWeight=0.5] - Share of the turn done by the neck, 0-1
+     * @param {number} [options.eyeWeight=1] - How far the eyes make up the rest, 0-1
+     * @param {number} [options.maxYaw=0.7] - Largest turn to the sides, in radians
+     * @param {number} [options.maxPitch=0.4] - Largest turn up or down, in radians
+     * @param {number} [options.smoothing=0.15] - Damping time constant in seconds of animation time; 0 follows
+     *   the target at once
+     * @throws {ValidationError} If the target or an option is invalid
+     * @throws {ResourceDisposedError} If the renderer has been disposed
+     */
+    setLookAtTarget(target, options = {}) {
+        this._assertNotDisposed();
+        this.lookAt.setTarget(target, options);
     }
 
     /**
-     * Assert renderer is not disposed
-     * @private
-     * @throws {ResourceDisposedError} If renderer has been disposed
+     * Add gesture clips from a separate GLB file
+     *
+     * The clips stay available after loadAvatar() swaps the avatar. A clip replaces an earlier gesture of the
+     * same name, including clips of animation.glb.
+     *
+     * @param {string|ArrayBuffer|THREE.AnimationClip[]} source - GLB URL, GLB contents, or clips
+     * @returns {Promise<string[]>} Names of the added gestures
+     * @throws {ValidationError} If the source type is unsupported
+     * @throws {NetworkError} If the GLB cannot be downloaded
+     * @throws {AssetLoadError} If the GLB cannot be parsed or has no animation clips
+     * @throws {ResourceDisposedError} If the renderer has been disposed
      */
-    _assertNotDisposed() {
-        if (this._disposed) {
-            throw new ResourceDisposedError('GaussianSplatRenderer has been disposed');
+    async loadGestures(source) {
+        this._assertNotDisposed();
+        let clips;
+        if (Array.isArray(source) && source.every(clip => clip instanceof AnimationClip)) {
+            clips = source;
+        } else if (typeof source === 'string' || source instanceof ArrayBuffer) {
+            const label = typeof source === 'string' ? source : 'gestures.glb';
+            const data = typeof source === 'string' ? await fetchWithProgress(source) : source;
+            const gltf = await parseGlb(data, label);
+            disposeAllMeshes(gltf.scene);
+            if (gltf.animations.length === 0) {
+                throw new AssetLoadError(`No animation clips in ${label}`, label);
+            }
+            clips = gltf.animations;
+        } else {
+            throw new ValidationError('source must be a GLB URL, an ArrayBuffer or an array of THREE.AnimationClip', 'source');
         }
+        this._assertNotDisposed();
+
+        const names = new Set(clips.map(clip => clip.name));
+        this._gestureClips = [...this._gestureClips.filter(clip => !names.has(clip.name)), ...clips];
+        this.gestures?.addClips(clips);
+        logger.debug('Gestures loaded', { names: [...names] });
+        return [...names];
     }
 
     /**
-     * Dispose renderer and free all resources
+     * Replace the displayed avatar with another avatar package
      *
-     * Properly cleans up:
-     * - Model resources (mesh, animations, textures)
-     * - Blob URLs to prevent memory leaks
-     * - Viewer instance
-     * - Canvas visibility
+     * The canvas, WebGL renderer, camera, sort worker setup and render loop are kept. The new package is
+     * downloaded and parsed while the current avatar is still displayed; only then are the current splat
+     * mesh, skin model, animation mixer and animation manager disposed and the new avatar swapped in.
      *
-     * @returns {void}
+     * Starting another loadAvatar() cancels a swap that is still loading; the cancelled call rejects with an
+     * AbortError and leaves the current avatar untouched. If the new avatar cannot be displayed once the current
+     * one has been released (e.g. its splats fail to upload), the renderer is left without an avatar:
+     * characterName is null, and the call rejects and emits 'error' as usual. A swap that is already being applied finishes
+     * first, and the newer one is applied after it.
+     *
+     * @param {string|ArrayBuffer|Blob|File|JSZip|AvatarAsset} source - Avatar package or preloaded asset (see create())
+     * @param {object} [options={}] - Load options
+     * @param {string} [options.characterName] - Character name (derived from the source if omitted)
+     * @param {Function} [options.downloadProgress] - Download progress callback (see create())
+     * @param {Function} [options.loadProgress] - Load progress callback (see create())
+     * @param {AbortSignal} [options.signal] - Cancels the swap while the new package is loading
+     * @param {AssetCache} [options.cache] - Asset cache (see create())
+     * @param {string|number} [options.cacheVersion] - Package version for the cache key (see create())
+     * @param {string} [options.backgroundColor] - Background color (hex string)
+     * @param {object} [options.camera] - Camera overrides (see create()); the camera is moved to the new avatar's pose
+     * @param {object} [options.motion] - Blendshape adjustments (see create())
+     * @param {object} [options.animation] - Animation state graph or clip grouping (see create())
+     * @param {number} [options.fps] - Frame rate of the baked animation (see create())
+     * @param {boolean} [options.frameInterpolation=true] - Blend between animation frames (see create())
+     * @param {boolean} [options.fade=false] - Cross-fade: the old avatar fades out while the new one is revealed
+     *   with the gradual scene fade-in
+     * @param {number} [options.fadeDuration=600] - Fade-out duration of the old avatar in milliseconds
+     * @returns {Promise<void>} Resolves once the new avatar is displayed
+     * @throws {ValidationError} If parameters are invalid
+     * @throws {NetworkError} If asset download fails
+     * @throws {AssetLoadError} If asset loading/parsing fails
+     * @throws {ParseError} If the package's manifest.json or config.json is not valid JSON
+     * @throws {ConfigurationError} If the package's manifest.json or config.json is malformed
+     * @throws {AbortError} If options.signal is aborted or a newer loadAvatar() call supersedes this one
+     * @throws {ResourceDisposedError} If the renderer has been disposed
      */
-    dispose() {
-        if (this._disposed) {
-            logger.warn('GaussianSplatRenderer.dispose() called on already disposed instance');
-            return;
+    async loadAvatar(source, options = {}) {
+        this._assertNotDisposed();
+        validateAvatarLoadOptions(source, options);
+        const fadeDuration = options.fadeDuration ?? DEFAULT_AVATAR_FADE_DURATION;
+        if (typeof fadeDuration !== 'number' || !Number.isFinite(fadeDuration) || fadeDuration < 0) {
+            throw new ValidationError('fadeDuration must be a non-negative number of milliseconds', 'options.fadeDuration');
+        }
+        const optionsConfig = avatarConfigFromOptions(options);
+
+        // Supersede a swap that is still loading, and follow the caller's signal
+        this._avatarSwap?.abort(new AbortError('Superseded by a newer loadAvatar() call'));
+        const swap = new AbortController();
+        this._avatarSwap = swap;
+        const forwardAbort = () => swap.abort(options.signal.reason);
+        if (options.signal?.aborted) {
+            forwardAbort();
+        } else {
+            options.signal?.addEventListener('abort', forwardAbort, { once: true });
         }
+        const signal = swap.signal;
 
-        logger.info('Disposing GaussianSplatRenderer');
+        const progress = new ProgressReporter(DEFAULT_AVATAR_LOAD_STAGE_WEIGHTS,
+            loadProgressCallback((...args) => this._emit(...args), options.loadProgress));
+        const preloaded = source instanceof AvatarAsset;
+        let asset = null;
 
-        // Hide and remove canvas
-        if (this._canvas) {
-            this._canvas.style.visibility = 'hidden';
-            if (this._canvas.parentNode) {
-                this._canvas.parentNode.removeChild(this._canvas);
+        try {
+            const sourceType = preloaded ? 'asset' : getAvatarSourceType(source);
+            logger.info('Loading avatar', { sourceType });
+            this._emit(RendererEvent.LoadStart, { sourceType });
+
+            // Load everything the new avatar needs without touching the displayed one
+            if (preloaded) {
+                asset = source;
+                AVATAR_ASSET_LOAD_STAGES.forEach(stage => progress.complete(stage));
+            } else {
+                asset = await AvatarAsset.load(source, {
+                    characterName: options.characterName,
+                    downloadProgress: options.downloadProgress,
+                    progressReporter: progress,
+                    signal,
+                    cache: options.cache,
+                    cacheVersion: options.cacheVersion
+                });
+            }
+            const characterName = options.characterName ?? asset.characterName;
+            const avatarConfig = resolveAvatarConfig({
+                options: optionsConfig,
+                packageConfig: asset.packageConfig,
+                manifest: asset.manifest.config
+            });
+
+            // Apply the swap once any earlier swap has been applied
+            while (this._avatarCommit) {
+                await this._avatarCommit.catch(() => {});
+            }
+            throwIfAborted(signal, 'Avatar load');
+            this._assertNotDisposed();
+
+            this._avatarCommit = this._commitAvatar(asset, characterName, avatarConfig, {
+                fade: Boolean(options.fade),
+                fadeDuration,
+                progress
+            });
+            try {
+                await this._avatarCommit;
+            } finally {
+                this._avatarCommit = null;
+            }
+
+            logger.info('Avatar loaded', { characterName });
+            this._emit(RendererEvent.Ready, { characterName });
+        } catch (error) {
+            // Failures while loading leave the old avatar displayed, failures while swapping leave no avatar
+            // (see _commitAvatar()); release the new one unless the caller owns it
+            if (!preloaded) {
+                asset?.dispose();
+            }
+
+            if (error instanceof AbortError) {
+                logger.info('Avatar load aborted', { message: error.message });
+            } else {
+                logger.error('Avatar load failed', { errorCode: error.code, message: error.message });
+                this._emit(RendererEvent.Error, error);
+            }
+            throw error;
+        } finally {
+            options.signal?.removeEventListener('abort', forwardAbort);
+            if (this._avatarSwap === swap) {
+                this._avatarSwap = null;
             }
-            this._canvas = null;
         }
+    }
 
-        // Dispose model resources
-        this.disposeModel();
+    /**
+     * Replace the displayed avatar with a fully loaded one
+     *
+     * @private
+     * @param {AvatarAsset} asset - Prepared avatar; the renderer takes ownership of it
+     * @param {string} characterName - Character name
+     * @param {object} avatarConfig - Resolved avatar config
+     * @param {object} swapOptions - {fade, fadeDuration, progress}
+     * @returns {Promise<void>} Resolves once the new avatar's splats have been sorted for the first time
+     */
+    async _commitAvatar(asset, characterName, avatarConfig, { fade, fadeDuration, progress }) {
+        const { skinModel, clips, indexes, splatBuffer } = asset.take();
+
+        // Freeze the old avatar's last frame on top of the canvas so it can fade out over the new one
+        this._removeFadeOverlay();
+        const overlay = fade ? this._captureFadeOverlay() : null;
 
-        // Revoke all blob URLs using BlobUrlManager
         try {
-            this._blobUrlManager?.dispose();
+            await this._swapAvatar(asset, characterName, avatarConfig, { skinModel, clips, indexes, splatBuffer },
+                fade, progress);
         } catch (error) {
-            logger.error('Error disposing BlobUrlManager', error);
+            // The old avatar is gone by now; show none rather than a frozen frame or part of the new one
+            this._removeFadeOverlay();
+            await this._clearAvatar();
+            throw error;
         }
 
-        // Legacy blob URL cleanup (for URLs created before BlobUrlManager)
-        if (this.zipUrls?.urls) {
-            this.zipUrls.urls.forEach((value) => {
-                try {
-                    URL.revokeObjectURL(value);
-                } catch (error) {
-                    logger.warn('Error revoking blob URL', { url: value, error });
-                }
-            });
-            this.zipUrls.urls.clear();
+        if (overlay) {
+            this._fadeOutOverlay(overlay, fadeDuration);
         }
+    }
 
-        // Nullify references to aid GC
-        this.viewer = null;
-        this.mixer = null;
-        this.animManager = null;
-        this.model = null;
-        this.motioncfg = null;
-        this.getChatState = null;
-        this.getExpressionData = null;
-        this.zipUrls = null;
+    /**
+     * Release the current avatar and display the new one
+     *
+     * @private
+     * @param {AvatarAsset} asset - Prepared avatar
+     * @param {string} characterName - Character name
+     * @param {object} avatarConfig - Resolved avatar config
+     * @param {object} parts - Parts taken from the asset ({skinModel, clips, indexes, splatBuffer})
+     * @param {boolean} fade - Reveal the new avatar gradually
+     * @param {ProgressReporter} progress - Load progress
+     * @returns {Promise<void>} Resolves once the new avatar's splats have been sorted for the first time
+     */
+    async _swapAvatar(asset, characterName, avatarConfig, { skinModel, clips, indexes, splatBuffer }, fade, progress) {
+        this._disposeAnimation();
+        await this.viewer.clearAvatar(asset.irisOcclusionConfig);
+        this._assertNotDisposed();
 
-        // Mark as disposed
-        this._disposed = true;
+        this._releaseArchive(this.zipUrls);
+        this.zipUrls = { urls: new Map(), zip: asset.zip };
+        this.characterName = characterName;
+        this.manifest = asset.manifest;
+        this.avatarConfig = avatarConfig;
+        this.irisOcclusionConfig = asset.irisOcclusionConfig;
+
+        this._applyModel({ skinModel, clips, indexes }, avatarConfig.animation, avatarConfig.motion);
+
+        const { position, rotation, target, fov } = avatarConfig.camera;
+        this.viewer.setCameraPose({
+            position: [position.x, position.y, position.z],
+            rotation: [rotation.x, rotation.y, rotation.z],
+            lookAt: target ? [target.x, target.y, target.z] : null,
+            fov
+        });
+        this.viewer.setBackgroundColor(parseInt(avatarConfig.backgroundColor, 16));
 
-        // Clear singleton instance
-        GaussianSplatRenderer.instance = undefined;
+        this.viewer.sceneRevealMode = fade ? SceneRevealMode.Gradual : SceneRevealMode.Instant;
+        await this.viewer.addSplatBuffers([splatBuffer], [{ splatAlphaRemovalThreshold: 0 }], true, false, false,
+            true, false, false, () => progress.complete(AvatarLoadStage.TextureUpload));
+        Object.values(AvatarLoadStage).forEach(stage => progress.complete(stage));
 
-        logger.debug('GaussianSplatRenderer disposed successfully');
+        // Restart animation timing for the new clips
+        this.clock.tick();
+        this.startTime = this.clock.time;
+        this._firstFramePending = true;
     }
 
     /**
-     * Dispose model-specific resources
-     *
-     * Cleans up:
-     * - Animation mixer and cached actions
-     * - Animation manager
-     * - Viewer instance
-     *
-     * @returns {void}
+     * Leave the renderer without an avatar after a swap failed part way: no splats, skin model or animation,
+     * and characterName, manifest and avatarConfig null
+     * @private
      */
-    disposeModel() {
-        logger.debug('Disposing model resources');
-
-        // Dispose animation mixer
-        if (this.mixer) {
-            try {
-                this.mixer.stopAllAction();
-                if (this.viewer?.avatarMesh) {
-                    this.mixer.uncacheRoot(this.viewer.avatarMesh);
-                }
-            } catch (error) {
-                logger.error('Error disposing animation mixer', error);
-            }
-            this.mixer = null;
+    async _clearAvatar() {
+        this._disposeAnimation();
+        this.characterName = null;
+        this.manifest = null;
+        this.avatarConfig = null;
+        this.irisOcclusionConfig = null;
+        this._firstFramePending = false;
+        if (this._disposed || !this.viewer) {
+            return;
+        }
+        try {
+            await this.viewer.clearAvatar();
+        } catch (error) {
+            logger.error('Error clearing the partly loaded avatar', error);
         }
+    }
 
-        // Dispose animation manager
-        if (this.animManager) {
+    /**
+     * Revoke the blob URLs created for an archive
+     *
+     * @private
+     * @param {object} archive - Archive and blob URL cache ({zip, urls})
+     */
+    _releaseArchive(archive) {
+        archive?.urls.forEach((url) => {
             try {
-                this.animManager.dispose();
+                this._blobUrlManager.revokeBlobUrl(url);
             } catch (error) {
-                logger.error('Error disposing animation manager', error);
+                logger.warn('Error revoking blob URL', { url, error });
             }
-            this.animManager = null;
+        });
+        archive?.urls.clear();
+    }
+
+    /**
+     * Copy the current frame into a canvas laid over the renderer's canvas
+     *
+     * @private
+     * @returns {HTMLCanvasElement|null} Overlay canvas, or null if no frame can be captured
+     */
+    _captureFadeOverlay() {
+        if (!this._canvas?.parentNode || typeof document === 'undefined') {
+            return null;
         }
 
-        // Dispose viewer
-        if (this.viewer) {
-            try {
-                this.viewer.dispose();
-            } catch (error) {
-                logger.error('Error disposing viewer', error);
-            }
-            this.viewer = null;
+        try {
+            const overlay = document.createElement('canvas');
+            overlay.width = this._canvas.width;
+            overlay.height = this._canvas.height;
+            // The drawing buffer is only readable right after rendering into it
+            this.viewer.render();
+            overlay.getContext('2d').drawImage(this._canvas, 0, 0);
+
+            Object.assign(overlay.style, {
+                position: 'absolute',
+                left: `${this._canvas.offsetLeft}px`,
+                top: `${this._canvas.offsetTop}px`,
+                width: `${this._canvas.clientWidth}px`,
+                height: `${this._canvas.clientHeight}px`,
+                pointerEvents: 'none'
+            });
+            this._canvas.parentNode.insertBefore(overlay, this._canvas.nextSibling);
+            this._fadeOverlay = overlay;
+            return overlay;
+        } catch (error) {
+            logger.warn('Could not capture the current avatar for cross-fading', error);
+            return null;
         }
+    }
 
-        logger.debug('Model resources disposed');
+    /**
+     * Fade the overlay out, then remove it
+     *
+     * @private
+     * @param {HTMLCanvasElement} overlay - Overlay from _captureFadeOverlay()
+     * @param {number} duration - Fade duration in milliseconds
+     */
+    _fadeOutOverlay(overlay, duration) {
+        overlay.style.transition = `opacity ${duration}ms linear`;
+        // Wait a frame so the transition starts from full opacity
+        requestAnimationFrame(() => {
+            overlay.style.opacity = '0';
+        });
+        this._fadeOverlayTimeout = setTimeout(() => this._removeFadeOverlay(), duration + 50);
     }
 
     /**
-     * Get the Three.js camera
-     * @returns {THREE.Camera}
+     * Remove the cross-fade overlay, if any
+     * @private
      */
-    getCamera() {
-        return this.viewer?.camera;
+    _removeFadeOverlay() {
+        clearTimeout(this._fadeOverlayTimeout);
+        this._fadeOverlayTimeout = null;
+        this._fadeOverlay?.parentNode?.removeChild(this._fadeOverlay);
+        this._fadeOverlay = null;
     }
 
     /**
@@ -713,17 +1782,20 @@ export class GaussianSplatRenderer {
         if (this.viewer && this.viewer.selfDrivenMode) {
             this.viewer.requestFrameId = requestAnimationFrame(() => this.render());
 
-            const frameInfoInternal = 1.0 / 30.0;
-            const currentTime = performance.now() / 1000;
-            
-            // Prevent division by zero if totalFrames is 0 or not set
-            const totalFrames = this.viewer.totalFrames || 1;
-            const calcDelta = (currentTime - this.startTime) % (totalFrames * frameInfoInternal);
-            const frameIndex = Math.floor(calcDelta / frameInfoInternal);
-            this.viewer.frame = frameIndex;
-
-            // Update chat state
-            if (this.getChatState) {
+            // Animation time of this frame; the mixer advances by the same amount
+            const mixerUpdateDelta = this.clock.tick();
+
+            // A replayed session (see playSession()) takes the place of live input, at its recorded times
+            const replay = this.sessionPlayer?.advance(mixerUpdateDelta);
+            const animationTime = replay ? replay.animationTime : this.clock.time - this.startTime;
+
+            // Frame of the baked animation; the clips themselves interpolate between keyframes
+            this.viewer.frame = sampleFramePosition(animationTime, this.frameRate, this.viewer.totalFrames || 1).frame;
+
+            // Update chat state: replayed, polled from getChatState, or pushed with setChatState()
+            if (replay) {
+                this.chatState = replay.chatState;
+            } else if (this.getChatState) {
                 this.chatState = this.getChatState();
                 // DEBUG: Log state transitions
                 if (!this._lastLoggedState || this._lastLoggedState !== this.chatState) {
@@ -733,12 +1805,33 @@ export class GaussianSplatRenderer {
                     });
                     this._lastLoggedState = this.chatState;
                 }
-                this.animManager?.update(this.chatState);
             }
+            // A replayed skeleton pose bypasses the states (see applyPose() below)
+            if (!replay?.clips && (replay || this.getChatState || this._chatStatePushed)) {
+                this.animManager?.update(this.chatState, { blend: this._chatTransition });
+            }
+
+            // Update expression data: polled from getExpressionData, played from the expression stream, or
+            // blended to the setExpression() weights. Layers below work on copies, so the source expression is
+            // never adjusted twice.
+            if (replay) {
+                this._sourceExpression = replay.expression;
+            } else if (this.getExpressionData) {
+                this._sourceExpression = this.updateBS(this.getExpressionData());
+            } else if (this.expressionStream) {
+                const streamed = this.expressionStream.sample();
+                if (streamed) {
+                    this._sourceExpression = this.updateBS(streamed);
+                }
+            } else if (this._expressionBlend) {
+                this._sourceExpression = this._sampleExpression(this.clock.time);
+            }
+            this.expressionData = this._sourceExpression;
 
-            // Update expression data
-            if (this.getExpressionData) {
-                this.expressionData = this.updateBS(this.getExpressionData());
+            // Procedural blinks and saccades under the expression; a replayed expression already has them
+            const idleSample = this.idleMotion?.sample(animationTime);
+            if (idleSample && !replay) {
+                this.expressionData = this.idleMotion.blendWeights(this.expressionData, idleSample.weights);
             }
 
             // Animation mixer update
@@ -751,24 +1844,55 @@ export class GaussianSplatRenderer {
                     this._warnedOnce = true;
                 }
                 // Still update expressions even without mixer/animManager
-                this.setExpression();
+                this._recordFrame(animationTime);
+                this.applyExpression();
             } else {
-                const mixerUpdateDelta = this.clock.getDelta();
-                this.mixer.update(mixerUpdateDelta);
+                // Idle and look-at bone offsets go on top of the pose of this frame, not the last one
+                this.lookAt?.restoreBones();
+                this.idleMotion?.restoreBones();
+                if (replay?.clips) {
+                    // Recorded clip times and weights; an update by 0 applies them without moving the clips on
+                    this.animManager.applyPose(replay.clips);
+                    this.gestures?.applyPose(replay.clips);
+                    this.mixer.update(0);
+                    this._replayPosed = true;
+                } else {
+                    this.mixer.update(mixerUpdateDelta);
+                    this.gestures?.update();
+                }
+                if (idleSample) {
+                    this.idleMotion.applyBones(idleSample);
+                }
+                if (this.lookAt) {
+                    if (replay && replay.gaze !== this._replayGaze) {
+                        this.lookAt.setTarget(replay.gaze);
+                        this._replayGaze = replay.gaze;
+                    }
+                    const lookWeights = this.lookAt.update(mixerUpdateDelta, this.viewer.camera);
+                    if (!replay) {
+                        this.expressionData = this.lookAt.blendWeights(this.expressionData, lookWeights);
+                    }
+                }
+                this._recordFrame(animationTime);
 
-                // Apply motion config offsets/scales
+                // Apply motion config offsets/scales to a copy
                 if (this.motioncfg) {
-                    for (const morphTarget in this.expressionData) {
+                    const adjusted = { ...this.expressionData };
+                    for (const morphTarget in adjusted) {
                         const offset = this.motioncfg.offset?.[morphTarget];
                         const scale = this.motioncfg.scale?.[morphTarget];
                         if (offset !== undefined && scale !== undefined) {
-                            this.expressionData[morphTarget] =
-                                this.expressionData[morphTarget] * scale + offset;
+                            adjusted[morphTarget] = adjusted[morphTarget] * scale + offset;
                         }
                     }
+                    this.expressionData = adjusted;
                 }
 
-                this.setExpression();
+                this.applyExpression();
+            }
+
+            if (replay?.camera) {
+                this._applyReplayCamera(replay.camera);
             }
 
             // Update viewer
@@ -782,6 +1906,10 @@ export class GaussianSplatRenderer {
             if (shouldRender) {
                 this.viewer.render();
                 this.viewer.consecutiveRenderFrames++;
+                if (this._firstFramePending) {
+                    this._firstFramePending = false;
+                    this._emit(RendererEvent.FirstFrame, { characterName: this.characterName });
+                }
             } else {
                 this.viewer.consecutiveRenderFrames = 0;
             }
@@ -793,6 +1921,77 @@ export class GaussianSplatRenderer {
         }
     }
 
+    /**
+     * Add the frame being rendered to the session recording, if recording
+     * @private
+     * @param {number} animationTime - Animation time of the frame in seconds
+     */
+    _recordFrame(animationTime) {
+        if (!this.sessionRecorder) {
+            return;
+        }
+        const target = this.lookAt?.target;
+        const camera = this.viewer.camera;
+        const controlsTarget = this.viewer.controls?.target;
+        this.sessionRecorder.capture({
+            time: this.clock.time,
+            animationTime,
+            expression: this.expressionData,
+            chatState: this.chatState,
+            gaze: target ? { type: target.type, x: target.point.x, y: target.point.y, z: target.point.z } : null,
+            camera: camera.isPerspectiveCamera ? {
+                position: camera.position.toArray(),
+                quaternion: camera.quaternion.toArray(),
+                fov: camera.fov,
+                ...(controlsTarget && { target: controlsTarget.toArray() })
+            } : null,
+            clips: this.animManager ? [...this.animManager.capturePose(), ...(this.gestures?.capturePose() ?? [])] : undefined
+        });
+    }
+
+    /**
+     * Hand a replayed skeleton pose back to the animation states and gestures
+     * @private
+     */
+    _releaseReplayPose() {
+        if (!this._replayPosed) {
+            return;
+        }
+        this._replayPosed = false;
+        this.gestures?.applyPose([]);
+        this.animManager?.resetAllActions(true);
+    }
+
+    /**
+     * Move the camera to a replayed pose
+     * @private
+     * @param {{position: number[], quaternion: number[], fov: number, target?: number[]}} pose - Camera pose
+     */
+    _applyReplayCamera(pose) {
+        const camera = this.viewer.camera;
+        camera.position.fromArray(pose.position);
+        camera.quaternion.fromArray(pose.quaternion);
+        if (camera.fov !== undefined && camera.fov !== pose.fov) {
+            camera.fov = pose.fov;
+            camera.updateProjectionMatrix();
+        }
+        if (pose.target) {
+            this.viewer.controls?.target.fromArray(pose.target);
+        }
+    }
+
+    /**
+     * Report a finished state transition of the animation manager
+     * @private
+     * @param {{state: string, previous: string|undefined}} change - The state entered and the one left
+     */
+    _onStateChanged(change) {
+        if (this._pendingChatState?.state === change.state) {
+            this._settleChatState(true);
+        }
+        this._emit(RendererEvent.StateChanged, change);
+    }
+
     /**
      * Validate hex color string
      * @param {string} value - Color string to validate
@@ -807,7 +2006,7 @@ export class GaussianSplatRenderer {
     /**
      * Apply expression data to mesh
      */
-    setExpression() {
+    applyExpression() {
         // Update splat mesh blendshapes
         if (this.viewer?.splatMesh) {
             this.viewer.splatMesh.bsWeight = this.expressionData;
@@ -850,21 +2049,60 @@ export class GaussianSplatRenderer {
 
     /**
      * Load model with animation
-     * @param {string} pathName - Path within ZIP
+     * @param {string|object} files - Model folder within ZIP using the conventional file names,
+     *   or the manifest's file paths ({skin, animation, vertexOrder})
      * @param {object} animationConfig - Animation configuration
      * @param {object} motionConfig - Motion configuration
+     * @param {Function} [onFileProgress] - Called as (stage, fraction) while the skin, animation
+     *   and vertex order files are extracted and parsed; stage is an AvatarLoadStage value
      */
-    async loadModel(pathName, animationConfig, motionConfig) {
-        const [skinModel, aniclip, indexes] = await Promise.all([
-            this.unpackAndLoadGlb(pathName + '/skin.glb'),
-            this.unpackAndLoadGlb(pathName + '/animation.glb'),
-            this.unpackAndLoadJson(pathName + '/vertex_order.json')
-        ]);
+    async loadModel(files, animationConfig, motionConfig, onFileProgress) {
+        const assets = await this._loadModelAssets(files, onFileProgress);
 
         if (!this.viewer) {
             throw new Error('render viewer is not initialized');
         }
 
+        this._applyModel(assets, animationConfig, motionConfig);
+    }
+
+    /**
+     * Unpack and parse the skin model, animation clips and vertex order of an avatar
+     *
+     * Does not touch the viewer, so an avatar can be loaded while another one is displayed.
+     *
+     * @private
+     * @param {string|object} files - Model folder or manifest file paths (see loadModel())
+     * @param {Function} [onFileProgress] - Called as (stage, fraction) (see loadModel())
+     * @param {object} [archive=this.zipUrls] - Archive and blob URL cache ({zip, urls}) to read from
+     * @returns {Promise<{skinModel: THREE.Group, clips: THREE.AnimationClip[], indexes: number[]}>}
+     */
+    async _loadModelAssets(files, onFileProgress, archive = this.zipUrls) {
+        if (typeof files === 'string') {
+            files = conventionalAvatarManifest(files).files;
+        }
+        const fileProgress = (stage) => onFileProgress
+            ? (fraction) => onFileProgress(stage, fraction)
+            : undefined;
+
+        const [skinModel, clips, indexes] = await Promise.all([
+            this.unpackAndLoadGlb(files.skin, fileProgress(AvatarLoadStage.SkinGlb), archive),
+            this.unpackAndLoadGlb(files.animation, fileProgress(AvatarLoadStage.AnimationGlb), archive),
+            this.unpackAndLoadJson(files.vertexOrder, fileProgress(AvatarLoadStage.VertexOrder), archive)
+        ]);
+
+        return { skinModel, clips, indexes };
+    }
+
+    /**
+     * Attach loaded model assets to the viewer and set up animation
+     *
+     * @private
+     * @param {object} assets - Result of _loadModelAssets()
+     * @param {object} animationConfig - Animation configuration
+     * @param {object} motionConfig - Motion configuration
+     */
+    _applyModel({ skinModel, clips: aniclip, indexes }, animationConfig, motionConfig) {
         let skinModelSkinnedMesh;
         let boneRoot;
 
@@ -887,18 +2125,36 @@ export class GaussianSplatRenderer {
         this.viewer.skinModel = skinModelSkinnedMesh;
         this.viewer.boneRoot = boneRoot;
 
-        // Setup animation
+        // Setup animation; step keyframes are blended unless frame interpolation is off
+        this.frameInterpolation = this.avatarConfig?.frameInterpolation ?? true;
+        if (this.frameInterpolation) {
+            aniclip?.forEach(interpolateClipKeyframes);
+        }
         this.mixer = new AnimationMixer(skinModel);
         this.animManager = new AnimationManager(this.mixer, aniclip, animationConfig);
+        this.animManager.events.on(AnimationManagerEvent.StateChanged, change => this._onStateChanged(change));
+        this.animManager.events.on(AnimationManagerEvent.ClipStarted, clip => this._emit(RendererEvent.ClipStarted, clip));
+        this.animManager.events.on(AnimationManagerEvent.ClipFinished, clip => this._emit(RendererEvent.ClipFinished, clip));
+        if (this._pendingChatState && !this.animManager.graph.hasState(this._pendingChatState.state)) {
+            this._settleChatState(false);
+        }
+        this.gestures = new GestureLayer(this.mixer, [...(aniclip || []), ...this._gestureClips], boneRoot);
+        this.gestures.events.on(GestureLayerEvent.GestureFinished,
+            gesture => this._emit(RendererEvent.GestureFinished, gesture));
+        this._headBones = findHeadBones(skinModelSkinnedMesh?.skeleton);
+        this.idleMotion?.bindBones(this._headBones);
+        this.lookAt?.bindBones(this._headBones, skinModel);
         this.motioncfg = motionConfig;
 
-        // Set totalFrames from animation clips or default to 1
+        // Frame rate from the avatar config or the clips' keyframe spacing; totalFrames from the first clip or 1
+        const { fps, source: fpsSource } = resolveFrameRate(aniclip, this.avatarConfig?.fps);
+        this.frameRate = fps;
         if (Array.isArray(aniclip) && aniclip.length > 0 && aniclip[0].duration) {
-            this.viewer.totalFrames = Math.floor(aniclip[0].duration * 30); // 30 fps
+            this.viewer.totalFrames = Math.max(Math.round(aniclip[0].duration * fps), 1);
         } else {
             this.viewer.totalFrames = 1;
         }
-        logger.debug('Total frames calculated', { totalFrames: this.viewer.totalFrames });
+        logger.debug('Total frames calculated', { totalFrames: this.viewer.totalFrames, fps, fpsSource });
 
         if (skinModelSkinnedMesh) {
             this.viewer.updateMorphTarget(skinModelSkinnedMesh);
@@ -912,6 +2168,36 @@ export class GaussianSplatRenderer {
         }
     }
 
+    /**
+     * Load the optional iris occlusion configuration of an avatar package
+     *
+     * @private
+     * @param {object} manifest - Normalized avatar manifest
+     * @param {object} [archive=this.zipUrls] - Archive to read from ({zip, urls})
+     * @returns {Promise<object|null>} Iris occlusion configuration, or null if the package has none or it is invalid
+     */
+    async _loadIrisOcclusionConfig(manifest, archive = this.zipUrls) {
+        logger.debug('Checking for iris_occlusion.json');
+        try {
+            const irisOcclusionConfig = manifest.files.irisOcclusion
+                ? await this._loadJsonFromZip(manifest.files.irisOcclusion, archive)
+                : null;
+            if (irisOcclusionConfig) {
+                logger.info('Iris occlusion configuration loaded', {
+                    rightIrisRanges: irisOcclusionConfig.right_iris?.length ?? 0,
+                    leftIrisRanges: irisOcclusionConfig.left_iris?.length ?? 0
+                });
+            } else {
+                logger.debug('No iris_occlusion.json found, iris occlusion will be disabled');
+            }
+            return irisOcclusionConfig;
+        } catch (error) {
+            // Log but don't fail - iris occlusion is optional
+            logger.warn('Failed to load iris_occlusion.json, continuing without it', { error: error.message });
+            return null;
+        }
+    }
+
     /**
      * Unpack file from ZIP and create a blob URL
      *
@@ -919,22 +2205,25 @@ export class GaussianSplatRenderer {
      * Caches URLs for repeated access to the same file.
      *
      * @param {string} path - Path to file within ZIP archive
+     * @param {Function} [onProgress] - Extraction progress callback (fraction 0-1)
+     * @param {object} [archive=this.zipUrls] - Archive and blob URL cache ({zip, urls}) to read from
      * @returns {Promise<string>} Blob URL to the file
      * @throws {AssetLoadError} If file cannot be unpacked
      */
-    async unpackFileAsBlob(path) {
+    async unpackFileAsBlob(path, onProgress, archive = this.zipUrls) {
         this._assertNotDisposed();
 
         // Return cached URL if available
-        if (this.zipUrls.urls.has(path)) {
+        if (archive.urls.has(path)) {
             logger.debug('Returning cached blob URL', { path });
-            return this.zipUrls.urls.get(path);
+            onProgress?.(1);
+            return archive.urls.get(path);
         }
 
         logger.debug('Unpacking file from ZIP', { path });
 
         // Extract file from ZIP
-        const fileEntry = this.zipUrls.zip?.file(path);
+        const fileEntry = archive.zip?.file(path);
         if (!fileEntry) {
             throw new AssetLoadError(
                 `File not found in ZIP archive: ${path}`,
@@ -944,7 +2233,7 @@ export class GaussianSplatRenderer {
 
         let modelFile;
         try {
-            modelFile = await fileEntry.async('blob');
+            modelFile = await fileEntry.async('blob', zipProgressCallback(onProgress));
         } catch (error) {
             throw new AssetLoadError(
                 `Failed to extract file from ZIP: ${error.message}`,
@@ -969,9 +2258,10 @@ export class GaussianSplatRenderer {
         );
 
         // Cache for future access
-        this.zipUrls.urls.set(path, modelUrl);
+        archive.urls.set(path, modelUrl);
         logger.debug('Blob URL created and cached', { path, url: modelUrl.substring(0, 50) });
 
+        onProgress?.(1);
         return modelUrl;
     }
 
@@ -979,17 +2269,18 @@ export class GaussianSplatRenderer {
      * Load JSON file from ZIP archive
      *
      * @param {string} path - Path to JSON file within ZIP archive
+     * @param {object} [archive=this.zipUrls] - Archive to read from ({zip, urls})
      * @returns {Promise<Object|null>} Parsed JSON object, or null if file doesn't exist
      * @throws {ParseError} If JSON parsing fails
      * @private
      */
-    async _loadJsonFromZip(path) {
+    async _loadJsonFromZip(path, archive = this.zipUrls) {
         this._assertNotDisposed();
 
         logger.debug('Attempting to load JSON from ZIP', { path });
 
         // Check if file exists in ZIP
-        const fileEntry = this.zipUrls.zip?.file(path);
+        const fileEntry = archive.zip?.file(path);
         if (!fileEntry) {
             logger.debug('JSON file not found in ZIP, returning null', { path });
             return null;
@@ -1024,23 +2315,30 @@ export class GaussianSplatRenderer {
     /**
      * Unpack GLB file from ZIP and load it
      *
+     * Progress is reported as 0-0.8 while the file is extracted and 1 once
+     * the GLB has been parsed.
+     *
      * @param {string} path - Path to GLB file within ZIP archive
+     * @param {Function} [onProgress] - Progress callback (fraction 0-1)
+     * @param {object} [archive=this.zipUrls] - Archive and blob URL cache ({zip, urls}) to read from
      * @returns {Promise<THREE.Group|THREE.AnimationClip[]>} Loaded GLTF model
      * @throws {AssetLoadError} If file cannot be unpacked or loaded
      */
-    async unpackAndLoadGlb(path) {
+    async unpackAndLoadGlb(path, onProgress, archive = this.zipUrls) {
         this._assertNotDisposed();
 
         // Return cached URL if available
-        if (this.zipUrls.urls.has(path)) {
+        if (archive.urls.has(path)) {
             logger.debug('Using cached GLB URL', { path });
-            return this.LoadGLTF(this.zipUrls.urls.get(path));
+            const cached = await this.LoadGLTF(archive.urls.get(path));
+            onProgress?.(1);
+            return cached;
         }
 
         logger.debug('Unpacking GLB from ZIP', { path });
 
         // Extract file from ZIP as ArrayBuffer
-        const fileEntry = this.zipUrls.zip?.file(path);
+        const fileEntry = archive.zip?.file(path);
         if (!fileEntry) {
             throw new AssetLoadError(
                 `GLB file not found in ZIP archive: ${path}`,
@@ -1050,7 +2348,7 @@ export class GaussianSplatRenderer {
 
         let modelFile;
         try {
-            modelFile = await fileEntry.async('arraybuffer');
+            modelFile = await fileEntry.async('arraybuffer', zipProgressCallback(onProgress, 0.8));
         } catch (error) {
             throw new AssetLoadError(
                 `Failed to extract GLB from ZIP: ${error.message}`,
@@ -1075,10 +2373,12 @@ export class GaussianSplatRenderer {
         );
 
         // Cache for future access
-        this.zipUrls.urls.set(path, modelUrl);
+        archive.urls.set(path, modelUrl);
         logger.debug('GLB blob URL created and cached', { path });
 
-        return this.LoadGLTF(modelUrl);
+        const model = await this.LoadGLTF(modelUrl);
+        onProgress?.(1);
+        return model;
     }
 
     /**
@@ -1105,18 +2405,22 @@ export class GaussianSplatRenderer {
     /**
      * Unpack and parse JSON file
      * @param {string} path - Path within ZIP
+     * @param {Function} [onProgress] - Progress callback (fraction 0-1)
+     * @param {object} [archive=this.zipUrls] - Archive to read from ({zip, urls})
      * @returns {Promise<object>}
      */
-    async unpackAndLoadJson(path) {
-        const file = this.zipUrls.zip?.file(path);
+    async unpackAndLoadJson(path, onProgress, archive = this.zipUrls) {
+        const file = archive.zip?.file(path);
         if (!file) {
             throw new Error(`File not found in ZIP: ${path}`);
         }
-        const jsonFile = await file.async('string');
+        const jsonFile = await file.async('string', zipProgressCallback(onProgress, 0.9));
         if (!jsonFile) {
             throw new Error(`Failed to read file from ZIP: ${path}`);
         }
-        return JSON.parse(jsonFile);
+        const json = JSON.parse(jsonFile);
+        onProgress?.(1);
+        return json;
     }
 
     /**
@@ -0,0 +1,302 @@
+/**
+ * GestureLayer - One-shot gestures played on top of the animation states
+ *
+ * A gesture ("nod", "shrug", "wave") is a clip played once over whatever the
+ * AnimationManager is playing. By default it is made additive: its motion
+ * relative to its own first frame is added to the state animation, so the
+ * avatar keeps idling or talking while it nods. Only tracks of the 'hip'-rooted
+ * skeleton are kept. Once the gesture has faded out the state animation is
+ * left as it was.
+ */
+
+import { AdditiveAnimationBlendMode, AnimationUtils, LoopOnce, PropertyBinding } from 'three';
+import { getLogger } from '../utils/Logger.js';
+import { TypedEventEmitter } from '../utils/EventEmitter.js';
+import { ValidationError } from '../errors/index.js';
+
+const logger = getLogger('GestureLayer');
+
+/**
+ * Events emitted on GestureLayer.events
+ */
+export const GestureLayerEvent = Object.freeze({
+    GestureFinished: 'gestureFinished'  // {name, completed}: a gesture has faded out, stopped or been replaced
+});
+
+/**
+ * Defaults of the playGesture() options
+ */
+export const DEFAULT_GESTURE_OPTIONS = Object.freeze({
+    weight: 1,      // Influence of the gesture, 0-1
+    fadeIn: 0.2,    // Fade-in time in seconds
+    fadeOut: 0.3,   // Fade-out time in seconds, ending with the clip
+    additive: true  // Add the gesture's motion to the state animation instead of mixing with it
+});
+
+/**
+ * GestureLayer - Plays named gesture clips on a mixer shared with the AnimationManager
+ */
+export class GestureLayer {
+    /**
+     * @param {THREE.AnimationMixer} mixer - Mixer of the avatar's skin model
+     * @param {THREE.AnimationClip[]} [clips=[]] - Clips available as gestures, by name
+     * @param {THREE.Bone} [boneRoot] - Root bone of the skeleton; tracks of other objects are dropped
+     */
+    constructor(mixer, clips = [], boneRoot = null) {
+        this.mixer = mixer;
+        this.boneRoot = boneRoot;
+        this.clips = new Map();
+        this.active = new Map();
+        this._preparedClips = new Map();
+        this._posed = new Set();
+        this.events = new TypedEventEmitter(Object.values(GestureLayerEvent));
+        this.addClips(clips);
+
+        this._onFinished = (event) => {
+            const gesture = this.active.get(event.action.getClip().name);
+            if (gesture?.action === event.action) {
+                this._finish(gesture, true);
+            }
+        };
+        this.mixer.addEventListener('finished', this._onFinished);
+    }
+
+    /**
+     * Make clips available as gestures; a clip replaces an earlier one of the same name
+     * @param {THREE.AnimationClip[]} clips - Clips to add
+     * @returns {string[]} Names of the added gestures
+     */
+    addClips(clips) {
+        clips.forEach((clip) => {
+            this.clips.set(clip.name, clip);
+            this._preparedClips.delete(`${clip.name}|true`);
+            this._preparedClips.delete(`${clip.name}|false`);
+        });
+        return clips.map(clip => clip.name);
+    }
+
+    /**
+     * Names of all available gestures
+     * @returns {string[]}
+     */
+    get gestureNames() {
+        return [...this.clips.keys()];
+    }
+
+    /**
+     * Check whether a gesture is available
+     * @param {string} name - Gesture name
+     * @returns {boolean}
+     */
+    hasGesture(name) {
+        return this.clips.has(name);
+    }
+
+    /**
+     * Play a gesture once on top of the state animation
+     *
+     * Playing a gesture that is still running restarts it; the earlier call's promise then resolves with false.
+     *
+     * @param {string|THREE.AnimationClip} gesture - Gesture name or clip
+     * @param {object} [options={}] - Options (see DEFAULT_GESTURE_OPTIONS)
+     * @param {number} [options.weight=1] - Influence of the gesture, 0-1
+     * @param {number} [options.fadeIn=0.2] - Fade-in time in seconds
+     * @param {number} [options.fadeOut=0.3] - Fade-out time in seconds
+     * @param {boolean} [options.additive=true] - Add the gesture's motion to the state animation; when false
+     *   the gesture is mixed with the state clips in proportion to the weights
+     * @returns {Promise<boolean>} Resolves when the gesture has faded out: true if it played to its end,
+     *   false if it was stopped or restarted early
+     * @throws {ValidationError} If no gesture has the given name
+     */
+    play(gesture, options = {}) {
+        const { weight, fadeIn, fadeOut, additive } = { ...DEFAULT_GESTURE_OPTIONS, ...options };
+        const name = typeof gesture === 'string' ? gesture : gesture.name;
+        if (typeof gesture !== 'string') {
+            this.addClips([gesture]);
+        }
+        if (!this.clips.has(name)) {
+            throw new ValidationError(`Unknown gesture '${name}'`, 'gesture');
+        }
+
+        const previous = this.active.get(name);
+        if (previous) {
+            previous.action.stop();
+            this._finish(previous, false);
+        }
+
+        const clip = this._prepareClip(name, additive);
+        const action = this.mixer.clipAction(clip, undefined, additive ? AdditiveAnimationBlendMode : undefined);
+        action.reset();
+        action.setLoop(LoopOnce, 1);
+        action.clampWhenFinished = false;
+        action.setEffectiveTimeScale(1);
+        action.setEffectiveWeight(weight);
+        if (fadeIn > 0) {
+            action.fadeIn(fadeIn);
+        }
+        action.play();
+
+        logger.debug('Playing gesture', { name, weight, fadeIn, fadeOut, additive });
+        return new Promise((resolve) => {
+            this.active.set(name, { name, action, fadeOut, fadingOut: false, resolve });
+        });
+    }
+
+    /**
+     * Fade out running gestures early
+     * @param {string} [name] - Gesture to stop; all gestures when omitted
+     * @param {number} [fadeOut] - Fade-out time in seconds; the time given to play() when omitted
+     */
+    stop(name, fadeOut) {
+        const gestures = name === undefined ? [...this.active.values()] : [this.active.get(name)].filter(Boolean);
+        gestures.forEach((gesture) => {
+            gesture.stopped = true;
+            this._fadeOut(gesture, fadeOut ?? gesture.fadeOut);
+        });
+    }
+
+    /**
+     * Start fade-outs and finish faded-out gestures; call after each mixer update
+     */
+    update() {
+        this.active.forEach((gesture) => {
+            const { action } = gesture;
+            const duration = action.getClip().duration;
+            if (!gesture.fadingOut && action.time >= duration - gesture.fadeOut) {
+                this._fadeOut(gesture, Math.max(duration - action.time, 0));
+            }
+            // A fade-out ending before the clip does disables the action
+            if (!action.enabled) {
+                action.stop();
+                this._finish(gesture, !gesture.stopped);
+            }
+        });
+    }
+
+    /**
+     * Gestures playing now, with their times and weights, e.g. to record them (see applyPose())
+     * @returns {Array<{clip: string, gesture: true, additive: boolean, time: number, weight: number}>}
+     */
+    capturePose() {
+        return [...this.active.values()]
+            .filter(({ action }) => action.enabled && action.getEffectiveWeight() > 0)
+            .map(({ name, action }) => ({
+                clip: name,
+                gesture: true,
+                additive: action.blendMode === AdditiveAnimationBlendMode,
+                time: action.time,
+                weight: action.getEffectiveWeight()
+            }));
+    }
+
+    /**
+     * Pose gestures at given times and weights, e.g. recorded by capturePose()
+     *
+     * Gestures playing live are stopped (their promises resolve with false). The actions hold the given
+     * times until the next call; update() must not be called meanwhile. applyPose([]) releases them. Entries
+     * of gestures that are not available, or without gesture: true, are ignored.
+     *
+     * @param {Array<{clip: string, gesture?: boolean, additive?: boolean, time: number, weight: number}>} pose
+     *   Gestures
+     */
+    applyPose(pose) {
+        this.active.forEach((gesture) => {
+            gesture.action.stop();
+            this._finish(gesture, false);
+        });
+        const posed = new Set();
+        pose.forEach((entry) => {
+            if (!entry.gesture || !this.clips.has(entry.clip)) {
+                return;
+            }
+            const additive = entry.additive !== false;
+            const action = this.mixer.clipAction(this._prepareClip(entry.clip, additive), undefined,
+                additive ? AdditiveAnimationBlendMode : undefined);
+            action.stopFading();
+            action.enabled = true;
+            action.paused = true;
+            action.time = entry.time;
+            action.setEffectiveWeight(entry.weight);
+            if (!action.isScheduled()) {
+                action.play();
+            }
+            posed.add(action);
+        });
+        this._posed.forEach((action) => {
+            if (!posed.has(action)) {
+                action.stop();
+            }
+        });
+        this._posed = posed;
+    }
+
+    /**
+     * Stop all gestures and release them; pending promises resolve with false
+     */
+    dispose() {
+        this.mixer.removeEventListener('finished', this._onFinished);
+        this.active.forEach((gesture) => {
+            gesture.action.stop();
+            this._finish(gesture, false);
+        });
+        this._posed.forEach(action => action.stop());
+        this._posed.clear();
+        this.clips.clear();
+        this._preparedClips.clear();
+        this.events.dispose();
+    }
+
+    /**
+     * @private
+     */
+    _fadeOut(gesture, duration) {
+        if (gesture.fadingOut) return;
+        gesture.fadingOut = true;
+        if (duration > 0) {
+            gesture.action.fadeOut(duration);
+        } else {
+            gesture.action.enabled = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _finish(gesture, completed) {
+        this.active.delete(gesture.name);
+        logger.debug('Gesture finished', { name: gesture.name, completed });
+        gesture.resolve(completed);
+        this.events.emit(GestureLayerEvent.GestureFinished, { name: gesture.name, completed });
+    }
+
+    /**
+     * Get the clip played for a gesture: skeleton tracks only, made additive if requested
+     * @private
+     */
+    _prepareClip(name, additive) {
+        const key = `${name}|${additive}`;
+        if (this._preparedClips.has(key)) {
+            return this._preparedClips.get(key);
+        }
+
+        const source = this.clips.get(name);
+        const tracks = source.tracks.filter((track) => {
+            if (!this.boneRoot) return true;
+            const { nodeName } = PropertyBinding.parseTrackName(track.name);
+            return nodeName === this.boneRoot.name || this.boneRoot.getObjectByName(nodeName) !== undefined;
+        });
+        if (tracks.length === 0) {
+            logger.warn('Gesture has no tracks for the skeleton', { name, tracks: source.tracks.length });
+        }
+
+        let clip = source.clone();
+        clip.tracks = tracks.map(track => track.clone());
+        if (additive) {
+            clip = AnimationUtils.makeClipAdditive(clip);
+        }
+        this._preparedClips.set(key, clip);
+        return clip;
+    }
+}
+
+export default GestureLayer;
@@ -0,0 +1,438 @@
+/**
+ * IdleMotionGenerator - Procedural blinks, saccades, breathing and head sway
+ *
+ * Keeps the face alive when no expression (or a still one) is supplied. Eye
+ * blinks come at randomized intervals, the gaze jumps between nearby fixation
+ * points (saccades) through the eyeLook* blendshapes and the FLAME eye bones,
+ * and the neck moves with a slow breathing rhythm and a little sway.
+ *
+ * The motion is a function of animation time and the seed only: the same seed
+ * sampled at the same clock times gives the same motion, however often it is
+ * sampled in between. Blendshape channels are layered under the external
+ * expression by per-channel rules (see IdleMotionChannelRule); bone offsets
+ * are added on top of the skeleton animation.
+ */
+
+import { ValidationError } from '../errors/index.js';
+import { BoneOffsets } from './BoneOffsets.js';
+
+/**
+ * How a procedural blendshape channel combines with the external expression
+ */
+export const IdleMotionChannelRule = Object.freeze({
+    Add: 'add',             // Sum of both, clamped to 1
+    Max: 'max',             // The larger of both
+    Yield: 'yield',         // Procedural only while the external weight is (near) 0
+    Override: 'override'    // Procedural replaces the external weight
+});
+
+/**
+ * Defaults of the idle motion options
+ *
+ * Times are in seconds, angles in radians. 'channels' maps blendshape names or
+ * the groups 'blink' (eyeBlink*) and 'gaze' (eyeLook*) to an IdleMotionChannelRule;
+ * a blendshape name takes precedence over its group, and unlisted channels add.
+ */
+export const DEFAULT_IDLE_MOTION_OPTIONS = Object.freeze({
+    seed: null,  // Integer seed; random when null
+    blink: Object.freeze({
+        enabled: true,
+        minInterval: 2,         // Time between blinks
+        maxInterval: 6,
+        duration: 0.2,          // Close and reopen
+        doubleBlinkChance: 0.1  // Chance that a blink is followed right away by a second one
+    }),
+    saccades: Object.freeze({
+        enabled: true,
+        minInterval: 0.4,       // Time the gaze rests on a fixation point
+        maxInterval: 2.5,
+        duration: 0.05,         // Time of the jump between points
+        range: 1,               // Largest gaze offset, as a fraction of blendshapeWeight and boneAngle
+        blendshapeWeight: 0.25, // eyeLook* weight at full range; 0 leaves the blendshapes alone
+        boneAngle: 0.1          // Eye bone rotation at full range; 0 leaves the bones alone
+    }),
+    breathing: Object.freeze({
+        enabled: true,
+        rate: 0.25,             // Breaths per second
+        amplitude: 0.01         // Neck pitch
+    }),
+    sway: Object.freeze({
+        enabled: true,
+        speed: 0.1,             // Cycles per second of the slowest sway component
+        amplitude: 0.02         // Neck yaw and roll
+    }),
+    channels: Object.freeze({
+        blink: IdleMotionChannelRule.Max,
+        gaze: IdleMotionChannelRule.Add
+    })
+});
+
+/**
+ * Procedural channels of each blendshape group
+ * @private
+ */
+const CHANNEL_GROUPS = Object.freeze({
+    blink: Object.freeze(['eyeBlinkLeft', 'eyeBlinkRight']),
+    gaze: Object.freeze([
+        'eyeLookInLeft', 'eyeLookOutLeft', 'eyeLookUpLeft', 'eyeLookDownLeft',
+        'eyeLookInRight', 'eyeLookOutRight', 'eyeLookUpRight', 'eyeLookDownRight'
+    ])
+});
+
+/**
+ * External weight at or below which a 'yield' channel counts as unused
+ * @private
+ */
+const YIELD_THRESHOLD = 0.01;
+
+/**
+ * Share of a blink spent closing the eyes; reopening is slower
+ * @private
+ */
+const BLINK_CLOSE_SHARE = 0.35;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+ * @private
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * @private
+ */
+const smoothstep = t => t * t * (3 - 2 * t);
+
+/**
+ * @private
+ */
+const between = (random, min, max) => min + (max - min) * random();
+
+/**
+ * Merge user options of one group over its defaults; false disables the group
+ * @private
+ */
+function mergeGroup(name, value) {
+    const defaults = DEFAULT_IDLE_MOTION_OPTIONS[name];
+    if (value === undefined || value === true) {
+        return { ...defaults };
+    }
+    if (value === false) {
+        return { ...defaults, enabled: false };
+    }
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new ValidationError(`${name} must be a boolean or an options object`, name);
+    }
+    const merged = { ...defaults, ...value };
+    Object.entries(merged).forEach(([key, option]) => {
+        if (key === 'enabled') return;
+        if (!(key in defaults)) {
+            throw new ValidationError(`Unknown option ${name}.${key}`, `${name}.${key}`);
+        }
+        if (typeof option !== 'number' || !Number.isFinite(option) || option < 0) {
+            throw new ValidationError(`${name}.${key} must be a non-negative number`, `${name}.${key}`);
+        }
+    });
+    if ('minInterval' in merged && merged.minInterval > merged.maxInterval) {
+        throw new ValidationError(`${name}.minInterval must not exceed ${name}.maxInterval`, `${name}.minInterval`);
+    }
+    if ('duration' in merged && merged.duration <= 0) {
+        throw new ValidationError(`${name}.duration must be greater than 0`, `${name}.duration`);
+    }
+    if ('doubleBlinkChance' in merged && merged.doubleBlinkChance > 1) {
+        throw new ValidationError('blink.doubleBlinkChance must be between 0 and 1', 'blink.doubleBlinkChance');
+    }
+    merged.enabled = merged.enabled !== false;
+    return merged;
+}
+
+/**
+ * Resolve the idle motion options over DEFAULT_IDLE_MOTION_OPTIONS
+ * @private
+ * @throws {ValidationError} If an option is invalid
+ */
+function resolveOptions(options) {
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        throw new ValidationError('Idle motion options must be an object', 'idleMotion');
+    }
+    const { seed = null, channels = {} } = options;
+    if (seed !== null && !Number.isInteger(seed)) {
+        throw new ValidationError('seed must be an integer', 'seed');
+    }
+    if (typeof channels !== 'object' || channels === null) {
+        throw new ValidationError('channels must map channel names to rules', 'channels');
+    }
+    const rules = Object.values(IdleMotionChannelRule);
+    Object.entries(channels).forEach(([channel, rule]) => {
+        if (!rules.includes(rule)) {
+            throw new ValidationError(`Rule of channel '${channel}' must be one of: ${rules.join(', ')}`,
+                `channels.${channel}`);
+        }
+    });
+
+    return {
+        seed: seed ?? Math.floor(Math.random() * 4294967296),
+        blink: mergeGroup('blink', options.blink),
+        saccades: mergeGroup('saccades', options.saccades),
+        breathing: mergeGroup('breathing', options.breathing),
+        sway: mergeGroup('sway', options.sway),
+        channels: { ...DEFAULT_IDLE_MOTION_OPTIONS.channels, ...channels }
+    };
+}
+
+/**
+ * IdleMotionGenerator - Seedable procedural idle motion of the face and head
+ */
+export class IdleMotionGenerator {
+    /**
+     * Create an IdleMotionGenerator
+     *
+     * @param {object} [options={}] - Options (see DEFAULT_IDLE_MOTION_OPTIONS); each of blink, saccades,
+     *   breathing and sway takes an options object, or false to turn it off
+     * @param {number} [options.seed] - Integer seed; the same seed gives the same motion
+     * @param {object} [options.channels] - Blend rule by blendshape name or group ('blink', 'gaze')
+     * @throws {ValidationError} If an option is invalid
+     */
+    constructor(options = {}) {
+        this.options = resolveOptions(options);
+        this.bones = { neck: null, leftEye: null, rightEye: null };
+        this._offsets = new BoneOffsets();
+        this.reset();
+    }
+
+    /**
+     * Seed of the motion
+     * @returns {number}
+     */
+    get seed() {
+        return this.options.seed;
+    }
+
+    /**
+     * Restart the motion from time 0, as if newly created with the same seed
+     */
+    reset() {
+        const { seed, blink, saccades } = this.options;
+        // One stream per feature, so turning one off leaves the others unchanged
+        this._blinkRandom = createRandom(seed ^ 0x5bd1e995);
+        this._saccadeRandom = createRandom(seed ^ 0x27d4eb2d);
+        const phaseRandom = createRandom(seed ^ 0x165667b1);
+        this._phases = Array.from({ length: 5 }, () => phaseRandom() * Math.PI * 2);
+
+        this._time = 0;
+        this._blinkStart = -Infinity;
+        this._nextBlink = between(this._blinkRandom, 0, blink.maxInterval);
+        this._gazeFrom = { yaw: 0, pitch: 0 };
+        this._gazeTo = { yaw: 0, pitch: 0 };
+        this._saccadeStart = -Infinity;
+        this._nextSaccade = between(this._saccadeRandom, saccades.minInterval, saccades.maxInterval);
+    }
+
+    /**
+     * Motion at an animation time
+     *
+     * Going back in time replays the motion from 0, so seeking the clock gives the motion of that time.
+     *
+     * @param {number} time - Animation time in seconds; negative times count as 0
+     * @returns {{weights: object, gaze: {yaw: number, pitch: number}, head: {pitch: number, yaw: number, roll: number}}}
+     *   Blendshape weights of the enabled features by name, gaze direction (-1 to 1, positive towards the
+     *   avatar's left and up) and neck rotation offset in radians
+     */
+    sample(time) {
+        const now = Math.max(time, 0);
+        if (now < this._time) {
+            this.reset();
+        }
+        this._time = now;
+
+        const { blink, saccades } = this.options;
+        const weights = {};
+        if (blink.enabled) {
+            const value = this._blinkAt(now);
+            weights.eyeBlinkLeft = value;
+            weights.eyeBlinkRight = value;
+        }
+
+        const gaze = saccades.enabled ? this._gazeAt(now) : { yaw: 0, pitch: 0 };
+        if (saccades.enabled && saccades.blendshapeWeight > 0) {
+            const yaw = gaze.yaw * saccades.blendshapeWeight;
+            const pitch = gaze.pitch * saccades.blendshapeWeight;
+            // Looking to the avatar's left turns the left eye out and the right eye in
+            weights.eyeLookOutLeft = Math.max(yaw, 0);
+            weights.eyeLookInRight = Math.max(yaw, 0);
+            weights.eyeLookInLeft = Math.max(-yaw, 0);
+            weights.eyeLookOutRight = Math.max(-yaw, 0);
+            weights.eyeLookUpLeft = weights.eyeLookUpRight = Math.max(pitch, 0);
+            weights.eyeLookDownLeft = weights.eyeLookDownRight = Math.max(-pitch, 0);
+        }
+
+        return { weights, gaze, head: this._headAt(now) };
+    }
+
+    /**
+     * Layer procedural blendshape weights under an external expression
+     *
+     * @param {object} external - External blendshape weights by name; not changed
+     * @param {object} weights - Procedural weights, from sample()
+     * @returns {object} New weights object: the external weights with the procedural channels combined in
+     */
+    blendWeights(external, weights) {
+        const result = { ...external };
+        Object.entries(weights).forEach(([name, value]) => {
+            const base = external[name] ?? 0;
+            switch (this.channelRule(name)) {
+                case IdleMotionChannelRule.Max:
+                    result[name] = Math.max(base, value);
+                    break;
+                case IdleMotionChannelRule.Yield:
+                    result[name] = base > YIELD_THRESHOLD ? base : value;
+                    break;
+                case IdleMotionChannelRule.Override:
+                    result[name] = value;
+                    break;
+                default:
+                    result[name] = Math.min(base + value, 1);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Blend rule of a blendshape channel
+     * @param {string} name - Blendshape name
+     * @returns {string} IdleMotionChannelRule value
+     */
+    channelRule(name) {
+        const { channels } = this.options;
+        if (channels[name]) {
+            return channels[name];
+        }
+        const group = Object.keys(CHANNEL_GROUPS).find(key => CHANNEL_GROUPS[key].includes(name));
+        return (group && channels[group]) || IdleMotionChannelRule.Add;
+    }
+
+    /**
+     * Set the bones that saccades, breathing and sway rotate
+     *
+     * Restores the previously bound bones first.
+     *
+     * @param {{neck?: THREE.Bone, leftEye?: THREE.Bone, rightEye?: THREE.Bone}|null} bones - Bones, e.g. from
+     *   findHeadBones(); null unbinds
+     */
+    bindBones(bones) {
+        this.restoreBones();
+        this.bones = {
+            neck: bones?.neck ?? null,
+            leftEye: bones?.leftEye ?? null,
+            rightEye: bones?.rightEye ?? null
+        };
+    }
+
+    /**
+     * Rotate the bound bones by the offsets of a sample, on top of their current pose
+     *
+     * Call after the animation mixer has posed the skeleton, and restoreBones() before it poses it again, so
+     * bones the clips do not animate do not accumulate the offsets.
+     *
+     * @param {object} sample - Result of sample()
+     */
+    applyBones(sample) {
+        const { saccades } = this.options;
+        const eyeAngle = saccades.enabled ? saccades.boneAngle : 0;
+        // Positive gaze pitch looks up, which is a negative rotation about X
+        this._offsets.rotate(this.bones.leftEye, -sample.gaze.pitch * eyeAngle, sample.gaze.yaw * eyeAngle);
+        this._offsets.rotate(this.bones.rightEye, -sample.gaze.pitch * eyeAngle, sample.gaze.yaw * eyeAngle);
+        this._offsets.rotate(this.bones.neck, sample.head.pitch, sample.head.yaw, sample.head.roll);
+    }
+
+    /**
+     * Put the bound bones back to the pose they had before applyBones()
+     */
+    restoreBones() {
+        this._offsets.restore();
+    }
+
+    /**
+     * Eyelid closure at a time, scheduling blinks up to it
+     * @private
+     */
+    _blinkAt(now) {
+        const { minInterval, maxInterval, duration, doubleBlinkChance } = this.options.blink;
+        while (now >= this._nextBlink) {
+            this._blinkStart = this._nextBlink;
+            const double = this._blinkRandom() < doubleBlinkChance;
+            const interval = double ? duration * 1.5 : between(this._blinkRandom, minInterval, maxInterval);
+            this._nextBlink = this._blinkStart + Math.max(interval, duration);
+        }
+
+        const t = (now - this._blinkStart) / duration;
+        if (t >= 1) {
+            return 0;
+        }
+        return t < BLINK_CLOSE_SHARE
+            ? smoothstep(t / BLINK_CLOSE_SHARE)
+            : 1 - smoothstep((t - BLINK_CLOSE_SHARE) / (1 - BLINK_CLOSE_SHARE));
+    }
+
+    /**
+     * Gaze direction at a time, scheduling saccades up to it
+     * @private
+     */
+    _gazeAt(now) {
+        const { minInterval, maxInterval, duration, range } = this.options.saccades;
+        while (now >= this._nextSaccade) {
+            this._gazeFrom = this._gazeBetween(this._nextSaccade, duration);
+            this._saccadeStart = this._nextSaccade;
+            // Mostly small jumps around the centre, less vertical than horizontal
+            const radius = range * this._saccadeRandom() ** 2;
+            const angle = this._saccadeRandom() * Math.PI * 2;
+            this._gazeTo = { yaw: radius * Math.cos(angle), pitch: radius * Math.sin(angle) * 0.6 };
+            this._nextSaccade += Math.max(between(this._saccadeRandom, minInterval, maxInterval), duration);
+        }
+        return this._gazeBetween(now, duration);
+    }
+
+    /**
+     * @private
+     */
+    _gazeBetween(now, duration) {
+        const t = Math.min(Math.max((now - this._saccadeStart) / duration, 0), 1);
+        const eased = smoothstep(t);
+        return {
+            yaw: this._gazeFrom.yaw + (this._gazeTo.yaw - this._gazeFrom.yaw) * eased,
+            pitch: this._gazeFrom.pitch + (this._gazeTo.pitch - this._gazeFrom.pitch) * eased
+        };
+    }
+
+    /**
+     * Neck rotation offset of breathing and sway at a time
+     * @private
+     */
+    _headAt(now) {
+        const { breathing, sway } = this.options;
+        const head = { pitch: 0, yaw: 0, roll: 0 };
+        const [breathPhase, yawPhase1, yawPhase2, rollPhase1, rollPhase2] = this._phases;
+        const wave = (frequency, phase) => Math.sin(Math.PI * 2 * frequency * now + phase);
+
+        if (breathing.enabled) {
+            head.pitch += breathing.amplitude * wave(breathing.rate, breathPhase);
+        }
+        if (sway.enabled) {
+            // Two incommensurate components per axis, so the sway does not visibly repeat
+            const { speed, amplitude } = sway;
+            head.yaw += amplitude * (0.6 * wave(speed, yawPhase1) + 0.4 * wave(speed * 1.73, yawPhase2));
+            head.roll += amplitude * 0.5 * (0.6 * wave(speed * 1.21, rollPhase1) + 0.4 * wave(speed * 2.37, rollPhase2));
+        }
+        return head;
+    }
+}
+
+export default IdleMotionGenerator;
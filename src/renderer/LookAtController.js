@@ -0,0 +1,270 @@
+/**
+ * LookAtController - Turns the head and eyes towards a target
+ *
+ * The target is a point in the scene or a point on the screen (the cursor, a
+ * face found in a webcam image). Each frame the direction to it from the neck
+ * is measured in the avatar's frame, clamped to maxYaw/maxPitch and shared
+ * between the neck bone (headWeight) and the eyes: the FLAME eye bones when
+ * the skeleton has them, otherwise the eyeLook* blendshapes. The turn is added
+ * on top of the animation clip and follows the target with exponential
+ * damping; clearing the target eases back to the clip's own pose.
+ */
+
+import { Quaternion, Vector3 } from 'three';
+import { ValidationError } from '../errors/index.js';
+import { BoneOffsets } from './BoneOffsets.js';
+
+/**
+ * Defaults of the setLookAtTarget() options
+ */
+export const DEFAULT_LOOK_AT_OPTIONS = Object.freeze({
+    headWeight: 0.5,    // Share of the turn done by the neck, 0-1; the eyes do the rest
+    eyeWeight: 1,       // How far the eyes make up the rest, 0-1
+    maxYaw: 0.7,        // Largest turn to the sides, in radians
+    maxPitch: 0.4,      // Largest turn up or down, in radians
+    smoothing: 0.15     // Time constant of the damping in seconds; 0 follows the target at once
+});
+
+/**
+ * Eye rotation at which an eyeLook* blendshape reaches full weight, in radians
+ * @private
+ */
+const EYE_LOOK_FULL_ANGLE = 0.5;
+
+/**
+ * Turn below which the controller is at rest and leaves the avatar alone, in radians
+ * @private
+ */
+const REST_EPSILON = 1e-4;
+
+const tempHead = new Vector3();
+const tempTarget = new Vector3();
+const tempQuaternion = new Quaternion();
+
+/**
+ * @private
+ */
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check look-at options
+ *
+ * @param {object} options - Options to check (see DEFAULT_LOOK_AT_OPTIONS)
+ * @throws {ValidationError} If an option is unknown or out of range
+ */
+export function validateLookAtOptions(options) {
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+        throw new ValidationError('options must be an object', 'options');
+    }
+    Object.entries(options).forEach(([key, value]) => {
+        if (!(key in DEFAULT_LOOK_AT_OPTIONS)) {
+            throw new ValidationError(`Unknown look-at option '${key}'`, `options.${key}`);
+        }
+        if (!isFiniteNumber(value) || value < 0) {
+            throw new ValidationError(`${key} must be a non-negative number`, `options.${key}`);
+        }
+        if ((key === 'headWeight' || key === 'eyeWeight') && value > 1) {
+            throw new ValidationError(`${key} must be between 0 and 1`, `options.${key}`);
+        }
+        if ((key === 'maxYaw' || key === 'maxPitch') && value > Math.PI / 2) {
+            throw new ValidationError(`${key} must be at most PI / 2 radians`, `options.${key}`);
+        }
+    });
+}
+
+/**
+ * Normalize a look-at target
+ *
+ * @param {THREE.Vector3|{x: number, y: number, z: number}|{x: number, y: number}|null} target - Scene point, or
+ *   screen point in normalized device coordinates (-1 to 1, y up), or null
+ * @returns {{type: string, point: THREE.Vector3}|null} 'world' or 'screen' target; screen points have z 0
+ * @throws {ValidationError} If the target is neither
+ */
+export function normalizeLookAtTarget(target) {
+    if (target === null || target === undefined) {
+        return null;
+    }
+    if (typeof target !== 'object' || !isFiniteNumber(target.x) || !isFiniteNumber(target.y)) {
+        throw new ValidationError('target must be a Vector3, a screen point {x, y} or null', 'target');
+    }
+    if (target.z === undefined) {
+        return { type: 'screen', point: new Vector3(target.x, target.y, 0) };
+    }
+    if (!isFiniteNumber(target.z)) {
+        throw new ValidationError('target.z must be a finite number', 'target.z');
+    }
+    return { type: 'world', point: new Vector3(target.x, target.y, target.z) };
+}
+
+/**
+ * LookAtController - Damped head and eye turn towards a target
+ */
+export class LookAtController {
+    constructor() {
+        this.options = { ...DEFAULT_LOOK_AT_OPTIONS };
+        this.target = null;
+        this.bones = { neck: null, leftEye: null, rightEye: null };
+        this.root = null;
+        this.yaw = 0;
+        this.pitch = 0;
+        this._offsets = new BoneOffsets();
+    }
+
+    /**
+     * Set the target and options
+     *
+     * @param {THREE.Vector3|object|null} target - See normalizeLookAtTarget(); null eases back to the clip's pose
+     * @param {object} [options={}] - Options changed from their current values (see DEFAULT_LOOK_AT_OPTIONS)
+     * @throws {ValidationError} If the target or an option is invalid
+     */
+    setTarget(target, options = {}) {
+        validateLookAtOptions(options);
+        const normalized = normalizeLookAtTarget(target);
+        this.options = { ...this.options, ...options };
+        this.target = normalized;
+    }
+
+    /**
+     * Set the bones to turn and the object whose frame yaw and pitch are measured in
+     *
+     * Restores the previously bound bones first.
+     *
+     * @param {{neck?: THREE.Bone, leftEye?: THREE.Bone, rightEye?: THREE.Bone}|null} bones - Bones, e.g. from
+     *   findHeadBones(); null unbinds
+     * @param {THREE.Object3D} [root] - The avatar model; it faces +Z
+     */
+    bindBones(bones, root = null) {
+        this.restoreBones();
+        this.bones = {
+            neck: bones?.neck ?? null,
+            leftEye: bones?.leftEye ?? null,
+            rightEye: bones?.rightEye ?? null
+        };
+        this.root = root;
+        this.yaw = 0;
+        this.pitch = 0;
+    }
+
+    /**
+     * Whether eyes are turned with bones; otherwise with the eyeLook* blendshapes
+     * @returns {boolean}
+     */
+    get hasEyeBones() {
+        return Boolean(this.bones.leftEye && this.bones.rightEye);
+    }
+
+    /**
+     * Follow the target for one frame and turn the bones
+     *
+     * Call after the animation mixer has posed the skeleton, and restoreBones() before it poses it again.
+     *
+     * @param {number} delta - Animation time since the last update, in seconds
+     * @param {THREE.Camera} [camera] - Camera that screen targets are given for
+     * @returns {object} eyeLook* blendshape weights by name; empty when the eyes are turned with bones or at rest
+     */
+    update(delta, camera) {
+        const goal = this._goal(camera);
+        const { smoothing, headWeight, eyeWeight } = this.options;
+        const step = smoothing > 0 ? 1 - Math.exp(-Math.max(delta, 0) / smoothing) : 1;
+        this.yaw += (goal.yaw - this.yaw) * step;
+        this.pitch += (goal.pitch - this.pitch) * step;
+        if (Math.abs(this.yaw) < REST_EPSILON && Math.abs(this.pitch) < REST_EPSILON && !this.target) {
+            this.yaw = 0;
+            this.pitch = 0;
+            return {};
+        }
+
+        // Positive pitch looks up, which is a negative rotation about X
+        const neck = this.bones.neck ? headWeight : 0;
+        this._offsets.rotate(this.bones.neck, -this.pitch * neck, this.yaw * neck);
+        const eyeYaw = this.yaw * (1 - neck) * eyeWeight;
+        const eyePitch = this.pitch * (1 - neck) * eyeWeight;
+        if (this.hasEyeBones) {
+            this._offsets.rotate(this.bones.leftEye, -eyePitch, eyeYaw);
+            this._offsets.rotate(this.bones.rightEye, -eyePitch, eyeYaw);
+            return {};
+        }
+
+        // Looking to the avatar's left turns the left eye out and the right eye in
+        const yaw = Math.min(Math.abs(eyeYaw) / EYE_LOOK_FULL_ANGLE, 1);
+        const pitch = Math.min(Math.abs(eyePitch) / EYE_LOOK_FULL_ANGLE, 1);
+        const left = eyeYaw > 0 ? yaw : 0;
+        const right = eyeYaw < 0 ? yaw : 0;
+        return {
+            eyeLookOutLeft: left,
+            eyeLookInRight: left,
+            eyeLookInLeft: right,
+            eyeLookOutRight: right,
+            eyeLookUpLeft: eyePitch > 0 ? pitch : 0,
+            eyeLookUpRight: eyePitch > 0 ? pitch : 0,
+            eyeLookDownLeft: eyePitch < 0 ? pitch : 0,
+            eyeLookDownRight: eyePitch < 0 ? pitch : 0
+        };
+    }
+
+    /**
+     * Add eyeLook* weights to an expression
+     *
+     * @param {object} expression - Blendshape weights by name; not changed
+     * @param {object} weights - Weights from update()
+     * @returns {object} The expression itself when there is nothing to add, otherwise a new weights object
+     */
+    blendWeights(expression, weights) {
+        const names = Object.keys(weights);
+        if (names.length === 0) {
+            return expression;
+        }
+        const result = { ...expression };
+        names.forEach((name) => {
+            result[name] = Math.min((expression[name] ?? 0) + weights[name], 1);
+        });
+        return result;
+    }
+
+    /**
+     * Put the turned bones back to their animated pose
+     */
+    restoreBones() {
+        this._offsets.restore();
+    }
+
+    /**
+     * Clamped yaw and pitch from the neck to the target, in the avatar's frame; 0 without a target
+     * @private
+     */
+    _goal(camera) {
+        const { maxYaw, maxPitch } = this.options;
+        if (!this.target || !(this.bones.neck || this.root)) {
+            return { yaw: 0, pitch: 0 };
+        }
+
+        const head = (this.bones.neck ?? this.root).getWorldPosition(tempHead);
+        const target = tempTarget.copy(this.target.point);
+        if (this.target.type === 'screen') {
+            if (!camera) {
+                return { yaw: this.yaw, pitch: this.pitch };
+            }
+            // The viewer's position moved across the screen plane by what the screen point covers at the
+            // head's distance, so a point at the edge of the screen turns the avatar by about half the view
+            const origin = camera.getWorldPosition(new Vector3());
+            const distance = origin.distanceTo(head);
+            const rayPoint = (x, y, out) => out.set(x, y, 0.5).unproject(camera)
+                .sub(origin).normalize().multiplyScalar(distance);
+            rayPoint(this.target.point.x, this.target.point.y, target)
+                .sub(rayPoint(0, 0, new Vector3())).add(origin);
+        }
+
+        const direction = target.sub(head);
+        if (this.root) {
+            direction.applyQuaternion(this.root.getWorldQuaternion(tempQuaternion).invert());
+        }
+        const yaw = Math.atan2(direction.x, direction.z);
+        const pitch = Math.atan2(direction.y, Math.hypot(direction.x, direction.z));
+        return {
+            yaw: Math.min(Math.max(yaw, -maxYaw), maxYaw),
+            pitch: Math.min(Math.max(pitch, -maxPitch), maxPitch)
+        };
+    }
+}
+
+export default LookAtController;
@@ -0,0 +1,26 @@
+/**
+ * RendererEvents - Events emitted by GaussianSplatRenderer
+ *
+ * Subscribe with renderer.on(event, callback), renderer.once() and
+ * renderer.off(), or pass {event: callback} as the 'listeners' option of
+ * create() to also receive the events of the initial load. Events report
+ * what the user sees: 'stateChanged' fires once the avatar has finished
+ * blending into a state, not when the state was requested.
+ */
+
+/**
+ * Renderer event names
+ */
+export const RendererEvent = Object.freeze({
+    LoadStart: 'loadStart',             // {sourceType}: create() or loadAvatar() started loading a package
+    LoadProgress: 'loadProgress',       // (progress, {stage, stageProgress, stages}): see the loadProgress option
+    Ready: 'ready',                     // {characterName}: the avatar is loaded and displayed
+    FirstFrame: 'firstFrame',           // {characterName}: the first frame showing a newly loaded avatar was drawn
+    StateChanged: 'stateChanged',       // {state, previous}: the avatar has finished transitioning to an animation state
+    ClipStarted: 'clipStarted',         // {state, phase, clip}: an animation state started playing a clip
+    ClipFinished: 'clipFinished',       // {state, phase, clip}: an animation state handed over from a clip, or stopped
+    GestureFinished: 'gestureFinished', // {name, completed}: a gesture has faded out, been stopped or replaced
+    ContextLost: 'contextLost',         // (event): the browser lost the WebGL context
+    Error: 'error',                     // (error): create() or loadAvatar() failed; aborted loads are not reported
+    Disposed: 'disposed'                // (): the renderer has been disposed
+});
@@ -6,18 +6,53 @@
 // Constants
 export * from './AppConstants.js';
 
-// Animation - includes state classes
-export { 
+// Animation - state machine and its state graph
+export {
     AnimationManager,
+    AnimationManagerEvent,
     State,
+    // Deprecated per-state classes of version 1.2 (see AnimationManager.js)
     Hello,
     Idle,
     Listen,
     Think,
     Speak
 } from './AnimationManager.js';
+export {
+    AnimationStateGraph,
+    AnimationPlayback,
+    AnimationPhase,
+    ANY_ANIMATION_STATE,
+    DEFAULT_ANIMATION_BLEND,
+    DEFAULT_ANIMATION_GRAPH,
+    DEFAULT_CLIP_NAMING,
+    normalizeAnimationGraph,
+    isAnimationGraph,
+    isClipPattern
+} from './AnimationStateGraph.js';
+export { GestureLayer, GestureLayerEvent, DEFAULT_GESTURE_OPTIONS } from './GestureLayer.js';
+export {
+    IdleMotionGenerator,
+    IdleMotionChannelRule,
+    DEFAULT_IDLE_MOTION_OPTIONS
+} from './IdleMotionGenerator.js';
+export {
+    LookAtController,
+    DEFAULT_LOOK_AT_OPTIONS,
+    validateLookAtOptions,
+    normalizeLookAtTarget
+} from './LookAtController.js';
+export { BoneOffsets, findHeadBones } from './BoneOffsets.js';
+export {
+    DEFAULT_ANIMATION_FPS,
+    detectClipFrameRate,
+    resolveFrameRate,
+    sampleFramePosition,
+    interpolateClipKeyframes
+} from './FrameTiming.js';
 
 // Main Renderer
+export { RendererEvent } from './RendererEvents.js';
 export { GaussianSplatRenderer } from './GaussianSplatRenderer.js';
 
 // Default export
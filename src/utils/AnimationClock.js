@@ -0,0 +1,180 @@
+/**
+ * AnimationClock - Animation time that can be paused, scaled, seeked and stepped
+ *
+ * The renderer reads all animation time from one clock: the skeleton
+ * animation mixer, the FLAME frame index and the splat shader's currentTime.
+ * By default the clock follows the wall clock. It can be paused, slowed down
+ * or sped up, moved to a given time, or put in manual mode where it only
+ * advances by step(), which makes frame-exact captures and reproducible
+ * tests possible.
+ *
+ * Time only moves on tick(), which the renderer calls once per frame, so
+ * everything updated within a frame sees the same time.
+ */
+
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Wall clock in seconds
+ * @private
+ */
+const wallClock = () => performance.now() / 1000;
+
+/**
+ * Throw unless a value is a finite number
+ * @private
+ */
+function validateSeconds(value, name) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ValidationError(`${name} must be a finite number of seconds`, name);
+    }
+}
+
+/**
+ * AnimationClock - Source of animation time for a renderer
+ */
+export class AnimationClock {
+    /**
+     * Create an AnimationClock
+     *
+     * @param {object} [options={}] - Options
+     * @param {number} [options.time=0] - Initial animation time in seconds
+     * @param {number} [options.timeScale=1] - Animation seconds per wall clock second
+     * @param {boolean} [options.manual=false] - Only advance with step()
+     * @param {boolean} [options.paused=false] - Start paused
+     * @param {Function} [options.now] - Wall clock in seconds; performance.now() based by default
+     * @throws {ValidationError} If an option is invalid
+     */
+    constructor(options = {}) {
+        const { time = 0, timeScale = 1, manual = false, paused = false, now = wallClock } = options;
+        validateSeconds(time, 'time');
+        if (typeof now !== 'function') {
+            throw new ValidationError('now must be a function returning seconds', 'now');
+        }
+
+        this._now = now;
+        this._time = time;
+        this._lastTickTime = time;
+        this._lastWallTime = null;
+        this._timeScale = 1;
+        this._paused = Boolean(paused);
+        this._manual = Boolean(manual);
+        this.setTimeScale(timeScale);
+    }
+
+    /**
+     * Animation time in seconds
+     * @returns {number}
+     */
+    get time() {
+        return this._time;
+    }
+
+    /**
+     * Animation seconds per wall clock second
+     * @returns {number}
+     */
+    get timeScale() {
+        return this._timeScale;
+    }
+
+    /**
+     * Whether the clock is paused
+     * @returns {boolean}
+     */
+    get paused() {
+        return this._paused;
+    }
+
+    /**
+     * Whether the clock only advances with step()
+     * @returns {boolean}
+     */
+    get manual() {
+        return this._manual;
+    }
+
+    /**
+     * Advance the clock to the current frame
+     *
+     * Adds the wall clock time since the last tick, scaled, unless the clock is paused or manual.
+     *
+     * @returns {number} Animation time elapsed since the last tick, in seconds; negative after seeking back
+     */
+    tick() {
+        const wallTime = this._now();
+        if (!this._paused && !this._manual && this._lastWallTime !== null) {
+            this._time += (wallTime - this._lastWallTime) * this._timeScale;
+        }
+        this._lastWallTime = wallTime;
+
+        const delta = this._time - this._lastTickTime;
+        this._lastTickTime = this._time;
+        return delta;
+    }
+
+    /**
+     * Stop advancing with the wall clock; step() and seek() still move the time
+     */
+    pause() {
+        this._paused = true;
+    }
+
+    /**
+     * Continue advancing with the wall clock from the current time
+     */
+    resume() {
+        this._paused = false;
+    }
+
+    /**
+     * Set the playback speed
+     * @param {number} timeScale - Animation seconds per wall clock second; 0.5 is half speed
+     * @throws {ValidationError} If timeScale is not a non-negative finite number
+     */
+    setTimeScale(timeScale) {
+        if (typeof timeScale !== 'number' || !Number.isFinite(timeScale) || timeScale < 0) {
+            throw new ValidationError('timeScale must be a non-negative number', 'timeScale');
+        }
+        this._timeScale = timeScale;
+    }
+
+    /**
+     * Switch manual mode on or off
+     * @param {boolean} manual - True to only advance with step()
+     */
+    setManual(manual) {
+        this._manual = Boolean(manual);
+    }
+
+    /**
+     * Move to an animation time
+     *
+     * The next tick reports the difference as its delta, so the animation mixer
+     * moves forward or back by the same amount.
+     *
+     * @param {number} seconds - Animation time in seconds
+     * @throws {ValidationError} If seconds is not a finite number
+     */
+    seek(seconds) {
+        validateSeconds(seconds, 'seconds');
+        this._time = seconds;
+    }
+
+    /**
+     * Advance the animation time by a fixed amount, in any mode
+     * @param {number} seconds - Time to advance in seconds, e.g. 1 / 30 for one frame at 30 fps
+     * @returns {number} The new animation time
+     * @throws {ValidationError} If seconds is not a non-negative finite number
+     */
+    step(seconds) {
+        validateSeconds(seconds, 'seconds');
+        if (seconds < 0) {
+            throw new ValidationError('seconds must not be negative; use seek() to go back', 'seconds');
+        }
+        this._time += seconds;
+        return this._time;
+    }
+}
+
+export default AnimationClock;
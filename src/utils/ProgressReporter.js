@@ -0,0 +1,179 @@
+/**
+ * ProgressReporter - Weighted progress aggregation over named stages
+ *
+ * Long operations made of several steps of very different cost (download,
+ * unpack, parse, GPU upload...) report per-stage fractions here. The reporter
+ * combines them into one overall value using per-stage weights, so a loading
+ * bar advances in proportion to the real work instead of jumping between
+ * hard-coded values.
+ */
+
+import { getLogger } from './Logger.js';
+import { ValidationError } from '../errors/index.js';
+
+const logger = getLogger('ProgressReporter');
+
+/**
+ * ProgressReporter - Tracks named stages and reports an overall weighted progress
+ */
+export class ProgressReporter {
+    /**
+     * Create a ProgressReporter
+     *
+     * @param {Object<string, number>} stageWeights - Relative weight of each stage, in stage order.
+     *   Weights do not need to sum to 1; they are normalized.
+     * @param {Function} [onProgress] - Called as (progress, info) whenever a stage advances.
+     *   'progress' is the overall fraction (0-1); 'info' is
+     *   {stage, stageProgress, stages: {name: fraction}}.
+     * @throws {ValidationError} If no stage is given or a weight is not a non-negative finite number
+     */
+    constructor(stageWeights, onProgress = null) {
+        const entries = Object.entries(stageWeights || {});
+        if (entries.length === 0) {
+            throw new ValidationError('At least one progress stage is required', 'stageWeights');
+        }
+
+        this._weights = new Map();
+        this._fractions = new Map();
+        let totalWeight = 0;
+        for (const [stage, weight] of entries) {
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                throw new ValidationError(
+                    `Weight of stage '${stage}' must be a non-negative number`,
+                    `stageWeights.${stage}`
+                );
+            }
+            this._weights.set(stage, weight);
+            this._fractions.set(stage, 0);
+            totalWeight += weight;
+        }
+
+        this._totalWeight = totalWeight;
+        this._onProgress = onProgress;
+    }
+
+    /**
+     * Get the overall weighted progress
+     * @returns {number} Fraction between 0 and 1
+     */
+    get progress() {
+        if (this._totalWeight === 0) {
+            return this.isComplete() ? 1 : 0;
+        }
+        let done = 0;
+        this._weights.forEach((weight, stage) => {
+            done += weight * this._fractions.get(stage);
+        });
+        return Math.min(done / this._totalWeight, 1);
+    }
+
+    /**
+     * Get the progress of a single stage
+     * @param {string} stage - Stage name
+     * @returns {number} Fraction between 0 and 1
+     */
+    getStageProgress(stage) {
+        this._assertStage(stage);
+        return this._fractions.get(stage);
+    }
+
+    /**
+     * Get a snapshot of every stage's progress
+     * @returns {Object<string, number>} Stage name to fraction (0-1)
+     */
+    getStages() {
+        return Object.fromEntries(this._fractions);
+    }
+
+    /**
+     * Check whether every stage has completed
+     * @returns {boolean}
+     */
+    isComplete() {
+        for (const fraction of this._fractions.values()) {
+            if (fraction < 1) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Update the progress of a stage
+     *
+     * Progress is monotonic: values lower than the stage's current progress are ignored,
+     * so late or out-of-order notifications never move the loading bar backwards.
+     *
+     * @param {string} stage - Stage name
+     * @param {number} fraction - Stage progress (0-1, clamped)
+     * @throws {ValidationError} If the stage is unknown
+     */
+    update(stage, fraction) {
+        this._assertStage(stage);
+        if (typeof fraction !== 'number' || Number.isNaN(fraction)) {
+            return;
+        }
+
+        const clamped = Math.max(0, Math.min(fraction, 1));
+        if (clamped <= this._fractions.get(stage)) {
+            return;
+        }
+
+        this._fractions.set(stage, clamped);
+        this._report(stage);
+    }
+
+    /**
+     * Mark a stage as complete
+     * @param {string} stage - Stage name
+     * @throws {ValidationError} If the stage is unknown
+     */
+    complete(stage) {
+        this.update(stage, 1);
+    }
+
+    /**
+     * Create a progress callback bound to one stage
+     *
+     * Handy for passing into lower-level loaders that only know about their own fraction.
+     *
+     * @param {string} stage - Stage name
+     * @returns {Function} Callback taking a fraction (0-1)
+     * @throws {ValidationError} If the stage is unknown
+     */
+    stageCallback(stage) {
+        this._assertStage(stage);
+        return (fraction) => this.update(stage, fraction);
+    }
+
+    /**
+     * Notify the progress callback with error isolation
+     * @private
+     * @param {string} stage - Stage that changed
+     */
+    _report(stage) {
+        if (!this._onProgress) {
+            return;
+        }
+
+        try {
+            this._onProgress(this.progress, {
+                stage,
+                stageProgress: this._fractions.get(stage),
+                stages: this.getStages()
+            });
+        } catch (error) {
+            logger.warn('Error in progress callback', error);
+        }
+    }
+
+    /**
+     * Assert a stage is known
+     * @private
+     * @param {string} stage - Stage name
+     * @throws {ValidationError} If the stage is unknown
+     */
+    _assertStage(stage) {
+        if (!this._weights.has(stage)) {
+            throw new ValidationError(`Unknown progress stage: ${stage}`, 'stage');
+        }
+    }
+}
@@ -8,7 +8,7 @@
  */
 
 import { DataUtils } from 'three';
-import { NetworkError } from '../errors/index.js';
+import { NetworkError, AbortError } from '../errors/index.js';
 import { getLogger } from './Logger.js';
 
 const logger = getLogger('Util');
@@ -176,11 +176,15 @@ export const disposeAllMeshes = (object3D) => {
     }
 };
 
-// Delayed execution helper
+// Delayed execution helper; the promise rejects if func throws
 export const delayedExecute = (func, fast) => {
-    return new Promise((resolve) => {
-        window.setTimeout(() => {
-            resolve(func());
+    return new Promise((resolve, reject) => {
+        setTimeout(() => {
+            try {
+                resolve(func());
+            } catch (error) {
+                reject(error);
+            }
         }, fast ? 1 : 50);
     });
 };
@@ -233,6 +237,62 @@ export const abortablePromiseWithExtractedComponents = (abortHandler) => {
     };
 };
 
+/**
+ * Throw if an AbortSignal has been aborted
+ *
+ * @param {AbortSignal} [signal] - Signal to check
+ * @param {string} [operation='Operation'] - Operation name used in the error message
+ * @throws {AbortError} If the signal is aborted
+ */
+export const throwIfAborted = (signal, operation = 'Operation') => {
+    if (signal?.aborted) {
+        throw new AbortError(`${operation} aborted`, signal.reason);
+    }
+};
+
+/**
+ * Race a promise against an AbortSignal
+ *
+ * The wrapped promise rejects with an AbortError as soon as the signal fires,
+ * even if the underlying work cannot be interrupted. 'onAbort' is called so the
+ * caller can cancel or clean up that work.
+ *
+ * @param {Promise} promise - Promise to race
+ * @param {AbortSignal} [signal] - Signal that cancels the operation
+ * @param {string} [operation='Operation'] - Operation name used in the error message
+ * @param {Function} [onAbort] - Called once if the signal fires before the promise settles
+ * @returns {Promise} Promise settling like 'promise', or rejecting with AbortError
+ */
+export const raceWithAbortSignal = (promise, signal, operation = 'Operation', onAbort) => {
+    if (!signal) return promise;
+    if (signal.aborted) {
+        if (onAbort) onAbort(signal.reason);
+        return Promise.reject(new AbortError(`${operation} aborted`, signal.reason));
+    }
+
+    return new Promise((resolve, reject) => {
+        const abortListener = () => {
+            if (onAbort) {
+                try {
+                    onAbort(signal.reason);
+                } catch (error) {
+                    logger.warn('Error in abort handler:', error);
+                }
+            }
+            reject(new AbortError(`${operation} aborted`, signal.reason));
+        };
+        signal.addEventListener('abort', abortListener, { once: true });
+
+        promise.then((value) => {
+            signal.removeEventListener('abort', abortListener);
+            resolve(value);
+        }, (error) => {
+            signal.removeEventListener('abort', abortListener);
+            reject(error);
+        });
+    });
+};
+
 // Semver class for version handling
 export class Semver {
     constructor(major, minor, patch) {
@@ -284,6 +284,30 @@ export function validateCallback(callback, fieldName, required = true) {
     return callback;
 }
 
+/**
+ * Validate AbortSignal
+ *
+ * Duck-typed so signals from other realms (iframes, polyfills) are accepted.
+ *
+ * @param {AbortSignal} signal - Signal to validate
+ * @param {string} fieldName - Name of field for error messages
+ * @returns {AbortSignal} Validated signal
+ * @throws {ValidationError} If value is not an AbortSignal
+ */
+export function validateAbortSignal(signal, fieldName) {
+    if (signal === null ||
+        typeof signal !== 'object' ||
+        typeof signal.aborted !== 'boolean' ||
+        typeof signal.addEventListener !== 'function') {
+        throw new ValidationError(
+            `${fieldName} must be an AbortSignal`,
+            fieldName
+        );
+    }
+
+    return signal;
+}
+
 /**
  * Validate hex color string
  *
@@ -16,3 +16,5 @@ export * from './ObjectPool.js';
 export * from './BlobUrlManager.js';
 export * from './RenderLoop.js';
 export * from './EventEmitter.js';
+export * from './ProgressReporter.js';
+export * from './AnimationClock.js';
@@ -0,0 +1,75 @@
+/**
+ * AnimationManager crossfades against a three.js mixer driven like the renderer's
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, AnimationClip, NumberKeyframeTrack, AnimationMixer } from 'three';
+
+import { AnimationManager, Idle, Speak, Think } from '../src/renderer/AnimationManager.js';
+import { TYVoiceChatState } from '../src/renderer/AppConstants.js';
+
+const clip = (name, value) => new AnimationClip(name, 4, [new NumberKeyframeTrack('.position[x]', [0, 4], [value, value])]);
+
+function setup() {
+    const root = new Object3D();
+    const mixer = new AnimationMixer(root);
+    const manager = new AnimationManager(mixer, [clip('idle', 0), clip('speak_1', 10)], {
+        initial: 'Idle',
+        blend: 1,
+        states: { Idle: { loop: ['idle'] }, Responding: { loop: ['speak_1'] } }
+    });
+    const step = (state, delta) => {
+        mixer.update(delta);
+        manager.update(state);
+    };
+    return { root, mixer, manager, step };
+}
+
+test('a crossfade holds state changes back until it has finished', () => {
+    const { manager, step } = setup();
+    for (let i = 0; i < 10; i++) step('Idle', 0.1);
+    step('Responding', 0.1);
+    step('Idle', 0.1);
+    assert.equal(manager.isBlending, true);
+    assert.equal(manager.curPlaying(), 'Responding');
+});
+
+test('seeking the clock back during a crossfade finishes it', () => {
+    const { root, mixer, manager, step } = setup();
+    for (let i = 0; i < 100; i++) step('Idle', 0.1);
+    step('Responding', 0.1);
+    for (let i = 0; i < 3; i++) step('Responding', 0.1);
+    assert.equal(manager.isBlending, true);
+
+    mixer.update(-mixer.time);
+    assert.equal(manager.isBlending, false);
+
+    for (let i = 0; i < 30; i++) step('Idle', 0.1);
+    assert.equal(manager.curPlaying(), 'Idle');
+    assert.equal(manager.isBlending, false);
+    assert.equal(root.position.x, 0);
+});
+
+test('the deprecated state classes accept the (actions, isGroup) constructor of earlier versions', () => {
+    const root = new Object3D();
+    const mixer = new AnimationMixer(root);
+    const actions = [clip('think_enter', 1), clip('think', 2), clip('think_exit', 3)].map(c => mixer.clipAction(c));
+
+    const grouped = new Think(actions, true);
+    assert.equal(grouped.name, TYVoiceChatState.Thinking);
+    assert.deepEqual(grouped.actions, { enter: [actions[0]], loop: [actions[1]], exit: [actions[2]] });
+    grouped.enter(undefined, 0.5);
+    mixer.update(0.1);
+    assert.equal(root.position.x, 1);
+
+    const idle = new Idle(actions.slice(1, 2));
+    assert.deepEqual(idle.actions.loop, [actions[1]]);
+    assert.equal(Idle.name, 'Idle');
+
+    const { manager } = setup();
+    const state = new Speak(manager, actions, 0.25);
+    assert.equal(state.manager, manager);
+    assert.equal(state.blendingTime, 0.25);
+    assert.deepEqual(state.actions.loop, actions);
+});
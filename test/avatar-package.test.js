@@ -0,0 +1,91 @@
+/**
+ * validateAvatarPackage() and AvatarAsset.load() against a small package and broken copies of it
+ *
+ * fixtures/avatar.zip holds a valid 10-splat avatar 'alice' (offset.ply, skin.glb, animation.glb with idle and
+ * three speak clips, and vertex_order.json).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import JSZip from 'jszip';
+
+import { validateAvatarPackage, AvatarDiagnosticCode, AvatarAsset } from '../src/assets/index.js';
+import { AssetLoadError } from '../src/errors/index.js';
+import { configureForProduction } from '../src/utils/Logger.js';
+
+configureForProduction();
+
+const fixture = new URL('./fixtures/avatar.zip', import.meta.url);
+
+/**
+ * The fixture package with files replaced (string or bytes) or removed (null)
+ */
+async function makePackage(changes = {}) {
+    const zip = await JSZip.loadAsync(await readFile(fixture));
+    Object.entries(changes).forEach(([name, data]) => {
+        if (data === null) {
+            zip.remove(`alice/${name}`);
+        } else {
+            zip.file(`alice/${name}`, data);
+        }
+    });
+    return zip.generateAsync({ type: 'arraybuffer' });
+}
+
+const codes = result => result.errors.map(item => item.code).sort();
+
+async function truncatedPly() {
+    const zip = await JSZip.loadAsync(await readFile(fixture));
+    const ply = await zip.file('alice/offset.ply').async('uint8array');
+    return ply.subarray(0, ply.length - 20);
+}
+
+test('the fixture package is valid', async () => {
+    const result = await validateAvatarPackage(await makePackage());
+    assert.equal(result.valid, true);
+    assert.equal(result.characterName, 'alice');
+    assert.deepEqual(result.diagnostics, []);
+});
+
+test('missing files are reported', async () => {
+    const result = await validateAvatarPackage(await makePackage({ 'skin.glb': null, 'vertex_order.json': null }));
+    assert.equal(result.valid, false);
+    assert.deepEqual(codes(result), [AvatarDiagnosticCode.MissingFile, AvatarDiagnosticCode.MissingFile]);
+    assert.deepEqual(result.errors.map(item => item.file).sort(), ['alice/skin.glb', 'alice/vertex_order.json']);
+});
+
+test('a malformed PLY is reported instead of hanging', async () => {
+    for (const ply of ['ply\nformat binary_little_endian 1.0\n', await truncatedPly()]) {
+        const result = await validateAvatarPackage(await makePackage({ 'offset.ply': ply }));
+        assert.deepEqual(codes(result), [AvatarDiagnosticCode.SplatsInvalid]);
+        assert.equal(result.errors[0].file, 'alice/offset.ply');
+    }
+});
+
+test('a vertex order that is not a permutation of the splats is reported', async () => {
+    const check = async (vertexOrder, expected) => {
+        const result = await validateAvatarPackage(await makePackage({ 'vertex_order.json': vertexOrder }));
+        assert.deepEqual(codes(result), expected);
+    };
+    await check('{"order": []}', [AvatarDiagnosticCode.VertexOrderInvalid]);
+    await check('[0, 1, 2', [AvatarDiagnosticCode.VertexOrderInvalid]);
+    await check(JSON.stringify([0, 1, 2, 3, 4, 5, 6, 7, 8]), [AvatarDiagnosticCode.VertexOrderLengthMismatch]);
+    await check(JSON.stringify([0, 1, 2, 3, 4, 5, 6, 7, 8, 10]), [AvatarDiagnosticCode.VertexOrderIndexOutOfRange]);
+    await check(JSON.stringify([0, 1, 2, 3, 4, 5, 6, 7, 8, 8]), [AvatarDiagnosticCode.VertexOrderDuplicateIndex]);
+});
+
+test('AvatarAsset.load() rejects the packages the validator rejects', async () => {
+    const asset = await AvatarAsset.load(await makePackage());
+    assert.equal(asset.characterName, 'alice');
+    asset.dispose();
+
+    const broken = [
+        { 'offset.ply': await truncatedPly() },
+        { 'vertex_order.json': JSON.stringify([0, 1, 2, 3, 4, 5, 6, 7, 8]) },
+        { 'vertex_order.json': JSON.stringify([0, 1, 2, 3, 4, 5, 6, 7, 8, 8]) }
+    ];
+    for (const changes of broken) {
+        await assert.rejects(AvatarAsset.load(await makePackage(changes)), AssetLoadError);
+    }
+});
@@ -0,0 +1,74 @@
+/**
+ * AssetCache over MemoryAssetStore: LRU eviction, size accounting and clear()
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AssetCache, MemoryAssetStore } from '../src/cache/index.js';
+
+const bytes = (size, fill = 1) => new Uint8Array(size).fill(fill);
+
+test('stores and reads records', async () => {
+    const cache = new AssetCache({ store: new MemoryAssetStore(), maxBytes: 100 });
+    assert.equal(await cache.set('a', bytes(10, 7)), true);
+    const data = await cache.get('a');
+    assert.ok(data instanceof ArrayBuffer);
+    assert.deepEqual(new Uint8Array(data), bytes(10, 7));
+    assert.equal(await cache.get('missing'), null);
+    assert.equal(await cache.size(), 10);
+});
+
+test('evicts the least recently used records past maxBytes', async () => {
+    const store = new MemoryAssetStore();
+    const cache = new AssetCache({ store, maxBytes: 100 });
+    await cache.set('a', bytes(40));
+    await cache.set('b', bytes(40));
+    await cache.get('a'); // b is now the least recently used
+    await cache.set('c', bytes(40));
+
+    assert.equal(await cache.has('a'), true);
+    assert.equal(await cache.has('b'), false);
+    assert.equal(await cache.has('c'), true);
+    assert.equal(await store.get('b'), undefined);
+    assert.equal(await cache.size(), 80);
+    assert.deepEqual((await cache.entries()).map(meta => meta.key), ['a', 'c']);
+});
+
+test('does not store a record larger than maxBytes', async () => {
+    const cache = new AssetCache({ store: new MemoryAssetStore(), maxBytes: 100 });
+    await cache.set('a', bytes(40));
+    assert.equal(await cache.set('huge', bytes(101)), false);
+    assert.equal(await cache.has('huge'), false);
+    assert.equal(await cache.has('a'), true);
+});
+
+test('replacing a record counts its new size only', async () => {
+    const cache = new AssetCache({ store: new MemoryAssetStore(), maxBytes: 100 });
+    await cache.set('a', bytes(60));
+    await cache.set('a', bytes(70));
+    assert.equal(await cache.size(), 70);
+});
+
+test('clear() removes every record from the cache and the store', async () => {
+    const store = new MemoryAssetStore();
+    const cache = new AssetCache({ store, maxBytes: 100 });
+    await cache.set('a', bytes(10));
+    await cache.set('b', bytes(10));
+    await cache.clear();
+    assert.equal(await cache.size(), 0);
+    assert.equal(await cache.get('a'), null);
+    assert.deepEqual(await store.list(), []);
+});
+
+test('a new cache over the same store keeps the records and their order', async () => {
+    const store = new MemoryAssetStore();
+    const first = new AssetCache({ store, maxBytes: 100 });
+    await first.set('a', bytes(40));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await first.set('b', bytes(40));
+
+    const second = new AssetCache({ store, maxBytes: 100 });
+    await second.set('c', bytes(40));
+    assert.deepEqual((await second.entries()).map(meta => meta.key), ['b', 'c']);
+});
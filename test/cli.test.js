@@ -0,0 +1,96 @@
+/**
+ * gsplat-avatar CLI: exit codes and output for a small package and broken copies of it (see avatar-package.test.js)
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import process from 'node:process';
+import JSZip from 'jszip';
+
+const fixture = new URL('./fixtures/avatar.zip', import.meta.url);
+const cli = fileURLToPath(new URL('../bin/gsplat-avatar.js', import.meta.url));
+const tempDir = await mkdtemp(join(tmpdir(), 'gsplat-avatar-test-'));
+after(() => rm(tempDir, { recursive: true, force: true }));
+
+/**
+ * Write the fixture package, with files replaced, to a temporary file; resolves with its path
+ */
+async function writePackage(changes = {}) {
+    const zip = await JSZip.loadAsync(await readFile(fixture));
+    Object.entries(changes).forEach(([name, data]) => zip.file(`alice/${name}`, data));
+    const path = join(tempDir, `package-${Math.random().toString(36).slice(2)}.zip`);
+    await writeFile(path, await zip.generateAsync({ type: 'uint8array' }));
+    return path;
+}
+
+/**
+ * Run the CLI; resolves with {code, stdout, stderr}
+ */
+function runCli(args) {
+    return new Promise((resolve) => {
+        execFile(process.execPath, [cli, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+const codes = result => result.errors.map(item => item.code);
+
+test('CLI validate exits with 0 for a valid package and prints the result as JSON', async () => {
+    const { code, stdout } = await runCli(['validate', await writePackage(), '--json']);
+    assert.equal(code, 0);
+    const result = JSON.parse(stdout);
+    assert.equal(result.valid, true);
+    assert.equal(result.characterName, 'alice');
+});
+
+test('CLI inspect and stats print the package contents as JSON', async () => {
+    const path = await writePackage();
+    const inspect = await runCli(['inspect', path, '--json']);
+    assert.equal(inspect.code, 0);
+    const report = JSON.parse(inspect.stdout);
+    assert.equal(report.splats.count, 10);
+    assert.equal(report.animation.clips.length, 4);
+
+    const stats = await runCli(['stats', path, '--json']);
+    assert.equal(stats.code, 0);
+    assert.equal(JSON.parse(stats.stdout).splatCount, 10);
+});
+
+test('CLI validate exits with 1 and lists the diagnostics of an invalid package', async () => {
+    const path = await writePackage({ 'offset.ply': 'ply\nformat binary_little_endian 1.0\n' });
+    const json = await runCli(['validate', path, '--json']);
+    assert.equal(json.code, 1);
+    assert.deepEqual(codes(JSON.parse(json.stdout)), ['SPLATS_INVALID']);
+
+    const text = await runCli(['validate', path]);
+    assert.equal(text.code, 1);
+    assert.match(text.stdout, /SPLATS_INVALID/);
+    assert.match(text.stdout, /Invalid avatar package 'alice': 1 error\(s\)/);
+});
+
+test('CLI exits with 1 for a file that is not a package', async () => {
+    const path = join(tempDir, 'not-a-package.zip');
+    await writeFile(path, 'not a zip');
+    const { code, stdout } = await runCli(['validate', path, '--json']);
+    assert.equal(code, 1);
+    assert.deepEqual(codes(JSON.parse(stdout)), ['ARCHIVE_UNREADABLE']);
+
+    const missing = await runCli(['inspect', join(tempDir, 'missing.zip'), '--json']);
+    assert.equal(missing.code, 1);
+    assert.ok(JSON.parse(missing.stdout).error.message);
+});
+
+test('CLI exits with 2 on invalid usage and 0 for --help', async () => {
+    assert.equal((await runCli(['frobnicate', 'avatar.zip'])).code, 2);
+    assert.equal((await runCli(['validate'])).code, 2);
+    assert.equal((await runCli(['stats', 'avatar.zip', '--animation', '{}'])).code, 2);
+    const help = await runCli(['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: gsplat-avatar/);
+});
@@ -0,0 +1,137 @@
+/**
+ * Expression frame wire format: round trips at both precisions, rotations, channel tables and broken input
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+
+import { encodeExpressionFrame, decodeExpressionFrame, EXPRESSION_FRAME_VERSION } from '../src/expression/index.js';
+import { ARKitBlendshapes } from '../src/renderer/AppConstants.js';
+import { ValidationError, ParseError } from '../src/errors/index.js';
+
+/**
+ * Weights of all 52 ARKit channels, spread over 0-1
+ */
+const allWeights = () => Object.fromEntries(ARKitBlendshapes.map((name, i) => [name, i / (ARKitBlendshapes.length - 1)]));
+
+function assertWeights(actual, expected, tolerance) {
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+    Object.entries(expected).forEach(([name, value]) => {
+        assert.ok(Math.abs(actual[name] - value) <= tolerance, `${name}: ${actual[name]} != ${value}`);
+    });
+}
+
+test('weights survive a round trip within the precision of 8 and 16 bits', () => {
+    const frame = { time: 1234.5678, weights: allWeights() };
+    const coarse = encodeExpressionFrame(frame, { skipZeros: false });
+    const fine = encodeExpressionFrame(frame, { precision: 16, skipZeros: false });
+    assert.equal(coarse.length, 12 + 7 + 52);
+    assert.equal(fine.length, 12 + 7 + 104);
+    assert.equal(coarse[1], EXPRESSION_FRAME_VERSION);
+
+    const decoded = decodeExpressionFrame(coarse);
+    assert.equal(decoded.time, frame.time);
+    assertWeights(decoded.weights, frame.weights, 0.5 / 255);
+    assertWeights(decodeExpressionFrame(fine).weights, frame.weights, 0.5 / 65535);
+    assert.equal(decoded.head, undefined);
+    assert.equal(decoded.eyes, undefined);
+
+    // Out-of-range weights are clamped
+    assertWeights(decodeExpressionFrame(encodeExpressionFrame({ time: 0, weights: { jawOpen: 2, mouthClose: -1 } }, {
+        skipZeros: false
+    })).weights, { jawOpen: 1, mouthClose: 0 }, 0);
+});
+
+test('head and eye rotations survive a round trip', () => {
+    const frame = {
+        time: 0.5,
+        weights: { jawOpen: 0.5 },
+        head: { pitch: 0.1, yaw: -0.75, roll: 3 },
+        eyes: { left: { pitch: -0.2, yaw: 0.3 }, right: { pitch: -0.25, yaw: 0.35 } }
+    };
+    for (const precision of [8, 16]) {
+        const bytes = encodeExpressionFrame(frame, { precision });
+        assert.equal(bytes.length, 12 + 7 + precision / 8 + 6 + 8);
+        const decoded = decodeExpressionFrame(bytes);
+        const tolerance = Math.PI / 32767;
+        ['pitch', 'yaw', 'roll'].forEach((name) => {
+            assert.ok(Math.abs(decoded.head[name] - frame.head[name]) <= tolerance, `head.${name}`);
+        });
+        ['left', 'right'].forEach((side) => {
+            ['pitch', 'yaw'].forEach((name) => {
+                assert.ok(Math.abs(decoded.eyes[side][name] - frame.eyes[side][name]) <= tolerance,
+                    `eyes.${side}.${name}`);
+            });
+        });
+    }
+
+    // Angles are wrapped to -π..π
+    const wrapped = decodeExpressionFrame(encodeExpressionFrame({
+        time: 0,
+        weights: {},
+        head: { pitch: 2 * Math.PI + 0.5, yaw: 0, roll: 0 }
+    }));
+    assert.ok(Math.abs(wrapped.head.pitch - 0.5) < 1e-4);
+});
+
+test('skipZeros leaves out channels at rest', () => {
+    const frame = { time: 0, weights: { browInnerUp: 0, jawOpen: 0.5, mouthClose: 0.001 } };
+    const skipped = encodeExpressionFrame(frame);
+    assert.equal(skipped.length, 12 + 7 + 1);
+    assert.deepEqual(Object.keys(decodeExpressionFrame(skipped).weights), ['jawOpen']);
+
+    const kept = encodeExpressionFrame(frame, { skipZeros: false });
+    assert.equal(kept.length, 12 + 7 + 3);
+    assertWeights(decodeExpressionFrame(kept).weights, { browInnerUp: 0, jawOpen: 0.5, mouthClose: 0 }, 0.5 / 255);
+
+    // A mouthClose of 0.001 is not 0 at 16 bits
+    assert.deepEqual(Object.keys(decodeExpressionFrame(encodeExpressionFrame(frame, { precision: 16 })).weights).sort(),
+        ['jawOpen', 'mouthClose']);
+});
+
+test('a custom channel table is used by both ends', () => {
+    const channels = ['open', 'smile', 'frown', 'a', 'b', 'c', 'd', 'e', 'f'];
+    const frame = { time: 2, weights: { f: 1, open: 0.25, smile: 0.75 } };
+    const bytes = encodeExpressionFrame(frame, { channels, precision: 16 });
+    assert.equal(bytes[3], channels.length);
+    assert.equal(bytes.length, 12 + 2 + 3 * 2);
+    assertWeights(decodeExpressionFrame(bytes, { channels }).weights, frame.weights, 0.5 / 65535);
+
+    assert.throws(() => decodeExpressionFrame(bytes), ParseError);
+    assert.throws(() => encodeExpressionFrame({ time: 0, weights: { jawOpen: 1 } }, { channels }), ValidationError);
+    assert.throws(() => encodeExpressionFrame(frame, { channels: new Array(256).fill('x') }), ValidationError);
+});
+
+test('truncated, foreign and newer data throw ParseError', () => {
+    const bytes = encodeExpressionFrame({
+        time: 1,
+        weights: { jawOpen: 0.5, mouthSmileLeft: 0.5 },
+        head: { pitch: 0, yaw: 0, roll: 0 }
+    });
+    const parseError = (error) => {
+        assert.ok(error instanceof ParseError, String(error));
+        assert.equal(error.dataType, 'expression frame');
+        return true;
+    };
+
+    [4, 12, 15, bytes.length - 1].forEach((length) => {
+        assert.throws(() => decodeExpressionFrame(bytes.subarray(0, length)), parseError, `${length} bytes`);
+    });
+
+    const badMagic = bytes.slice();
+    badMagic[0] = 0x7B;
+    assert.throws(() => decodeExpressionFrame(badMagic), parseError);
+    assert.throws(() => decodeExpressionFrame(new TextEncoder().encode('{"time": 1, "weights": {}}')), parseError);
+
+    const newer = bytes.slice();
+    newer[1] = EXPRESSION_FRAME_VERSION + 1;
+    assert.throws(() => decodeExpressionFrame(newer), /version 2/);
+
+    // Node Buffers and views into larger buffers decode too
+    const padded = new Uint8Array(bytes.length + 3);
+    padded.set(bytes, 3);
+    assert.equal(decodeExpressionFrame(padded.subarray(3)).time, 1);
+    assert.equal(decodeExpressionFrame(Buffer.from(bytes)).time, 1);
+    assert.throws(() => decodeExpressionFrame('frame'), ValidationError);
+});
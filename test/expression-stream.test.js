@@ -0,0 +1,111 @@
+/**
+ * Expression streams on a fake clock: playout delay, interpolation, extrapolation, underruns and late frames
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ExpressionStream, ExpressionStreamEvent } from '../src/expression/ExpressionStream.js';
+import { ValidationError } from '../src/errors/index.js';
+import { configureForProduction } from '../src/utils/Logger.js';
+
+configureForProduction();
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6,
+    `${message ?? ''} ${actual} != ${expected}`);
+
+/**
+ * A stream with a fixed delay on a clock set by the test; frames arrive 10 s after their sender time
+ */
+function makeStream(options = {}) {
+    const clock = { now: 0 };
+    const stream = new ExpressionStream({ delay: 0.1, adaptive: false, ...options, now: () => clock.now });
+    const receive = (time, weights) => {
+        clock.now = time + 10;
+        return stream.push({ time, weights });
+    };
+    return { stream, clock, receive };
+}
+
+test('frames are played the playout delay behind their arrival, interpolated between neighbours', () => {
+    const { stream, receive } = makeStream();
+    assert.equal(stream.sample(0), null);
+    receive(0, { mouthSmileLeft: 0, eyeLookOutLeft: 1 });
+    receive(0.1, { mouthSmileLeft: 1, eyeLookInLeft: 1 });
+
+    // Before the first frame's playout time it is held
+    assert.deepEqual(stream.sample(10.05), { mouthSmileLeft: 0, eyeLookOutLeft: 1 });
+    close(stream.sample(10.1).mouthSmileLeft, 0);
+
+    const middle = stream.sample(10.15);
+    close(middle.mouthSmileLeft, 0.5);
+    // The gaze turns from one side to the other through the middle, not both channels at half
+    close(middle.eyeLookOutLeft, 0);
+    close(middle.eyeLookInLeft, 0);
+    const quarter = stream.sample(10.175);
+    close(quarter.mouthSmileLeft, 0.75);
+    close(quarter.eyeLookInLeft, 0.5);
+    assert.equal(stream.underrun, false);
+});
+
+test('the last motion continues for at most maxExtrapolation, then holds, and underruns are reported once', () => {
+    const { stream, clock, receive } = makeStream({ maxExtrapolation: 0.1 });
+    const underruns = [];
+    const recoveries = [];
+    stream.events.on(ExpressionStreamEvent.Underrun, event => underruns.push(event));
+    stream.events.on(ExpressionStreamEvent.Recovered, event => recoveries.push(event));
+    receive(0, { mouthSmileLeft: 0.2 });
+    receive(0.1, { mouthSmileLeft: 0.4 });
+
+    close(stream.sample(10.25).mouthSmileLeft, 0.5);
+    close(stream.sample(11.1).mouthSmileLeft, 0.6);
+    close(stream.sample(15.1).mouthSmileLeft, 0.6);
+    assert.equal(stream.underrun, true);
+    assert.equal(underruns.length, 1);
+    close(underruns[0].time, 0.15);
+    close(underruns[0].frameTime, 0.1);
+    assert.equal(stream.stats.underruns, 1);
+
+    receive(5.2, { mouthSmileLeft: 0.8 });
+    receive(5.3, { mouthSmileLeft: 1 });
+    clock.now = 15.35;
+    close(stream.sample().mouthSmileLeft, 0.9);
+    assert.equal(stream.underrun, false);
+    assert.equal(recoveries.length, 1);
+    close(recoveries[0].duration, 5.1);
+});
+
+test('without maxExtrapolation the newest frame holds', () => {
+    const { stream, receive } = makeStream({ maxExtrapolation: 0 });
+    receive(0, { mouthSmileLeft: 0.2 });
+    receive(0.1, { mouthSmileLeft: 0.4 });
+    close(stream.sample(10.3).mouthSmileLeft, 0.4);
+});
+
+test('frames arriving after their playout time are dropped, earlier ones are played in time order', () => {
+    const { stream, clock, receive } = makeStream();
+    receive(0, { mouthSmileLeft: 0 });
+    receive(0.1, { mouthSmileLeft: 0.1 });
+    receive(0.3, { mouthSmileLeft: 0.3 });
+    stream.sample(10.25);
+
+    clock.now = 10.3;
+    assert.equal(stream.push({ time: 0.12, weights: { mouthSmileLeft: 1 } }), false);
+    assert.equal(stream.push({ time: 0.2, weights: { mouthSmileLeft: 0.2 } }), true);
+    assert.equal(stream.stats.late, 1);
+    assert.equal(stream.stats.buffered, 2);
+    // The slower transits of these two move the clock offset a little
+    const { mouthSmileLeft } = stream.sample(10.35);
+    assert.ok(Math.abs(mouthSmileLeft - 0.25) < 0.01, `${mouthSmileLeft} is between the out-of-order frame and the next`);
+    assert.equal(stream.stats.received, 5);
+});
+
+test('invalid options and frames throw ValidationError', () => {
+    [{ delay: -1 }, { maxExtrapolation: Infinity }, { delay: 1, maxDelay: 0.5 }, { maxFrames: 1 }, { now: 5 }]
+        .forEach((options) => {
+            assert.throws(() => new ExpressionStream(options), ValidationError, JSON.stringify(options));
+        });
+    const { stream } = makeStream();
+    assert.throws(() => stream.push({ time: 0 }), ValidationError);
+    assert.throws(() => stream.push({ time: 'now', weights: {} }), ValidationError);
+});
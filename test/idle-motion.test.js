@@ -0,0 +1,78 @@
+/**
+ * Idle motion: the same seed gives the same motion at the same times, however it is sampled
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { IdleMotionGenerator } from '../src/renderer/IdleMotionGenerator.js';
+import { ValidationError } from '../src/errors/index.js';
+
+const times = Array.from({ length: 300 }, (_, i) => i * 0.1);
+
+test('the same seed sampled at the same times gives the same motion, however often it is sampled between', () => {
+    const a = new IdleMotionGenerator({ seed: 42 });
+    const b = new IdleMotionGenerator({ seed: 42 });
+    const expected = times.map(time => a.sample(time));
+
+    // Sample b at many times in between, so its random streams are advanced differently
+    const actual = times.map((time) => {
+        for (let t = Math.max(time - 0.1, 0); t < time; t += 0.013) {
+            b.sample(t);
+        }
+        return b.sample(time);
+    });
+    assert.deepEqual(actual, expected);
+
+    // Blinks and saccades happen within 30 s, so the motion is not trivially constant
+    assert.ok(expected.some(({ weights }) => weights.eyeBlinkLeft > 0.5));
+    assert.ok(expected.some(({ gaze }) => gaze.yaw !== 0));
+
+    const other = new IdleMotionGenerator({ seed: 43 });
+    assert.notDeepEqual(times.map(time => other.sample(time)), expected);
+});
+
+test('going back in time replays the motion of that time', () => {
+    const generator = new IdleMotionGenerator({ seed: 7 });
+    const forward = times.map(time => generator.sample(time));
+    assert.deepEqual(generator.sample(times[123]), forward[123]);
+    assert.deepEqual(times.slice(50).map(time => generator.sample(time)), forward.slice(50));
+    assert.deepEqual(generator.sample(-1), forward[0]);
+
+    generator.reset();
+    assert.deepEqual(generator.sample(times[200]), forward[200]);
+});
+
+test('turning one feature off leaves the others unchanged', () => {
+    const all = new IdleMotionGenerator({ seed: 3 });
+    const noBlinks = new IdleMotionGenerator({ seed: 3, blink: false });
+    times.forEach((time) => {
+        const expected = all.sample(time);
+        const actual = noBlinks.sample(time);
+        assert.equal(actual.weights.eyeBlinkLeft, undefined);
+        assert.deepEqual(actual.gaze, expected.gaze);
+        assert.deepEqual(actual.head, expected.head);
+    });
+});
+
+test('invalid options throw ValidationError', () => {
+    const invalid = [
+        null,
+        [],
+        { seed: 1.5 },
+        { seed: '1' },
+        { blink: 'often' },
+        { blink: { interval: 2 } },
+        { blink: { minInterval: -1 } },
+        { blink: { duration: Number.NaN } },
+        { blink: { minInterval: 5, maxInterval: 2 } },
+        { saccades: { duration: 0 } },
+        { blink: { doubleBlinkChance: 1.5 } },
+        { channels: null },
+        { channels: { blink: 'multiply' } }
+    ];
+    invalid.forEach((options) => {
+        assert.throws(() => new IdleMotionGenerator(options), ValidationError, JSON.stringify(options));
+    });
+    assert.doesNotThrow(() => new IdleMotionGenerator({ seed: 0, sway: false, channels: { eyeBlinkLeft: 'yield' } }));
+});
@@ -0,0 +1,138 @@
+/**
+ * Lip-sync analysis of WAV fixtures, and attaching to Web Audio
+ *
+ * fixtures/voiced-16k.wav: 1 s, 16 kHz mono 16-bit PCM. Silence, then a
+ * voiced vowel from 0.25 s to 0.75 s (harmonics of 140 Hz shaped by formants
+ * at 700 and 1200 Hz, 20 ms fades), then silence.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { decodeWav, analyzeLipSync, LipSyncAnalyzer, LipSync } from '../src/lipsync/index.js';
+
+const wav = readFileSync(new URL('./fixtures/voiced-16k.wav', import.meta.url));
+
+const jawOpen = frame => frame.weights.jawOpen ?? 0;
+const between = (frames, from, to) => frames.filter(frame => frame.time >= from && frame.time < to);
+
+test('decodes the fixture', () => {
+    const audio = decodeWav(wav);
+    assert.equal(audio.sampleRate, 16000);
+    assert.equal(audio.channels.length, 1);
+    assert.equal(audio.duration, 1);
+});
+
+test('the jaw opens only while the vowel is voiced', () => {
+    const { fps, duration, frames } = analyzeLipSync(wav);
+    assert.equal(fps, 60);
+    assert.equal(duration, 1);
+
+    const before = between(frames, 0, 0.25);
+    const voiced = between(frames, 0.35, 0.75);
+    const after = between(frames, 0.95, 1);
+    assert.ok(before.length > 0 && voiced.length > 0 && after.length > 0);
+
+    assert.ok(before.every(frame => jawOpen(frame) < 0.01), 'mouth rests before the vowel');
+    assert.ok(voiced.every(frame => jawOpen(frame) > 0.3), 'mouth is open during the vowel');
+    assert.ok(after.every(frame => jawOpen(frame) < 0.1), 'mouth closes again after the vowel');
+});
+
+test('streaming the audio in chunks gives the same frames', () => {
+    const { channels: [samples], sampleRate } = decodeWav(wav);
+    const whole = analyzeLipSync(samples, { sampleRate }).frames;
+
+    const analyzer = new LipSyncAnalyzer(sampleRate);
+    const streamed = [];
+    for (let start = 0; start < samples.length; start += 1000) {
+        streamed.push(...analyzer.process(samples.subarray(start, start + 1000)));
+    }
+    streamed.push(...analyzer.flush());
+
+    assert.equal(streamed.length, whole.length);
+    streamed.forEach((frame, i) => assert.ok(Math.abs(jawOpen(frame) - jawOpen(whole[i])) < 1e-9));
+});
+
+/**
+ * Just enough of an AudioContext to attach to: records connections and whether it was closed
+ */
+class FakeAudioContext {
+    constructor() {
+        this.sampleRate = 16000;
+        this.destination = this._node('destination');
+        this.connections = [];
+        this.closed = false;
+        FakeAudioContext.created.push(this);
+    }
+
+    _node(name, extra = {}) {
+        const node = {
+            name,
+            connect: target => this.connections.push([node, target]),
+            disconnect: (target) => {
+                this.connections = this.connections.filter(([from, to]) => from !== node || (target && to !== target));
+            },
+            ...extra
+        };
+        return node;
+    }
+
+    createBufferSource() {
+        return this._node('source', { start() {}, stop() {} });
+    }
+
+    createGain() {
+        return this._node('gain', { gain: { value: 1 } });
+    }
+
+    createScriptProcessor() {
+        return this._node('tap');
+    }
+
+    close() {
+        this.closed = true;
+        return Promise.resolve();
+    }
+}
+FakeAudioContext.created = [];
+
+const audioBuffer = { sampleRate: 16000, numberOfChannels: 1, length: 16, getChannelData: () => new Float32Array(16) };
+
+test('attach() closes the AudioContext it created on detach(), but not a context it was given', async () => {
+    globalThis.AudioContext = FakeAudioContext;
+    try {
+        const lipSync = new LipSync();
+        const context = await lipSync.attach(audioBuffer);
+        assert.ok(context instanceof FakeAudioContext);
+        assert.equal(context.connections.length, 4);
+        lipSync.detach();
+        assert.equal(context.closed, true);
+        assert.deepEqual(context.connections, []);
+
+        const given = new FakeAudioContext();
+        await lipSync.attach(audioBuffer, { audioContext: given });
+        lipSync.dispose();
+        assert.equal(given.closed, false);
+        assert.deepEqual(given.connections, []);
+    } finally {
+        delete globalThis.AudioContext;
+    }
+});
+
+test('attach() leaves nothing connected when the tap cannot be created', async () => {
+    globalThis.AudioContext = class extends FakeAudioContext {
+        createScriptProcessor() {
+            throw new Error('no ScriptProcessorNode');
+        }
+    };
+    try {
+        const lipSync = new LipSync();
+        await assert.rejects(lipSync.attach(audioBuffer), /no ScriptProcessorNode/);
+        const context = FakeAudioContext.created.at(-1);
+        assert.deepEqual(context.connections, []);
+        assert.equal(context.closed, true);
+    } finally {
+        delete globalThis.AudioContext;
+    }
+});
@@ -0,0 +1,110 @@
+/**
+ * Session recording and replay: monotonic recording time, replay in both directions and skeleton clip poses
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Object3D, AnimationClip, NumberKeyframeTrack, AnimationMixer } from 'three';
+
+import { SessionRecorder } from '../src/expression/SessionRecorder.js';
+import { SessionPlayer, SessionPlayerEvent } from '../src/expression/SessionPlayer.js';
+import { validateSession, parseSession, encodeSession, decodeSession } from '../src/expression/SessionFormat.js';
+import { AnimationManager } from '../src/renderer/AnimationManager.js';
+
+const frame = (time, jawOpen, clips) => ({
+    time,
+    animationTime: time,
+    expression: { jawOpen },
+    chatState: 'Idle',
+    clips
+});
+
+function record(times) {
+    const recorder = new SessionRecorder();
+    times.forEach((time, i) => recorder.capture(frame(time, i / 10, [{ clip: 'idle', time: i, weight: 1 }])));
+    return recorder.stop();
+}
+
+test('recording time only moves forward when the clock is moved back', () => {
+    const session = record([10, 11, 12, 10.5, 11.5, 11.5]);
+    assert.doesNotThrow(() => validateSession(session));
+    assert.deepEqual(session.frames.map(f => f.time), [0, 1, 2, 3]);
+    assert.doesNotThrow(() => new SessionPlayer(session));
+});
+
+test('clips survive JSON and the binary form', () => {
+    const recorder = new SessionRecorder();
+    recorder.capture(frame(0, 0, [
+        { clip: 'idle', time: 0.5, weight: 0.25 },
+        { clip: 'idle', index: 1, time: 1.5, weight: 0.75 },
+        { clip: 'nod', gesture: true, additive: true, time: 0.125, weight: 1 }
+    ]));
+    recorder.capture(frame(1, 0));
+    const session = recorder.stop();
+
+    assert.deepEqual(parseSession(JSON.stringify(session)).frames[0].clips, session.frames[0].clips);
+    const decoded = decodeSession(encodeSession(session));
+    assert.deepEqual(decoded.frames[0].clips, session.frames[0].clips);
+    assert.equal(decoded.frames[1].clips, undefined);
+});
+
+test('negative deltas move playback back', () => {
+    const player = new SessionPlayer(record([0, 1, 2, 3]));
+    player.advance(2.5);
+    const back = player.advance(-2);
+    assert.equal(player.time, 0.5);
+    assert.equal(back.clips[0].time, 0.5);
+    player.advance(-5);
+    assert.equal(player.time, 0);
+});
+
+test('looping wraps back past the start', () => {
+    const player = new SessionPlayer(record([0, 1, 2, 3]), { loop: true });
+    const loops = [];
+    player.events.on(SessionPlayerEvent.Looped, ({ count }) => loops.push(count));
+    player.advance(-0.5);
+    assert.equal(player.time, 2.5);
+    player.advance(1);
+    assert.equal(player.time, 0.5);
+    assert.deepEqual(loops, [1, 2]);
+});
+
+test('the end is reported once, and again after moving back', () => {
+    const player = new SessionPlayer(record([0, 1]));
+    let ended = 0;
+    player.events.on(SessionPlayerEvent.Ended, () => ended++);
+    player.advance(2);
+    player.advance(1);
+    assert.equal(ended, 1);
+    player.advance(-0.5);
+    assert.equal(player.ended, false);
+    player.advance(1);
+    assert.equal(ended, 2);
+});
+
+test('a captured skeleton pose is applied again at its clip times and weights', () => {
+    const clip = (name, value) => new AnimationClip(name, 4, [new NumberKeyframeTrack('.position[x]', [0, 4], [0, value])]);
+    const root = new Object3D();
+    const mixer = new AnimationMixer(root);
+    const manager = new AnimationManager(mixer, [clip('idle', 4), clip('speak_1', 8)], {
+        initial: 'Idle',
+        blend: 1,
+        states: { Idle: { loop: ['idle'] }, Responding: { loop: ['speak_1'] } }
+    });
+    const step = (state, delta) => {
+        mixer.update(delta);
+        manager.update(state);
+    };
+    for (let i = 0; i < 10; i++) step('Idle', 0.1);
+    step('Responding', 0.1);
+    for (let i = 0; i < 4; i++) step('Responding', 0.1);
+    const pose = manager.capturePose();
+    mixer.update(0);
+    const x = root.position.x;
+    assert.equal(pose.length, 2);
+
+    for (let i = 0; i < 20; i++) step('Idle', 0.1);
+    manager.applyPose(pose);
+    mixer.update(0);
+    assert.ok(Math.abs(root.position.x - x) < 1e-6);
+});
@@ -0,0 +1,156 @@
+/**
+ * Viseme tracks: coarticulation at the boundaries, contact visemes, validation and the Responding chat state
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { VisemeTrack } from '../src/lipsync/VisemeTrack.js';
+import { Viseme, VisemeSet } from '../src/lipsync/Visemes.js';
+import { TYVoiceChatState } from '../src/renderer/AppConstants.js';
+import { ValidationError } from '../src/errors/index.js';
+import { configureForProduction } from '../src/utils/Logger.js';
+
+configureForProduction();
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9,
+    `${message ?? ''} ${actual} != ${expected}`);
+
+/**
+ * Visemes of a sample with a weight above 0
+ */
+const active = ({ visemes }) => Object.fromEntries(Object.entries(visemes).filter(([, value]) => value > 0));
+
+test('neighbouring visemes crossfade around their boundary', () => {
+    const track = new VisemeTrack([{ time: 0.5, viseme: 'O' }, { time: 0, viseme: 'aa' }], {
+        coarticulation: 0.1,
+        duration: 1
+    });
+    assert.deepEqual(active(track.sample(0.25)), { [Viseme.AA]: 1 });
+    assert.deepEqual(active(track.sample(0.75)), { [Viseme.O]: 1 });
+
+    const boundary = track.sample(0.5).visemes;
+    close(boundary[Viseme.AA], 0.5);
+    close(boundary[Viseme.O], 0.5);
+
+    // The mix moves smoothly from one to the other, and always sums to 1
+    let previous = 0;
+    for (let time = 0.4; time <= 0.6; time += 0.01) {
+        const { visemes } = track.sample(time);
+        const o = visemes[Viseme.O] ?? 0;
+        assert.ok(o >= previous, `O does not fall at ${time}`);
+        close(Object.values(visemes).reduce((sum, value) => sum + value, 0), 1, `sum at ${time}`);
+        previous = o;
+    }
+
+    // Silence before the first viseme and after the end
+    assert.deepEqual(active(track.sample(-1)), { [Viseme.Silence]: 1 });
+    assert.deepEqual(active(track.sample(2)), { [Viseme.Silence]: 1 });
+});
+
+test('contact visemes dominate the crossfades', () => {
+    const boundary = new VisemeTrack([{ time: 0, viseme: 'aa' }, { time: 0.5, viseme: 'PP' }], {
+        coarticulation: 0.1,
+        duration: 1
+    }).sample(0.5).visemes;
+    close(boundary[Viseme.PP], 2 / 3);
+    close(boundary[Viseme.AA], 1 / 3);
+
+    // A short closure between two vowels still wins the mix in its middle
+    const short = new VisemeTrack([
+        { time: 0, viseme: 'aa' },
+        { time: 0.5, viseme: 'PP' },
+        { time: 0.55, viseme: 'aa' }
+    ], { duration: 1 }).sample(0.525).visemes;
+    assert.ok(short[Viseme.PP] > short[Viseme.AA], JSON.stringify(short));
+});
+
+test('unknown visemes and invalid events throw ValidationError naming the event', () => {
+    const invalid = [
+        [[{ time: 0, viseme: 'aa' }, { time: 0.1, viseme: 'XX' }], {}, 'visemes[1].viseme'],
+        [[{ time: 0, viseme: 22 }], { visemeSet: VisemeSet.Azure }, 'visemes[0].viseme'],
+        [[{ time: 0, viseme: 'toString' }], { visemeSet: VisemeSet.Polly }, 'visemes[0].viseme'],
+        [[{ time: '0', viseme: 'aa' }], {}, 'visemes[0].time'],
+        [[{ time: 0, viseme: 'aa', weight: 2 }], {}, 'visemes[0].weight'],
+        [[], { visemeSet: 'ipa' }, 'visemeSet'],
+        [[], { coarticulation: -0.1 }, 'coarticulation']
+    ];
+    invalid.forEach(([visemes, options, field]) => {
+        assert.throws(() => new VisemeTrack(visemes, options), (error) => {
+            assert.ok(error instanceof ValidationError);
+            assert.equal(error.field, field);
+            return true;
+        });
+    });
+    assert.doesNotThrow(() => new VisemeTrack([{ time: 0, viseme: 21 }, { time: 0.1, viseme: 0 }], {
+        visemeSet: VisemeSet.Azure
+    }));
+});
+
+/**
+ * A renderer stand-in recording expressions and chat states
+ */
+function makeTarget(chatState) {
+    return {
+        chatState,
+        states: [],
+        expressions: 0,
+        setExpression() {
+            this.expressions++;
+        },
+        setChatState(state) {
+            this.chatState = state;
+            this.states.push(state);
+        }
+    };
+}
+
+test('playing enters Responding at the start time and returns to the previous state at the end', async () => {
+    let now = 0;
+    const target = makeTarget(TYVoiceChatState.Listening);
+    const track = new VisemeTrack([{ time: 0, viseme: 'aa' }, { time: 0.2, viseme: 'O' }]);
+    track.connect(target);
+
+    const played = track.play({ clock: () => now, startAt: 1 });
+    assert.equal(track.playing, true);
+    assert.deepEqual(target.states, []);
+
+    now = 1.1;
+    await sleep(40);
+    assert.deepEqual(target.states, [TYVoiceChatState.Responding]);
+    assert.ok(target.expressions > 0);
+
+    now = 5;
+    assert.equal(await played, true);
+    assert.equal(track.playing, false);
+    assert.deepEqual(target.states, [TYVoiceChatState.Responding, TYVoiceChatState.Listening]);
+    track.dispose();
+});
+
+test('a state the app set during playback is left alone, and stopping resolves with false', async () => {
+    let now = 0;
+    const target = makeTarget(TYVoiceChatState.Idle);
+    const track = new VisemeTrack([{ time: 0, viseme: 'aa' }], { duration: 10 });
+    track.connect(target);
+
+    const played = track.play({ clock: () => now });
+    assert.deepEqual(target.states, [TYVoiceChatState.Responding]);
+    target.setChatState(TYVoiceChatState.Thinking);
+    now = 0.5;
+    await sleep(40);
+    track.stop();
+    assert.equal(await played, false);
+    assert.deepEqual(target.states, [TYVoiceChatState.Responding, TYVoiceChatState.Thinking]);
+
+    // Without chatState the target's state is not touched
+    const quiet = new VisemeTrack([{ time: 0, viseme: 'aa' }], { chatState: false });
+    quiet.connect(target);
+    now = 0;
+    const done = quiet.play({ clock: () => now });
+    now = 1;
+    assert.equal(await done, true);
+    assert.deepEqual(target.states, [TYVoiceChatState.Responding, TYVoiceChatState.Thinking]);
+    track.dispose();
+    quiet.dispose();
+});